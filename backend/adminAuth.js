@@ -0,0 +1,46 @@
+/**
+ * Admin token check for endpoints that spend upstream quota
+ * Clients send `Authorization: Bearer <ADMIN_TOKEN>`; with no ADMIN_TOKEN
+ * configured the protected endpoints are disabled.
+ */
+import { timingSafeEqual } from 'crypto';
+import { CONFIG } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('AdminAuth');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Express middleware rejecting requests without the admin token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @returns {void}
+ */
+export function requireAdminToken(req, res, next) {
+  if (!CONFIG.ADMIN_TOKEN) {
+    res.status(403).json({ error: 'Forbidden', message: 'Admin endpoints are disabled (no ADMIN_TOKEN configured)' });
+    return;
+  }
+
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match || !safeEqual(match[1], CONFIG.ADMIN_TOKEN)) {
+    log.warn('Rejected admin request', { method: req.method, path: req.path, ip: req.ip });
+    res.set('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ error: 'Unauthorized', message: 'Missing or invalid admin token' });
+    return;
+  }
+
+  next();
+}
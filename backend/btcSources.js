@@ -0,0 +1,183 @@
+/**
+ * BTC/USD source adapters with per-source health tracking
+ * All enabled sources are queried together; consensus.js decides the price
+ */
+import { CONFIG } from './config.js';
+import { fetchJson } from './upstream.js';
+import { rateLimiter } from './rateLimiter.js';
+import { getBreaker } from './circuitBreaker.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('BtcSources');
+
+/**
+ * Parse a numeric field that exchanges return as a string
+ * @param {*} raw - Raw value
+ * @param {string} label - Source label used in error messages
+ * @returns {number} Parsed positive number
+ */
+function parsePrice(raw, label) {
+  const price = Number(raw);
+
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new Error(`${label}: No BTC price in response`);
+  }
+
+  return price;
+}
+
+export const BTC_SOURCES = {
+  coingecko: {
+    label: 'CoinGecko',
+    url: 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd&include_last_updated_at=true',
+    parse: (data) => ({
+      price: parsePrice(data?.bitcoin?.usd, 'CoinGecko'),
+      asOf: data.bitcoin.last_updated_at ? new Date(data.bitcoin.last_updated_at * 1000).toISOString() : null,
+    }),
+  },
+  kraken: {
+    label: 'Kraken',
+    url: 'https://api.kraken.com/0/public/Ticker?pair=XBTUSD',
+    parse: (data) => {
+      if (data?.error?.length) {
+        throw new Error(`Kraken: ${data.error.join(', ')}`);
+      }
+      const ticker = data?.result && Object.values(data.result)[0];
+      return { price: parsePrice(ticker?.c?.[0], 'Kraken'), asOf: null };
+    },
+  },
+  coinbase: {
+    label: 'Coinbase',
+    url: 'https://api.coinbase.com/v2/prices/BTC-USD/spot',
+    parse: (data) => ({ price: parsePrice(data?.data?.amount, 'Coinbase'), asOf: null }),
+  },
+  bitstamp: {
+    label: 'Bitstamp',
+    url: 'https://www.bitstamp.net/api/v2/ticker/btcusd/',
+    parse: (data) => ({
+      price: parsePrice(data?.last, 'Bitstamp'),
+      asOf: data.timestamp ? new Date(Number(data.timestamp) * 1000).toISOString() : null,
+    }),
+  },
+};
+
+// Map of source name -> health record
+const health = new Map();
+
+/**
+ * Get (or create) the health record for a source
+ * @param {string} name - Source name
+ * @returns {Object} Mutable health record
+ */
+function getRecord(name) {
+  if (!health.has(name)) {
+    health.set(name, {
+      status: 'unknown',
+      price: null,
+      asOf: null,
+      latencyMs: null,
+      error: null,
+      lastSuccess: null,
+      lastFailure: null,
+      consecutiveFailures: 0,
+    });
+  }
+  return health.get(name);
+}
+
+/**
+ * Query every enabled BTC source in parallel
+ * Failures are recorded in source health and dropped from the result
+ * @param {Object} options - Fetch options
+ * @param {AbortSignal} [options.signal] - Aborts the outstanding requests
+ * @returns {Promise<Array<{source: string, price: number, asOf: string|null}>>} Quotes from responding sources
+ */
+export async function fetchBtcQuotes({ signal } = {}) {
+  const names = CONFIG.BTC_SOURCES.filter(name => BTC_SOURCES[name]);
+
+  const quotes = await Promise.all(names.map(async (name) => {
+    const source = BTC_SOURCES[name];
+    const record = getRecord(name);
+    const breaker = getBreaker(`btc:${name}`);
+
+    // Skip exchanges whose circuit is open; the consensus uses the rest
+    if (!breaker.allowRequest()) {
+      Object.assign(record, { status: 'circuit-open', error: `Circuit open: ${breaker.lastError}` });
+      return null;
+    }
+
+    // Sources with a policy in CONFIG.RATE_LIMITS queue here; others pass straight through
+    try {
+      await rateLimiter.acquire(name);
+    } catch (error) {
+      breaker.releaseTrial();
+      throw error;
+    }
+    const startedAt = Date.now();
+
+    try {
+      const quote = source.parse(await fetchJson(source.url, source.label, { signal }));
+
+      Object.assign(record, {
+        status: 'ok',
+        price: quote.price,
+        asOf: quote.asOf,
+        latencyMs: Date.now() - startedAt,
+        error: null,
+        lastSuccess: new Date().toISOString(),
+        consecutiveFailures: 0,
+      });
+      breaker.recordSuccess();
+
+      return { source: name, ...quote };
+    } catch (error) {
+      Object.assign(record, {
+        status: 'error',
+        latencyMs: Date.now() - startedAt,
+        error: error.message,
+        lastFailure: new Date().toISOString(),
+        consecutiveFailures: record.consecutiveFailures + 1,
+      });
+      breaker.recordFailure(error);
+
+      log.warn('Source failed', { source: name, error });
+      return null;
+    }
+  }));
+
+  return quotes.filter(Boolean);
+}
+
+/**
+ * Flag sources whose quotes were rejected by the consensus
+ * @param {Array<{source: string, deviation: number}>} rejected - Rejected quotes
+ * @returns {void}
+ */
+export function markOutliers(rejected) {
+  for (const quote of rejected) {
+    const record = getRecord(quote.source);
+    record.status = 'outlier';
+    record.error = `Deviates ${(quote.deviation * 100).toFixed(2)}% from median`;
+    log.warn('Source rejected as outlier', { source: quote.source, deviation: Number(quote.deviation.toFixed(4)) });
+  }
+}
+
+/**
+ * Get health for every BTC source
+ * @returns {Object} Map of source name -> health record
+ */
+export function getBtcSourceHealth() {
+  const result = {};
+  for (const name of CONFIG.BTC_SOURCES) {
+    result[name] = { ...getRecord(name) };
+  }
+  return result;
+}
+
+/**
+ * Reset source health (useful for testing)
+ * @returns {void}
+ */
+export function resetBtcSourceHealth() {
+  health.clear();
+}
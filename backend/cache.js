@@ -1,16 +1,43 @@
 /**
  * In-memory cache with TTL and randomized expiration
+ * Entries are periodically snapshotted to disk so a restart can warm-start.
+ * Emits a 'set' event for every stored value (consumed by the SSE stream).
  */
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { CONFIG } from './config.js';
+import { metrics } from './metrics.js';
+import { createLogger } from './logger.js';
 
-class Cache {
+const BACKEND_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const log = createLogger('Cache');
+
+const cacheHits = metrics.counter('cache_hits_total', 'Cache lookups that returned a fresh value');
+const cacheMisses = metrics.counter('cache_misses_total', 'Cache lookups that found no entry or an expired one');
+const cacheSets = metrics.counter('cache_sets_total', 'Values stored in the cache');
+
+/**
+ * Resolve the snapshot file path (relative paths are relative to backend/)
+ * @param {string} file - Configured path
+ * @returns {string} Absolute path
+ */
+function resolveSnapshotFile(file = CONFIG.CACHE_SNAPSHOT_FILE) {
+  return path.resolve(BACKEND_DIR, file);
+}
+
+class Cache extends EventEmitter {
   constructor() {
+    super();
     this.store = new Map();
     this.stats = {
       hits: 0,
       misses: 0,
       sets: 0,
     };
+    this.snapshotInterval = null;
   }
 
   /**
@@ -28,21 +55,36 @@ class Cache {
    * Store a value in cache with randomized TTL
    * @param {string} key - Cache key
    * @param {*} value - Value to store
+   * @param {Object} meta - Extra fields for the 'set' event; `source` and
+   *   `asOf` are also kept on the entry as provenance
+   * @param {number} ttlMs - TTL override in ms (default: random TTL_MIN-TTL_MAX)
    * @returns {void}
    */
-  set(key, value) {
-    const ttlMs = this._getRandomTTL();
-    const expiresAt = Date.now() + ttlMs;
+  set(key, value, meta = {}, ttlMs = this._getRandomTTL()) {
+    const createdAt = Date.now();
+    const expiresAt = createdAt + ttlMs;
     
     this.store.set(key, {
       value,
       expiresAt,
-      createdAt: Date.now(),
+      createdAt,
+      source: meta.source ?? null,
+      asOf: meta.asOf ?? null,
     });
     
     this.stats.sets++;
+    cacheSets.inc({ key });
     
-    console.log(`[Cache] SET ${key}, TTL: ${Math.round(ttlMs / 1000)}s, expires: ${new Date(expiresAt).toISOString()}`);
+    log.debug('SET', { key, ttl: Math.round(ttlMs / 1000), expiresAt: new Date(expiresAt).toISOString() });
+    
+    this.emit('set', {
+      ...meta,
+      key,
+      value,
+      ttl: Math.round(ttlMs / 1000),
+      fetchedAt: new Date(createdAt).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString(),
+    });
   }
 
   /**
@@ -55,17 +97,20 @@ class Cache {
     
     if (!entry) {
       this.stats.misses++;
+      cacheMisses.inc({ key });
       return null;
     }
     
     // Check if expired
     if (Date.now() > entry.expiresAt) {
       this.stats.misses++;
-      console.log(`[Cache] MISS ${key} (expired)`);
+      cacheMisses.inc({ key });
+      log.debug('MISS (expired)', { key });
       return null;
     }
     
     this.stats.hits++;
+    cacheHits.inc({ key });
     return entry.value;
   }
 
@@ -110,6 +155,21 @@ class Cache {
     return Math.max(0, remaining);
   }
 
+  /**
+   * Expire an entry now without deleting it
+   * The value stays available as a stale fallback until it is refreshed
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the key was cached
+   */
+  invalidate(key) {
+    const entry = this.store.get(key);
+    if (!entry) return false;
+    
+    entry.expiresAt = Math.min(entry.expiresAt, Date.now() - 1);
+    log.debug('INVALIDATE', { key });
+    return true;
+  }
+
   /**
    * Delete a key from cache
    * @param {string} key - Cache key
@@ -125,7 +185,7 @@ class Cache {
    */
   clear() {
     this.store.clear();
-    console.log('[Cache] Cleared all entries');
+    log.info('Cleared all entries');
   }
 
   /**
@@ -146,6 +206,7 @@ class Cache {
         age,
         ttl,
         expired,
+        restored: entry.restored === true,
         expiresAt: new Date(entry.expiresAt).toISOString(),
       });
     }
@@ -162,8 +223,109 @@ class Cache {
       entries: entries.sort((a, b) => a.key.localeCompare(b.key)),
     };
   }
+
+  /**
+   * Write all entries to disk (atomically, via a temp file)
+   * @param {string} file - Snapshot path (default: CONFIG.CACHE_SNAPSHOT_FILE)
+   * @returns {number} Number of entries written
+   */
+  saveSnapshot(file = resolveSnapshotFile()) {
+    const entries = Array.from(this.store.entries()).map(([key, entry]) => ({
+      key,
+      value: entry.value,
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt,
+      source: entry.source ?? null,
+      asOf: entry.asOf ?? null,
+    }));
+
+    const tmpFile = `${file}.tmp`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify({ savedAt: Date.now(), entries }));
+    fs.renameSync(tmpFile, file);
+
+    return entries.length;
+  }
+
+  /**
+   * Restore entries from a snapshot written by saveSnapshot()
+   * Entries keep their original createdAt/expiresAt, so expired ones are
+   * served as stale (with their age) until the scheduler refreshes them.
+   * Entries older than CACHE_SNAPSHOT_MAX_AGE are discarded.
+   * @param {string} file - Snapshot path (default: CONFIG.CACHE_SNAPSHOT_FILE)
+   * @returns {number} Number of entries restored
+   */
+  loadSnapshot(file = resolveSnapshotFile()) {
+    if (!fs.existsSync(file)) return 0;
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      log.error('Ignoring unreadable snapshot', { file, error });
+      return 0;
+    }
+
+    const maxAgeMs = CONFIG.CACHE_SNAPSHOT_MAX_AGE * 1000;
+    const now = Date.now();
+    let restored = 0;
+
+    for (const { key, value, createdAt, expiresAt, source = null, asOf = null } of snapshot.entries || []) {
+      if (now - createdAt > maxAgeMs) continue;
+      // Never clobber a value fetched since boot
+      if (this.store.has(key)) continue;
+
+      this.store.set(key, { value, createdAt, expiresAt, source, asOf, restored: true });
+      restored++;
+    }
+
+    log.info('Restored entries from snapshot', { restored, savedAt: new Date(snapshot.savedAt).toISOString() });
+    return restored;
+  }
+
+  /**
+   * Snapshot to disk every CACHE_SNAPSHOT_INTERVAL seconds
+   * @returns {void}
+   */
+  startSnapshots() {
+    if (this.snapshotInterval) return;
+
+    this.snapshotInterval = setInterval(() => {
+      try {
+        this.saveSnapshot();
+      } catch (error) {
+        log.error('Snapshot failed', { error });
+      }
+    }, CONFIG.CACHE_SNAPSHOT_INTERVAL * 1000);
+
+    // Snapshots must not keep the process alive on their own
+    this.snapshotInterval.unref();
+  }
+
+  /**
+   * Stop periodic snapshots
+   * @returns {void}
+   */
+  stopSnapshots() {
+    if (this.snapshotInterval) {
+      clearInterval(this.snapshotInterval);
+      this.snapshotInterval = null;
+    }
+  }
 }
 
 // Export singleton instance
 export const cache = new Cache();
 
+metrics.gauge('cache_entries', 'Entries currently in the cache (expired included)', () => [
+  { value: cache.store.size },
+]);
+
+metrics.gauge('cache_entry_age_seconds', 'Seconds since each cached value was fetched', () =>
+  cache.entries().map(([key, entry]) => ({ labels: { key }, value: (Date.now() - entry.createdAt) / 1000 }))
+);
+
+metrics.gauge('cache_entry_ttl_seconds', 'Seconds until each cached value expires (negative once expired)', () =>
+  cache.entries().map(([key, entry]) => ({ labels: { key }, value: (entry.expiresAt - Date.now()) / 1000 }))
+);
+
@@ -0,0 +1,388 @@
+/**
+ * Capital-structure schema
+ * Shared by the snapshot store and the import endpoint: checks required
+ * fields, types, sane ranges and internal consistency, and reports every
+ * problem with the path of the field it concerns
+ */
+
+// Relative tolerance of the consistency checks (rounded figures in filings)
+const TOLERANCE = 0.01;
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TICKER = /^[A-Z][A-Z0-9.]*$/;
+const CURRENCY = /^[A-Z]{3}$/;
+
+// Share counts are in thousands, as in the filings
+const COMPANY_FIELDS = {
+  btcHoldings: { type: 'number', required: true, min: 0 },
+  avgBtcCost: { type: 'number', min: 0 },
+  totalBtcCostBasis: { type: 'number', min: 0 },
+  usdReserve: { type: 'number', required: true, min: 0 },
+  classAShares: { type: 'number', min: 0 },
+  classBShares: { type: 'number', min: 0 },
+  basicSharesOutstanding: { type: 'number', required: true, min: 1 },
+  optionsOutstanding: { type: 'number', min: 0 },
+  rsuPsuUnvested: { type: 'number', min: 0 },
+  convertibleNotes: { type: 'array', required: true },
+  preferredStock: { type: 'object', required: true },
+};
+
+const NOTE_FIELDS = {
+  name: { type: 'string', required: true },
+  principal: { type: 'number', required: true, min: 1 },
+  coupon: { type: 'number', min: 0, max: 0.2 },
+  conversionPrice: { type: 'number', required: true, min: 0.01 },
+  sharesIfConverted: { type: 'number', required: true, min: 1 },
+  maturity: { type: 'date' },
+};
+
+// Waterfall terms: seniority (lower ranks first, default: listed order),
+// claimType (default: derived from hasDynamicLiqPref and the currency) and
+// conversion (convertible + conversionRatio common shares per share);
+// unlisted series have no market quote and are not tracked
+const PREFERRED_FIELDS = {
+  ticker: { type: 'string' },
+  description: { type: 'string' },
+  seniority: { type: 'number', min: 0 },
+  claimType: { type: 'enum', values: ['fixed', 'dynamic', 'currency'] },
+  currency: { type: 'currency' },
+  shares: { type: 'number', required: true, min: 0 },
+  notional: { type: 'number', min: 0 },
+  liqPref: { type: 'number', required: true, min: 0.01, max: 10000 },
+  dividendRate: { type: 'number', required: true, min: 0, max: 0.5 },
+  hasDynamicLiqPref: { type: 'boolean' },
+  isEuro: { type: 'boolean' },
+  nonCumulative: { type: 'boolean' },
+  unlisted: { type: 'boolean' },
+  convertible: { type: 'boolean' },
+  conversionRatio: { type: 'number', min: 0.0001 },
+  strikePrice: { type: 'number', min: 0.01 },
+  ipoPrice: { type: 'number', min: 0.01 },
+  grossProceeds: { type: 'number', min: 0 },
+};
+
+/**
+ * Check the fields of one object against a field spec
+ * @param {string} prefix - Path of the object ('' for the top level)
+ * @param {Object} value - Object to check
+ * @param {Object} fields - Field specs
+ * @param {Array} errors - Collected { path, message } errors (appended to)
+ * @returns {void}
+ */
+function checkFields(prefix, value, fields, errors) {
+  const at = (field) => (prefix ? `${prefix}.${field}` : field);
+
+  for (const [field, spec] of Object.entries(fields)) {
+    const fieldValue = value[field];
+    const got = JSON.stringify(fieldValue);
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (spec.required) errors.push({ path: at(field), message: 'is required' });
+      continue;
+    }
+
+    switch (spec.type) {
+      case 'number':
+        if (typeof fieldValue !== 'number' || !Number.isFinite(fieldValue)) {
+          errors.push({ path: at(field), message: `must be a number, got ${got}` });
+        } else if (spec.min !== undefined && fieldValue < spec.min) {
+          errors.push({ path: at(field), message: `must be >= ${spec.min}, got ${fieldValue}` });
+        } else if (spec.max !== undefined && fieldValue > spec.max) {
+          errors.push({ path: at(field), message: `must be <= ${spec.max}, got ${fieldValue}` });
+        }
+        break;
+      case 'string':
+        if (typeof fieldValue !== 'string' || fieldValue.trim() === '') {
+          errors.push({ path: at(field), message: `must be a non-empty string, got ${got}` });
+        }
+        break;
+      case 'date':
+        if (typeof fieldValue !== 'string' || !DATE.test(fieldValue) || Number.isNaN(Date.parse(fieldValue))) {
+          errors.push({ path: at(field), message: `must be a YYYY-MM-DD date, got ${got}` });
+        }
+        break;
+      case 'boolean':
+        if (typeof fieldValue !== 'boolean') {
+          errors.push({ path: at(field), message: `must be true or false, got ${got}` });
+        }
+        break;
+      case 'currency':
+        if (typeof fieldValue !== 'string' || !CURRENCY.test(fieldValue)) {
+          errors.push({ path: at(field), message: `must be an ISO currency code (e.g. USD, EUR, JPY), got ${got}` });
+        }
+        break;
+      case 'enum':
+        if (!spec.values.includes(fieldValue)) {
+          errors.push({ path: at(field), message: `must be one of ${spec.values.join(', ')}, got ${got}` });
+        }
+        break;
+      case 'array':
+        if (!Array.isArray(fieldValue)) errors.push({ path: at(field), message: `must be a list, got ${got}` });
+        break;
+      case 'object':
+        if (!isPlainObject(fieldValue)) errors.push({ path: at(field), message: `must be an object, got ${got}` });
+        break;
+    }
+  }
+
+  for (const field of Object.keys(value)) {
+    if (!fields[field]) errors.push({ path: at(field), message: 'is not a known field' });
+  }
+}
+
+/**
+ * @param {*} value - Value to test
+ * @returns {boolean} True for a plain object (not null or an array)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {*} value - Value to test
+ * @returns {boolean} True for a finite number
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check that a figure matches the value derived from others, within TOLERANCE
+ * @param {string} path - Path of the checked field
+ * @param {number} actual - Reported value
+ * @param {number} expected - Derived value
+ * @param {string} formula - How the derived value is computed (for the message)
+ * @param {Array} errors - Collected { path, message } errors (appended to)
+ * @returns {void}
+ */
+function checkConsistent(path, actual, expected, formula, errors) {
+  if (Math.abs(actual - expected) > Math.abs(expected) * TOLERANCE) {
+    const round = (value) => Math.round(value).toLocaleString('en-US');
+    errors.push({
+      path,
+      message: `should be about ${formula} (${round(expected)}), got ${round(actual)}`,
+    });
+  }
+}
+
+/**
+ * Check that a preferred's claim terms agree with each other
+ * Mirrors how the dashboard's waterfall resolves them (rankPreferreds)
+ * @param {string} path - Path of the series
+ * @param {Object} series - Preferred stock data
+ * @param {Array} errors - Collected { path, message } errors (appended to)
+ * @returns {void}
+ */
+function checkClaimTerms(path, series, errors) {
+  if (series.isEuro !== undefined && series.currency !== undefined && series.isEuro !== (series.currency === 'EUR')) {
+    errors.push({ path: `${path}.currency`, message: `contradicts isEuro: ${series.isEuro}` });
+    return;
+  }
+  if (series.claimType !== undefined && series.hasDynamicLiqPref !== undefined
+    && series.hasDynamicLiqPref !== (series.claimType === 'dynamic')) {
+    errors.push({ path: `${path}.claimType`, message: `contradicts hasDynamicLiqPref: ${series.hasDynamicLiqPref}` });
+    return;
+  }
+
+  const currency = series.currency ?? (series.isEuro ? 'EUR' : 'USD');
+  const claimType = series.claimType ?? (series.hasDynamicLiqPref ? 'dynamic' : currency !== 'USD' ? 'currency' : 'fixed');
+  if (claimType === 'currency' && currency === 'USD') {
+    errors.push({ path: `${path}.currency`, message: 'is required for a currency claim (e.g. EUR)' });
+  } else if (claimType !== 'currency' && currency !== 'USD') {
+    errors.push({ path: `${path}.claimType`, message: `must be currency for a ${currency} series, got ${JSON.stringify(claimType)}` });
+  }
+}
+
+/**
+ * Validate capital-structure data (the `data` of a snapshot)
+ * @param {Object} data - Holdings, share counts, convertibleNotes and preferredStock
+ * @returns {Array} Field-level errors [{ path, message }] (empty when valid)
+ */
+export function validateCapitalStructure(data) {
+  if (!isPlainObject(data)) {
+    return [{ path: '', message: `must be an object, got ${JSON.stringify(data)}` }];
+  }
+
+  const errors = [];
+  checkFields('', data, COMPANY_FIELDS, errors);
+
+  if (isNumber(data.btcHoldings) && isNumber(data.avgBtcCost) && isNumber(data.totalBtcCostBasis)) {
+    checkConsistent('totalBtcCostBasis', data.totalBtcCostBasis, data.btcHoldings * data.avgBtcCost, 'btcHoldings × avgBtcCost', errors);
+  }
+  if (isNumber(data.classAShares) && isNumber(data.classBShares) && isNumber(data.basicSharesOutstanding)) {
+    checkConsistent('basicSharesOutstanding', data.basicSharesOutstanding, data.classAShares + data.classBShares, 'classAShares + classBShares', errors);
+  }
+
+  if (Array.isArray(data.convertibleNotes)) {
+    const names = new Set();
+    data.convertibleNotes.forEach((note, index) => {
+      const path = `convertibleNotes[${index}]`;
+      if (!isPlainObject(note)) {
+        errors.push({ path, message: `must be an object, got ${JSON.stringify(note)}` });
+        return;
+      }
+
+      checkFields(path, note, NOTE_FIELDS, errors);
+      if (typeof note.name === 'string') {
+        if (names.has(note.name)) errors.push({ path: `${path}.name`, message: `duplicates note "${note.name}"` });
+        names.add(note.name);
+      }
+      if (isNumber(note.principal) && isNumber(note.conversionPrice) && note.conversionPrice > 0 && isNumber(note.sharesIfConverted)) {
+        checkConsistent(`${path}.sharesIfConverted`, note.sharesIfConverted, note.principal / note.conversionPrice, 'principal / conversionPrice', errors);
+      }
+    });
+  }
+
+  if (isPlainObject(data.preferredStock)) {
+    for (const [ticker, series] of Object.entries(data.preferredStock)) {
+      const path = `preferredStock.${ticker}`;
+      if (!TICKER.test(ticker)) errors.push({ path, message: 'must be keyed by an upper-case ticker' });
+      if (!isPlainObject(series)) {
+        errors.push({ path, message: `must be an object, got ${JSON.stringify(series)}` });
+        continue;
+      }
+
+      checkFields(path, series, PREFERRED_FIELDS, errors);
+      if (series.ticker !== undefined && series.ticker !== ticker) {
+        errors.push({ path: `${path}.ticker`, message: `must match its key ${ticker}, got ${JSON.stringify(series.ticker)}` });
+      }
+      if (series.convertible && series.conversionRatio === undefined) {
+        errors.push({ path: `${path}.conversionRatio`, message: 'is required for a convertible preferred' });
+      }
+      checkClaimTerms(path, series, errors);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting, blank lines skipped)
+ * @param {string} text - CSV text
+ * @returns {Array} Rows { line, cells }: 1-based line the row starts on, trimmed cells
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+        line++;
+      }
+      row.push(cell.trim());
+      if (row.some(value => value !== '')) rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  if (row.some(value => value !== '')) rows.push({ line: rowLine, cells: row });
+  return rows;
+}
+
+/**
+ * Convert a CSV cell to a number or boolean where it looks like one
+ * @param {string} cell - Raw cell
+ * @returns {number|boolean|string} Typed value
+ */
+function toValue(cell) {
+  if (cell === 'true' || cell === 'false') return cell === 'true';
+  const number = Number(cell.replace(/_/g, ''));
+  return cell !== '' && Number.isFinite(number) ? number : cell;
+}
+
+// CSV sections and the fields their rows may set
+const CSV_SECTIONS = { company: COMPANY_FIELDS, note: NOTE_FIELDS, preferred: PREFERRED_FIELDS };
+
+// Ids that would reach Object.prototype when used as property names
+const RESERVED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Parse a capital structure from CSV, one value per row:
+ *
+ *   section,id,field,value
+ *   company,,btcHoldings,671268
+ *   note,2028 Convert,principal,1010000000
+ *   preferred,STRF,liqPref,100
+ *
+ * Rows may only set fields the schema knows, and number and boolean fields are
+ * typed; notes keep the order they first appear in
+ * @param {string} text - CSV text
+ * @returns {{ data: Object, errors: Array }} Parsed data and row-level errors [{ path, message }]
+ */
+export function parseCapitalCsv(text) {
+  const rows = parseCsvRows(text);
+  const errors = [];
+  const data = { convertibleNotes: [], preferredStock: {} };
+  const notes = new Map();
+
+  const header = rows[0]?.cells.map(cell => cell.toLowerCase());
+  if (header?.join(',') !== 'section,id,field,value') {
+    return { data: null, errors: [{ path: `line ${rows[0]?.line ?? 1}`, message: 'header must be section,id,field,value' }] };
+  }
+
+  rows.slice(1).forEach(({ line: lineNumber, cells }) => {
+    const line = `line ${lineNumber}`;
+    const [section, id, field, raw] = cells;
+    const fields = Object.hasOwn(CSV_SECTIONS, section) ? CSV_SECTIONS[section] : null;
+    const spec = fields && Object.hasOwn(fields, field) ? fields[field] : null;
+
+    if (cells.length !== 4) {
+      errors.push({ path: line, message: `expected 4 columns, got ${cells.length}` });
+    } else if (!field) {
+      errors.push({ path: line, message: 'field is empty' });
+    } else if (!fields) {
+      errors.push({ path: line, message: `unknown section ${JSON.stringify(section)} (company, note or preferred)` });
+    } else if (section !== 'company' && !id) {
+      errors.push({ path: line, message: `${section} rows need an id (note name or ticker)` });
+    } else if (RESERVED_KEYS.has(id)) {
+      errors.push({ path: line, message: `${section} id ${JSON.stringify(id)} is reserved` });
+    } else if (!spec || spec.type === 'array' || spec.type === 'object') {
+      errors.push({ path: line, message: `unknown ${section} field ${JSON.stringify(field)}` });
+    } else {
+      // Only numbers and booleans are typed; text fields keep the raw cell
+      const value = spec.type === 'number' || spec.type === 'boolean' ? toValue(raw) : raw;
+      if (section === 'company') {
+        data[field] = value;
+      } else if (section === 'note') {
+        if (!notes.has(id)) {
+          notes.set(id, { name: id });
+          data.convertibleNotes.push(notes.get(id));
+        }
+        notes.get(id)[field] = value;
+      } else {
+        if (!Object.hasOwn(data.preferredStock, id)) data.preferredStock[id] = {};
+        data.preferredStock[id][field] = value;
+      }
+    }
+  });
+
+  return { data, errors };
+}
@@ -0,0 +1,169 @@
+/**
+ * Circuit breakers for upstream APIs
+ * closed    -> requests flow; consecutive failures are counted
+ * open      -> requests fail immediately until the cooldown has passed
+ * half-open -> one trial request; success closes the circuit, failure re-opens it
+ */
+import { CONFIG } from './config.js';
+import { metrics } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('CircuitBreaker');
+
+const STATE_VALUES = { closed: 0, 'half-open': 1, open: 2 };
+const openedTotal = metrics.counter('circuit_breaker_opened_total', 'Times each circuit breaker opened');
+
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Breaker name (provider or source)
+   * @param {Object} options - Overrides for CONFIG.CIRCUIT_BREAKER
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldown - Seconds to stay open before a trial request
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.timesOpened = 0;
+  }
+
+  /**
+   * Effective thresholds (read at call time so config changes apply)
+   * @returns {Object} { failureThreshold, cooldown }
+   */
+  getPolicy() {
+    return { ...CONFIG.CIRCUIT_BREAKER, ...this.options };
+  }
+
+  /**
+   * Ask to make a request; moves open -> half-open once the cooldown passed
+   * @returns {boolean} True if the request may go upstream
+   */
+  allowRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open') {
+      const cooldownMs = this.getPolicy().cooldown * 1000;
+      if (Date.now() - this.openedAt < cooldownMs) return false;
+
+      this.state = 'half-open';
+      log.info('Half-open, allowing a trial request', { breaker: this.name });
+    }
+
+    // half-open: only one trial at a time
+    if (this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Give back a half-open trial slot whose request never went upstream
+   * (e.g. its rate-limit wait was rejected); there is no outcome to record
+   * @returns {void}
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a successful request
+   * @returns {void}
+   */
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      log.info('Closed after successful trial', { breaker: this.name });
+    }
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Record a failed request; opens the circuit at the threshold or when a
+   * half-open trial fails
+   * @param {Error} error - Failure cause
+   * @returns {void}
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error?.message || null;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.getPolicy().failureThreshold) {
+      if (this.state !== 'open') {
+        this.timesOpened++;
+        openedTotal.inc({ breaker: this.name });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+      log.warn('Circuit opened', { breaker: this.name, failures: this.failures, cooldown: this.getPolicy().cooldown, error });
+    }
+  }
+
+  /**
+   * Get breaker status for health reporting
+   * @returns {Object} Status snapshot
+   */
+  getStatus() {
+    const { failureThreshold, cooldown } = this.getPolicy();
+    const retryAt = this.state === 'open' ? this.openedAt + cooldown * 1000 : null;
+
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold,
+      cooldown,
+      lastError: this.lastError,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryIn: retryAt ? Math.max(0, Math.ceil((retryAt - Date.now()) / 1000)) : null,
+      timesOpened: this.timesOpened,
+    };
+  }
+}
+
+// Map of breaker name -> CircuitBreaker
+const breakers = new Map();
+
+/**
+ * Get (or create) the breaker for a provider or source
+ * @param {string} name - Breaker name
+ * @param {Object} options - Threshold overrides (used on creation only)
+ * @returns {CircuitBreaker} Breaker
+ */
+export function getBreaker(name, options = {}) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, options));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Get status for every breaker created so far
+ * @returns {Object} Map of breaker name -> status
+ */
+export function getBreakerStatus() {
+  const result = {};
+  for (const [name, breaker] of breakers) {
+    result[name] = breaker.getStatus();
+  }
+  return result;
+}
+
+metrics.gauge('circuit_breaker_state', 'Circuit breaker state (0 = closed, 1 = half-open, 2 = open)', () =>
+  Array.from(breakers.values()).map(breaker => ({ labels: { breaker: breaker.name }, value: STATE_VALUES[breaker.state] }))
+);
+
+/**
+ * Drop all breakers (useful for testing)
+ * @returns {void}
+ */
+export function resetBreakers() {
+  breakers.clear();
+}
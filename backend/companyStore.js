@@ -0,0 +1,294 @@
+/**
+ * Versioned capital-structure snapshots
+ * Each company has a directory under COMPANY_DATA_DIR with one JSON file per
+ * version, named by its effective date (capital/strategy/2025-12-07.json).
+ * Every snapshot is read and validated once, at startup; lookups are served
+ * from memory. A watcher reloads the directory when a file is written, so
+ * publishing a new snapshot takes effect without a restart or a frontend
+ * rebuild. A snapshot names the company's common-stock `ticker`, its listing
+ * `currency` and the `venue` it trades on; with its preferred tickers, that is
+ * the set of equities tracked for the company
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG } from './config.js';
+import { createLogger } from './logger.js';
+import { validateCapitalStructure } from './capitalSchema.js';
+
+const BACKEND_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const log = createLogger('Company');
+
+const COMPANY_ID = /^[a-z0-9-]+$/;
+const SNAPSHOT_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TICKER = /^[A-Z0-9][A-Z0-9.]*$/;
+const CURRENCY = /^[A-Z]{3}$/;
+const VENUE = /^[A-Z]+$/;
+
+// Editors and copies write a file in several steps; reload once they settle
+const RELOAD_DELAY_MS = 200;
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with `status`
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Today's date, which decides the snapshot in effect
+ * @returns {string} YYYY-MM-DD (UTC)
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export class CompanyStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dir - Snapshot root directory (default: CONFIG.COMPANY_DATA_DIR)
+   */
+  constructor({ dir = null } = {}) {
+    this.customDir = dir;
+    this.snapshots = null; // company -> Map(date -> snapshot), valid versions oldest first; null until loaded
+    this.tickerCache = null; // { day, tickers }
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Snapshot root directory
+   * Resolved on use so a COMPANY_DATA_DIR loaded at startup applies to the singleton
+   * @returns {string} Absolute path
+   */
+  get dir() {
+    return this.customDir ?? path.resolve(BACKEND_DIR, CONFIG.COMPANY_DATA_DIR);
+  }
+
+  /**
+   * Read and validate every snapshot, replacing what is in memory
+   * Called at startup and whenever the directory changes; lookups before the
+   * first call load on demand
+   * @returns {number} Valid snapshots loaded
+   */
+  load() {
+    const snapshots = new Map();
+    let count = 0;
+
+    if (fs.existsSync(this.dir)) {
+      const companies = fs.readdirSync(this.dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && COMPANY_ID.test(entry.name))
+        .map(entry => entry.name)
+        .sort();
+
+      for (const company of companies) {
+        const versions = new Map();
+        const dates = fs.readdirSync(path.join(this.dir, company))
+          .map(name => name.match(SNAPSHOT_FILE)?.[1])
+          .filter(Boolean)
+          .sort();
+        for (const date of dates) {
+          const snapshot = this.read(company, date);
+          if (snapshot) versions.set(date, snapshot);
+        }
+        snapshots.set(company, versions);
+        count += versions.size;
+      }
+    }
+
+    this.snapshots = snapshots;
+    this.tickerCache = null;
+    return count;
+  }
+
+  /**
+   * Reload the snapshots when a file under the directory is written
+   * @returns {void}
+   */
+  startWatching() {
+    if (this.watcher || !fs.existsSync(this.dir)) return;
+
+    this.watcher = fs.watch(this.dir, { recursive: true }, () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => {
+        try {
+          log.info('Reloaded snapshots', { snapshots: this.load() });
+        } catch (error) {
+          log.error('Snapshot reload failed', { error });
+        }
+      }, RELOAD_DELAY_MS);
+    });
+    this.watcher.on('error', error => log.error('Snapshot watcher failed', { error }));
+
+    // Watching must not keep the process alive on its own
+    this.watcher.unref();
+  }
+
+  /**
+   * Stop reloading on changes
+   * @returns {void}
+   */
+  stopWatching() {
+    clearTimeout(this.reloadTimer);
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  /**
+   * Loaded snapshots, loading them on first use
+   * @returns {Map} company -> Map(date -> snapshot)
+   */
+  loaded() {
+    if (!this.snapshots) this.load();
+    return this.snapshots;
+  }
+
+  /**
+   * Companies with a snapshot directory
+   * @returns {string[]} Company ids, sorted
+   */
+  companies() {
+    return [...this.loaded().keys()];
+  }
+
+  /**
+   * Snapshot in effect today for every company that has one
+   * @returns {Object[]} Snapshots as returned by get(), by company id
+   */
+  current() {
+    return this.companies().flatMap(company => {
+      try {
+        return [this.get(company)];
+      } catch {
+        // No valid snapshot in effect yet
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Companies to offer in the dashboard's selector
+   * @returns {Object[]} [{ company, name, ticker, effectiveDate }]
+   */
+  catalog() {
+    return this.current().map(({ company, name, ticker, effectiveDate }) => ({ company, name, ticker, effectiveDate }));
+  }
+
+  /**
+   * Equity tickers of every company's current snapshot
+   * Common stock uses the company's `currency`, preferreds their series
+   * currency; all trade on the company's `venue` (`unlisted` series have no
+   * quote and are left out). The default company comes
+   * first, so its tickers take the first rate-limit slots. Recomputed after a
+   * reload or when the date changes (a dated snapshot may have taken effect)
+   * @returns {Object} { [ticker]: { currency, venue } }
+   */
+  tickers() {
+    const day = today();
+    if (this.tickerCache?.day === day) return this.tickerCache.tickers;
+
+    const snapshots = this.current()
+      .sort((a, b) => (b.company === CONFIG.DEFAULT_COMPANY) - (a.company === CONFIG.DEFAULT_COMPANY));
+    const tickers = {};
+    for (const { ticker, currency, venue, data } of snapshots) {
+      if (ticker) tickers[ticker] = { currency, venue };
+      for (const [series, terms] of Object.entries(data.preferredStock)) {
+        if (terms.unlisted) continue;
+        tickers[series] = { currency: terms.currency ?? (terms.isEuro ? 'EUR' : 'USD'), venue };
+      }
+    }
+
+    this.tickerCache = { day, tickers };
+    return tickers;
+  }
+
+  /**
+   * Effective dates of a company's valid snapshots
+   * @param {string} company - Company id
+   * @returns {string[]} YYYY-MM-DD dates, oldest first
+   * @throws {Error} 400 for a malformed id, 404 for an unknown company
+   */
+  versions(company) {
+    if (!COMPANY_ID.test(company)) throw httpError(400, `Invalid company: ${company}`);
+
+    const versions = this.loaded().get(company);
+    if (!versions) throw httpError(404, `Unknown company: ${company}`);
+
+    return [...versions.keys()];
+  }
+
+  /**
+   * Snapshot in effect on a date: the latest one effective on or before it
+   * @param {string} company - Company id
+   * @param {string|null} asOf - YYYY-MM-DD (default: today, UTC)
+   * @returns {Object} { company, name, ticker, currency, venue, effectiveDate, source, versions, data }
+   * @throws {Error} 400 for a malformed date, 404 when no snapshot is in effect
+   */
+  get(company, asOf = null) {
+    if (asOf !== null && asOf !== undefined && !DATE.test(asOf)) {
+      throw httpError(400, `Invalid date: ${asOf} (expected YYYY-MM-DD)`);
+    }
+
+    const date = asOf ?? today();
+    const versions = this.versions(company);
+    const effectiveDate = versions.filter(version => version <= date).pop();
+
+    if (!effectiveDate) {
+      throw httpError(404, `No ${company} snapshot in effect on ${date}`);
+    }
+
+    const {
+      name = company,
+      ticker = null,
+      currency = 'USD',
+      venue = 'US',
+      source = null,
+      data,
+    } = this.loaded().get(company).get(effectiveDate);
+    return { company, name, ticker, currency, venue, effectiveDate, source, versions, data };
+  }
+
+  /**
+   * Read and validate one snapshot file
+   * Invalid files are logged and treated as absent
+   * @param {string} company - Company id
+   * @param {string} date - Effective date (file name)
+   * @returns {Object|null} Parsed snapshot, or null if invalid
+   */
+  read(company, date) {
+    const file = path.join(this.dir, company, `${date}.json`);
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const problems = validateCapitalStructure(parsed?.data)
+        .map(({ path: field, message }) => `data${field ? `.${field}` : ''} ${message}`);
+      if (parsed?.ticker !== undefined && !(typeof parsed.ticker === 'string' && TICKER.test(parsed.ticker))) {
+        problems.push(`ticker must be an upper-case ticker, got ${JSON.stringify(parsed.ticker)}`);
+      }
+      if (parsed?.currency !== undefined && !(typeof parsed.currency === 'string' && CURRENCY.test(parsed.currency))) {
+        problems.push(`currency must be an ISO currency code, got ${JSON.stringify(parsed.currency)}`);
+      }
+      if (parsed?.venue !== undefined && !(typeof parsed.venue === 'string' && VENUE.test(parsed.venue))) {
+        problems.push(`venue must be an upper-case exchange code (e.g. US, TSE), got ${JSON.stringify(parsed.venue)}`);
+      }
+      if (problems.length > 0) {
+        log.error('Ignoring invalid snapshot', { company, date, problems: problems.join('; ') });
+        return null;
+      }
+      log.info('Loaded snapshot', { company, date });
+      return parsed;
+    } catch (error) {
+      log.error('Ignoring unreadable snapshot', { company, date, error });
+      return null;
+    }
+  }
+}
+
+export const companyStore = new CompanyStore();
@@ -1,5 +1,7 @@
 /**
- * Configuration constants for the price caching service
+ * Default configuration for the price caching service
+ * Every setting can be overridden by a config file, an environment variable
+ * of the same name or a CLI flag; see configLoader.js
  */
 export const CONFIG = {
   // Cache TTL settings
@@ -7,22 +9,77 @@ export const CONFIG = {
   TTL_MAX: 600,           // 10 minutes maximum TTL (seconds)
   REFRESH_THRESHOLD: 60,  // Refresh when this many seconds left (seconds)
   
+  // Cache snapshots (warm start across restarts, relative to backend/)
+  CACHE_SNAPSHOT_FILE: 'data/cache-snapshot.json',
+  CACHE_SNAPSHOT_INTERVAL: 60,    // Write a snapshot every 60 seconds
+  CACHE_SNAPSHOT_MAX_AGE: 86400,  // Discard snapshot entries older than 24h (seconds)
+  
+  // Server-Sent Events price stream
+  STREAM_HEARTBEAT_INTERVAL: 25,  // Comment line to keep idle proxies from closing the stream (seconds)
+  
   // Scheduler settings
   SCHEDULER_INTERVAL: 30, // Check cache every 30 seconds
   SEED_ON_STARTUP: true,  // Populate cache immediately on server start
+  REQUEST_FETCH_TIMEOUT: 4, // Max wait for a key with no cached value before answering without it (seconds)
+  MARKET_CLOSE_GRACE: 900, // Equity quotes fetched this long after the NYSE close are final until the next open (seconds)
+  
+  // Rate limiting: token bucket per upstream API, `limit` calls per `window` seconds
+  // Requests over the limit queue until a token frees up; unlisted APIs are unlimited
+  RATE_LIMITS: {
+    polygon: { limit: 5, window: 60 },       // Polygon.io free tier: 5 calls per minute
+    coingecko: { limit: 10, window: 60 },    // CoinGecko public API (stays under its 10-30/min)
+    exchangerate: { limit: 30, window: 60 }, // exchangerate-api.com open access (daily rates)
+    yahoo: { limit: 20, window: 60 },        // Yahoo Finance chart API (tickers listed outside the US)
+  },
   
-  // Rate limiting
-  POLYGON_RATE_LIMIT: 5,  // Polygon.io: 5 calls per minute
-  RATE_LIMIT_WINDOW: 60,  // Rate limit window in seconds
+  // Tracked US equity tickers (served by the Polygon provider); company
+  // snapshots add their own, routed by the snapshot's `venue`
+  POLYGON_TICKERS: ['MSTR', 'STRF', 'STRC', 'STRK', 'STRD', 'STRE'],
+  TICKER_CURRENCIES: { STRE: 'EUR' }, // Listing currency when not USD
+  AVG_WINDOW_DAYS: 10,         // Trading days in the trailing average (liq pref)
+  AGGREGATES_LOOKBACK_DAYS: 30, // Calendar days of daily bars to request
   
-  // Exponential backoff settings
-  MAX_RETRIES: 5,         // Number of retry attempts
+  // BTC consensus pricing
+  BTC_SOURCES: ['coingecko', 'kraken', 'coinbase', 'bitstamp'],
+  BTC_MIN_SOURCES: 2,     // Minimum agreeing sources for a consensus price
+  BTC_MAX_DEVIATION: 0.02, // Reject quotes more than 2% from the median
+  
+  // Retry policy (retryPolicy.js): only network errors, timeouts, 408/429
+  // and 5xx are retried, after a full-jitter delay or the upstream's Retry-After
+  MAX_RETRIES: 5,         // Number of attempts
   BASE_DELAY: 16000,      // 16s base delay for exponential backoff (ms)
+  RETRY_MAX_DELAY: 256000, // Cap on a single backoff delay (ms)
+  FETCH_BUDGET: 300,      // Seconds a fetch may spend retrying before giving up
+  ATTEMPT_TIMEOUT: 10,    // Seconds before one attempt is aborted
+  
+  // Circuit breaker per provider (and per BTC source); providers may override
+  CIRCUIT_BREAKER: {
+    failureThreshold: 3,  // Consecutive failed attempts that open the circuit
+    cooldown: 60,         // Seconds to fail fast before a half-open trial request
+  },
+  
+  // Upstream APIs: 'live', 'record' (live + save fixtures) or 'replay' (fixtures only, offline)
+  UPSTREAM_MODE: 'live',
+  UPSTREAM_FIXTURES_DIR: 'fixtures/upstream', // Relative to backend/
+  
+  // Price history (append-only JSON lines, relative to backend/)
+  HISTORY_FILE: 'data/history.jsonl',
+  
+  // Capital-structure snapshots: <dir>/<company>/<YYYY-MM-DD>.json (relative to backend/)
+  COMPANY_DATA_DIR: 'capital',
+  DEFAULT_COMPANY: 'strategy', // Served by /api/company when no company is given
   
   // Server settings
-  PORT: process.env.PORT || 3001,
+  PORT: 3001,
+  
+  // Logging: 'debug' | 'info' | 'warn' | 'error'; format 'pretty' or 'json' (one object per line)
+  LOG_LEVEL: 'info',
+  LOG_FORMAT: 'pretty',
+  
+  // API Keys (set POLYGON_API_KEY in backend/.env)
+  POLYGON_API_KEY: '',
   
-  // API Keys (from environment variables)
-  POLYGON_API_KEY: process.env.POLYGON_API_KEY || '',
+  // Bearer token for admin endpoints (POST /api/prices/refresh); empty disables them
+  ADMIN_TOKEN: '',
 };
 
@@ -0,0 +1,403 @@
+/**
+ * Layered configuration loading
+ * Settings are merged in order of precedence (lowest first): the defaults in
+ * config.js, a JSON config file, environment variables, then CLI flags.
+ * The merged result is validated before it is applied to CONFIG.
+ *
+ *   CONFIG_FILE=staging.json TTL_MIN=60 node server.js --scheduler-interval 10
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG } from './config.js';
+
+const BACKEND_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Used when neither --config nor CONFIG_FILE is given (optional)
+export const DEFAULT_CONFIG_FILE = path.join(BACKEND_DIR, 'config.json');
+
+// Pristine copy of config.js, taken before anything is applied
+export const DEFAULTS = structuredClone(CONFIG);
+
+const positiveInt = { type: 'integer', min: 1 };
+const rateLimitPolicy = {
+  type: 'object',
+  fields: { limit: positiveInt, window: { type: 'number', min: 1 } },
+};
+
+// Type and range of every setting; env vars use the key as-is, CLI flags
+// its kebab-case form (TTL_MIN -> --ttl-min)
+export const SCHEMA = {
+  TTL_MIN: positiveInt,
+  TTL_MAX: positiveInt,
+  REFRESH_THRESHOLD: { type: 'integer', min: 0 },
+  CACHE_SNAPSHOT_FILE: { type: 'string' },
+  CACHE_SNAPSHOT_INTERVAL: positiveInt,
+  CACHE_SNAPSHOT_MAX_AGE: { type: 'integer', min: 0 },
+  STREAM_HEARTBEAT_INTERVAL: positiveInt,
+  SCHEDULER_INTERVAL: positiveInt,
+  SEED_ON_STARTUP: { type: 'boolean' },
+  REQUEST_FETCH_TIMEOUT: { type: 'number', min: 0 },
+  MARKET_CLOSE_GRACE: { type: 'integer', min: 0 },
+  RATE_LIMITS: { type: 'map', values: rateLimitPolicy },
+  POLYGON_TICKERS: { type: 'array', items: { type: 'string', pattern: /^[A-Z.]+$/ } },
+  TICKER_CURRENCIES: { type: 'map', values: { type: 'string', pattern: /^[A-Z]{3}$/ } },
+  AVG_WINDOW_DAYS: positiveInt,
+  AGGREGATES_LOOKBACK_DAYS: positiveInt,
+  BTC_SOURCES: { type: 'array', items: { type: 'string' }, minItems: 1 },
+  BTC_MIN_SOURCES: positiveInt,
+  BTC_MAX_DEVIATION: { type: 'number', min: 0, max: 1 },
+  MAX_RETRIES: { type: 'integer', min: 1, max: 20 },
+  BASE_DELAY: { type: 'integer', min: 0 },
+  RETRY_MAX_DELAY: { type: 'integer', min: 0 },
+  FETCH_BUDGET: { type: 'number', min: 0 },
+  ATTEMPT_TIMEOUT: { type: 'number', min: 0 },
+  CIRCUIT_BREAKER: {
+    type: 'object',
+    fields: { failureThreshold: positiveInt, cooldown: { type: 'number', min: 0 } },
+  },
+  UPSTREAM_MODE: { type: 'string', enum: ['live', 'record', 'replay'] },
+  UPSTREAM_FIXTURES_DIR: { type: 'string' },
+  HISTORY_FILE: { type: 'string' },
+  COMPANY_DATA_DIR: { type: 'string' },
+  DEFAULT_COMPANY: { type: 'string', pattern: /^[a-z0-9-]+$/ },
+  PORT: { type: 'integer', min: 0, max: 65535 },
+  LOG_LEVEL: { type: 'string', enum: ['debug', 'info', 'warn', 'error'] },
+  LOG_FORMAT: { type: 'string', enum: ['pretty', 'json'] },
+  POLYGON_API_KEY: { type: 'string', secret: true },
+  ADMIN_TOKEN: { type: 'string', secret: true },
+};
+
+let loaded = { file: null, sources: {} };
+
+/**
+ * Convert a setting name to its CLI flag (TTL_MIN -> ttl-min)
+ * @param {string} key - Setting name
+ * @returns {string} Flag name without dashes
+ */
+function toFlag(key) {
+  return key.toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * Check for a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge an override into a base value; nested objects merge key by key,
+ * everything else (arrays included) is replaced
+ * @param {*} base - Current value
+ * @param {*} override - Higher-precedence value
+ * @returns {*} Merged value
+ */
+function mergeValue(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override;
+
+  const result = { ...base };
+  for (const [name, value] of Object.entries(override)) {
+    result[name] = mergeValue(base[name], value);
+  }
+  return result;
+}
+
+/**
+ * Parse a string setting (from env or CLI) into the schema's type
+ * Values that cannot be parsed are returned unchanged so validation reports them
+ * @param {string} raw - Raw string
+ * @param {Object} spec - Schema entry
+ * @returns {*} Parsed value
+ */
+export function parseValue(raw, spec) {
+  const text = String(raw).trim();
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      return text !== '' && !Number.isNaN(Number(text)) ? Number(text) : raw;
+    case 'boolean':
+      if (['true', '1', 'yes', 'on'].includes(text.toLowerCase())) return true;
+      if (['false', '0', 'no', 'off'].includes(text.toLowerCase())) return false;
+      return raw;
+    case 'array':
+      if (text.startsWith('[')) return parseJson(text, raw);
+      return text.split(',').map(item => item.trim()).filter(Boolean);
+    case 'object':
+    case 'map':
+      return parseJson(text, raw);
+    default:
+      return raw;
+  }
+}
+
+/**
+ * JSON.parse that returns a fallback instead of throwing
+ * @param {string} text - JSON text
+ * @param {*} fallback - Returned when text is not valid JSON
+ * @returns {*} Parsed value or fallback
+ */
+function parseJson(text, fallback) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Validate one value against its schema entry
+ * @param {string} name - Setting path used in messages (e.g. RATE_LIMITS.polygon.limit)
+ * @param {*} value - Value to check
+ * @param {Object} spec - Schema entry
+ * @param {string[]} errors - Collected error messages (appended to)
+ * @returns {void}
+ */
+function checkValue(name, value, spec, errors) {
+  const got = JSON.stringify(value);
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const valid = typeof value === 'number' && Number.isFinite(value)
+        && (spec.type === 'number' || Number.isInteger(value));
+      if (!valid) {
+        errors.push(`${name} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}, got ${got}`);
+      } else if (spec.min !== undefined && value < spec.min) {
+        errors.push(`${name} must be >= ${spec.min}, got ${value}`);
+      } else if (spec.max !== undefined && value > spec.max) {
+        errors.push(`${name} must be <= ${spec.max}, got ${value}`);
+      }
+      return;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${name} must be true or false, got ${got}`);
+      return;
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${name} must be a string, got ${got}`);
+      } else if (spec.enum && !spec.enum.includes(value)) {
+        errors.push(`${name} must be one of ${spec.enum.join(', ')}, got ${got}`);
+      } else if (spec.pattern && !spec.pattern.test(value)) {
+        errors.push(`${name} has an invalid format: ${got}`);
+      }
+      return;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${name} must be a list, got ${got}`);
+        return;
+      }
+      if (spec.minItems && value.length < spec.minItems) {
+        errors.push(`${name} must have at least ${spec.minItems} item(s)`);
+      }
+      value.forEach((item, index) => checkValue(`${name}[${index}]`, item, spec.items, errors));
+      return;
+    case 'map':
+      if (!isPlainObject(value)) {
+        errors.push(`${name} must be an object, got ${got}`);
+        return;
+      }
+      for (const [entry, entryValue] of Object.entries(value)) {
+        checkValue(`${name}.${entry}`, entryValue, spec.values, errors);
+      }
+      return;
+    case 'object':
+      if (!isPlainObject(value)) {
+        errors.push(`${name} must be an object, got ${got}`);
+        return;
+      }
+      for (const [field, fieldSpec] of Object.entries(spec.fields)) {
+        checkValue(`${name}.${field}`, value[field], fieldSpec, errors);
+      }
+      for (const field of Object.keys(value)) {
+        if (!spec.fields[field]) errors.push(`${name}.${field} is not a known setting`);
+      }
+      return;
+  }
+}
+
+/**
+ * Validate a complete configuration: types, ranges and cross-field rules
+ * @param {Object} config - Merged configuration
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateConfig(config) {
+  const errors = [];
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    checkValue(key, config[key], spec, errors);
+  }
+
+  if (errors.length === 0) {
+    if (config.TTL_MIN > config.TTL_MAX) {
+      errors.push(`TTL_MIN (${config.TTL_MIN}) must not exceed TTL_MAX (${config.TTL_MAX})`);
+    }
+    if (config.REFRESH_THRESHOLD >= config.TTL_MIN) {
+      errors.push(`REFRESH_THRESHOLD (${config.REFRESH_THRESHOLD}) must be below TTL_MIN (${config.TTL_MIN}), or every entry is refreshed on every check`);
+    }
+    if (config.BTC_MIN_SOURCES > config.BTC_SOURCES.length) {
+      errors.push(`BTC_MIN_SOURCES (${config.BTC_MIN_SOURCES}) exceeds the ${config.BTC_SOURCES.length} configured BTC_SOURCES`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse CLI flags (--ttl-min 60, --ttl-min=60, --seed-on-startup)
+ * @param {string[]} argv - Arguments after the script name
+ * @param {string[]} errors - Collected error messages (appended to)
+ * @returns {{ configFile: string|null, values: Object }} Config file flag and raw values by key
+ */
+function parseArgs(argv, errors) {
+  const keysByFlag = Object.fromEntries(Object.keys(SCHEMA).map(key => [toFlag(key), key]));
+  const values = {};
+  let configFile = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z0-9-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      errors.push(`Unexpected argument: ${argv[i]}`);
+      continue;
+    }
+
+    const [, flag, inline] = match;
+    const key = keysByFlag[flag];
+    if (flag !== 'config' && !key) {
+      errors.push(`Unknown flag: --${flag}`);
+      continue;
+    }
+
+    let value = inline;
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (next !== undefined && !next.startsWith('--')) {
+        value = next;
+        i++;
+      } else if (key && SCHEMA[key].type === 'boolean') {
+        value = 'true';
+      } else {
+        errors.push(`Missing value for --${flag}`);
+        continue;
+      }
+    }
+
+    if (flag === 'config') configFile = value;
+    else values[key] = value;
+  }
+
+  return { configFile, values };
+}
+
+/**
+ * Read a JSON config file
+ * @param {string} file - Path to the file
+ * @param {string[]} errors - Collected error messages (appended to)
+ * @returns {Object} Settings from the file ({} when unreadable)
+ */
+function readConfigFile(file, errors) {
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    errors.push(`Cannot read config file ${file}: ${error.message}`);
+    return {};
+  }
+
+  if (!isPlainObject(settings)) {
+    errors.push(`Config file ${file} must contain a JSON object`);
+    return {};
+  }
+
+  for (const key of Object.keys(settings)) {
+    if (!SCHEMA[key]) errors.push(`Unknown setting in ${file}: ${key}`);
+  }
+  return settings;
+}
+
+/**
+ * Build the effective configuration from defaults, config file, env and CLI
+ * @param {Object} options - Inputs (default to the running process)
+ * @param {string[]} options.argv - CLI arguments after the script name
+ * @param {Object} options.env - Environment variables
+ * @param {Object} options.defaults - Base settings
+ * @returns {{ config: Object, sources: Object, file: string|null }} Merged config,
+ *   the layer that last set each overridden key, and the config file used
+ * @throws {Error} Listing every invalid setting
+ */
+export function loadConfig({ argv = process.argv.slice(2), env = process.env, defaults = DEFAULTS } = {}) {
+  const errors = [];
+  const config = structuredClone(defaults);
+  const sources = {};
+
+  const apply = (key, value, source) => {
+    config[key] = mergeValue(config[key], value);
+    sources[key] = source;
+  };
+
+  const cli = parseArgs(argv, errors);
+
+  // An explicit file must exist; the default one is optional
+  const explicitFile = cli.configFile ?? env.CONFIG_FILE ?? null;
+  const file = explicitFile
+    ? path.resolve(explicitFile)
+    : (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+
+  if (file) {
+    for (const [key, value] of Object.entries(readConfigFile(file, errors))) {
+      if (SCHEMA[key]) apply(key, value, 'file');
+    }
+  }
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (env[key] !== undefined && env[key] !== '') apply(key, parseValue(env[key], spec), 'env');
+  }
+
+  for (const [key, raw] of Object.entries(cli.values)) {
+    apply(key, parseValue(raw, SCHEMA[key]), 'cli');
+  }
+
+  errors.push(...validateConfig(config).map(message => {
+    const key = message.split(/[\s.[]/)[0];
+    return sources[key] ? `${message} (from ${sources[key]})` : message;
+  }));
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return { config, sources, file };
+}
+
+/**
+ * Apply a loaded configuration to the shared CONFIG object
+ * Modules read CONFIG at call time, so the new values take effect everywhere
+ * @param {{ config: Object, sources: Object, file: string|null }} result - Output of loadConfig()
+ * @returns {void}
+ */
+export function applyConfig(result) {
+  Object.assign(CONFIG, result.config);
+  loaded = { file: result.file, sources: { ...result.sources } };
+}
+
+/**
+ * Effective configuration for /api/health, with secrets redacted
+ * @returns {{ file: string|null, overrides: Object, values: Object }} Config file,
+ *   layer of every non-default key, and the current values
+ */
+export function getEffectiveConfig() {
+  const values = {};
+  for (const key of Object.keys(SCHEMA)) {
+    const value = CONFIG[key];
+    values[key] = SCHEMA[key].secret ? (value ? '[redacted]' : '') : value;
+  }
+
+  return {
+    file: loaded.file,
+    overrides: { ...loaded.sources },
+    values,
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Consensus pricing across multiple independent sources
+ * Median with outlier rejection so a single bad quote cannot move the price
+ */
+import { CONFIG } from './config.js';
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values (unsorted)
+ * @returns {number} Median (NaN for an empty list)
+ */
+export function median(values) {
+  if (values.length === 0) return NaN;
+  
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+/**
+ * Compute a consensus price from several source quotes
+ * Quotes deviating from the raw median by more than maxDeviation are rejected,
+ * then the median of the remaining quotes is used
+ * @param {Array<{source: string, price: number}>} quotes - Quotes from responding sources
+ * @param {Object} options - Consensus options
+ * @param {number} options.maxDeviation - Max relative distance from the median (0.02 = 2%)
+ * @param {number} options.minSources - Minimum number of agreeing sources
+ * @returns {Object} { price, accepted, rejected }
+ */
+export function computeConsensus(quotes, {
+  maxDeviation = CONFIG.BTC_MAX_DEVIATION,
+  minSources = CONFIG.BTC_MIN_SOURCES,
+} = {}) {
+  if (quotes.length < minSources) {
+    throw new Error(`Consensus: ${quotes.length} of ${minSources} required sources responded`);
+  }
+  
+  const rawMedian = median(quotes.map(q => q.price));
+  const accepted = [];
+  const rejected = [];
+  
+  for (const quote of quotes) {
+    const deviation = Math.abs(quote.price - rawMedian) / rawMedian;
+    (deviation <= maxDeviation ? accepted : rejected).push({ ...quote, deviation });
+  }
+  
+  if (accepted.length < minSources) {
+    throw new Error(`Consensus: only ${accepted.length} sources agree within ${maxDeviation * 100}%`);
+  }
+  
+  return {
+    price: median(accepted.map(q => q.price)),
+    accepted,
+    rejected,
+  };
+}
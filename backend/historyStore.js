@@ -0,0 +1,220 @@
+/**
+ * Append-only price history store
+ * Every successful fetch is appended as one JSON line to HISTORY_FILE and
+ * kept in memory for queries; the file is replayed on startup
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG } from './config.js';
+import { createLogger } from './logger.js';
+
+const BACKEND_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const log = createLogger('History');
+
+// Supported downsampling intervals in milliseconds
+export const INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Extract the numeric price from a cached value
+ * @param {*} value - Cached value (number or quote object)
+ * @returns {number|null} Price, or null if the value has none
+ */
+function toPrice(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value?.price === 'number') return value.price;
+  return null;
+}
+
+/**
+ * Parse a time query parameter (epoch ms or ISO date string)
+ * @param {string|number|undefined} input - Raw parameter
+ * @returns {number|null} Epoch ms, null if absent
+ * @throws {Error} If the input is present but not a valid time
+ */
+export function parseTime(input) {
+  if (input === undefined || input === null || input === '') return null;
+
+  const ms = /^\d+$/.test(String(input)) ? Number(input) : Date.parse(input);
+  if (!Number.isFinite(ms)) {
+    throw new Error(`Invalid time: ${input}`);
+  }
+  return ms;
+}
+
+export class HistoryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.file - Path of the JSON-lines history file (default: CONFIG.HISTORY_FILE)
+   */
+  constructor({ file = null } = {}) {
+    this.customFile = file;
+    this.series = new Map(); // key -> [{ t, v }] sorted by t
+    this.loaded = false;
+  }
+
+  /**
+   * Path of the history file
+   * Resolved on use so a HISTORY_FILE loaded at startup applies to the singleton
+   * @returns {string} Absolute path
+   */
+  get file() {
+    return this.customFile ?? path.resolve(BACKEND_DIR, CONFIG.HISTORY_FILE);
+  }
+
+  /**
+   * Replay the history file into memory (idempotent)
+   * Malformed lines (e.g. a torn write) are skipped
+   * @returns {number} Number of observations loaded
+   */
+  load() {
+    if (this.loaded) return this.size();
+    this.loaded = true;
+
+    if (!fs.existsSync(this.file)) return 0;
+
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+    let skipped = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const { k, t, v } = JSON.parse(line);
+        this._push(k, t, v);
+      } catch {
+        skipped++;
+      }
+    }
+
+    for (const points of this.series.values()) {
+      points.sort((a, b) => a.t - b.t);
+    }
+
+    if (skipped > 0) {
+      log.warn('Skipped malformed lines', { file: this.file, skipped });
+    }
+    log.info('Loaded observations', { file: this.file, observations: this.size() });
+    return this.size();
+  }
+
+  /**
+   * Add an observation to the in-memory series
+   * @param {string} key - Cache key
+   * @param {number} t - Epoch ms
+   * @param {number} v - Price
+   * @returns {void}
+   */
+  _push(key, t, v) {
+    if (!this.series.has(key)) {
+      this.series.set(key, []);
+    }
+    this.series.get(key).push({ t, v });
+  }
+
+  /**
+   * Append an observation to memory and to the history file
+   * @param {string} key - Cache key
+   * @param {*} value - Cached value (number or quote object)
+   * @param {number} timestamp - Observation time in epoch ms
+   * @returns {boolean} True if the value had a price and was recorded
+   */
+  append(key, value, timestamp = Date.now()) {
+    const price = toPrice(value);
+    if (price === null) return false;
+
+    this.load();
+    this._push(key, timestamp, price);
+
+    const line = JSON.stringify({ k: key, t: timestamp, v: price }) + '\n';
+    fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+      .then(() => fs.promises.appendFile(this.file, line))
+      .catch(error => log.error('Failed to persist observation', { key, error }));
+
+    return true;
+  }
+
+  /**
+   * Query a series, optionally downsampled into OHLC buckets
+   * @param {string} key - Cache key
+   * @param {Object} options - Query options
+   * @param {number|null} options.from - Start (epoch ms, inclusive)
+   * @param {number|null} options.to - End (epoch ms, inclusive)
+   * @param {string} options.interval - 'raw' or a key of INTERVALS
+   * @returns {Array} Raw points { timestamp, value } or buckets { timestamp, open, high, low, close, count }
+   */
+  query(key, { from = null, to = null, interval = 'raw' } = {}) {
+    if (interval !== 'raw' && !INTERVALS[interval]) {
+      throw new Error(`Invalid interval: ${interval} (use raw, ${Object.keys(INTERVALS).join(', ')})`);
+    }
+
+    this.load();
+
+    const points = (this.series.get(key) || []).filter(p =>
+      (from === null || p.t >= from) && (to === null || p.t <= to)
+    );
+
+    if (interval === 'raw') {
+      return points.map(p => ({ timestamp: new Date(p.t).toISOString(), value: p.v }));
+    }
+
+    const bucketMs = INTERVALS[interval];
+    const buckets = new Map();
+
+    for (const p of points) {
+      const start = Math.floor(p.t / bucketMs) * bucketMs;
+      const bucket = buckets.get(start);
+
+      if (!bucket) {
+        buckets.set(start, { open: p.v, high: p.v, low: p.v, close: p.v, count: 1 });
+      } else {
+        bucket.high = Math.max(bucket.high, p.v);
+        bucket.low = Math.min(bucket.low, p.v);
+        bucket.close = p.v;
+        bucket.count++;
+      }
+    }
+
+    return Array.from(buckets.entries()).map(([start, bucket]) => ({
+      timestamp: new Date(start).toISOString(),
+      ...bucket,
+    }));
+  }
+
+  /**
+   * Keys that have recorded history
+   * @returns {string[]} Cache keys
+   */
+  keys() {
+    this.load();
+    return Array.from(this.series.keys()).sort();
+  }
+
+  /**
+   * Total number of observations in memory
+   * @returns {number} Observation count
+   */
+  size() {
+    let total = 0;
+    for (const points of this.series.values()) total += points.length;
+    return total;
+  }
+
+  /**
+   * Drop in-memory history (the file is left untouched; useful for testing)
+   * @returns {void}
+   */
+  clear() {
+    this.series.clear();
+  }
+}
+
+// Export singleton instance
+export const historyStore = new HistoryStore();
@@ -0,0 +1,44 @@
+/**
+ * Indicators computed from Polygon daily aggregate bars
+ * Bars use Polygon field names: c (close), v (volume), vw (VWAP), t (timestamp ms)
+ */
+
+/**
+ * Take the most recent bars (bars must be sorted oldest first)
+ * @param {Object[]} bars - Daily bars
+ * @param {number} days - Number of trading days
+ * @returns {Object[]} Up to `days` most recent bars
+ */
+function lastBars(bars, days) {
+  return bars.slice(-days);
+}
+
+/**
+ * Simple average of closing prices over the trailing window
+ * @param {Object[]} bars - Daily bars, oldest first
+ * @param {number} days - Number of trading days
+ * @returns {number|null} Average close, or null if there are no bars
+ */
+export function trailingAverage(bars, days) {
+  const window = lastBars(bars, days);
+  if (window.length === 0) return null;
+  
+  const total = window.reduce((sum, bar) => sum + bar.c, 0);
+  return total / window.length;
+}
+
+/**
+ * Volume-weighted average price over the trailing window
+ * Uses each bar's own VWAP when Polygon provides it, otherwise its close
+ * @param {Object[]} bars - Daily bars, oldest first
+ * @param {number} days - Number of trading days
+ * @returns {number|null} VWAP, or null if there is no volume
+ */
+export function trailingVwap(bars, days) {
+  const window = lastBars(bars, days);
+  const totalVolume = window.reduce((sum, bar) => sum + (bar.v || 0), 0);
+  if (totalVolume === 0) return null;
+  
+  const weighted = window.reduce((sum, bar) => sum + (bar.vw ?? bar.c) * (bar.v || 0), 0);
+  return weighted / totalVolume;
+}
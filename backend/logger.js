@@ -0,0 +1,102 @@
+/**
+ * Leveled logger with per-module names and request IDs
+ * LOG_FORMAT 'pretty' prints `time LEVEL [Module] message key=value`;
+ * 'json' prints one JSON object per line for log collectors.
+ * Output goes through console.* so it can be silenced/spied on in tests.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import { CONFIG } from './config.js';
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with a request ID attached to every log line it produces
+ * @param {string} requestId - Request ID
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+/**
+ * Request ID of the current async context
+ * @returns {string|null} Request ID, or null outside a request
+ */
+export function getRequestId() {
+  return requestContext.getStore()?.requestId ?? null;
+}
+
+/**
+ * Make field values JSON-safe (Errors become their message)
+ * @param {Object} fields - Structured fields
+ * @returns {Object} Serializable fields
+ */
+function normalizeFields(fields) {
+  const result = {};
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    result[name] = value instanceof Error ? value.message : value;
+  }
+  return result;
+}
+
+/**
+ * Format one field for pretty output
+ * @param {*} value - Field value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (typeof value === 'string' && /^[^\s"=]+$/.test(value)) return value;
+  return JSON.stringify(value);
+}
+
+/**
+ * Format a log record as a single line
+ * @param {Object} record - { time, level, module, msg, ...fields }
+ * @returns {string} Log line
+ */
+export function formatRecord(record) {
+  if (CONFIG.LOG_FORMAT === 'json') {
+    return JSON.stringify(record);
+  }
+
+  const { time, level, module, msg, ...fields } = record;
+  const extras = Object.entries(fields).map(([name, value]) => ` ${name}=${formatValue(value)}`).join('');
+  return `${time} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${extras}`;
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Module name shown on every line (e.g. 'Cache')
+ * @returns {Object} Logger with debug/info/warn/error(msg, fields)
+ */
+export function createLogger(module) {
+  const write = (level, msg, fields = {}) => {
+    const threshold = LEVELS[CONFIG.LOG_LEVEL] ?? LEVELS.info;
+    if (LEVELS[level] < threshold) return;
+
+    const requestId = getRequestId();
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      module,
+      msg,
+      ...(requestId ? { requestId } : {}),
+      ...normalizeFields(fields),
+    };
+
+    console[CONSOLE_METHODS[level]](formatRecord(record));
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+  };
+}
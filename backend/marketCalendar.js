@@ -0,0 +1,437 @@
+/**
+ * Exchange trading calendars, keyed by the venue a company snapshot declares
+ *
+ * - `US`: NYSE (Nasdaq observes the same schedule). Regular session 9:30-16:00
+ *   America/New_York, 13:00 close on early-close days. Holidays follow the
+ *   exchange's observance rules: a holiday on Saturday is observed the Friday
+ *   before (except New Year's Day), on Sunday the Monday after.
+ * - `TSE`: Tokyo Stock Exchange. 9:00-15:30 Asia/Tokyo; the 11:30-12:30 lunch
+ *   break counts as open. Closed on Japanese national holidays (a Sunday
+ *   holiday moves to the next working day, a day between two holidays is a
+ *   holiday too) and over the December 31 - January 3 year-end break.
+ *
+ * Every function takes the venue last and defaults to `US`.
+ */
+
+// Unscheduled NYSE closures announced by the exchange
+const SPECIAL_CLOSURES = {
+  '2025-01-09': 'National Day of Mourning (President Carter)',
+};
+
+// `${venue}:${year}` -> { holidays: Map<date, name>, earlyCloses: Map<date, name> }
+const schedules = new Map();
+
+/**
+ * Wall-clock formatter of a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Formatter with numeric date and 24h time parts
+ */
+function wallClockFormat(timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  });
+}
+
+/**
+ * Wall-clock date and time at a venue
+ * @param {Object} calendar - Entry of CALENDARS
+ * @param {Date} date - Instant
+ * @returns {{ date: string, minutes: number }} YYYY-MM-DD and minutes after midnight
+ */
+function toLocal(calendar, date) {
+  const parts = Object.fromEntries(calendar.format.formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+/**
+ * Instant of a venue's wall-clock time
+ * @param {Object} calendar - Entry of CALENDARS
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} minutes - Minutes after midnight
+ * @returns {Date} Instant
+ */
+function fromLocal(calendar, day, minutes) {
+  const [year, month, date] = day.split('-').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, date, 0, minutes);
+
+  // Try each UTC offset the zone uses (e.g. EDT and EST); pick the one that round-trips
+  for (const offsetHours of calendar.utcOffsets) {
+    const candidate = new Date(wallClockAsUtc - offsetHours * 60 * 60 * 1000);
+    const local = toLocal(calendar, candidate);
+    if (local.date === day && local.minutes === minutes) return candidate;
+  }
+  return new Date(wallClockAsUtc - calendar.utcOffsets[calendar.utcOffsets.length - 1] * 60 * 60 * 1000);
+}
+
+/**
+ * Format a UTC calendar date as YYYY-MM-DD
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month (may overflow; Date.UTC normalizes it)
+ * @returns {string} Date string
+ */
+function formatDay(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * Shift a YYYY-MM-DD date by whole days
+ * @param {string} day - Date string
+ * @param {number} offset - Days to add (negative to go back)
+ * @returns {string} Date string
+ */
+function addDays(day, offset) {
+  const [year, month, date] = day.split('-').map(Number);
+  return formatDay(year, month, date + offset);
+}
+
+/**
+ * Day of week of a YYYY-MM-DD date
+ * @param {string} day - Date string
+ * @returns {number} 0=Sunday ... 6=Saturday
+ */
+function weekdayOf(day) {
+  return new Date(`${day}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Date of the nth given weekday of a month (n = -1 for the last one)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} weekday - 0=Sunday ... 6=Saturday
+ * @param {number} n - Occurrence (1-based, or -1 for last)
+ * @returns {string} Date string
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const last = new Date(Date.UTC(year, month, 0));
+    const back = (last.getUTCDay() - weekday + 7) % 7;
+    return formatDay(year, month, last.getUTCDate() - back);
+  }
+  const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  return formatDay(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+}
+
+/**
+ * Easter Sunday (anonymous Gregorian algorithm)
+ * @param {number} year - Year
+ * @returns {string} Date string
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return formatDay(year, month, day);
+}
+
+/**
+ * Weekday on which a fixed-date holiday is observed
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string} Date string (Saturday -> Friday, Sunday -> Monday)
+ */
+function observed(year, month, day) {
+  const date = formatDay(year, month, day);
+  const weekday = weekdayOf(date);
+  if (weekday === 6) return addDays(date, -1);
+  if (weekday === 0) return addDays(date, 1);
+  return date;
+}
+
+/**
+ * NYSE holidays and early closes for a year
+ * @param {number} year - Year
+ * @returns {{ holidays: Map<string, string>, earlyCloses: Map<string, string> }}
+ */
+function nyseSchedule(year) {
+  const holidays = new Map();
+  const newYear = formatDay(year, 1, 1);
+  // A Saturday New Year's Day is not observed on the Friday before
+  if (weekdayOf(newYear) !== 6) holidays.set(observed(year, 1, 1), "New Year's Day");
+  holidays.set(nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+  holidays.set(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+  holidays.set(addDays(easterSunday(year), -2), 'Good Friday');
+  holidays.set(nthWeekday(year, 5, 1, -1), 'Memorial Day');
+  if (year >= 2022) holidays.set(observed(year, 6, 19), 'Juneteenth');
+  holidays.set(observed(year, 7, 4), 'Independence Day');
+  holidays.set(nthWeekday(year, 9, 1, 1), 'Labor Day');
+  const thanksgiving = nthWeekday(year, 11, 4, 4);
+  holidays.set(thanksgiving, 'Thanksgiving Day');
+  holidays.set(observed(year, 12, 25), 'Christmas Day');
+  for (const [date, name] of Object.entries(SPECIAL_CLOSURES)) {
+    if (date.startsWith(`${year}-`)) holidays.set(date, name);
+  }
+
+  // 13:00 closes: July 3 and Christmas Eve when they fall Monday-Thursday,
+  // and the day after Thanksgiving
+  const earlyCloses = new Map();
+  const julyThird = formatDay(year, 7, 3);
+  if (weekdayOf(julyThird) >= 1 && weekdayOf(julyThird) <= 4) earlyCloses.set(julyThird, 'Independence Day eve');
+  earlyCloses.set(addDays(thanksgiving, 1), 'Day after Thanksgiving');
+  const christmasEve = formatDay(year, 12, 24);
+  if (weekdayOf(christmasEve) >= 1 && weekdayOf(christmasEve) <= 4) earlyCloses.set(christmasEve, 'Christmas Eve');
+
+  return { holidays, earlyCloses };
+}
+
+/**
+ * Day of March or September of a Japanese equinox holiday (valid 1980-2099)
+ * @param {number} year - Year
+ * @param {number} base - 20.8431 for the vernal, 23.2488 for the autumnal equinox
+ * @returns {number} Day of month
+ */
+function equinoxDay(year, base) {
+  return Math.floor(base + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
+
+/**
+ * TSE holidays for a year (the exchange has no early closes)
+ * @param {number} year - Year
+ * @returns {{ holidays: Map<string, string>, earlyCloses: Map<string, string> }}
+ */
+function tseSchedule(year) {
+  const national = new Map([
+    [formatDay(year, 1, 1), "New Year's Day"],
+    [nthWeekday(year, 1, 1, 2), 'Coming of Age Day'],
+    [formatDay(year, 2, 11), 'National Foundation Day'],
+    [formatDay(year, 2, 23), "Emperor's Birthday"],
+    [formatDay(year, 3, equinoxDay(year, 20.8431)), 'Vernal Equinox Day'],
+    [formatDay(year, 4, 29), 'Showa Day'],
+    [formatDay(year, 5, 3), 'Constitution Memorial Day'],
+    [formatDay(year, 5, 4), 'Greenery Day'],
+    [formatDay(year, 5, 5), "Children's Day"],
+    [nthWeekday(year, 7, 1, 3), 'Marine Day'],
+    [formatDay(year, 8, 11), 'Mountain Day'],
+    [nthWeekday(year, 9, 1, 3), 'Respect for the Aged Day'],
+    [formatDay(year, 9, equinoxDay(year, 23.2488)), 'Autumnal Equinox Day'],
+    [nthWeekday(year, 10, 1, 2), 'Sports Day'],
+    [formatDay(year, 11, 3), 'Culture Day'],
+    [formatDay(year, 11, 23), 'Labour Thanksgiving Day'],
+  ]);
+
+  const holidays = new Map(national);
+  for (const date of national.keys()) {
+    // A weekday squeezed between two holidays is a holiday too
+    const between = addDays(date, 1);
+    if (national.has(addDays(date, 2)) && !national.has(between) && weekdayOf(between) !== 0) {
+      holidays.set(between, "Citizens' Holiday");
+    }
+  }
+  for (const date of national.keys()) {
+    if (weekdayOf(date) !== 0) continue;
+    // A Sunday holiday moves to the next day that is not already one
+    let substitute = addDays(date, 1);
+    while (holidays.has(substitute)) substitute = addDays(substitute, 1);
+    holidays.set(substitute, `${national.get(date)} (observed)`);
+  }
+  for (const date of [formatDay(year, 1, 2), formatDay(year, 1, 3), formatDay(year, 12, 31)]) {
+    if (!holidays.has(date)) holidays.set(date, 'Year-end holiday');
+  }
+
+  return { holidays, earlyCloses: new Map() };
+}
+
+// Venue -> session times (minutes after local midnight), zone and holiday rules
+const CALENDARS = {
+  US: {
+    exchange: 'NYSE',
+    format: wallClockFormat('America/New_York'),
+    utcOffsets: [-4, -5],
+    open: 9 * 60 + 30,
+    close: 16 * 60,
+    earlyClose: 13 * 60,
+    schedule: nyseSchedule,
+  },
+  TSE: {
+    exchange: 'TSE',
+    format: wallClockFormat('Asia/Tokyo'),
+    utcOffsets: [9],
+    open: 9 * 60,
+    close: 15 * 60 + 30,
+    earlyClose: null,
+    schedule: tseSchedule,
+  },
+};
+
+/**
+ * Whether a venue has a trading calendar
+ * @param {string} venue - Venue code (e.g. 'US', 'TSE')
+ * @returns {boolean}
+ */
+export function hasMarketCalendar(venue) {
+  return Object.hasOwn(CALENDARS, venue);
+}
+
+/**
+ * Calendar of a venue
+ * @param {string} venue - Venue code
+ * @returns {Object} Entry of CALENDARS
+ * @throws {Error} For a venue without a calendar
+ */
+function calendarFor(venue) {
+  if (!hasMarketCalendar(venue)) throw new Error(`No trading calendar for venue ${venue}`);
+  return CALENDARS[venue];
+}
+
+/**
+ * Holidays and early closes of a venue for a year (memoized)
+ * @param {string} venue - Venue code
+ * @param {number} year - Year
+ * @returns {{ holidays: Map<string, string>, earlyCloses: Map<string, string> }}
+ */
+function scheduleFor(venue, year) {
+  const id = `${venue}:${year}`;
+  if (!schedules.has(id)) schedules.set(id, calendarFor(venue).schedule(year));
+  return schedules.get(id);
+}
+
+/**
+ * Trading hours of a calendar day
+ * @param {string} day - YYYY-MM-DD (local date at the venue)
+ * @param {string} venue - Venue code (default: 'US')
+ * @returns {{ open: number, close: number, earlyClose: string|null }|null} Minutes after
+ *   local midnight, or null when the market is closed all day
+ */
+export function getTradingHours(day, venue = 'US') {
+  const weekday = weekdayOf(day);
+  if (weekday === 0 || weekday === 6) return null;
+
+  const { holidays, earlyCloses } = scheduleFor(venue, Number(day.slice(0, 4)));
+  if (holidays.has(day)) return null;
+
+  const calendar = calendarFor(venue);
+  const earlyClose = earlyCloses.get(day) ?? null;
+  return { open: calendar.open, close: earlyClose ? calendar.earlyClose : calendar.close, earlyClose };
+}
+
+/**
+ * Name of the holiday on a date
+ * @param {string} day - YYYY-MM-DD (local date at the venue)
+ * @param {string} venue - Venue code (default: 'US')
+ * @returns {string|null} Holiday name, or null for ordinary days
+ */
+export function getHoliday(day, venue = 'US') {
+  return scheduleFor(venue, Number(day.slice(0, 4))).holidays.get(day) ?? null;
+}
+
+/**
+ * Check whether the regular session is open
+ * @param {Date} now - Instant to check
+ * @param {string} venue - Venue code (default: 'US')
+ * @returns {boolean}
+ */
+export function isMarketOpen(now = new Date(), venue = 'US') {
+  const local = toLocal(calendarFor(venue), now);
+  const hours = getTradingHours(local.date, venue);
+  return Boolean(hours) && local.minutes >= hours.open && local.minutes < hours.close;
+}
+
+/**
+ * Start of the next regular session after an instant
+ * @param {Date} now - Reference instant
+ * @param {string} venue - Venue code (default: 'US')
+ * @returns {Date} Next open (today's if the session has not started yet)
+ */
+export function getNextOpen(now = new Date(), venue = 'US') {
+  const calendar = calendarFor(venue);
+  const local = toLocal(calendar, now);
+  for (let offset = 0; offset < 14; offset++) {
+    const day = addDays(local.date, offset);
+    const hours = getTradingHours(day, venue);
+    if (hours && (offset > 0 || local.minutes < hours.open)) return fromLocal(calendar, day, hours.open);
+  }
+  throw new Error(`No ${calendar.exchange} session within two weeks of ${now.toISOString()}`);
+}
+
+/**
+ * End of the most recent regular session at or before an instant
+ * @param {Date} now - Reference instant
+ * @param {string} venue - Venue code (default: 'US')
+ * @returns {Date} Last close (today's once the session has ended)
+ */
+export function getLastClose(now = new Date(), venue = 'US') {
+  const calendar = calendarFor(venue);
+  const local = toLocal(calendar, now);
+  for (let offset = 0; offset < 14; offset++) {
+    const day = addDays(local.date, -offset);
+    const hours = getTradingHours(day, venue);
+    if (hours && (offset > 0 || local.minutes >= hours.close)) return fromLocal(calendar, day, hours.close);
+  }
+  throw new Error(`No ${calendar.exchange} session within two weeks before ${now.toISOString()}`);
+}
+
+/**
+ * Whether a quote fetched at a given time came from the live session or
+ * reflects the last close
+ * @param {number|Date} fetchedAt - Fetch time (ms or Date)
+ * @param {string} venue - Venue code (default: 'US')
+ * @returns {'live'|'close'} Quote session
+ */
+export function getQuoteSession(fetchedAt, venue = 'US') {
+  return isMarketOpen(new Date(fetchedAt), venue) ? 'live' : 'close';
+}
+
+/**
+ * Market status for metadata and health reporting
+ * @param {Date} now - Reference instant
+ * @param {string} venue - Venue code (default: 'US')
+ * @returns {Object} { open, reason, holiday, earlyClose, closesAt, nextOpen, lastClose }
+ */
+export function getMarketStatus(now = new Date(), venue = 'US') {
+  const calendar = calendarFor(venue);
+  const local = toLocal(calendar, now);
+  const hours = getTradingHours(local.date, venue);
+  const open = isMarketOpen(now, venue);
+
+  let reason = null;
+  if (!open) {
+    if (getHoliday(local.date, venue)) reason = 'holiday';
+    else if (!hours) reason = 'weekend';
+    else if (local.minutes < hours.open) reason = 'pre-market';
+    else reason = 'after-hours';
+  }
+
+  return {
+    open,
+    reason,
+    holiday: getHoliday(local.date, venue),
+    earlyClose: hours?.earlyClose ?? null,
+    closesAt: open ? fromLocal(calendar, local.date, hours.close).toISOString() : null,
+    nextOpen: getNextOpen(now, venue).toISOString(),
+    lastClose: getLastClose(now, venue).toISOString(),
+  };
+}
+
+/**
+ * Whether a quote already reflects the last close and cannot change before
+ * the next open (market closed, and fetched after the closing print settled)
+ * @param {number} fetchedAt - Fetch time (ms)
+ * @param {number} graceMs - Delay after the close before quotes are final
+ * @param {Date} now - Reference instant
+ * @param {string} venue - Venue code (default: 'US')
+ * @returns {boolean}
+ */
+export function isClosingQuote(fetchedAt, graceMs, now = new Date(), venue = 'US') {
+  return !isMarketOpen(now, venue) && fetchedAt >= getLastClose(now, venue).getTime() + graceMs;
+}
@@ -0,0 +1,264 @@
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4)
+ * Modules define their own counters/histograms and register gauges that are
+ * collected at scrape time; server.js serves render() on /api/metrics
+ */
+
+const PREFIX = 'price_service_';
+
+// Default latency buckets in seconds
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Escape a label value per the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set as {a="1",b="2"} (empty string for no labels)
+ * @param {Object} labels - Label name -> value
+ * @returns {string} Formatted labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Stable series key for a label set
+ * @param {Object} labels - Label name -> value
+ * @returns {string} Key
+ */
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.series = new Map(); // seriesKey -> { labels, value }
+  }
+
+  /**
+   * Increment the series for a label set
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount (default 1)
+   * @returns {void}
+   */
+  inc(labels = {}, value = 1) {
+    const key = seriesKey(labels);
+    const entry = this.series.get(key) || { labels, value: 0 };
+    entry.value += value;
+    this.series.set(key, entry);
+  }
+
+  /**
+   * Current value for a label set (useful for testing)
+   * @param {Object} labels - Label values
+   * @returns {number} Value (0 if never incremented)
+   */
+  get(labels = {}) {
+    return this.series.get(seriesKey(labels))?.value ?? 0;
+  }
+
+  /**
+   * Exposition lines for every series
+   * @returns {string[]} Lines
+   */
+  collect() {
+    return Array.from(this.series.values()).map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+
+  /**
+   * Drop all series
+   * @returns {void}
+   */
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map(); // seriesKey -> { labels, counts, sum, count }
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value (seconds for durations)
+   * @returns {void}
+   */
+  observe(labels, value) {
+    const key = seriesKey(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, entry);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Time an async function and observe its duration in seconds
+   * @param {Object} labels - Label values
+   * @param {Function} fn - Async function
+   * @returns {Promise<*>} Result of fn
+   */
+  async time(labels, fn) {
+    const startedAt = Date.now();
+    try {
+      return await fn();
+    } finally {
+      this.observe(labels, (Date.now() - startedAt) / 1000);
+    }
+  }
+
+  /**
+   * Exposition lines for every series
+   * @returns {string[]} Lines
+   */
+  collect() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Drop all series
+   * @returns {void}
+   */
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Gauge {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Function} collectFn - () => Array<{ labels, value }> read at scrape time
+   */
+  constructor(name, help, collectFn) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.collectFn = collectFn;
+  }
+
+  /**
+   * Exposition lines for every series
+   * @returns {string[]} Lines
+   */
+  collect() {
+    return this.collectFn()
+      .filter(({ value }) => Number.isFinite(value))
+      .map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+
+  /**
+   * Gauges are computed at scrape time; nothing to reset
+   * @returns {void}
+   */
+  reset() {}
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Register a metric, or return the existing one with the same name
+   * @param {Object} metric - Counter, Histogram or Gauge
+   * @returns {Object} Registered metric
+   */
+  _register(metric) {
+    if (!this.metrics.has(metric.name)) {
+      this.metrics.set(metric.name, metric);
+    }
+    return this.metrics.get(metric.name);
+  }
+
+  /**
+   * Define a counter
+   * @param {string} name - Name without the service prefix
+   * @param {string} help - Help text
+   * @returns {Counter}
+   */
+  counter(name, help) {
+    return this._register(new Counter(PREFIX + name, help));
+  }
+
+  /**
+   * Define a histogram
+   * @param {string} name - Name without the service prefix
+   * @param {string} help - Help text
+   * @param {number[]} buckets - Upper bounds
+   * @returns {Histogram}
+   */
+  histogram(name, help, buckets) {
+    return this._register(new Histogram(PREFIX + name, help, buckets));
+  }
+
+  /**
+   * Define a gauge computed at scrape time
+   * @param {string} name - Name without the service prefix
+   * @param {string} help - Help text
+   * @param {Function} collectFn - () => Array<{ labels, value }>
+   * @returns {Gauge}
+   */
+  gauge(name, help, collectFn) {
+    return this._register(new Gauge(PREFIX + name, help, collectFn));
+  }
+
+  /**
+   * Render every metric in Prometheus text format
+   * @returns {string} Exposition text
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.collect());
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Zero all counters and histograms (useful for testing)
+   * @returns {void}
+   */
+  reset() {
+    for (const metric of this.metrics.values()) metric.reset();
+  }
+}
+
+// Export singleton instance
+export const metrics = new MetricsRegistry();
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
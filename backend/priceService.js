@@ -1,10 +1,34 @@
 /**
- * Price fetching service with exponential backoff
+ * Price fetching service with classified, jittered retries (see retryPolicy.js)
  * Migrated from src/api.js to backend
  */
 import { CONFIG } from './config.js';
 import { cache } from './cache.js';
 import { rateLimiter } from './rateLimiter.js';
+import { historyStore } from './historyStore.js';
+import { SingleFlight } from './singleFlight.js';
+import { getBreaker } from './circuitBreaker.js';
+import { metrics } from './metrics.js';
+import { createLogger } from './logger.js';
+import { getNextOpen, getQuoteSession, isClosingQuote } from './marketCalendar.js';
+import { getProviderForKey, getTrackedKeys, getKeyLabel, getKeyVenue } from './providers.js';
+import { getRetryPolicy, classifyError, getRetryDelay, runWithTimeout } from './retryPolicy.js';
+
+const log = createLogger('PriceService');
+const backoffLog = createLogger('Backoff');
+
+const providerAttempts = metrics.counter('provider_attempts_total', 'Fetch attempts per provider (retries included) by outcome');
+const providerDuration = metrics.histogram('provider_attempt_duration_seconds', 'Duration of one provider fetch + normalize attempt');
+const retries = metrics.counter('retries_total', 'Retries scheduled by fetchWithBackoff per provider');
+const giveUps = metrics.counter('fetch_give_ups_total', 'Fetches that failed for good, by reason (permanent, max-retries, budget, circuit-open)');
+const priceFetches = metrics.counter('price_fetches_total', 'fetchAndCachePrice results per key (success, stale or failed)');
+
+// Coalesce concurrent fetches: per cache key, and for the full price set
+const priceFlights = new SingleFlight();
+const allPricesFlight = new SingleFlight();
+
+// Map of cache key -> how its last upstream fetch went (attempts, retries, why it gave up)
+const lastFetches = new Map();
 
 /**
  * Sleep utility for exponential backoff
@@ -16,262 +40,446 @@ function sleep(ms) {
 }
 
 /**
- * Fetch with exponential backoff retry logic
- * @param {Function} fetchFn - Async function to execute
- * @param {number} maxRetries - Maximum retry attempts
+ * Fetch with retries: classified errors, full-jitter backoff, Retry-After,
+ * a time budget and per-attempt timeouts
+ * Permanent errors fail at once. Retryable ones are retried after a jittered
+ * delay (or the upstream's Retry-After) until the attempts run out or the
+ * next attempt would start past the budget. With a circuit breaker, every
+ * attempt is recorded on it and retrying stops as soon as the circuit is
+ * open, so a dead upstream fails fast.
+ * @param {Function} fetchFn - async (signal) => result; aborted on timeout
+ * @param {Object} options - Retry options
+ * @param {Object} options.retry - Retry policy overrides (see getRetryPolicy)
+ * @param {CircuitBreaker|null} options.breaker - Circuit breaker guarding the upstream
+ * @param {Function} [options.beforeAttempt] - Awaited before each attempt, outside its timeout (rate limiting)
+ * @param {Object} [options.stats] - Filled in with { attempts, retries, waitedMs, errorClass, gaveUp, lastError }
  * @returns {Promise<*>} Result from fetchFn
  */
-async function fetchWithBackoff(fetchFn, maxRetries = CONFIG.MAX_RETRIES) {
+async function fetchWithBackoff(fetchFn, { retry = {}, breaker = null, beforeAttempt = null, stats = {} } = {}) {
+  const policy = getRetryPolicy(retry);
+  const name = breaker?.name ?? 'upstream';
+  const startedAt = Date.now();
   let lastError;
   
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
+  Object.assign(stats, { attempts: 0, retries: 0, waitedMs: 0, errorClass: null, gaveUp: null, lastError: null });
+  
+  for (let attempt = 0; attempt < policy.maxRetries; attempt++) {
+    if (breaker && !breaker.allowRequest()) {
+      const { retryIn, lastError: cause } = breaker.getStatus();
+      stats.gaveUp = 'circuit-open';
+      throw new Error(`${breaker.name} circuit open (retry in ${retryIn ?? 0}s): ${cause}`);
+    }
+    
+    if (beforeAttempt) {
+      try {
+        await beforeAttempt();
+      } catch (error) {
+        // The attempt never ran, so it must not hold a half-open trial slot
+        breaker?.releaseTrial();
+        throw error;
+      }
+    }
+    stats.attempts++;
+    
     try {
-      return await fetchFn();
+      const result = await runWithTimeout(fetchFn, policy.attemptTimeout, name);
+      breaker?.recordSuccess();
+      return result;
     } catch (error) {
       lastError = error;
+      stats.lastError = error.message;
+      stats.errorClass = classifyError(error);
+      
+      if (stats.errorClass === 'permanent') {
+        // The upstream answered; the request itself is wrong, so the circuit stays closed
+        breaker?.recordSuccess();
+        stats.gaveUp = 'permanent';
+        break;
+      }
+      
+      breaker?.recordFailure(error);
+      
+      if (breaker?.state === 'open') {
+        stats.gaveUp = 'circuit-open';
+        break;
+      }
+      
+      if (attempt === policy.maxRetries - 1) {
+        stats.gaveUp = 'max-retries';
+        break;
+      }
       
-      if (attempt < maxRetries - 1) {
-        const delayMs = CONFIG.BASE_DELAY * Math.pow(2, attempt);
-        const delaySec = Math.round(delayMs / 1000);
-        console.log(`[Backoff] Attempt ${attempt + 1} failed: ${error.message}. Retrying in ${delaySec}s...`);
-        await sleep(delayMs);
+      const delayMs = error.retryAfterMs ?? getRetryDelay(attempt, policy);
+      if (Date.now() - startedAt + delayMs >= policy.budget) {
+        stats.gaveUp = 'budget';
+        break;
       }
+      
+      backoffLog.warn('Attempt failed, retrying', {
+        provider: name,
+        attempt: attempt + 1,
+        retryIn: Math.round(delayMs / 1000),
+        retryAfter: error.retryAfterMs != null,
+        error,
+      });
+      retries.inc({ provider: name });
+      stats.retries++;
+      stats.waitedMs += delayMs;
+      await sleep(delayMs);
     }
   }
   
-  console.error(`[Backoff] All ${maxRetries} attempts failed`);
+  backoffLog.error('Giving up', { provider: name, reason: stats.gaveUp, attempts: stats.attempts, error: lastError });
+  giveUps.inc({ provider: name, reason: stats.gaveUp });
   throw lastError;
 }
 
 /**
- * Fetch Bitcoin price from CoinGecko
- * @returns {Promise<number>} BTC price in USD
+ * Fetch and cache a single price with exponential backoff
+ * Concurrent calls for the same key (client requests, scheduler refreshes)
+ * share one upstream fetch
+ * @param {string} key - Cache key (e.g., 'btc', 'mstr', 'STRF')
+ * @returns {Promise<Object>} Result object with success flag and data/error
  */
-async function fetchBtcPrice() {
-  const response = await fetch(
-    'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd'
-  );
-  
-  if (!response.ok) {
-    throw new Error(`CoinGecko HTTP ${response.status}: ${response.statusText}`);
-  }
-  
-  const data = await response.json();
-  const price = data?.bitcoin?.usd;
-  
-  if (!price) {
-    throw new Error('CoinGecko: No BTC price in response');
-  }
-  
-  return price;
+export function fetchAndCachePrice(key) {
+  return priceFlights.run(key, () => fetchAndCachePriceUncoalesced(key));
 }
 
 /**
- * Fetch EUR/USD exchange rate
- * @returns {Promise<number>} EUR/USD rate
+ * Keys with an upstream fetch currently in flight
+ * @returns {string[]} Cache keys
  */
-async function fetchEurUsdRate() {
-  const response = await fetch('https://api.exchangerate-api.com/v4/latest/EUR');
-  
-  if (!response.ok) {
-    throw new Error(`ExchangeRate HTTP ${response.status}: ${response.statusText}`);
-  }
-  
-  const data = await response.json();
-  const rate = data?.rates?.USD;
-  
-  if (!rate) {
-    throw new Error('ExchangeRate: No USD rate in response');
-  }
-  
-  return rate;
+export function getInFlightKeys() {
+  return priceFlights.keys();
 }
 
 /**
- * Fetch price from Polygon.io
- * @param {string} ticker - Stock ticker symbol
- * @returns {Promise<Object>} Price data
+ * Cache TTL for a freshly fetched quote
+ * A market-hours quote taken after its venue's close has settled cannot change
+ * before the next open, so it stays fresh until then instead of being re-fetched
+ * @param {string|null} venue - Trading calendar of the quote (see getKeyVenue)
+ * @param {Date} now - Fetch time
+ * @returns {number|undefined} TTL in ms, or undefined for the cache's random TTL
  */
-async function fetchPolygonPrice(ticker) {
-  const response = await fetch(
-    `https://api.polygon.io/v2/aggs/ticker/${ticker}/prev?apiKey=${CONFIG.POLYGON_API_KEY}`
-  );
-  
-  if (!response.ok) {
-    throw new Error(`Polygon HTTP ${response.status}: ${response.statusText}`);
-  }
-  
-  const data = await response.json();
-  
-  if (data.status !== 'OK' || !data.results || data.results.length === 0) {
-    throw new Error(`Polygon ${ticker}: ${data.status || 'No results'}`);
-  }
-  
-  return {
-    price: data.results[0].c,
-    volume: data.results[0].v,
-    high: data.results[0].h,
-    low: data.results[0].l,
-  };
+function getQuoteTtl(venue, now = new Date()) {
+  if (!venue) return undefined;
+  if (!isClosingQuote(now.getTime(), CONFIG.MARKET_CLOSE_GRACE * 1000, now, venue)) return undefined;
+  return getNextOpen(now, venue).getTime() - now.getTime();
 }
 
 /**
- * Fetch and cache a single price with exponential backoff
- * @param {string} key - Cache key (e.g., 'btc', 'mstr', 'STRF')
+ * Fetch and cache a single price (no coalescing; use fetchAndCachePrice)
+ * @param {string} key - Cache key
  * @returns {Promise<Object>} Result object with success flag and data/error
  */
-export async function fetchAndCachePrice(key) {
+async function fetchAndCachePriceUncoalesced(key) {
+  const stats = {};
+  const fetchStartedAt = Date.now();
+  
   try {
-    let value;
+    const provider = getProviderForKey(key);
     
-    // Determine which API to call based on key
-    if (key === 'btc') {
-      value = await fetchWithBackoff(fetchBtcPrice);
-    } else if (key === 'eurUsd') {
-      value = await fetchWithBackoff(fetchEurUsdRate);
-    } else {
-      // It's a stock ticker - check rate limit
-      if (!rateLimiter.canMakeRequest('polygon')) {
-        throw new Error('Polygon rate limit exceeded');
-      }
-      
-      rateLimiter.recordRequest('polygon');
-      value = await fetchWithBackoff(() => fetchPolygonPrice(key));
+    if (!provider) {
+      throw new Error(`No provider registered for ${key}`);
     }
     
-    // Store in cache
-    cache.set(key, value);
+    const quote = await fetchWithBackoff(
+      async (signal) => {
+        const startedAt = Date.now();
+        try {
+          const result = provider.normalize(await provider.fetch(key, { signal }), key);
+          providerAttempts.inc({ provider: provider.name, outcome: 'success' });
+          return result;
+        } catch (error) {
+          providerAttempts.inc({ provider: provider.name, outcome: 'failure' });
+          throw error;
+        } finally {
+          providerDuration.observe({ provider: provider.name }, (Date.now() - startedAt) / 1000);
+        }
+      },
+      {
+        retry: provider.retry,
+        breaker: getBreaker(provider.name, provider.circuitBreaker),
+        // Every attempt (retries included) waits for its own rate-limit slot
+        beforeAttempt: provider.rateLimit ? () => rateLimiter.acquire(provider.rateLimit) : null,
+        stats,
+      }
+    );
+    recordFetch(key, stats, fetchStartedAt);
+    const value = quote.value;
+    
+    // Store in cache and record the observation
+    const meta = { source: provider.name, asOf: quote.asOf ?? null };
+    const venue = getKeyVenue(key);
+    if (venue) meta.session = getQuoteSession(Date.now(), venue);
+    cache.set(key, value, meta, getQuoteTtl(venue));
+    historyStore.append(key, value);
+    priceFetches.inc({ key, result: 'success' });
     
     return { success: true, key, value };
   } catch (error) {
-    console.error(`[PriceService] Failed to fetch ${key}:`, error.message);
+    log.error('Failed to fetch', { key, error });
+    recordFetch(key, stats, fetchStartedAt, error);
     
     // Try to use stale cache
     const staleEntry = cache.getRaw(key);
     if (staleEntry) {
-      console.log(`[PriceService] Using stale cache for ${key}`);
+      log.info('Using stale cache', { key });
+      priceFetches.inc({ key, result: 'stale' });
       return { success: false, key, value: staleEntry.value, stale: true, error: error.message };
     }
     
     // No stale cache available
+    priceFetches.inc({ key, result: 'failed' });
     return { success: false, key, error: error.message };
   }
 }
 
 /**
- * Fetch all prices with intelligent batching to respect rate limits
- * Polygon limit: 5 calls/min, so we batch and add delays
- * @returns {Promise<Object>} Results object with data, errors, successes
+ * Remember how the latest fetch of a key went
+ * @param {string} key - Cache key
+ * @param {Object} stats - Stats filled in by fetchWithBackoff
+ * @param {number} startedAt - Fetch start (epoch ms)
+ * @param {Error|null} error - Final error if the fetch failed
+ * @returns {void}
  */
-export async function fetchAllPrices() {
-  const results = {
-    data: {
-      btc: null,
-      eurUsd: 1.05,
-    },
-    errors: [],
-    successes: [],
-    cached: false,
-    partial: false,
-    stale: false,
+function recordFetch(key, stats, startedAt, error = null) {
+  lastFetches.set(key, {
+    at: new Date(startedAt).toISOString(),
+    outcome: error ? 'failed' : 'success',
+    attempts: stats.attempts ?? 0,
+    retries: stats.retries ?? 0,
+    waitedMs: stats.waitedMs ?? 0,
+    durationMs: Date.now() - startedAt,
+    gaveUp: error ? stats.gaveUp ?? null : null,
+    errorClass: stats.errorClass ?? null,
+    lastError: error?.message ?? stats.lastError ?? null,
+  });
+}
+
+/**
+ * How the latest upstream fetch of each key went
+ * Tells a slow fetch (success after retries, long waitedMs) from a broken
+ * one (gaveUp: permanent, budget, max-retries or circuit-open)
+ * @returns {Object} Map of key -> { at, outcome, attempts, retries, waitedMs,
+ *   durationMs, gaveUp, errorClass, lastError }
+ */
+export function getFetchStats() {
+  return Object.fromEntries(lastFetches);
+}
+
+/**
+ * Force a refresh of specific keys
+ * Entries are expired rather than deleted, so a failed refresh still falls
+ * back to the old value; fetches run in the background through the normal
+ * path (coalesced, rate-limited, circuit-broken)
+ * @param {string[]} keys - Keys to refresh (default: every tracked key)
+ * @returns {{ refreshing: string[], unknown: string[] }} Refreshed keys, or
+ *   the unknown keys (nothing is refreshed if any key is unknown)
+ */
+export function refreshPrices(keys = getTrackedKeys()) {
+  const tracked = new Set(getTrackedKeys());
+  const unknown = keys.filter(key => !tracked.has(key));
+  if (unknown.length > 0) return { refreshing: [], unknown };
+  
+  const refreshing = [...new Set(keys)];
+  for (const key of refreshing) {
+    cache.invalidate(key);
+    fetchAndCachePrice(key);
+  }
+  
+  log.info('Forced refresh', { keys: refreshing });
+  return { refreshing, unknown };
+}
+
+/**
+ * Provenance of a value served from a cache entry
+ * @param {Object} entry - Cache entry
+ * @param {Object} flags - { stale, error } for values served after a failure
+ * @returns {Object} { source, asOf, fetchedAt, stale, error }
+ */
+function entryProvenance(entry, { stale = false, error = null } = {}) {
+  return {
+    source: entry.source ?? null,
+    asOf: entry.asOf ?? null,
+    fetchedAt: new Date(entry.createdAt).toISOString(),
+    stale,
+    error,
   };
+}
+
+/**
+ * Fold a single fetch result into the aggregate results object
+ * @param {Object} results - Aggregate results (mutated)
+ * @param {Object} result - Result from fetchAndCachePrice
+ * @returns {void}
+ */
+function applyResult(results, result) {
+  const { key } = result;
+  const label = getKeyLabel(key);
+  
+  if (result.success) {
+    results.data[key] = result.value;
+    results.successes.push(label);
+    results.provenance[key] = entryProvenance(cache.getRaw(key));
+    return;
+  }
   
-  // Check cache first - if all are cached and fresh, return immediately
-  const cachedBtc = cache.get('btc');
-  const cachedMSTR = cache.get('MSTR');
-  const cachedEur = cache.get('eurUsd');
-  const cachedSTRF = cache.get('STRF');
-  const cachedSTRC = cache.get('STRC');
-  const cachedSTRK = cache.get('STRK');
-  const cachedSTRD = cache.get('STRD');
+  results.errors.push(`${label}: ${result.error}`);
+  results.partial = true;
   
-  if (cachedBtc && cachedMSTR && cachedEur && cachedSTRF && cachedSTRC && cachedSTRK && cachedSTRD) {
-    console.log('[PriceService] All prices cached, returning immediately');
-    return {
-      data: {
-        btc: cachedBtc,
-        MSTR: cachedMSTR,
-        eurUsd: cachedEur,
-        STRF: cachedSTRF,
-        STRC: cachedSTRC,
-        STRK: cachedSTRK,
-        STRD: cachedSTRD,
-      },
-      errors: [],
-      successes: ['BTC', 'MSTR', 'EUR/USD', 'STRF', 'STRC', 'STRK', 'STRD'],
-      cached: true,
-      partial: false,
+  if (result.stale) {
+    results.data[key] = result.value;
+    results.stale = true;
+    results.staleKeys.push(key);
+    results.provenance[key] = entryProvenance(cache.getRaw(key), { stale: true, error: result.error });
+  } else {
+    // Never invent a value: the key is null and the reason is reported
+    results.data[key] = null;
+    results.unavailable[key] = result.error;
+    results.provenance[key] = {
+      source: null,
+      asOf: null,
+      fetchedAt: null,
       stale: false,
+      error: result.error,
     };
   }
+}
+
+/**
+ * Serve a key from cache without fetching, if possible (stale-while-revalidate)
+ * Fresh entries count as successes. Expired entries, including ones restored
+ * from a disk snapshot, are served as stale and refreshed in the background,
+ * so a request only waits on upstream APIs for keys with no value at all.
+ * @param {Object} results - Aggregate results (mutated)
+ * @param {string} key - Cache key
+ * @returns {boolean} True if the key was served from cache
+ */
+function serveFromCache(results, key) {
+  const cached = cache.get(key);
+  const entry = cache.getRaw(key);
+  if (cached) {
+    results.data[key] = cached;
+    results.successes.push(getKeyLabel(key));
+    results.provenance[key] = entryProvenance(entry);
+    return true;
+  }
   
-  // Need to fetch some/all prices
-  console.log('[PriceService] Fetching prices (cache miss or stale)...');
-  
-  const [btcResult, eurResult] = await Promise.all([
-    fetchAndCachePrice('btc'),
-    fetchAndCachePrice('eurUsd'),
-  ]);
+  if (!entry) return false;
   
-  // Process BTC
-  if (btcResult.success) {
-    results.data.btc = btcResult.value;
-    results.successes.push('BTC');
-  } else {
-    results.errors.push(`BTC: ${btcResult.error}`);
-    if (btcResult.stale) {
-      results.data.btc = btcResult.value;
-      results.stale = true;
-    } else {
-      results.data.btc = 100000; // fallback
-    }
-  }
+  results.data[key] = entry.value;
+  results.provenance[key] = entryProvenance(entry, { stale: true });
+  results.stale = true;
+  results.staleKeys.push(key);
+  results.revalidating.push(key);
+  // Never rejects (failures keep the stale entry); joins any fetch in flight
+  fetchAndCachePrice(key);
+  return true;
+}
+
+/**
+ * Fetch a key the request has no value for, waiting at most
+ * REQUEST_FETCH_TIMEOUT seconds; a slower fetch (e.g. in backoff) keeps
+ * running in the background and fills the cache for the next request
+ * @param {string} key - Cache key
+ * @returns {Promise<Object>} Fetch result, or a failed result on timeout
+ */
+function fetchMissing(key) {
+  const timeoutMs = CONFIG.REQUEST_FETCH_TIMEOUT * 1000;
+  let timer;
   
-  // Process EUR/USD
-  if (eurResult.success) {
-    results.data.eurUsd = eurResult.value;
-    results.successes.push('EUR/USD');
-  } else {
-    results.errors.push(`EUR/USD: ${eurResult.error}`);
-    results.data.eurUsd = eurResult.stale ? eurResult.value : 1.05;
-  }
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({
+      success: false,
+      key,
+      pending: true,
+      error: `Still fetching (no response within ${CONFIG.REQUEST_FETCH_TIMEOUT}s)`,
+    }), timeoutMs);
+  });
   
-  // Polygon stocks - batch to respect rate limits
-  const stocks = ['MSTR', 'STRF', 'STRC', 'STRK', 'STRD'];
+  return Promise.race([fetchAndCachePrice(key), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Add USD conversions to quotes listed in another currency
+ * Uses the `<currency>Usd` rate in the same result set (e.g. eurUsd for EUR)
+ * @param {Object} data - Results data keyed by cache key (mutated)
+ * @returns {string[]} Errors for quotes that could not be converted
+ */
+function convertToUsd(data) {
+  const errors = [];
   
-  for (const ticker of stocks) {
-    // Check if already cached
-    const cached = cache.get(ticker);
-    if (cached) {
-      results.data[ticker] = cached;
-      results.successes.push(ticker);
-      continue;
-    }
+  for (const [key, value] of Object.entries(data)) {
+    if (!value?.currency || value.currency === 'USD') continue;
     
-    // Fetch with rate limit check
-    const result = await fetchAndCachePrice(ticker);
+    const rateKey = `${value.currency.toLowerCase()}Usd`;
+    const fxRate = data[rateKey] ?? null;
     
-    if (result.success) {
-      results.data[ticker] = result.value;
-      results.successes.push(ticker);
-    } else {
-      results.errors.push(`${ticker}: ${result.error}`);
-      if (result.stale) {
-        results.data[ticker] = result.value;
-        results.stale = true;
-      } else {
-        results.data[ticker] = ticker === 'MSTR' ? null : { price: 100, avg10d: 100 };
-      }
-      results.partial = true;
+    if (!fxRate) {
+      errors.push(`${getKeyLabel(key)}: No ${value.currency}/USD rate to convert price`);
     }
     
-    const usage = rateLimiter.getUsage('polygon');
-    if (usage.used >= CONFIG.POLYGON_RATE_LIMIT - 1 && ticker !== stocks[stocks.length - 1]) {
-      console.log('[PriceService] Rate limit approaching, waiting 12s...');
-      await sleep(12000);
-    }
+    data[key] = {
+      ...value,
+      fxRate,
+      priceUsd: fxRate ? value.price * fxRate : null,
+      avg10dUsd: fxRate && value.avg10d != null ? value.avg10d * fxRate : null,
+    };
   }
   
-  return results;
+  return errors;
+}
+
+/**
+ * Fetch all prices served by the provider registry
+ * Cached keys are answered at once (expired ones flagged stale and refreshed
+ * in the background); missing keys are fetched in parallel, bounded by
+ * REQUEST_FETCH_TIMEOUT. Concurrent callers share one pass (and therefore
+ * one results object; treat it as read-only).
+ * @returns {Promise<Object>} Results object with data, errors, successes
+ */
+export function fetchAllPrices() {
+  return allPricesFlight.run('all', fetchAllPricesUncoalesced);
 }
 
+/**
+ * Fetch all prices (no coalescing; use fetchAllPrices)
+ * @returns {Promise<Object>} Results object with data, errors, successes,
+ *   per-key provenance ({ source, asOf, fetchedAt, stale, error }) and the
+ *   reason for every key that has no value (`unavailable`, data is null)
+ */
+async function fetchAllPricesUncoalesced() {
+  const results = {
+    data: {},
+    errors: [],
+    successes: [],
+    cached: false,
+    partial: false,
+    stale: false,
+    staleKeys: [],
+    revalidating: [],
+    unavailable: {},
+    provenance: {},
+  };
+  
+  // Answer from cache first; stale keys start revalidating in the background
+  const missing = getTrackedKeys().filter(key => !serveFromCache(results, key));
+  
+  if (missing.length === 0 && results.revalidating.length === 0) {
+    log.debug('All prices cached, returning immediately');
+    results.cached = true;
+  } else if (results.revalidating.length > 0) {
+    log.info('Serving stale prices, revalidating', { keys: results.revalidating });
+  }
+  
+  // Only keys with no value at all block the request
+  if (missing.length > 0) {
+    log.info('Fetching missing prices', { keys: missing });
+    const fetchResults = await Promise.all(missing.map(fetchMissing));
+    fetchResults.forEach(result => applyResult(results, result));
+  }
+  
+  results.errors.push(...convertToUsd(results.data));
+  return results;
+}
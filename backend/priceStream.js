@@ -0,0 +1,88 @@
+/**
+ * Server-Sent Events stream of cache updates
+ * Every value stored by the cache is pushed to connected clients as a
+ * `price` event, so open dashboards follow the scheduler's refreshes
+ */
+import { CONFIG } from './config.js';
+import { cache } from './cache.js';
+import { getProviderForKey } from './providers.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Stream');
+
+const clients = new Set();
+
+/**
+ * Format one SSE message
+ * @param {string} event - Event name
+ * @param {Object} data - Payload (serialized as JSON)
+ * @returns {string} Wire-format message
+ */
+export function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Push one cache update to every connected client
+ * Registered as a single cache 'set' listener while anyone is connected, so
+ * the number of dashboards never grows the emitter's listener list
+ * @param {Object} update - Payload of the cache 'set' event
+ * @returns {void}
+ */
+function broadcast(update) {
+  const message = formatEvent('price', update);
+  for (const res of clients) res.write(message);
+}
+
+/**
+ * Express handler for GET /api/prices/stream
+ * Replays the current cache on connect so (re)connecting clients catch up,
+ * then receives every cache update until the client disconnects
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {void}
+ */
+export function streamPrices(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  // Same provenance as a live update, plus `stale` for entries that expired
+  const now = Date.now();
+  for (const [key, entry] of cache.entries()) {
+    res.write(formatEvent('price', {
+      key,
+      value: entry.value,
+      ttl: Math.max(0, Math.round((entry.expiresAt - now) / 1000)),
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+      source: entry.source ?? getProviderForKey(key)?.name ?? null,
+      asOf: entry.asOf ?? null,
+      fetchedAt: new Date(entry.createdAt).toISOString(),
+      stale: now > entry.expiresAt,
+    }));
+  }
+
+  if (clients.size === 0) cache.on('set', broadcast);
+  clients.add(res);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), CONFIG.STREAM_HEARTBEAT_INTERVAL * 1000);
+  log.info('Client connected', { clients: clients.size });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+    if (clients.size === 0) cache.off('set', broadcast);
+    log.info('Client disconnected', { clients: clients.size });
+  });
+}
+
+/**
+ * Number of connected stream clients
+ * @returns {number} Open connections
+ */
+export function getStreamClientCount() {
+  return clients.size;
+}
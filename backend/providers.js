@@ -0,0 +1,357 @@
+/**
+ * Price provider registry
+ * Each provider declares the cache keys it serves, its rate-limit bucket,
+ * its retry policy and a normalizer to the common quote shape.
+ *
+ * Quote shape returned by normalize(): { value, asOf }
+ *   - value: what gets cached and served (number for spot rates,
+ *            { price, volume, high, low, avg10d, vwap10d, currency } for
+ *            equities, in the ticker's listing currency)
+ *   - asOf:  upstream timestamp of the observation (ISO string or null)
+ */
+import { CONFIG } from './config.js';
+import { fetchJson } from './upstream.js';
+import { fetchBtcQuotes, markOutliers } from './btcSources.js';
+import { computeConsensus } from './consensus.js';
+import { trailingAverage, trailingVwap } from './indicators.js';
+import { permanentError } from './retryPolicy.js';
+import { companyStore } from './companyStore.js';
+import { hasMarketCalendar } from './marketCalendar.js';
+
+const providers = [];
+
+// Polygon response statuses that mean the request itself is wrong
+const PERMANENT_POLYGON_STATUSES = ['NOT_FOUND', 'NOT_AUTHORIZED'];
+
+/**
+ * Register a price provider
+ * @param {Object} provider - Provider definition
+ * @param {string} provider.name - Unique provider name
+ * @param {string[]|Function} provider.keys - Cache keys served (or function returning them)
+ * @param {Object|Function} [provider.labels] - Display labels per key for successes/errors (or (key) => label)
+ * @param {string|null} [provider.rateLimit] - Rate-limiter bucket (policy in CONFIG.RATE_LIMITS), null if unlimited
+ * @param {Object} [provider.retry] - Retry policy overrides ({ maxRetries, baseDelay, maxDelay, budget, attemptTimeout }, ms)
+ * @param {Object} [provider.circuitBreaker] - { failureThreshold, cooldown } overrides
+ * @param {boolean} [provider.marketHours] - Quotes only change during the trading sessions of `venue`
+ * @param {string|Function} [provider.venue] - Trading calendar of marketHours quotes, a venue of
+ *   marketCalendar.js (or (key) => venue); default 'US' (NYSE)
+ * @param {Function} provider.fetch - async (key, { signal }) => raw upstream payload (abort on signal)
+ * @param {Function} provider.normalize - (raw, key) => { value, asOf }
+ * @returns {Object} The registered provider
+ */
+export function registerProvider(provider) {
+  if (!provider?.name || !provider.keys || !provider.fetch || !provider.normalize) {
+    throw new Error('Provider requires name, keys, fetch and normalize');
+  }
+
+  if (providers.some(p => p.name === provider.name)) {
+    throw new Error(`Provider ${provider.name} is already registered`);
+  }
+
+  providers.push(provider);
+  return provider;
+}
+
+/**
+ * Remove a provider from the registry (useful for testing)
+ * @param {string} name - Provider name
+ * @returns {boolean} True if removed
+ */
+export function unregisterProvider(name) {
+  const index = providers.findIndex(p => p.name === name);
+  if (index === -1) return false;
+
+  providers.splice(index, 1);
+  return true;
+}
+
+/**
+ * Get the keys a provider serves
+ * @param {Object} provider - Provider definition
+ * @returns {string[]} Cache keys
+ */
+export function getProviderKeys(provider) {
+  return typeof provider.keys === 'function' ? provider.keys() : provider.keys;
+}
+
+/**
+ * Get all registered providers in registration order
+ * @returns {Object[]} Providers
+ */
+export function getProviders() {
+  return [...providers];
+}
+
+/**
+ * Find the provider serving a cache key
+ * @param {string} key - Cache key (e.g., 'btc', 'MSTR')
+ * @returns {Object|null} Provider or null if no provider serves the key
+ */
+export function getProviderForKey(key) {
+  return providers.find(p => getProviderKeys(p).includes(key)) || null;
+}
+
+/**
+ * Trading calendar a key's quotes follow
+ * @param {string} key - Cache key
+ * @returns {string|null} Venue (e.g. 'US', 'TSE'), or null when its quotes are not tied to
+ *   sessions: a provider without marketHours, or a venue marketCalendar.js does not know
+ */
+export function getKeyVenue(key) {
+  const provider = getProviderForKey(key);
+  if (!provider?.marketHours) return null;
+
+  const venue = typeof provider.venue === 'function' ? provider.venue(key) : provider.venue ?? 'US';
+  return hasMarketCalendar(venue) ? venue : null;
+}
+
+/**
+ * Get every key served by the registry
+ * @returns {string[]} Cache keys in registration order
+ */
+export function getTrackedKeys() {
+  return providers.flatMap(getProviderKeys);
+}
+
+/**
+ * Get the currency a ticker is listed in
+ * CONFIG.TICKER_CURRENCIES wins over the currency a company snapshot declares
+ * @param {string} ticker - Stock ticker symbol
+ * @returns {string} ISO currency code (defaults to USD)
+ */
+export function getListingCurrency(ticker) {
+  return CONFIG.TICKER_CURRENCIES[ticker] || companyStore.tickers()[ticker]?.currency || 'USD';
+}
+
+/**
+ * US-listed equity tickers to track on Polygon: CONFIG.POLYGON_TICKERS, then
+ * the tickers of every company snapshot on the US venue (default company
+ * first), so adding a company needs no config change
+ * @returns {string[]} Tickers
+ */
+function getUsTickers() {
+  const listed = Object.entries(companyStore.tickers())
+    .filter(([, { venue }]) => venue === 'US')
+    .map(([ticker]) => ticker);
+  return [...new Set([...CONFIG.POLYGON_TICKERS, ...listed])];
+}
+
+/**
+ * Tickers of company snapshots listed outside the US (e.g. 3350.T on the TSE),
+ * which Polygon does not cover
+ * @returns {string[]} Tickers, in Yahoo Finance symbol form
+ */
+function getNonUsTickers() {
+  return Object.entries(companyStore.tickers())
+    .filter(([ticker, { venue }]) => venue !== 'US' && !CONFIG.POLYGON_TICKERS.includes(ticker))
+    .map(([ticker]) => ticker);
+}
+
+/**
+ * Demand on each rate-limited upstream against its budget
+ * A full pass over a bucket's keys takes one window per `limit` keys beyond
+ * the first burst; a pass longer than TTL_MIN means keys expire before they
+ * are refreshed and the ticker set needs a larger budget or fewer keys
+ * @returns {Object} { [bucket]: { keys, limit, window, fullPassSeconds, overBudget } }
+ */
+export function getRateBudget() {
+  const budget = {};
+  for (const provider of providers) {
+    const policy = provider.rateLimit && CONFIG.RATE_LIMITS[provider.rateLimit];
+    if (!policy) continue;
+
+    const keys = (budget[provider.rateLimit]?.keys ?? 0) + getProviderKeys(provider).length;
+    const fullPassSeconds = Math.max(0, Math.ceil(keys / policy.limit) - 1) * policy.window;
+    budget[provider.rateLimit] = {
+      keys,
+      limit: policy.limit,
+      window: policy.window,
+      fullPassSeconds,
+      overBudget: fullPassSeconds >= CONFIG.TTL_MIN,
+    };
+  }
+  return budget;
+}
+
+/**
+ * USD rates to track: EUR/USD (always shown), then the rate of every other
+ * listing currency, keyed `<currency>Usd` (e.g. jpyUsd)
+ * @returns {string[]} Rate keys
+ */
+function getFxKeys() {
+  const currencies = [
+    ...Object.values(CONFIG.TICKER_CURRENCIES),
+    ...Object.values(companyStore.tickers()).map(({ currency }) => currency),
+  ];
+  return [...new Set(['EUR', ...currencies.filter(currency => currency !== 'USD')])]
+    .map(currency => `${currency.toLowerCase()}Usd`);
+}
+
+/**
+ * Base currency of a rate key
+ * @param {string} key - Rate key (e.g. 'jpyUsd')
+ * @returns {string} ISO currency code (e.g. 'JPY')
+ */
+function fxCurrency(key) {
+  return key.slice(0, -'Usd'.length).toUpperCase();
+}
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC) for Polygon range queries
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+function toPolygonDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the display label for a key (used in successes/errors lists)
+ * @param {string} key - Cache key
+ * @returns {string} Label
+ */
+export function getKeyLabel(key) {
+  const provider = getProviderForKey(key);
+  const labels = provider?.labels;
+  return (typeof labels === 'function' ? labels(key) : labels?.[key]) || key;
+}
+
+registerProvider({
+  name: 'btcConsensus',
+  keys: ['btc'],
+  labels: { btc: 'BTC' },
+  rateLimit: null, // Each exchange is limited individually in btcSources.js
+  fetch: (key, { signal } = {}) => fetchBtcQuotes({ signal }),
+  normalize: (quotes) => {
+    const consensus = computeConsensus(quotes);
+    markOutliers(consensus.rejected);
+
+    const timestamps = consensus.accepted.map(q => q.asOf).filter(Boolean).sort();
+    return {
+      value: consensus.price,
+      asOf: timestamps.length > 0 ? timestamps[timestamps.length - 1] : null,
+    };
+  },
+});
+
+registerProvider({
+  name: 'exchangerate',
+  keys: getFxKeys,
+  labels: (key) => `${fxCurrency(key)}/USD`,
+  rateLimit: 'exchangerate',
+  fetch: (key, { signal } = {}) => fetchJson(
+    `https://api.exchangerate-api.com/v4/latest/${fxCurrency(key)}`,
+    'ExchangeRate',
+    { signal }
+  ),
+  normalize: (data) => {
+    const rate = data?.rates?.USD;
+
+    if (!rate) {
+      throw new Error('ExchangeRate: No USD rate in response');
+    }
+
+    return {
+      value: rate,
+      asOf: data.time_last_updated ? new Date(data.time_last_updated * 1000).toISOString() : null,
+    };
+  },
+});
+
+registerProvider({
+  name: 'polygon',
+  keys: getUsTickers,
+  rateLimit: 'polygon',
+  marketHours: true,
+  // Daily bars over a calendar lookback wide enough to cover AVG_WINDOW_DAYS
+  // trading days; the last bar doubles as the quote, so one call per ticker
+  fetch: (ticker, { signal } = {}) => {
+    // Replayed fixtures need no key; a live call without one can only fail
+    if (!CONFIG.POLYGON_API_KEY && CONFIG.UPSTREAM_MODE !== 'replay') {
+      throw permanentError('Polygon: POLYGON_API_KEY is not set');
+    }
+
+    const to = new Date();
+    const from = new Date(to.getTime() - CONFIG.AGGREGATES_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    return fetchJson(
+      `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/day/${toPolygonDate(from)}/${toPolygonDate(to)}` +
+        `?adjusted=true&sort=asc&limit=50&apiKey=${CONFIG.POLYGON_API_KEY}`,
+      'Polygon',
+      { signal }
+    );
+  },
+  normalize: (data, ticker) => {
+    // Unknown tickers and unentitled keys will not fix themselves on retry
+    if (PERMANENT_POLYGON_STATUSES.includes(data.status)) {
+      throw permanentError(`Polygon ${ticker}: ${data.status}`);
+    }
+
+    if (data.status !== 'OK' || !data.results || data.results.length === 0) {
+      throw new Error(`Polygon ${ticker}: ${data.status || 'No results'}`);
+    }
+
+    const bars = data.results;
+    const bar = bars[bars.length - 1];
+    return {
+      value: {
+        price: bar.c,
+        volume: bar.v,
+        high: bar.h,
+        low: bar.l,
+        avg10d: trailingAverage(bars, CONFIG.AVG_WINDOW_DAYS),
+        vwap10d: trailingVwap(bars, CONFIG.AVG_WINDOW_DAYS),
+        currency: getListingCurrency(ticker),
+      },
+      asOf: bar.t ? new Date(bar.t).toISOString() : null,
+    };
+  },
+});
+
+registerProvider({
+  name: 'yahoo',
+  keys: getNonUsTickers,
+  rateLimit: 'yahoo',
+  marketHours: true,
+  // Sessions of the exchange the snapshot lists the ticker on (3350.T: TSE)
+  venue: (ticker) => companyStore.tickers()[ticker]?.venue ?? 'US',
+  // Same daily-bar window as Polygon; the symbol carries the exchange suffix
+  fetch: (ticker, { signal } = {}) => fetchJson(
+    `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}` +
+      `?range=${CONFIG.AGGREGATES_LOOKBACK_DAYS}d&interval=1d`,
+    'Yahoo',
+    { signal }
+  ),
+  normalize: (data, ticker) => {
+    const error = data?.chart?.error;
+    if (error) {
+      // An unknown symbol will not fix itself on retry
+      if (error.code === 'Not Found') throw permanentError(`Yahoo ${ticker}: ${error.description || error.code}`);
+      throw new Error(`Yahoo ${ticker}: ${error.description || error.code}`);
+    }
+
+    const result = data?.chart?.result?.[0];
+    const quote = result?.indicators?.quote?.[0];
+    // Days without trades come back as null bars
+    const bars = (result?.timestamp ?? [])
+      .map((t, i) => ({ t: t * 1000, c: quote.close[i], h: quote.high[i], l: quote.low[i], v: quote.volume[i] }))
+      .filter(bar => bar.c != null);
+
+    if (bars.length === 0) {
+      throw new Error(`Yahoo ${ticker}: No results`);
+    }
+
+    const bar = bars[bars.length - 1];
+    return {
+      value: {
+        price: bar.c,
+        volume: bar.v,
+        high: bar.h,
+        low: bar.l,
+        avg10d: trailingAverage(bars, CONFIG.AVG_WINDOW_DAYS),
+        vwap10d: trailingVwap(bars, CONFIG.AVG_WINDOW_DAYS),
+        currency: result.meta?.currency || getListingCurrency(ticker),
+      },
+      asOf: new Date(bar.t).toISOString(),
+    };
+  },
+});
@@ -1,92 +1,209 @@
 /**
- * Rate limiter with sliding window counter
+ * Token-bucket rate limiter with a FIFO wait queue per API
+ * Policies come from CONFIG.RATE_LIMITS: each bucket holds `limit` tokens and
+ * refills continuously at `limit` per `window` seconds. APIs without a policy
+ * are unlimited.
  */
 import { CONFIG } from './config.js';
+import { metrics } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('RateLimiter');
+
+const acquiredTotal = metrics.counter('ratelimit_acquired_total', 'Rate-limit tokens taken per API');
+const waitSeconds = metrics.histogram('ratelimit_wait_seconds', 'Time requests spent queued for a rate-limit token', [0, 1, 5, 12, 30, 60, 120, 300]);
 
 class RateLimiter {
   constructor() {
-    // Map of API name -> array of timestamps
-    this.requests = new Map();
+    // Map of API name -> bucket state
+    this.buckets = new Map();
   }
 
   /**
-   * Clean up old requests outside the rate limit window
+   * Get the configured policy for an API
    * @param {string} apiName - API identifier (e.g., 'polygon', 'coingecko')
-   * @returns {void}
+   * @returns {Object|null} { limit, window } or null if unlimited
    */
-  _cleanup(apiName) {
+  getPolicy(apiName) {
+    return CONFIG.RATE_LIMITS[apiName] || null;
+  }
+
+  /**
+   * Get (or create) the bucket for an API, refilled up to now
+   * @param {string} apiName - API identifier
+   * @param {Object} policy - { limit, window }
+   * @returns {Object} Mutable bucket state
+   */
+  _bucket(apiName, policy) {
     const now = Date.now();
-    const windowMs = CONFIG.RATE_LIMIT_WINDOW * 1000;
-    
-    if (!this.requests.has(apiName)) {
-      this.requests.set(apiName, []);
-      return;
+    let bucket = this.buckets.get(apiName);
+
+    if (!bucket) {
+      bucket = {
+        tokens: policy.limit,
+        updatedAt: now,
+        queue: [],
+        timer: null,
+        stats: { acquired: 0, waited: 0, totalWaitMs: 0, maxWaitMs: 0 },
+      };
+      this.buckets.set(apiName, bucket);
+      return bucket;
     }
-    
-    const timestamps = this.requests.get(apiName);
-    const validTimestamps = timestamps.filter(ts => now - ts < windowMs);
-    this.requests.set(apiName, validTimestamps);
+
+    const ratePerMs = policy.limit / (policy.window * 1000);
+    bucket.tokens = Math.min(policy.limit, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+    bucket.updatedAt = now;
+    return bucket;
   }
 
   /**
-   * Check if we can make another request to this API
+   * Take a token and record how long the caller waited for it
    * @param {string} apiName - API identifier
-   * @param {number} limit - Rate limit (default: Polygon limit)
-   * @returns {boolean} True if request is allowed
+   * @param {Object} bucket - Bucket state
+   * @param {number} waitMs - Time spent queued
+   * @returns {void}
    */
-  canMakeRequest(apiName, limit = CONFIG.POLYGON_RATE_LIMIT) {
-    this._cleanup(apiName);
-    
-    const timestamps = this.requests.get(apiName) || [];
-    return timestamps.length < limit;
+  _take(apiName, bucket, waitMs) {
+    bucket.tokens -= 1;
+    bucket.stats.acquired++;
+    acquiredTotal.inc({ api: apiName });
+    waitSeconds.observe({ api: apiName }, waitMs / 1000);
+
+    if (waitMs > 0) {
+      bucket.stats.waited++;
+      bucket.stats.totalWaitMs += waitMs;
+      bucket.stats.maxWaitMs = Math.max(bucket.stats.maxWaitMs, waitMs);
+    }
   }
 
   /**
-   * Record that a request was made to this API
+   * Release queued callers as tokens become available, then re-arm the
+   * timer for the next token if anyone is still waiting
    * @param {string} apiName - API identifier
    * @returns {void}
    */
-  recordRequest(apiName) {
-    this._cleanup(apiName);
-    
-    const timestamps = this.requests.get(apiName) || [];
-    timestamps.push(Date.now());
-    this.requests.set(apiName, timestamps);
+  _drain(apiName) {
+    const policy = this.getPolicy(apiName);
+    const bucket = this._bucket(apiName, policy);
+    bucket.timer = null;
+
+    while (bucket.queue.length > 0 && bucket.tokens >= 1) {
+      const waiter = bucket.queue.shift();
+      const waitMs = Date.now() - waiter.enqueuedAt;
+      this._take(apiName, bucket, waitMs);
+      waiter.resolve(waitMs);
+    }
+
+    if (bucket.queue.length > 0) {
+      const ratePerMs = policy.limit / (policy.window * 1000);
+      const delayMs = Math.ceil((1 - bucket.tokens) / ratePerMs);
+      bucket.timer = setTimeout(() => this._drain(apiName), delayMs);
+    }
   }
 
   /**
-   * Get current usage for an API
+   * Wait for a request slot
+   * Resolves immediately when a token is free and nobody is queued ahead;
+   * otherwise callers are released in FIFO order as the bucket refills.
    * @param {string} apiName - API identifier
-   * @param {number} limit - Rate limit
-   * @returns {Object} Usage stats
+   * @returns {Promise<number>} Milliseconds spent waiting
    */
-  getUsage(apiName, limit = CONFIG.POLYGON_RATE_LIMIT) {
-    this._cleanup(apiName);
-    
-    const timestamps = this.requests.get(apiName) || [];
-    const now = Date.now();
-    const windowMs = CONFIG.RATE_LIMIT_WINDOW * 1000;
-    const oldestTimestamp = timestamps.length > 0 ? Math.min(...timestamps) : now;
-    const resetIn = Math.max(0, Math.ceil((windowMs - (now - oldestTimestamp)) / 1000));
-    
+  acquire(apiName) {
+    const policy = this.getPolicy(apiName);
+    if (!policy) return Promise.resolve(0);
+
+    const bucket = this._bucket(apiName, policy);
+
+    if (bucket.queue.length === 0 && bucket.tokens >= 1) {
+      this._take(apiName, bucket, 0);
+      return Promise.resolve(0);
+    }
+
+    return new Promise((resolve, reject) => {
+      bucket.queue.push({ resolve, reject, enqueuedAt: Date.now() });
+      log.info('Limit reached, request queued', { api: apiName, queued: bucket.queue.length });
+
+      if (!bucket.timer) this._drain(apiName);
+    });
+  }
+
+  /**
+   * Take a slot only if one is free right now (never waits)
+   * @param {string} apiName - API identifier
+   * @returns {boolean} True if a token was taken
+   */
+  tryAcquire(apiName) {
+    const policy = this.getPolicy(apiName);
+    if (!policy) return true;
+
+    const bucket = this._bucket(apiName, policy);
+    if (bucket.queue.length > 0 || bucket.tokens < 1) return false;
+
+    this._take(apiName, bucket, 0);
+    return true;
+  }
+
+  /**
+   * Get current usage and queue stats for an API
+   * @param {string} apiName - API identifier
+   * @returns {Object|null} Usage stats, or null if the API is unlimited
+   */
+  getUsage(apiName) {
+    const policy = this.getPolicy(apiName);
+    if (!policy) return null;
+
+    const bucket = this._bucket(apiName, policy);
+    const remaining = Math.floor(bucket.tokens);
+    const ratePerSec = policy.limit / policy.window;
+    const { acquired, waited, totalWaitMs, maxWaitMs } = bucket.stats;
+
     return {
-      used: timestamps.length,
-      limit,
-      remaining: Math.max(0, limit - timestamps.length),
-      resetIn,
+      limit: policy.limit,
+      window: policy.window,
+      used: policy.limit - remaining,
+      remaining,
+      resetIn: Math.ceil((policy.limit - bucket.tokens) / ratePerSec),
+      queued: bucket.queue.length,
+      acquired,
+      waited,
+      avgWaitMs: waited > 0 ? Math.round(totalWaitMs / waited) : 0,
+      maxWaitMs,
     };
   }
 
   /**
-   * Reset all rate limit counters (useful for testing)
+   * Get usage for every API with a configured policy
+   * @returns {Object} Map of API name -> usage stats
+   */
+  getAllUsage() {
+    const result = {};
+    for (const apiName of Object.keys(CONFIG.RATE_LIMITS)) {
+      result[apiName] = this.getUsage(apiName);
+    }
+    return result;
+  }
+
+  /**
+   * Reset all buckets (useful for testing); queued callers are rejected
    * @returns {void}
    */
   reset() {
-    this.requests.clear();
-    console.log('[RateLimiter] Reset all counters');
+    for (const bucket of this.buckets.values()) {
+      clearTimeout(bucket.timer);
+      bucket.queue.forEach(waiter => waiter.reject(new Error('Rate limiter reset')));
+    }
+    this.buckets.clear();
+    log.debug('Reset all counters');
   }
 }
 
 // Export singleton instance
 export const rateLimiter = new RateLimiter();
 
+metrics.gauge('ratelimit_tokens_remaining', 'Whole tokens currently available per API', () =>
+  Object.entries(rateLimiter.getAllUsage()).map(([api, usage]) => ({ labels: { api }, value: usage.remaining }))
+);
+
+metrics.gauge('ratelimit_queue_depth', 'Requests waiting for a rate-limit token per API', () =>
+  Object.entries(rateLimiter.getAllUsage()).map(([api, usage]) => ({ labels: { api }, value: usage.queued }))
+);
@@ -0,0 +1,110 @@
+/**
+ * Retry policy for upstream fetches
+ * Errors are retryable (network failures, timeouts, HTTP 408/429/5xx) or
+ * permanent (other HTTP 4xx, errors flagged `permanent`); retry delays use
+ * full jitter and give way to an upstream Retry-After.
+ */
+import { CONFIG } from './config.js';
+
+/**
+ * Effective retry policy (read at call time so config changes apply)
+ * @param {Object} overrides - Provider overrides (same fields)
+ * @returns {Object} { maxRetries, baseDelay, maxDelay, budget, attemptTimeout } (delays in ms)
+ */
+export function getRetryPolicy(overrides = {}) {
+  return {
+    maxRetries: CONFIG.MAX_RETRIES,
+    baseDelay: CONFIG.BASE_DELAY,
+    maxDelay: CONFIG.RETRY_MAX_DELAY,
+    budget: CONFIG.FETCH_BUDGET * 1000,
+    attemptTimeout: CONFIG.ATTEMPT_TIMEOUT * 1000,
+    ...overrides,
+  };
+}
+
+/**
+ * Create an error that retrying cannot fix (e.g. an unknown ticker)
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged permanent
+ */
+export function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Classify an error for the retry loop
+ * Errors without an HTTP status (network failures, timeouts, unexpected
+ * payloads) are retryable unless explicitly flagged permanent
+ * @param {Error} error - Failure
+ * @returns {string} 'retryable' or 'permanent'
+ */
+export function classifyError(error) {
+  if (error?.permanent) return 'permanent';
+
+  const status = error?.status;
+  if (typeof status === 'number') {
+    return status === 408 || status === 429 || status >= 500 ? 'retryable' : 'permanent';
+  }
+
+  return 'retryable';
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Delay in ms, or null if absent or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Delay before the next attempt, with full jitter
+ * Uniform in [0, min(maxDelay, baseDelay * 2^attempt)) so clients that
+ * failed together do not retry together
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {Object} policy - { baseDelay, maxDelay }
+ * @param {Function} random - Random source in [0, 1) (injectable for tests)
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(attempt, { baseDelay, maxDelay }, random = Math.random) {
+  const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+  return Math.floor(random() * ceiling);
+}
+
+/**
+ * Run one attempt with a timeout, aborting it through an AbortController
+ * @param {Function} fn - async (signal) => result; pass the signal to fetch()
+ * @param {number} timeoutMs - Attempt timeout in ms
+ * @param {string} label - Name used in the timeout error
+ * @returns {Promise<*>} Result of fn
+ * @throws {Error} TimeoutError when the attempt takes longer than timeoutMs
+ */
+export async function runWithTimeout(fn, timeoutMs, label) {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} attempt timed out after ${Math.round(timeoutMs / 1000)}s`);
+      error.name = 'TimeoutError';
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
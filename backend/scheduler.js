@@ -5,6 +5,17 @@
 import { CONFIG } from './config.js';
 import { cache } from './cache.js';
 import { fetchAndCachePrice, fetchAllPrices } from './priceService.js';
+import { getTrackedKeys, getKeyVenue } from './providers.js';
+import { isClosingQuote } from './marketCalendar.js';
+import { metrics } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Scheduler');
+
+const schedulerRuns = metrics.counter('scheduler_runs_total', 'Scheduler checks by outcome');
+const schedulerDuration = metrics.histogram('scheduler_run_duration_seconds', 'Duration of one scheduler check (refreshes included)');
+const schedulerRefreshes = metrics.counter('scheduler_refreshes_total', 'Keys refreshed by the scheduler');
+const schedulerSkips = metrics.counter('scheduler_skips_total', 'Expiring keys left alone by the scheduler, by reason');
 
 let schedulerInterval = null;
 
@@ -13,83 +24,111 @@ let schedulerInterval = null;
  * @returns {Promise<void>}
  */
 async function seedCache() {
-  console.log('[Scheduler] Seeding cache on startup...');
+  log.info('Seeding cache');
   
   try {
     const results = await fetchAllPrices();
-    console.log(`[Scheduler] Cache seeded: ${results.successes.length} successes, ${results.errors.length} errors`);
+    log.info('Cache seeded', { successes: results.successes.length, errors: results.errors.length });
     
     if (results.errors.length > 0) {
-      console.warn('[Scheduler] Seed errors:', results.errors);
+      log.warn('Seed errors', { errors: results.errors });
     }
   } catch (error) {
-    console.error('[Scheduler] Failed to seed cache:', error.message);
+    log.error('Failed to seed cache', { error });
   }
 }
 
 /**
- * Check all cache entries and refresh those approaching expiration
+ * Check every key in the provider registry and refresh those that are
+ * missing or approaching expiration
+ * Market-hours keys (equities) that already hold the last closing quote are
+ * skipped while their venue's market is closed; BTC and FX keep their normal cadence
  * @returns {Promise<void>}
  */
 async function checkAndRefresh() {
   const now = Date.now();
   const thresholdMs = CONFIG.REFRESH_THRESHOLD * 1000;
   
-  const entries = cache.entries();
-  
-  if (entries.length === 0) {
-    console.log('[Scheduler] Cache is empty, seeding...');
+  if (cache.entries().length === 0) {
+    log.info('Cache is empty, seeding');
     await seedCache();
     return;
   }
   
   const toRefresh = [];
   
-  for (const [key, entry] of entries) {
+  for (const key of getTrackedKeys()) {
+    const entry = cache.getRaw(key);
+    
+    if (!entry) {
+      log.debug('Refreshing (not cached)', { key });
+      toRefresh.push(key);
+      continue;
+    }
+    
     const remainingTTL = entry.expiresAt - now;
+    const venue = getKeyVenue(key);
+    
+    if (remainingTTL < thresholdMs && venue
+        && isClosingQuote(entry.createdAt, CONFIG.MARKET_CLOSE_GRACE * 1000, new Date(now), venue)) {
+      log.debug('Skipping (market closed)', { key });
+      schedulerSkips.inc({ key, reason: 'market-closed' });
+      continue;
+    }
     
     if (remainingTTL < thresholdMs) {
       const ttlSec = Math.round(remainingTTL / 1000);
-      console.log(`[Scheduler] Refreshing ${key} (TTL: ${ttlSec}s remaining)`);
+      log.debug('Refreshing (expiring)', { key, ttl: ttlSec });
       toRefresh.push(key);
     }
   }
   
   if (toRefresh.length > 0) {
+    // Keys already being fetched (e.g. by a client request) are joined, not re-fetched
     const refreshPromises = toRefresh.map(key => 
       fetchAndCachePrice(key).catch(err => {
-        console.error(`[Scheduler] Failed to refresh ${key}:`, err.message);
+        log.error('Failed to refresh', { key, error: err });
       })
     );
     
     await Promise.all(refreshPromises);
-    console.log(`[Scheduler] Refreshed ${toRefresh.length} cache entries`);
+    toRefresh.forEach(key => schedulerRefreshes.inc({ key }));
+    log.info('Refreshed cache entries', { keys: toRefresh });
   }
 }
 
 /**
  * Start the background scheduler
- * Seeds cache immediately, then checks every SCHEDULER_INTERVAL seconds
+ * Seeds cache immediately (or refreshes expired entries after a warm start),
+ * then checks every SCHEDULER_INTERVAL seconds
  * @returns {Promise<void>}
  */
 export async function startScheduler() {
-  console.log(`[Scheduler] Starting background scheduler (interval: ${CONFIG.SCHEDULER_INTERVAL}s)`);
+  log.info('Starting background scheduler', { interval: CONFIG.SCHEDULER_INTERVAL });
   
   if (CONFIG.SEED_ON_STARTUP) {
-    seedCache().catch(err => {
-      console.error('[Scheduler] Cache seed failed:', err.message);
+    // A cache restored from a snapshot is already serving; only refresh
+    // what has expired instead of re-fetching everything
+    const warmup = cache.entries().length > 0 ? checkAndRefresh() : seedCache();
+    warmup.catch(err => {
+      log.error('Cache seed failed', { error: err });
     });
   }
   
   schedulerInterval = setInterval(async () => {
+    const startedAt = Date.now();
     try {
       await checkAndRefresh();
+      schedulerRuns.inc({ outcome: 'success' });
     } catch (error) {
-      console.error('[Scheduler] Error in scheduled check:', error.message);
+      schedulerRuns.inc({ outcome: 'error' });
+      log.error('Error in scheduled check', { error });
+    } finally {
+      schedulerDuration.observe({}, (Date.now() - startedAt) / 1000);
     }
   }, CONFIG.SCHEDULER_INTERVAL * 1000);
   
-  console.log('[Scheduler] Background scheduler running');
+  log.info('Background scheduler running');
 }
 
 /**
@@ -100,7 +139,7 @@ export function stopScheduler() {
   if (schedulerInterval) {
     clearInterval(schedulerInterval);
     schedulerInterval = null;
-    console.log('[Scheduler] Stopped background scheduler');
+    log.info('Stopped background scheduler');
   }
 }
 
@@ -1,21 +1,31 @@
 /**
  * Express server for price caching service
  */
+import { randomUUID } from 'crypto';
+import { pathToFileURL } from 'url';
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { CONFIG } from './config.js';
 import { cache } from './cache.js';
 import { rateLimiter } from './rateLimiter.js';
-import { fetchAllPrices } from './priceService.js';
+import { fetchAllPrices, getInFlightKeys, getFetchStats, refreshPrices } from './priceService.js';
 import { startScheduler, getSchedulerStatus } from './scheduler.js';
+import { getBtcSourceHealth } from './btcSources.js';
+import { getBreakerStatus } from './circuitBreaker.js';
+import { getMarketStatus, getQuoteSession } from './marketCalendar.js';
+import { getKeyVenue, getRateBudget } from './providers.js';
+import { metrics, CONTENT_TYPE as METRICS_CONTENT_TYPE } from './metrics.js';
+import { historyStore, parseTime } from './historyStore.js';
+import { companyStore } from './companyStore.js';
+import { validateCapitalStructure, parseCapitalCsv } from './capitalSchema.js';
+import { streamPrices, getStreamClientCount } from './priceStream.js';
+import { createLogger, runWithRequestId } from './logger.js';
+import { loadConfig, applyConfig, getEffectiveConfig } from './configLoader.js';
+import { requireAdminToken } from './adminAuth.js';
 
-// Load environment variables
-dotenv.config();
-
-// Update config with env vars
-CONFIG.POLYGON_API_KEY = process.env.POLYGON_API_KEY || CONFIG.POLYGON_API_KEY;
-CONFIG.PORT = process.env.PORT || CONFIG.PORT;
+const log = createLogger('Server');
+const apiLog = createLogger('API');
 
 const app = express();
 
@@ -23,23 +33,35 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
-// Request logging middleware
+// Request ID + access log middleware
+// Honours an incoming X-Request-Id so IDs can be traced across services;
+// every log line written while handling the request carries it
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-  next();
+  const requestId = req.get('X-Request-Id') || randomUUID();
+  const startedAt = Date.now();
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    apiLog.info('Request completed', {
+      requestId,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+    });
+  });
+
+  runWithRequestId(requestId, next);
 });
 
 /**
  * GET /api/prices/all
  * Returns all prices (BTC, MSTR, stocks, EUR/USD)
- * Query params:
- *   - force=true: Bypass cache and force fresh fetch
+ * Expired entries are served stale while they revalidate; to force a
+ * refresh use POST /api/prices/refresh
  */
 app.get('/api/prices/all', async (req, res) => {
   try {
-    const force = req.query.force === 'true';
-    if (force) cache.clear();
-    
     const results = await fetchAllPrices();
     
     // Build metadata
@@ -47,15 +69,33 @@ app.get('/api/prices/all', async (req, res) => {
       cached: results.cached,
       partial: results.partial,
       stale: results.stale,
+      staleKeys: results.staleKeys ?? [],
+      revalidating: results.revalidating ?? [],
+      unavailable: results.unavailable ?? {},
       degraded: results.errors.length > 3,
       timestamp: new Date().toISOString(),
       ttls: {},
+      ages: {},
+      sessions: {},
+      provenance: results.provenance ?? {},
+      fetches: getFetchStats(),
+      market: getMarketStatus(),
+      sources: {
+        btc: getBtcSourceHealth(),
+      },
     };
     
-    // Add TTL info for each price
-    for (const key of Object.keys(results.data)) {
+    // Add TTL, age and listing currency info for each price
+    metadata.currencies = {};
+    for (const [key, value] of Object.entries(results.data)) {
       const ttl = Math.round(cache.getRemainingTTL(key) / 1000);
       metadata.ttls[key] = ttl;
+      const entry = cache.getRaw(key);
+      if (entry) metadata.ages[key] = Math.round((Date.now() - entry.createdAt) / 1000);
+      // Equity quotes: 'live' if fetched during their venue's session, 'close' if it is the last close
+      const venue = entry ? getKeyVenue(key) : null;
+      if (venue) metadata.sessions[key] = getQuoteSession(entry.createdAt, venue);
+      if (value?.currency) metadata.currencies[key] = value.currency;
     }
     
     // Determine status code
@@ -71,7 +111,7 @@ app.get('/api/prices/all', async (req, res) => {
       successes: results.successes,
     });
   } catch (error) {
-    console.error('[API] Error fetching prices:', error);
+    apiLog.error('Error fetching prices', { error });
     res.status(503).json({
       error: 'Service unavailable',
       message: error.message,
@@ -80,26 +120,185 @@ app.get('/api/prices/all', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/prices/refresh
+ * Force a background refresh of specific keys (admin token required)
+ * Body: { keys: ['MSTR', 'btc'] } (omit keys to refresh everything)
+ * Entries are marked stale, not deleted, so failed refreshes keep serving
+ * the previous value; fetches go through the rate limiter
+ */
+app.post('/api/prices/refresh', requireAdminToken, (req, res) => {
+  const { keys } = req.body ?? {};
+  
+  if (keys !== undefined && (!Array.isArray(keys) || keys.length === 0 || !keys.every(key => typeof key === 'string'))) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: 'keys must be a non-empty array of price keys',
+    });
+  }
+  
+  const { refreshing, unknown } = refreshPrices(keys);
+  
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: `Unknown keys: ${unknown.join(', ')}`,
+      unknown,
+    });
+  }
+  
+  res.status(202).json({ refreshing, inFlight: getInFlightKeys() });
+});
+
+/**
+ * GET /api/prices/history
+ * Returns recorded observations for one price key
+ * Query params:
+ *   - key: Cache key (required, e.g. btc, MSTR)
+ *   - from, to: Epoch ms or ISO date (optional, inclusive)
+ *   - interval: raw (default), 1m, 5m, 15m, 1h, 4h, 1d (OHLC buckets)
+ */
+app.get('/api/prices/history', (req, res) => {
+  const { key, interval = 'raw' } = req.query;
+  
+  if (!key) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: 'Query parameter "key" is required',
+      keys: historyStore.keys(),
+    });
+  }
+  
+  try {
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    const points = historyStore.query(key, { from, to, interval });
+    
+    res.json({
+      key,
+      interval,
+      from: from !== null ? new Date(from).toISOString() : null,
+      to: to !== null ? new Date(to).toISOString() : null,
+      count: points.length,
+      points,
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Bad request',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/companies
+ * Companies with a snapshot in effect today, for the dashboard's selector
+ */
+app.get('/api/companies', (req, res) => {
+  res.json({
+    defaultCompany: CONFIG.DEFAULT_COMPANY,
+    companies: companyStore.catalog(),
+  });
+});
+
+/**
+ * GET /api/company
+ * Capital-structure snapshot: common-stock ticker, holdings, share counts,
+ * convertible notes and preferred terms, with the date it took effect
+ * Query params:
+ *   - company: Company id (default: DEFAULT_COMPANY)
+ *   - asOf: YYYY-MM-DD, serve the snapshot in effect on that date (default: today)
+ */
+app.get('/api/company', (req, res) => {
+  const { company = CONFIG.DEFAULT_COMPANY, asOf = null } = req.query;
+  
+  try {
+    res.json(companyStore.get(company, asOf));
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      error: error.status === 404 ? 'Not found' : 'Bad request',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/company/import
+ * Validate a capital structure uploaded as JSON (snapshot `data`, or a whole
+ * snapshot file) or as CSV (Content-Type: text/csv, format in capitalSchema.js)
+ * Nothing is stored: the data comes back for pro-forma modeling, or 422
+ * with field-level errors
+ */
+app.post('/api/company/import', express.text({ type: 'text/csv', limit: '1mb' }), (req, res) => {
+  let data;
+  let errors = [];
+  
+  if (req.is('text/csv')) {
+    ({ data, errors } = parseCapitalCsv(req.body));
+  } else if (req.is('application/json')) {
+    data = req.body?.data && typeof req.body.data === 'object' ? req.body.data : req.body;
+  } else {
+    return res.status(415).json({
+      error: 'Unsupported media type',
+      message: 'Send the capital structure as application/json or text/csv',
+    });
+  }
+  
+  if (errors.length === 0) errors = validateCapitalStructure(data);
+  if (errors.length > 0) {
+    return res.status(422).json({ error: 'Invalid capital structure', errors });
+  }
+  
+  res.json({ data });
+});
+
+/**
+ * GET /api/prices/stream
+ * Server-Sent Events: one `price` event per cached value on connect, then one
+ * per cache update ({ key, value, ttl, expiresAt, source, asOf, fetchedAt };
+ * values replayed on connect also carry `stale`)
+ */
+app.get('/api/prices/stream', streamPrices);
+
 /**
  * GET /api/health
  * Returns cache statistics and system health
  */
 app.get('/api/health', (req, res) => {
   const cacheStats = cache.getStats();
-  const polygonUsage = rateLimiter.getUsage('polygon');
   const schedulerStatus = getSchedulerStatus();
   
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
     cache: cacheStats,
-    rateLimits: {
-      polygon: polygonUsage,
-    },
+    rateLimits: rateLimiter.getAllUsage(),
+    rateBudget: getRateBudget(),
     scheduler: schedulerStatus,
+    inFlight: getInFlightKeys(),
+    circuitBreakers: getBreakerStatus(),
+    sources: {
+      btc: getBtcSourceHealth(),
+    },
+    stream: {
+      clients: getStreamClientCount(),
+    },
+    market: getMarketStatus(),
+    config: getEffectiveConfig(),
   });
 });
 
+/**
+ * GET /api/metrics
+ * Prometheus text exposition of cache, upstream, retry, rate-limit,
+ * circuit-breaker and scheduler metrics
+ */
+app.get('/api/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
 /**
  * GET /api/ping
  * Simple ping endpoint for connectivity checks
@@ -117,8 +316,16 @@ app.use((req, res) => {
 });
 
 // Error handler
+// Client errors raised by middleware (malformed JSON, oversized bodies) keep their status
 app.use((err, req, res, next) => {
-  console.error('[API] Unhandled error:', err);
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      error: 'Bad request',
+      message: err.message,
+    });
+  }
+  
+  apiLog.error('Unhandled error', { error: err, stack: err.stack });
   res.status(500).json({
     error: 'Internal server error',
     message: err.message,
@@ -128,38 +335,100 @@ app.use((err, req, res, next) => {
 // Start server
 const startServer = async () => {
   try {
+    // Replay recorded price history
+    historyStore.load();
+    
+    // Read the capital-structure snapshots once, then follow published changes
+    companyStore.load();
+    companyStore.startWatching();
+    
+    // Ticker sets one rate budget cannot cycle through within a TTL go stale
+    for (const [bucket, budget] of Object.entries(getRateBudget())) {
+      if (budget.overBudget) log.warn('Rate budget too small for tracked keys', { bucket, ...budget });
+    }
+    
+    // Warm-start from the last cache snapshot, then keep snapshotting
+    cache.loadSnapshot();
+    cache.startSnapshots();
+    
     // Start background scheduler first
     await startScheduler();
     
     // Then start HTTP server
     app.listen(CONFIG.PORT, () => {
-      console.log(`\n🚀 Price Caching Service running on port ${CONFIG.PORT}`);
-      console.log(`📊 Cache TTL: ${CONFIG.TTL_MIN}-${CONFIG.TTL_MAX}s (randomized)`);
-      console.log(`🔄 Scheduler: Every ${CONFIG.SCHEDULER_INTERVAL}s`);
-      console.log(`⏱️  Backoff: ${CONFIG.BASE_DELAY / 1000}s base, ${CONFIG.MAX_RETRIES} retries`);
-      console.log(`\nEndpoints:`);
-      console.log(`  GET http://localhost:${CONFIG.PORT}/api/prices/all`);
-      console.log(`  GET http://localhost:${CONFIG.PORT}/api/health`);
-      console.log(`  GET http://localhost:${CONFIG.PORT}/api/ping`);
-      console.log();
+      log.info('Price Caching Service running', {
+        port: CONFIG.PORT,
+        ttl: `${CONFIG.TTL_MIN}-${CONFIG.TTL_MAX}s`,
+        schedulerInterval: CONFIG.SCHEDULER_INTERVAL,
+        backoff: `${CONFIG.BASE_DELAY / 1000}s x${CONFIG.MAX_RETRIES} (jitter, cap ${CONFIG.RETRY_MAX_DELAY / 1000}s)`,
+        fetchBudget: `${CONFIG.FETCH_BUDGET}s`,
+        attemptTimeout: `${CONFIG.ATTEMPT_TIMEOUT}s`,
+        logLevel: CONFIG.LOG_LEVEL,
+      });
+      log.info('Endpoints', {
+        endpoints: [
+          '/api/prices/all',
+          '/api/prices/history',
+          '/api/prices/stream',
+          '/api/companies',
+          '/api/company',
+          'POST /api/company/import',
+          'POST /api/prices/refresh',
+          '/api/health',
+          '/api/metrics',
+          '/api/ping',
+        ],
+      });
     });
   } catch (error) {
-    console.error('Failed to start server:', error);
+    log.error('Failed to start server', { error, stack: error.stack });
     process.exit(1);
   }
 };
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('\n[Server] SIGTERM received, shutting down gracefully...');
-  process.exit(0);
-});
-
-process.on('SIGINT', () => {
-  console.log('\n[Server] SIGINT received, shutting down gracefully...');
-  process.exit(0);
-});
+/**
+ * Write a final cache snapshot so the next boot starts warm
+ * @returns {void}
+ */
+const snapshotOnShutdown = () => {
+  try {
+    const count = cache.saveSnapshot();
+    log.info('Saved cache snapshot', { entries: count });
+  } catch (error) {
+    log.error('Failed to save cache snapshot', { error });
+  }
+};
 
-// Start the server
-startServer();
+// Boot only when run as `node server.js`; tests import the app without
+// reading the CLI, listening, or starting the scheduler and watchers
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  // Load environment variables
+  dotenv.config();
+  
+  // Merge config file, env vars and CLI flags over the defaults; refuse to
+  // start on invalid settings rather than run with surprising values
+  try {
+    applyConfig(loadConfig());
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+  
+  // Handle graceful shutdown
+  process.on('SIGTERM', () => {
+    log.info('SIGTERM received, shutting down gracefully');
+    snapshotOnShutdown();
+    process.exit(0);
+  });
+  
+  process.on('SIGINT', () => {
+    log.info('SIGINT received, shutting down gracefully');
+    snapshotOnShutdown();
+    process.exit(0);
+  });
+  
+  // Start the server
+  startServer();
+}
 
+export { app };
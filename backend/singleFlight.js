@@ -0,0 +1,54 @@
+/**
+ * Single-flight request coalescing
+ * Concurrent calls for the same key share one in-flight promise, so a burst
+ * of cache misses costs one upstream fetch (and one rate-limit slot)
+ */
+import { createLogger } from './logger.js';
+
+const log = createLogger('SingleFlight');
+
+export class SingleFlight {
+  constructor() {
+    // Map of key -> pending promise
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Run fn for key, or join the call already in flight for it
+   * The entry is removed once the promise settles, so later calls fetch again
+   * @param {string} key - Coalescing key
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Result shared by every concurrent caller
+   */
+  run(key, fn) {
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      log.debug('Joining in-flight request', { key });
+      return pending;
+    }
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Check whether a call is in flight for key
+   * @param {string} key - Coalescing key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.inFlight.has(key);
+  }
+
+  /**
+   * Keys with a call currently in flight
+   * @returns {string[]} Keys
+   */
+  keys() {
+    return Array.from(this.inFlight.keys());
+  }
+}
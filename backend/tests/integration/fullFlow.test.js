@@ -1,32 +1,85 @@
-import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { cache } from '../../cache.js';
 import { rateLimiter } from '../../rateLimiter.js';
+import { resetBreakers } from '../../circuitBreaker.js';
 import { fetchAllPrices, fetchAndCachePrice } from '../../priceService.js';
 import { startScheduler, stopScheduler } from '../../scheduler.js';
+import { getProviders, getProviderKeys } from '../../providers.js';
+import { CONFIG } from '../../config.js';
 
 // Mock external APIs
 global.fetch = vi.fn();
 
+/**
+ * Build a mock upstream response for any BTC consensus source
+ * @param {string} url - Requested URL
+ * @param {number} price - BTC price to report
+ * @returns {Object|null} Mock fetch response, or null for non-BTC URLs
+ */
+function btcSourceResponse(url, price) {
+  const bodies = {
+    coingecko: { bitcoin: { usd: price } },
+    kraken: { error: [], result: { XXBTZUSD: { c: [String(price), '1'] } } },
+    coinbase: { data: { amount: String(price) } },
+    bitstamp: { last: String(price) },
+  };
+  const source = Object.keys(bodies).find(name => url.includes(name));
+  return source ? { ok: true, json: async () => bodies[source] } : null;
+}
+
 describe('Full Flow Integration Tests', () => {
+  const original = { apiKey: CONFIG.POLYGON_API_KEY, baseDelay: CONFIG.BASE_DELAY, historyFile: CONFIG.HISTORY_FILE };
+  let historyDir;
+
+  beforeAll(() => {
+    // Mock prices must not land in the developer's data/history.jsonl
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    CONFIG.HISTORY_FILE = path.join(historyDir, 'history.jsonl');
+  });
+
+  afterAll(async () => {
+    // Let fire-and-forget appends land before removing their directory
+    await new Promise(resolve => setTimeout(resolve, 50));
+    CONFIG.HISTORY_FILE = original.historyFile;
+    fs.rmSync(historyDir, { recursive: true, force: true });
+  });
+
   beforeEach(() => {
+    // Live mode against the mocked fetch; Polygon refuses to run without a key
+    CONFIG.POLYGON_API_KEY = 'test-key';
+    // Jittered retries up to 16s * 2^n would put the failure scenarios at the test timeout
+    CONFIG.BASE_DELAY = 500;
     cache.clear();
     rateLimiter.reset();
+    resetBreakers();
     vi.clearAllMocks();
   });
 
   afterEach(() => {
+    CONFIG.POLYGON_API_KEY = original.apiKey;
+    CONFIG.BASE_DELAY = original.baseDelay;
     stopScheduler();
+    vi.useRealTimers();
     vi.restoreAllMocks();
   });
 
   it('should handle complete flow: cold start -> cache -> client requests', async () => {
+    // Polygon's bucket holds fewer tokens than there are tickers, so the
+    // cold fetch has to wait for refills; fake timers make the wait instant
+    vi.useFakeTimers();
+    const { limit, window } = CONFIG.RATE_LIMITS.polygon;
+    const tickers = getProviderKeys(getProviders().find(p => p.name === 'polygon'));
+    const queued = tickers.slice(limit);
+    const refillMs = (queued.length * window * 1000) / limit;
+
     // Mock all external API responses
     global.fetch.mockImplementation((url) => {
-      if (url.includes('coingecko')) {
-        return Promise.resolve({
-          ok: true,
-          json: async () => ({ bitcoin: { usd: 100000 } }),
-        });
+      const btcResponse = btcSourceResponse(url, 100000);
+      if (btcResponse) {
+        return Promise.resolve(btcResponse);
       }
       if (url.includes('exchangerate')) {
         return Promise.resolve({
@@ -43,6 +96,21 @@ describe('Full Flow Integration Tests', () => {
           }),
         });
       }
+      if (url.includes('finance.yahoo.com')) {
+        return Promise.resolve({
+          ok: true,
+          json: async () => ({
+            chart: {
+              result: [{
+                meta: { currency: 'JPY' },
+                timestamp: [1764892800],
+                indicators: { quote: [{ close: [450], high: [455], low: [440], volume: [30000000] }] },
+              }],
+              error: null,
+            },
+          }),
+        });
+      }
       return Promise.reject(new Error('Unknown API'));
     });
 
@@ -50,28 +118,46 @@ describe('Full Flow Integration Tests', () => {
     expect(cache.getStats().size).toBe(0);
 
     // First request - should fetch all prices
-    const result1 = await fetchAllPrices();
+    const request1 = fetchAllPrices();
+    await vi.advanceTimersByTimeAsync(CONFIG.REQUEST_FETCH_TIMEOUT * 1000);
+    const result1 = await request1;
     
     expect(result1.successes.length).toBeGreaterThan(0);
     expect(cache.getStats().size).toBeGreaterThan(0);
+    expect(queued.length).toBeGreaterThan(0);
+    expect(rateLimiter.getUsage('polygon').queued).toBe(queued.length);
+
+    // The request answers after REQUEST_FETCH_TIMEOUT without the queued tickers
+    expect(result1.partial).toBe(true);
+    expect(result1.errors).toEqual(
+      queued.map(ticker => `${ticker}: Still fetching (no response within ${CONFIG.REQUEST_FETCH_TIMEOUT}s)`)
+    );
+    queued.forEach(ticker => {
+      expect(result1.data[ticker]).toBeNull();
+      expect(result1.unavailable[ticker]).toContain('Still fetching');
+      expect(result1.provenance[ticker]).toMatchObject({ source: null, fetchedAt: null, stale: false });
+    });
+
+    // The rate-limited tickers keep fetching and land as tokens refill
+    await vi.advanceTimersByTimeAsync(refillMs);
+    queued.forEach(ticker => expect(cache.get(ticker)).toMatchObject({ price: 420 }));
 
     // Second request - should hit cache
     const result2 = await fetchAllPrices();
     
     expect(result2.cached).toBe(true);
+    expect(result2.partial).toBe(false);
+    expect(result2.errors).toEqual([]);
     expect(result2.successes.length).toBeGreaterThan(0);
   }, 20000); // Longer timeout for full flow
 
   it('should handle background refresh preventing expiry', async () => {
-    // Mock APIs
-    let fetchCount = 0;
+    // Mock APIs - BTC moves up $1000 on every refresh
+    let btcPrice = 100000;
     global.fetch.mockImplementation((url) => {
-      fetchCount++;
-      if (url.includes('coingecko')) {
-        return Promise.resolve({
-          ok: true,
-          json: async () => ({ bitcoin: { usd: 100000 + fetchCount * 1000 } }),
-        });
+      const btcResponse = btcSourceResponse(url, btcPrice);
+      if (btcResponse) {
+        return Promise.resolve(btcResponse);
       }
       return Promise.resolve({
         ok: true,
@@ -80,6 +166,7 @@ describe('Full Flow Integration Tests', () => {
     });
 
     // Set initial price
+    btcPrice += 1000;
     await fetchAndCachePrice('btc');
     const initialPrice = cache.get('btc');
     expect(initialPrice).toBe(101000); // 100000 + 1000
@@ -94,6 +181,7 @@ describe('Full Flow Integration Tests', () => {
     vi.spyOn(Date, 'now').mockReturnValue(now + 550000);
     
     // Background refresh should kick in
+    btcPrice += 1000;
     await fetchAndCachePrice('btc');
     
     const refreshedPrice = cache.get('btc');
@@ -103,12 +191,9 @@ describe('Full Flow Integration Tests', () => {
   it('should handle multiple concurrent client requests efficiently', async () => {
     // Mock API to track call count
     let apiCallCount = 0;
-    global.fetch.mockImplementation(() => {
+    global.fetch.mockImplementation((url) => {
       apiCallCount++;
-      return Promise.resolve({
-        ok: true,
-        json: async () => ({ bitcoin: { usd: 100000 } }),
-      });
+      return Promise.resolve(btcSourceResponse(url, 100000));
     });
 
     // Make 10 concurrent requests
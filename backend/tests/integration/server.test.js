@@ -1,106 +1,32 @@
 import { describe, it, expect, beforeEach, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
 import request from 'supertest';
-import express from 'express';
-import cors from 'cors';
+import { app } from '../../server.js';
 import { cache } from '../../cache.js';
 import { rateLimiter } from '../../rateLimiter.js';
 import * as priceService from '../../priceService.js';
-import * as scheduler from '../../scheduler.js';
-
-// Create test app (similar to server.js but without starting actual server)
-const createTestApp = () => {
-  const app = express();
-  
-  app.use(cors());
-  app.use(express.json());
-
-  // Mock endpoints (same as server.js)
-  app.get('/api/prices/all', async (req, res) => {
-    try {
-      const force = req.query.force === 'true';
-      
-      if (force) {
-        cache.clear();
-      }
-      
-      const results = await priceService.fetchAllPrices();
-      
-      const metadata = {
-        cached: results.cached,
-        partial: results.partial,
-        stale: results.stale,
-        degraded: results.errors.length > 3,
-        timestamp: new Date().toISOString(),
-        ttls: {},
-      };
-      
-      for (const key of Object.keys(results.data)) {
-        const ttl = Math.round(cache.getRemainingTTL(key) / 1000);
-        metadata.ttls[key] = ttl;
-      }
-      
-      let statusCode = 200;
-      if (results.partial && results.errors.length > 0) {
-        statusCode = 207;
-      }
-      
-      res.status(statusCode).json({
-        data: results.data,
-        metadata,
-        errors: results.errors,
-        successes: results.successes,
-      });
-    } catch (error) {
-      res.status(503).json({
-        error: 'Service unavailable',
-        message: error.message,
-        retryAfter: 60,
-      });
-    }
-  });
-
-  app.get('/api/health', (req, res) => {
-    try {
-      const cacheStats = cache.getStats();
-      const polygonUsage = rateLimiter.getUsage('polygon');
-      const schedulerStatus = scheduler.getSchedulerStatus();
-      
-      res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        cache: cacheStats,
-        rateLimits: {
-          polygon: polygonUsage,
-        },
-        scheduler: schedulerStatus,
-      });
-    } catch (error) {
-      res.status(500).json({
-        status: 'unhealthy',
-        error: error.message,
-      });
-    }
-  });
-
-  app.get('/api/ping', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
-  });
-
-  app.use((req, res) => {
-    res.status(404).json({
-      error: 'Not found',
-      path: req.path,
-    });
-  });
-
-  return app;
-};
+import { historyStore } from '../../historyStore.js';
+import { companyStore } from '../../companyStore.js';
+import { CONFIG } from '../../config.js';
 
 describe('Server API Endpoints', () => {
-  let app;
+  const originalHistoryFile = CONFIG.HISTORY_FILE;
+  let historyDir;
 
   beforeAll(() => {
-    app = createTestApp();
+    // Mock prices must not land in the developer's data/history.jsonl
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    CONFIG.HISTORY_FILE = path.join(historyDir, 'history.jsonl');
+  });
+
+  afterAll(async () => {
+    // Let fire-and-forget appends land before removing their directory
+    await new Promise(resolve => setTimeout(resolve, 50));
+    CONFIG.HISTORY_FILE = originalHistoryFile;
+    fs.rmSync(historyDir, { recursive: true, force: true });
   });
 
   beforeEach(() => {
@@ -140,8 +66,8 @@ describe('Server API Endpoints', () => {
     });
 
     it('should include rate limit information', async () => {
-      rateLimiter.recordRequest('polygon');
-      rateLimiter.recordRequest('polygon');
+      rateLimiter.tryAcquire('polygon');
+      rateLimiter.tryAcquire('polygon');
 
       const response = await request(app)
         .get('/api/health')
@@ -209,24 +135,67 @@ describe('Server API Endpoints', () => {
       expect(response.body.data.btc).toBe(100000);
     });
 
-    it('should force refresh when force=true', async () => {
-      // Pre-populate cache
+    it('should answer 207 with keys still fetching reported as unavailable', async () => {
+      vi.spyOn(priceService, 'fetchAllPrices').mockResolvedValueOnce({
+        data: { btc: 100000, eurUsd: 1.05, STRE: null },
+        errors: ['STRE: Still fetching (no response within 4s)'],
+        successes: ['BTC', 'EUR/USD'],
+        cached: false,
+        partial: true,
+        stale: false,
+        staleKeys: [],
+        revalidating: [],
+        unavailable: { STRE: 'Still fetching (no response within 4s)' },
+      });
+
+      const response = await request(app)
+        .get('/api/prices/all')
+        .expect(207);
+
+      expect(response.body.data.STRE).toBeNull();
+      expect(response.body.metadata.unavailable).toEqual({ STRE: 'Still fetching (no response within 4s)' });
+      expect(response.body.errors).toEqual(['STRE: Still fetching (no response within 4s)']);
+    });
+
+    it('should answer 200 from stale entries while they revalidate', async () => {
+      vi.spyOn(priceService, 'fetchAllPrices').mockResolvedValueOnce({
+        data: { btc: 95000, eurUsd: 1.05 },
+        errors: [],
+        successes: ['EUR/USD'],
+        cached: false,
+        partial: false,
+        stale: true,
+        staleKeys: ['btc'],
+        revalidating: ['btc'],
+        unavailable: {},
+      });
+
+      const response = await request(app)
+        .get('/api/prices/all')
+        .expect(200);
+
+      expect(response.body.data.btc).toBe(95000);
+      expect(response.body.metadata).toMatchObject({ stale: true, staleKeys: ['btc'], revalidating: ['btc'] });
+    });
+
+    it('should not clear the cache when force=true', async () => {
       cache.set('btc', 95000);
 
       const clearSpy = vi.spyOn(cache, 'clear');
 
       vi.spyOn(priceService, 'fetchAllPrices').mockResolvedValueOnce({
-        data: { btc: 100000 },
+        data: { btc: 95000 },
         errors: [],
         successes: ['BTC'],
-        cached: false,
+        cached: true,
       });
 
       await request(app)
         .get('/api/prices/all?force=true')
         .expect(200);
 
-      expect(clearSpy).toHaveBeenCalled();
+      expect(clearSpy).not.toHaveBeenCalled();
+      expect(cache.getRaw('btc').value).toBe(95000);
     });
 
     it('should return 503 when all APIs fail', async () => {
@@ -262,6 +231,240 @@ describe('Server API Endpoints', () => {
     });
   });
 
+  describe('POST /api/prices/refresh', () => {
+    const originalToken = CONFIG.ADMIN_TOKEN;
+
+    beforeEach(() => {
+      CONFIG.ADMIN_TOKEN = 'test-token';
+    });
+
+    afterAll(() => {
+      CONFIG.ADMIN_TOKEN = originalToken;
+    });
+
+    it('should require the admin token', async () => {
+      const refreshSpy = vi.spyOn(priceService, 'refreshPrices');
+
+      await request(app).post('/api/prices/refresh').send({ keys: ['btc'] }).expect(401);
+      await request(app)
+        .post('/api/prices/refresh')
+        .set('Authorization', 'Bearer wrong')
+        .send({ keys: ['btc'] })
+        .expect(401);
+
+      expect(refreshSpy).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown keys', async () => {
+      const response = await request(app)
+        .post('/api/prices/refresh')
+        .set('Authorization', 'Bearer test-token')
+        .send({ keys: ['DOGE'] })
+        .expect(400);
+
+      expect(response.body.unknown).toEqual(['DOGE']);
+    });
+
+    it('should accept known keys with 202', async () => {
+      vi.spyOn(priceService, 'refreshPrices').mockReturnValueOnce({ refreshing: ['btc'], unknown: [] });
+
+      const response = await request(app)
+        .post('/api/prices/refresh')
+        .set('Authorization', 'Bearer test-token')
+        .send({ keys: ['btc'] })
+        .expect(202);
+
+      expect(response.body).toEqual({ refreshing: ['btc'], inFlight: [] });
+    });
+  });
+
+  describe('GET /api/prices/history', () => {
+    beforeEach(() => {
+      historyStore.clear();
+      historyStore.append('btc', 100000, Date.parse('2025-12-08T10:00:00Z'));
+      historyStore.append('btc', 101000, Date.parse('2025-12-08T10:30:00Z'));
+      historyStore.append('btc', 99000, Date.parse('2025-12-08T11:15:00Z'));
+    });
+
+    afterAll(() => {
+      historyStore.clear();
+    });
+
+    it('should return raw points within the range', async () => {
+      const response = await request(app)
+        .get('/api/prices/history?key=btc&from=2025-12-08T10:15:00Z')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ key: 'btc', interval: 'raw', from: '2025-12-08T10:15:00.000Z', to: null, count: 2 });
+      expect(response.body.points).toEqual([
+        { timestamp: '2025-12-08T10:30:00.000Z', value: 101000 },
+        { timestamp: '2025-12-08T11:15:00.000Z', value: 99000 },
+      ]);
+    });
+
+    it('should bucket points into OHLC candles', async () => {
+      const response = await request(app)
+        .get('/api/prices/history?key=btc&interval=1h')
+        .expect(200);
+
+      expect(response.body.points).toEqual([
+        { timestamp: '2025-12-08T10:00:00.000Z', open: 100000, high: 101000, low: 100000, close: 101000, count: 2 },
+        { timestamp: '2025-12-08T11:00:00.000Z', open: 99000, high: 99000, low: 99000, close: 99000, count: 1 },
+      ]);
+    });
+
+    it('should return 400 without a key or with a bad interval', async () => {
+      const missing = await request(app).get('/api/prices/history').expect(400);
+      expect(missing.body.keys).toContain('btc');
+
+      const invalid = await request(app).get('/api/prices/history?key=btc&interval=2m').expect(400);
+      expect(invalid.body.message).toMatch(/Invalid interval: 2m/);
+    });
+  });
+
+  describe('GET /api/prices/stream', () => {
+    let server;
+
+    beforeAll(async () => {
+      server = http.createServer(app);
+      await new Promise(resolve => server.listen(0, resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    /**
+     * Open the stream, collect `count` events, then disconnect
+     * @param {number} count - Events to wait for
+     * @param {Function} onOpen - Called once the response headers arrive
+     * @returns {Promise<Object>} { headers, events }
+     */
+    const readEvents = (count, onOpen = () => {}) => new Promise((resolve, reject) => {
+      const req = http.get(`http://127.0.0.1:${server.address().port}/api/prices/stream`, res => {
+        let buffer = '';
+        onOpen();
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buffer += chunk;
+          const events = buffer.split('\n\n').filter(block => block.startsWith('event: '));
+          if (events.length < count) return;
+          req.destroy();
+          resolve({
+            headers: res.headers,
+            events: events.slice(0, count).map(block => JSON.parse(block.split('data: ')[1])),
+          });
+        });
+      });
+      req.on('error', reject);
+    });
+
+    it('should replay cached values, then push updates', async () => {
+      cache.set('btc', 100000, { source: 'coingecko' });
+
+      const { headers, events } = await readEvents(2, () => cache.set('mstr', 420, { source: 'polygon' }));
+
+      expect(headers['content-type']).toBe('text/event-stream');
+      expect(events[0]).toMatchObject({ key: 'btc', value: 100000, source: 'coingecko', stale: false });
+      expect(events[1]).toMatchObject({ key: 'mstr', value: 420, source: 'polygon' });
+    });
+  });
+
+  describe('GET /api/metrics', () => {
+    it('should serve Prometheus text', async () => {
+      cache.set('btc', 100000);
+
+      const response = await request(app)
+        .get('/api/metrics')
+        .expect(200)
+        .expect('Content-Type', /text\/plain/);
+
+      expect(response.text).toContain('# TYPE price_service_cache_entries gauge');
+      expect(response.text).toMatch(/^price_service_cache_entries 1$/m);
+    });
+  });
+
+  describe('GET /api/companies', () => {
+    it('should list the shipped Strategy snapshot', async () => {
+      const response = await request(app)
+        .get('/api/companies')
+        .expect(200);
+
+      expect(response.body.defaultCompany).toBe('strategy');
+      expect(response.body.companies).toContainEqual(expect.objectContaining({ company: 'strategy', name: 'Strategy', ticker: 'MSTR' }));
+    });
+  });
+
+  describe('GET /api/company', () => {
+    it('should serve the current Strategy snapshot', async () => {
+      const response = await request(app)
+        .get('/api/company')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ company: 'strategy', effectiveDate: '2025-12-07' });
+      expect(response.body.versions).toContain('2025-12-07');
+      expect(response.body.data.convertibleNotes.length).toBeGreaterThan(0);
+    });
+
+    it('should return 404 before the first snapshot and 400 for bad dates', async () => {
+      await request(app).get('/api/company?asOf=2020-01-01').expect(404);
+      await request(app).get('/api/company?asOf=soon').expect(400);
+      await request(app).get('/api/company?company=nobody').expect(404);
+    });
+  });
+
+  describe('POST /api/company/import', () => {
+    const published = () => companyStore.get('strategy', '2025-12-07');
+
+    it('should accept a published snapshot as JSON', async () => {
+      const snapshot = published();
+
+      const response = await request(app)
+        .post('/api/company/import')
+        .send(snapshot)
+        .expect(200);
+
+      expect(response.body.data).toEqual(snapshot.data);
+    });
+
+    it('should report field-level errors with 422', async () => {
+      const data = structuredClone(published().data);
+      delete data.convertibleNotes[0].conversionPrice;
+      data.preferredStock.STRF.liqPref = -100;
+
+      const response = await request(app)
+        .post('/api/company/import')
+        .send({ data })
+        .expect(422);
+
+      expect(response.body.error).toBe('Invalid capital structure');
+      expect(response.body.errors.map(error => error.path)).toEqual([
+        'convertibleNotes[0].conversionPrice',
+        'preferredStock.STRF.liqPref',
+      ]);
+    });
+
+    it('should parse CSV uploads and report errors by line', async () => {
+      const response = await request(app)
+        .post('/api/company/import')
+        .set('Content-Type', 'text/csv')
+        .send('section,id,field,value\ncompany,,btcHoldings,lots\nwarrant,W1,shares,5\n')
+        .expect(422);
+
+      expect(response.body.errors).toEqual([
+        { path: 'line 3', message: 'unknown section "warrant" (company, note or preferred)' },
+      ]);
+    });
+
+    it('should return 415 for other content types', async () => {
+      await request(app)
+        .post('/api/company/import')
+        .set('Content-Type', 'application/xml')
+        .send('<capital/>')
+        .expect(415);
+    });
+  });
+
   describe('404 handling', () => {
     it('should return 404 for unknown routes', async () => {
       const response = await request(app)
@@ -273,6 +476,18 @@ describe('Server API Endpoints', () => {
     });
   });
 
+  describe('Error handling', () => {
+    it('should answer malformed JSON bodies with 400', async () => {
+      const response = await request(app)
+        .post('/api/company/import')
+        .set('Content-Type', 'application/json')
+        .send('{"data":')
+        .expect(400);
+
+      expect(response.body.error).toBe('Bad request');
+    });
+  });
+
   describe('CORS headers', () => {
     it('should include CORS headers', async () => {
       const response = await request(app)
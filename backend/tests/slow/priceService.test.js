@@ -1,216 +1,332 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
-import { fetchAndCachePrice } from '../../priceService.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fetchAndCachePrice, fetchAllPrices, getFetchStats } from '../../priceService.js';
 import { cache } from '../../cache.js';
 import { rateLimiter } from '../../rateLimiter.js';
-
-// Mock fetch globally
+import { resetBreakers } from '../../circuitBreaker.js';
+import { BTC_SOURCES, getBtcSourceHealth, resetBtcSourceHealth } from '../../btcSources.js';
+import { historyStore } from '../../historyStore.js';
+import { fixtureName, getFixturesDir, resetFixtures } from '../../upstreamFixtures.js';
+import { CONFIG } from '../../config.js';
+
+const DEFAULT_RATE_LIMITS = structuredClone(CONFIG.RATE_LIMITS);
+const RECORDED_FIXTURES = getFixturesDir();
+const RATES_URL = 'https://api.exchangerate-api.com/v4/latest/EUR';
+const MSTR_URL = 'https://api.polygon.io/v2/aggs/ticker/MSTR/range/1/day/2025-11-05/2025-12-05';
+
+// Every upstream call is replayed from fixtures; the network must never be touched
 global.fetch = vi.fn();
 
-// Mock sleep to speed up tests (but still simulate delays)
-vi.mock('../../priceService.js', async (importOriginal) => {
-  const actual = await importOriginal();
-  return {
-    ...actual,
-    // Override sleep to be faster in tests
+describe('PriceService', () => {
+  const original = {
+    mode: CONFIG.UPSTREAM_MODE,
+    dir: CONFIG.UPSTREAM_FIXTURES_DIR,
+    baseDelay: CONFIG.BASE_DELAY,
+    apiKey: CONFIG.POLYGON_API_KEY,
+    attemptTimeout: CONFIG.ATTEMPT_TIMEOUT,
+    requestFetchTimeout: CONFIG.REQUEST_FETCH_TIMEOUT,
+  };
+  let dir;
+
+  /**
+   * Script responses for one endpoint in this test's copy of the recordings
+   * @param {string} url - Request URL
+   * @param {Object[]} responses - Fixture entries, served in order
+   * @returns {void}
+   */
+  const scriptFixture = (url, responses) => {
+    fs.writeFileSync(path.join(dir, fixtureName(url)), JSON.stringify({ url, responses }));
   };
-});
 
-describe('PriceService', () => {
   beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    fs.cpSync(RECORDED_FIXTURES, dir, { recursive: true });
+    CONFIG.UPSTREAM_MODE = 'replay';
+    CONFIG.UPSTREAM_FIXTURES_DIR = dir;
+    // Replayed failures retry after milliseconds, not the production 16s base
+    CONFIG.BASE_DELAY = 20;
+    CONFIG.RATE_LIMITS = structuredClone(DEFAULT_RATE_LIMITS);
+    resetFixtures();
     cache.clear();
     rateLimiter.reset();
+    resetBreakers();
+    resetBtcSourceHealth();
     vi.clearAllMocks();
+    vi.spyOn(historyStore, 'append').mockReturnValue(true);
   });
 
   afterEach(() => {
+    expect(global.fetch).not.toHaveBeenCalled();
+    Object.assign(CONFIG, {
+      UPSTREAM_MODE: original.mode,
+      UPSTREAM_FIXTURES_DIR: original.dir,
+      BASE_DELAY: original.baseDelay,
+      POLYGON_API_KEY: original.apiKey,
+      ATTEMPT_TIMEOUT: original.attemptTimeout,
+      REQUEST_FETCH_TIMEOUT: original.requestFetchTimeout,
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
     vi.restoreAllMocks();
   });
 
   describe('fetchAndCachePrice - BTC', () => {
     it('should successfully fetch and cache BTC price', async () => {
-      // Mock successful CoinGecko response
-      global.fetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({ bitcoin: { usd: 100000 } }),
-      });
-
       const result = await fetchAndCachePrice('btc');
 
+      // Median of the four recorded quotes (89409, 89412, 89417.615, 89420)
       expect(result.success).toBe(true);
-      expect(result.value).toBe(100000);
-      expect(cache.get('btc')).toBe(100000);
+      expect(result.value).toBeCloseTo(89414.81, 2);
+      expect(cache.get('btc')).toBe(result.value);
+      expect(cache.getRaw('btc').asOf).toBe('2025-12-05T21:10:01.000Z');
     });
 
     it('should retry with exponential backoff on failure', async () => {
-      let attempts = 0;
-      
-      global.fetch.mockImplementation(() => {
-        attempts++;
-        if (attempts < 3) {
-          return Promise.reject(new Error('Network error'));
-        }
-        return Promise.resolve({
-          ok: true,
-          json: async () => ({ bitcoin: { usd: 100000 } }),
-        });
-      });
+      for (const { url } of Object.values(BTC_SOURCES)) {
+        const { responses } = JSON.parse(fs.readFileSync(path.join(dir, fixtureName(url)), 'utf8'));
+        scriptFixture(url, [{ networkError: 'ECONNRESET' }, { networkError: 'ECONNRESET' }, ...responses]);
+      }
 
       const result = await fetchAndCachePrice('btc');
 
-      expect(attempts).toBe(3);
       expect(result.success).toBe(true);
-      expect(result.value).toBe(100000);
-    }, 10000); // 10s timeout for backoff
+      expect(result.value).toBeCloseTo(89414.81, 2);
+      expect(getFetchStats().btc).toMatchObject({ outcome: 'success', attempts: 3, retries: 2 });
+    });
 
     it('should return stale cache after all retries fail', async () => {
       // Pre-populate cache with stale data
       cache.set('btc', 95000);
-      
+
       // Make it stale by mocking time
       const now = Date.now();
       vi.spyOn(Date, 'now').mockReturnValue(now + 700000); // 700s later (expired)
 
-      // Mock all fetch attempts to fail
-      global.fetch.mockRejectedValue(new Error('API down'));
+      Object.values(BTC_SOURCES).forEach(({ url }) => scriptFixture(url, [{ networkError: 'API down' }]));
 
       const result = await fetchAndCachePrice('btc');
 
       expect(result.success).toBe(false);
       expect(result.stale).toBe(true);
       expect(result.value).toBe(95000); // Returns stale value
-      expect(result.error).toContain('API down');
-    }, 15000); // Longer timeout for multiple retries
+      expect(result.error).toContain('Consensus: 0 of 2 required sources responded');
+      expect(getBtcSourceHealth().kraken.error).toContain('API down');
+    });
   });
 
   describe('fetchAndCachePrice - Polygon stocks', () => {
     it('should successfully fetch and cache stock price', async () => {
-      global.fetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({
-          status: 'OK',
-          results: [{ c: 420.50, h: 425, l: 415, v: 1000000 }],
-        }),
-      });
-
       const result = await fetchAndCachePrice('MSTR');
 
       expect(result.success).toBe(true);
-      expect(result.value.price).toBe(420.50);
+      expect(result.value.price).toBe(178);
       expect(cache.get('MSTR')).toEqual({
-        price: 420.50,
-        high: 425,
-        low: 415,
-        volume: 1000000,
+        price: 178,
+        high: 179.65,
+        low: 175.62,
+        volume: 16700868,
+        avg10d: expect.closeTo(191.066, 3),
+        vwap10d: expect.closeTo(191.5027, 3),
+        currency: 'USD',
       });
+      expect(cache.getRaw('MSTR').asOf).toBe('2025-12-05T05:00:00.000Z');
     });
 
-    it('should respect rate limits', async () => {
-      // Fill up rate limit
+    it('should wait for a rate-limit slot instead of failing', async () => {
+      CONFIG.RATE_LIMITS.polygon = { limit: 5, window: 1 }; // one token every 200ms
+
+      // Use up the burst
       for (let i = 0; i < 5; i++) {
-        rateLimiter.recordRequest('polygon');
+        rateLimiter.tryAcquire('polygon');
       }
 
+      const startedAt = Date.now();
       const result = await fetchAndCachePrice('MSTR');
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('rate limit');
-      expect(global.fetch).not.toHaveBeenCalled();
+      expect(result.success).toBe(true);
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(150);
+      expect(rateLimiter.getUsage('polygon').waited).toBe(1);
     });
 
     it('should handle 429 rate limit response with backoff', async () => {
-      let attempts = 0;
-      
-      global.fetch.mockImplementation(() => {
-        attempts++;
-        if (attempts < 2) {
-          return Promise.resolve({
-            ok: false,
-            status: 429,
-            statusText: 'Too Many Requests',
-          });
-        }
-        return Promise.resolve({
-          ok: true,
-          json: async () => ({
-            status: 'OK',
-            results: [{ c: 420, h: 425, l: 415, v: 1000000 }],
-          }),
-        });
-      });
+      const { responses } = JSON.parse(fs.readFileSync(path.join(dir, fixtureName(MSTR_URL)), 'utf8'));
+      scriptFixture(MSTR_URL, [
+        { status: 429, statusText: 'Too Many Requests', headers: { 'retry-after': '0' } },
+        ...responses,
+      ]);
 
       const result = await fetchAndCachePrice('MSTR');
 
-      expect(attempts).toBeGreaterThanOrEqual(2);
       expect(result.success).toBe(true);
-    }, 10000);
+      expect(getFetchStats().MSTR).toMatchObject({ attempts: 2, retries: 1, errorClass: 'retryable' });
+    });
 
     it('should handle Polygon error responses', async () => {
-      global.fetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({
-          status: 'ERROR',
-          error: 'Invalid ticker',
-        }),
-      });
+      scriptFixture(MSTR_URL, [{ status: 200, body: { status: 'NOT_FOUND', request_id: 'x' } }]);
+
+      const result = await fetchAndCachePrice('MSTR');
 
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Polygon MSTR: NOT_FOUND');
+      expect(getFetchStats().MSTR).toMatchObject({ attempts: 1, gaveUp: 'permanent' });
+    });
+
+    it('should handle unknown tickers', async () => {
       const result = await fetchAndCachePrice('INVALID');
 
       expect(result.success).toBe(false);
-      expect(result.error).toBeDefined();
+      expect(result.error).toBe('No provider registered for INVALID');
     });
   });
 
   describe('fetchAndCachePrice - EUR/USD', () => {
     it('should successfully fetch and cache EUR/USD rate', async () => {
-      global.fetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({ rates: { USD: 1.08 } }),
-      });
-
       const result = await fetchAndCachePrice('eurUsd');
 
       expect(result.success).toBe(true);
-      expect(result.value).toBe(1.08);
-      expect(cache.get('eurUsd')).toBe(1.08);
+      expect(result.value).toBe(1.1643);
+      expect(cache.get('eurUsd')).toBe(1.1643);
     });
 
     it('should handle ExchangeRate API errors', async () => {
-      global.fetch.mockResolvedValueOnce({
-        ok: false,
-        status: 500,
-        statusText: 'Internal Server Error',
-      });
+      scriptFixture(RATES_URL, [{ status: 500, statusText: 'Internal Server Error' }]);
 
       const result = await fetchAndCachePrice('eurUsd');
 
       expect(result.success).toBe(false);
+      expect(result.error).toBe('ExchangeRate HTTP 500: Internal Server Error');
+    });
+
+    it('should retry a timed-out request', async () => {
+      CONFIG.ATTEMPT_TIMEOUT = 0.05;
+      scriptFixture(RATES_URL, [
+        { delayMs: 1000 },
+        { status: 200, body: { rates: { USD: 1.08 } } },
+      ]);
+
+      const result = await fetchAndCachePrice('eurUsd');
+
+      expect(result).toMatchObject({ success: true, value: 1.08 });
+      expect(getFetchStats().eurUsd).toMatchObject({ attempts: 2, lastError: 'exchangerate attempt timed out after 0s' });
     });
   });
 
   describe('Error handling and fallbacks', () => {
     it('should return error when no cache and all retries fail', async () => {
-      global.fetch.mockRejectedValue(new Error('Network timeout'));
+      Object.values(BTC_SOURCES).forEach(({ url }) => scriptFixture(url, [{ networkError: 'Network timeout' }]));
 
       const result = await fetchAndCachePrice('btc');
 
       expect(result.success).toBe(false);
       expect(result.value).toBeUndefined();
-      expect(result.error).toContain('Network timeout');
-    }, 15000);
+      expect(result.error).toContain('Consensus');
+      expect(getBtcSourceHealth().coingecko.error).toContain('Network timeout');
+    });
 
     it('should handle missing API key for Polygon', async () => {
-      // Temporarily remove API key
-      const originalKey = process.env.POLYGON_API_KEY;
-      delete process.env.POLYGON_API_KEY;
+      // Replay needs no key; a live call without one is refused up front
+      CONFIG.UPSTREAM_MODE = 'live';
+      CONFIG.POLYGON_API_KEY = '';
 
       const result = await fetchAndCachePrice('MSTR');
 
       expect(result.success).toBe(false);
       expect(result.error).toContain('POLYGON_API_KEY');
+      expect(getFetchStats().MSTR.gaveUp).toBe('permanent');
+    });
+  });
 
-      // Restore API key
-      process.env.POLYGON_API_KEY = originalKey;
+  describe('fetchAllPrices - EUR-listed securities', () => {
+    const usdQuote = { price: 100, avg10d: 100, currency: 'USD' };
+
+    it('should convert EUR quotes to USD with the cached rate', async () => {
+      cache.set('btc', 100000);
+      cache.set('eurUsd', 1.1);
+      cache.set('jpyUsd', 0.0064);
+      ['MSTR', 'STRF', 'STRC', 'STRK', 'STRD'].forEach(ticker => cache.set(ticker, usdQuote));
+      cache.set('STRE', { price: 90, avg10d: 88, currency: 'EUR' });
+      cache.set('3350.T', { price: 450, avg10d: 400, currency: 'JPY' });
+
+      const result = await fetchAllPrices();
+
+      expect(result.cached).toBe(true);
+      expect(result.data['3350.T'].priceUsd).toBeCloseTo(2.88, 6);
+      expect(result.data.STRE.price).toBe(90);
+      expect(result.data.STRE.fxRate).toBe(1.1);
+      expect(result.data.STRE.priceUsd).toBeCloseTo(99, 6);
+      expect(result.data.STRE.avg10dUsd).toBeCloseTo(96.8, 6);
+      expect(result.data.STRF).toEqual(usdQuote);
+      expect(cache.get('STRE').priceUsd).toBeUndefined(); // cached quote untouched
+    });
+
+    it('should convert a replayed STRE quote with the replayed rate', async () => {
+      CONFIG.RATE_LIMITS.polygon = { limit: 50, window: 60 }; // every ticker in one pass
+
+      const result = await fetchAllPrices();
+
+      expect(result.errors).toEqual([]);
+      expect(result.data.STRE).toMatchObject({ price: 90.6, currency: 'EUR', fxRate: 1.1643 });
+      expect(result.data.STRE.priceUsd).toBeCloseTo(90.6 * 1.1643, 6);
+      expect(result.provenance.STRE).toMatchObject({ source: 'polygon', asOf: '2025-12-05T05:00:00.000Z', stale: false });
+    });
+
+    it('should price a TSE listing from Yahoo and convert it with the replayed JPY rate', async () => {
+      CONFIG.RATE_LIMITS.polygon = { limit: 50, window: 60 };
+
+      const result = await fetchAllPrices();
+
+      expect(result.errors).toEqual([]);
+      expect(result.data.jpyUsd).toBe(0.00644613);
+      expect(result.data['3350.T']).toMatchObject({ price: 449, currency: 'JPY', fxRate: 0.00644613 });
+      expect(result.data['3350.T'].priceUsd).toBeCloseTo(449 * 0.00644613, 6);
+      expect(result.provenance['3350.T']).toMatchObject({ source: 'yahoo', asOf: '2025-12-05T00:00:00.000Z' });
     });
   });
-});
 
+  describe('fetchAllPrices - partial responses', () => {
+    beforeEach(() => {
+      CONFIG.RATE_LIMITS.polygon = { limit: 50, window: 60 };
+      CONFIG.REQUEST_FETCH_TIMEOUT = 0.2;
+    });
+
+    it('should answer without a key that is still fetching and cache it once it lands', async () => {
+      const { responses } = JSON.parse(fs.readFileSync(path.join(dir, fixtureName(RATES_URL)), 'utf8'));
+      scriptFixture(RATES_URL, [{ ...responses[0], delayMs: 500 }]);
+
+      const result = await fetchAllPrices();
+
+      expect(result.partial).toBe(true);
+      expect(result.data.eurUsd).toBeNull();
+      expect(result.unavailable).toEqual({ eurUsd: 'Still fetching (no response within 0.2s)' });
+      expect(result.errors).toContain('EUR/USD: Still fetching (no response within 0.2s)');
+      // STRE has no rate to convert with yet, and says so rather than guessing one
+      expect(result.data.STRE).toMatchObject({ price: 90.6, fxRate: null, priceUsd: null });
+      expect(result.errors).toContain('STRE: No EUR/USD rate to convert price');
+
+      // The fetch keeps running in the background
+      await new Promise(resolve => setTimeout(resolve, 500));
+      expect(cache.get('eurUsd')).toBe(1.1643);
+
+      const next = await fetchAllPrices();
+      expect(next).toMatchObject({ cached: true, partial: false, errors: [] });
+    });
+
+    it('should serve expired entries as stale and revalidate them in the background', async () => {
+      await fetchAllPrices();
+      const now = Date.now();
+      vi.spyOn(Date, 'now').mockReturnValue(now + CONFIG.TTL_MAX * 1000 + 1000);
+      scriptFixture(RATES_URL, [{ status: 200, body: { rates: { USD: 1.17 } }, delayMs: 50 }]);
+
+      const result = await fetchAllPrices();
+
+      expect(result).toMatchObject({ partial: false, stale: true, errors: [] });
+      expect(result.data.eurUsd).toBe(1.1643);
+      expect(result.staleKeys).toContain('eurUsd');
+      expect(result.revalidating).toContain('eurUsd');
+      expect(result.provenance.eurUsd).toMatchObject({ source: 'exchangerate', stale: true, error: null });
+
+      await vi.waitFor(() => expect(cache.get('eurUsd')).toBe(1.17));
+    });
+  });
+});
@@ -2,16 +2,35 @@ import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 import { startScheduler, stopScheduler, getSchedulerStatus } from '../../scheduler.js';
 import { cache } from '../../cache.js';
 import * as priceService from '../../priceService.js';
+import { rateLimiter } from '../../rateLimiter.js';
+import { resetBreakers } from '../../circuitBreaker.js';
+import { historyStore } from '../../historyStore.js';
+import { resetFixtures } from '../../upstreamFixtures.js';
+import { getTrackedKeys } from '../../providers.js';
+import { CONFIG } from '../../config.js';
+
+// Refreshes that reach an upstream are replayed from the recorded fixtures
+global.fetch = vi.fn();
 
 describe('Scheduler', () => {
+  const originalMode = CONFIG.UPSTREAM_MODE;
+
   beforeEach(() => {
+    CONFIG.UPSTREAM_MODE = 'replay';
+    resetFixtures();
     cache.clear();
+    rateLimiter.reset();
+    resetBreakers();
     stopScheduler(); // Ensure clean state
     vi.clearAllMocks();
+    vi.spyOn(historyStore, 'append').mockReturnValue(true);
   });
 
   afterEach(() => {
     stopScheduler();
+    vi.useRealTimers();
+    expect(global.fetch).not.toHaveBeenCalled();
+    CONFIG.UPSTREAM_MODE = originalMode;
     vi.restoreAllMocks();
   });
 
@@ -86,15 +105,15 @@ describe('Scheduler', () => {
     await vi.advanceTimersByTimeAsync(30000);
 
     // The scheduler should have attempted to refresh
-    await new Promise(resolve => setTimeout(resolve, 100));
+    await vi.advanceTimersByTimeAsync(100);
 
     stopScheduler();
     vi.useRealTimers();
   });
 
   it('should not refresh entries with plenty of TTL', async () => {
-    // Add fresh entry
-    cache.set('btc', 100000);
+    // Add a fresh entry for every tracked key (missing keys are always fetched)
+    getTrackedKeys().forEach(key => cache.set(key, 100000));
 
     // Mock fetchAndCachePrice (shouldn't be called)
     const mockFetch = vi.spyOn(priceService, 'fetchAndCachePrice');
@@ -112,7 +131,7 @@ describe('Scheduler', () => {
     
     // Advance timer
     await vi.advanceTimersByTimeAsync(30000);
-    await new Promise(resolve => setTimeout(resolve, 100));
+    await vi.advanceTimersByTimeAsync(100);
 
     // Should not refresh fresh entries
     expect(mockFetch).not.toHaveBeenCalled();
@@ -139,7 +158,7 @@ describe('Scheduler', () => {
     
     // Advance to trigger check
     await vi.advanceTimersByTimeAsync(30000);
-    await new Promise(resolve => setTimeout(resolve, 100));
+    await vi.advanceTimersByTimeAsync(100);
 
     // Should seed cache when empty
     expect(mockFetchAll).toHaveBeenCalled();
@@ -172,7 +191,7 @@ describe('Scheduler', () => {
     await expect(startScheduler()).resolves.not.toThrow();
 
     await vi.advanceTimersByTimeAsync(30000);
-    await new Promise(resolve => setTimeout(resolve, 100));
+    await vi.advanceTimersByTimeAsync(100);
 
     stopScheduler();
     vi.useRealTimers();
@@ -0,0 +1,42 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import { requireAdminToken } from '../../adminAuth.js';
+import { CONFIG } from '../../config.js';
+
+describe('requireAdminToken', () => {
+  const originalToken = CONFIG.ADMIN_TOKEN;
+  const app = express();
+  app.post('/admin', requireAdminToken, (req, res) => res.json({ ok: true }));
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    CONFIG.ADMIN_TOKEN = originalToken;
+    vi.restoreAllMocks();
+  });
+
+  it('should disable admin endpoints when no token is configured', async () => {
+    CONFIG.ADMIN_TOKEN = '';
+
+    const response = await request(app).post('/admin').set('Authorization', 'Bearer ').expect(403);
+
+    expect(response.body.message).toContain('no ADMIN_TOKEN configured');
+  });
+
+  it('should reject missing and wrong tokens', async () => {
+    CONFIG.ADMIN_TOKEN = 'secret';
+
+    await request(app).post('/admin').expect(401).expect('WWW-Authenticate', 'Bearer');
+    await request(app).post('/admin').set('Authorization', 'Bearer secre').expect(401);
+    await request(app).post('/admin').set('Authorization', 'secret').expect(401);
+  });
+
+  it('should pass requests with the configured token', async () => {
+    CONFIG.ADMIN_TOKEN = 'secret';
+
+    await request(app).post('/admin').set('Authorization', 'Bearer secret').expect(200, { ok: true });
+  });
+});
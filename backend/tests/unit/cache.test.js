@@ -1,4 +1,7 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { cache } from '../../cache.js';
 
 describe('Cache', () => {
@@ -137,3 +140,79 @@ describe('Cache', () => {
   });
 });
 
+describe('Cache snapshots', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    cache.clear();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+    file = path.join(dir, 'nested', 'snapshot.json');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should round-trip entries with their original timestamps', () => {
+    cache.set('btc', 100000);
+    cache.set('MSTR', { price: 420 });
+    const original = cache.getRaw('btc');
+
+    expect(cache.saveSnapshot(file)).toBe(2);
+    cache.clear();
+
+    expect(cache.loadSnapshot(file)).toBe(2);
+    expect(cache.get('MSTR')).toEqual({ price: 420 });
+    expect(cache.getRaw('btc')).toEqual({ ...original, restored: true });
+  });
+
+  it('should restore expired entries for stale serving', () => {
+    const now = Date.now();
+    vi.spyOn(Date, 'now').mockReturnValue(now);
+    cache.set('btc', 100000);
+    cache.saveSnapshot(file);
+    cache.clear();
+
+    // Restart 15 minutes later: past max TTL, within max snapshot age
+    vi.spyOn(Date, 'now').mockReturnValue(now + 900 * 1000);
+    cache.loadSnapshot(file);
+
+    expect(cache.get('btc')).toBeNull();
+    expect(cache.getRaw('btc').value).toBe(100000);
+    expect(cache.getStats().entries[0].restored).toBe(true);
+  });
+
+  it('should discard entries older than the max snapshot age', () => {
+    const now = Date.now();
+    vi.spyOn(Date, 'now').mockReturnValue(now);
+    cache.set('btc', 100000);
+    cache.saveSnapshot(file);
+    cache.clear();
+
+    vi.spyOn(Date, 'now').mockReturnValue(now + 2 * 86400 * 1000);
+
+    expect(cache.loadSnapshot(file)).toBe(0);
+    expect(cache.getRaw('btc')).toBeNull();
+  });
+
+  it('should not overwrite entries fetched since boot', () => {
+    cache.set('btc', 100000);
+    cache.saveSnapshot(file);
+    cache.set('btc', 101000);
+
+    expect(cache.loadSnapshot(file)).toBe(0);
+    expect(cache.get('btc')).toBe(101000);
+  });
+
+  it('should ignore missing or corrupt snapshots', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(cache.loadSnapshot(file)).toBe(0);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '{"entries": [');
+    expect(cache.loadSnapshot(file)).toBe(0);
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateCapitalStructure, parseCapitalCsv } from '../../capitalSchema.js';
+
+const SNAPSHOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../capital/strategy/2025-12-07.json');
+const strategy = () => JSON.parse(fs.readFileSync(SNAPSHOT, 'utf8')).data;
+
+describe('validateCapitalStructure', () => {
+  it('should accept the shipped Strategy snapshot', () => {
+    expect(validateCapitalStructure(strategy())).toEqual([]);
+  });
+
+  it('should report missing required fields by path', () => {
+    const data = strategy();
+    delete data.usdReserve;
+    delete data.convertibleNotes[1].conversionPrice;
+    delete data.preferredStock.STRC.liqPref;
+
+    expect(validateCapitalStructure(data)).toEqual([
+      { path: 'usdReserve', message: 'is required' },
+      { path: 'convertibleNotes[1].conversionPrice', message: 'is required' },
+      { path: 'preferredStock.STRC.liqPref', message: 'is required' },
+    ]);
+  });
+
+  it('should reject wrong types, out-of-range values and unknown fields', () => {
+    const data = strategy();
+    data.btcHoldings = '671268';
+    data.convertibleNotes[0].coupon = 6.25;
+    data.convertibleNotes[0].maturity = 'Sept 2028';
+    data.preferredStock.STRF.dividendRate = -0.1;
+    data.preferredStock.STRF.liqPrefx = 100;
+
+    expect(validateCapitalStructure(data)).toEqual([
+      { path: 'btcHoldings', message: 'must be a number, got "671268"' },
+      { path: 'convertibleNotes[0].coupon', message: 'must be <= 0.2, got 6.25' },
+      { path: 'convertibleNotes[0].maturity', message: 'must be a YYYY-MM-DD date, got "Sept 2028"' },
+      { path: 'preferredStock.STRF.dividendRate', message: 'must be >= 0, got -0.1' },
+      { path: 'preferredStock.STRF.liqPrefx', message: 'is not a known field' },
+    ]);
+  });
+
+  it('should check internal consistency', () => {
+    const data = strategy();
+    data.totalBtcCostBasis = 40000000000;
+    data.classBShares = 29640;
+    data.convertibleNotes[0].sharesIfConverted = 6000000;
+    data.convertibleNotes[1].name = data.convertibleNotes[0].name;
+
+    const paths = validateCapitalStructure(data).map(error => error.path);
+
+    expect(paths).toEqual([
+      'totalBtcCostBasis',
+      'basicSharesOutstanding',
+      'convertibleNotes[0].sharesIfConverted',
+      'convertibleNotes[1].name',
+    ]);
+    expect(validateCapitalStructure(data)[0].message).toBe('should be about btcHoldings × avgBtcCost (50,326,304,496), got 40,000,000,000');
+  });
+
+  it('should accept new series declared by data alone', () => {
+    const data = strategy();
+    delete data.preferredStock.STRD;
+    data.preferredStock.STRX = { shares: 1000000, liqPref: 25, dividendRate: 0.09, seniority: 0, claimType: 'fixed' };
+    data.preferredStock.STRY = { shares: 500000, liqPref: 100, dividendRate: 0.08, currency: 'EUR', claimType: 'currency' };
+    data.preferredStock.STRJ = { shares: 200000, liqPref: 1000, dividendRate: 0.049, currency: 'JPY' };
+
+    expect(validateCapitalStructure(data)).toEqual([]);
+  });
+
+  it('should only accept ISO currency codes', () => {
+    const data = strategy();
+    data.preferredStock.STRE.currency = 'euro';
+    delete data.preferredStock.STRE.isEuro;
+
+    expect(validateCapitalStructure(data)).toContainEqual({
+      path: 'preferredStock.STRE.currency',
+      message: 'must be an ISO currency code (e.g. USD, EUR, JPY), got "euro"',
+    });
+  });
+
+  it('should reject contradictory claim and conversion terms', () => {
+    const data = strategy();
+    data.preferredStock.STRK.claimType = 'fixed';
+    data.preferredStock.STRE.currency = 'USD';
+    data.preferredStock.STRC.claimType = 'currency';
+    data.preferredStock.STRD.claimType = 'par';
+    data.preferredStock.STRF.isEuro = true;
+    delete data.preferredStock.STRK.conversionRatio;
+
+    expect(validateCapitalStructure(data)).toEqual([
+      { path: 'preferredStock.STRF.claimType', message: 'must be currency for a EUR series, got "dynamic"' },
+      { path: 'preferredStock.STRC.currency', message: 'is required for a currency claim (e.g. EUR)' },
+      { path: 'preferredStock.STRE.currency', message: 'contradicts isEuro: true' },
+      { path: 'preferredStock.STRK.conversionRatio', message: 'is required for a convertible preferred' },
+      { path: 'preferredStock.STRK.claimType', message: 'contradicts hasDynamicLiqPref: true' },
+      { path: 'preferredStock.STRD.claimType', message: 'must be one of fixed, dynamic, currency, got "par"' },
+    ]);
+  });
+});
+
+describe('parseCapitalCsv', () => {
+  it('should build notes and preferreds from one value per row', () => {
+    const { data, errors } = parseCapitalCsv([
+      'section,id,field,value',
+      'company,,btcHoldings,671268',
+      '"note","2028 Convert, 0.625%",principal,1010000000',
+      'note,"2028 Convert, 0.625%",maturity,2028-09-15',
+      '',
+      'preferred,STRF,hasDynamicLiqPref,true',
+      'preferred,STRF,description,"Senior Preferred (10%)"',
+    ].join('\r\n'));
+
+    expect(errors).toEqual([]);
+    expect(data).toEqual({
+      btcHoldings: 671268,
+      convertibleNotes: [{ name: '2028 Convert, 0.625%', principal: 1010000000, maturity: '2028-09-15' }],
+      preferredStock: { STRF: { hasDynamicLiqPref: true, description: 'Senior Preferred (10%)' } },
+    });
+  });
+
+  it('should round-trip the Strategy snapshot', () => {
+    const data = strategy();
+    const rows = ['section,id,field,value'];
+    for (const [field, value] of Object.entries(data)) {
+      if (typeof value !== 'object') rows.push(`company,,${field},${value}`);
+    }
+    for (const note of data.convertibleNotes) {
+      for (const [field, value] of Object.entries(note)) rows.push(`note,${note.name},${field},${value}`);
+    }
+    for (const [ticker, series] of Object.entries(data.preferredStock)) {
+      for (const [field, value] of Object.entries(series)) rows.push(`preferred,${ticker},${field},"${value}"`);
+    }
+
+    const parsed = parseCapitalCsv(rows.join('\n'));
+
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.data).toEqual(data);
+  });
+
+  it('should report malformed rows by line', () => {
+    expect(parseCapitalCsv('ticker,value\nMSTR,1').errors).toEqual([{ path: 'line 1', message: 'header must be section,id,field,value' }]);
+    expect(parseCapitalCsv('section,id,field,value\nnote,,principal,1\n\nwarrant,W1,shares,5\r\n"preferred","STRF\nA",x,1\ncompany,,btcHoldings').errors).toEqual([
+      { path: 'line 2', message: 'note rows need an id (note name or ticker)' },
+      { path: 'line 4', message: 'unknown section "warrant" (company, note or preferred)' },
+      { path: 'line 5', message: 'unknown preferred field "x"' },
+      { path: 'line 7', message: 'expected 4 columns, got 3' },
+    ]);
+  });
+
+  it('should refuse rows that would write onto Object.prototype', () => {
+    const { data, errors } = parseCapitalCsv([
+      'section,id,field,value',
+      'preferred,__proto__,polluted,yes',
+      'preferred,constructor,prototype,yes',
+      'note,prototype,principal,1',
+      'company,,__proto__,yes',
+      'preferred,STRF,__proto__,yes',
+      'company,,preferredStock,yes',
+    ].join('\n'));
+
+    expect({}.polluted).toBeUndefined();
+    expect(Object.prototype).not.toHaveProperty('polluted');
+    expect(data).toEqual({ convertibleNotes: [], preferredStock: {} });
+    expect(errors).toEqual([
+      { path: 'line 2', message: 'preferred id "__proto__" is reserved' },
+      { path: 'line 3', message: 'preferred id "constructor" is reserved' },
+      { path: 'line 4', message: 'note id "prototype" is reserved' },
+      { path: 'line 5', message: 'unknown company field "__proto__"' },
+      { path: 'line 6', message: 'unknown preferred field "__proto__"' },
+      { path: 'line 7', message: 'unknown company field "preferredStock"' },
+    ]);
+  });
+});
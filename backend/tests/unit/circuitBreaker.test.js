@@ -0,0 +1,222 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CircuitBreaker, getBreaker, getBreakerStatus, resetBreakers } from '../../circuitBreaker.js';
+import { registerProvider, unregisterProvider } from '../../providers.js';
+import { fetchAndCachePrice } from '../../priceService.js';
+import { fetchBtcQuotes, getBtcSourceHealth, resetBtcSourceHealth } from '../../btcSources.js';
+import { cache } from '../../cache.js';
+import { historyStore } from '../../historyStore.js';
+import { rateLimiter } from '../../rateLimiter.js';
+import { CONFIG } from '../../config.js';
+
+describe('CircuitBreaker', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.now();
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should open after the failure threshold', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldown: 30 });
+
+    breaker.recordFailure(new Error('boom'));
+    expect(breaker.state).toBe('closed');
+    expect(breaker.allowRequest()).toBe(true);
+
+    breaker.recordFailure(new Error('boom'));
+    expect(breaker.state).toBe('open');
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.getStatus()).toMatchObject({ state: 'open', failures: 2, lastError: 'boom', retryIn: 30, timesOpened: 1 });
+  });
+
+  it('should reset the failure count on success', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldown: 30 });
+
+    breaker.recordFailure(new Error('boom'));
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('boom'));
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('should allow a single trial after the cooldown and close on success', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, cooldown: 30 });
+    breaker.recordFailure(new Error('boom'));
+
+    now += 30000;
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  it('should re-open when the trial fails', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, cooldown: 30 });
+    breaker.recordFailure(new Error('boom'));
+
+    now += 30000;
+    breaker.allowRequest();
+    breaker.recordFailure(new Error('still down'));
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.getStatus().lastError).toBe('still down');
+  });
+
+  it('should free the trial slot when the trial never ran', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, cooldown: 30 });
+    breaker.recordFailure(new Error('boom'));
+
+    now += 30000;
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.releaseTrial();
+
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  it('should use CONFIG defaults and keep one breaker per name', () => {
+    resetBreakers();
+
+    expect(getBreaker('x')).toBe(getBreaker('x'));
+    expect(getBreakerStatus().x).toMatchObject({ state: 'closed', failureThreshold: 3, cooldown: 60 });
+  });
+});
+
+describe('Circuit breaker in the fetch path', () => {
+  let upstreamCalls;
+  let failing;
+
+  beforeEach(() => {
+    cache.clear();
+    resetBreakers();
+    resetBtcSourceHealth();
+    upstreamCalls = 0;
+    failing = true;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(historyStore, 'append').mockReturnValue(true);
+
+    registerProvider({
+      name: 'test',
+      keys: ['gold'],
+      retry: { maxRetries: 5, baseDelay: 1 },
+      circuitBreaker: { failureThreshold: 2, cooldown: 60 },
+      fetch: async () => {
+        upstreamCalls++;
+        if (failing) throw new Error('Metals HTTP 503: Service Unavailable');
+        return { spot: 2650 };
+      },
+      normalize: (data) => ({ value: data.spot, asOf: null }),
+    });
+  });
+
+  afterEach(() => {
+    unregisterProvider('test');
+    vi.restoreAllMocks();
+  });
+
+  it('should stop retrying once the circuit opens', async () => {
+    const result = await fetchAndCachePrice('gold');
+
+    expect(upstreamCalls).toBe(2);
+    expect(result.success).toBe(false);
+    expect(getBreakerStatus().test.state).toBe('open');
+  });
+
+  it('should short-circuit to stale cache while open', async () => {
+    cache.set('gold', 2600);
+    await fetchAndCachePrice('gold');
+    upstreamCalls = 0;
+
+    const result = await fetchAndCachePrice('gold');
+
+    expect(upstreamCalls).toBe(0);
+    expect(result).toMatchObject({ success: false, stale: true, value: 2600 });
+    expect(result.error).toContain('test circuit open');
+    expect(result.error).toContain('HTTP 503');
+  });
+
+  it('should recover through a half-open trial', async () => {
+    await fetchAndCachePrice('gold');
+
+    const now = Date.now();
+    vi.spyOn(Date, 'now').mockReturnValue(now + 61000);
+    failing = false;
+
+    const result = await fetchAndCachePrice('gold');
+
+    expect(result.success).toBe(true);
+    expect(getBreakerStatus().test.state).toBe('closed');
+  });
+
+  it('should release the half-open trial when its rate-limit wait is rejected', async () => {
+    const originalLimits = CONFIG.RATE_LIMITS;
+    CONFIG.RATE_LIMITS = { ...originalLimits, metals: { limit: 2, window: 60 } };
+    unregisterProvider('test');
+    registerProvider({
+      name: 'test',
+      keys: ['gold'],
+      rateLimit: 'metals',
+      retry: { maxRetries: 5, baseDelay: 1 },
+      circuitBreaker: { failureThreshold: 2, cooldown: 60 },
+      fetch: async () => {
+        upstreamCalls++;
+        if (failing) throw new Error('Metals HTTP 503: Service Unavailable');
+        return { spot: 2650 };
+      },
+      normalize: (data) => ({ value: data.spot, asOf: null }),
+    });
+
+    try {
+      await fetchAndCachePrice('gold');
+      expect(getBreakerStatus().test.state).toBe('open');
+
+      const now = Date.now();
+      vi.spyOn(Date, 'now').mockReturnValue(now + 61000);
+      failing = false;
+      rateLimiter.reset();
+      while (rateLimiter.tryAcquire('metals'));
+
+      // The trial queues for a token, then the limiter is reset under it
+      const trial = fetchAndCachePrice('gold');
+      await vi.waitFor(() => expect(rateLimiter.getUsage('metals').queued).toBe(1));
+      rateLimiter.reset();
+      expect(await trial).toMatchObject({ success: false, error: 'Rate limiter reset' });
+
+      const result = await fetchAndCachePrice('gold');
+
+      expect(result).toMatchObject({ success: true, value: 2650 });
+      expect(getBreakerStatus().test.state).toBe('closed');
+    } finally {
+      rateLimiter.reset();
+      CONFIG.RATE_LIMITS = originalLimits;
+    }
+  });
+
+  it('should skip BTC sources whose circuit is open', async () => {
+    const breaker = getBreaker('btc:bitstamp');
+    for (let i = 0; i < 3; i++) breaker.recordFailure(new Error('Bitstamp HTTP 500'));
+
+    const fetchSpy = vi.spyOn(global, 'fetch').mockImplementation(async () => ({
+      ok: true,
+      json: async () => ({ bitcoin: { usd: 100000 }, data: { amount: '100000' }, error: [], result: { X: { c: ['100000'] } } }),
+    }));
+
+    const quotes = await fetchBtcQuotes();
+
+    expect(quotes.map(q => q.source)).toEqual(['coingecko', 'kraken', 'coinbase']);
+    expect(fetchSpy.mock.calls.some(([url]) => url.includes('bitstamp'))).toBe(false);
+    expect(getBtcSourceHealth().bitstamp.status).toBe('circuit-open');
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CompanyStore, companyStore } from '../../companyStore.js';
+
+const SERIES = { shares: 1000, liqPref: 100, dividendRate: 0.1 };
+const DATA = {
+  btcHoldings: 100,
+  basicSharesOutstanding: 1000,
+  usdReserve: 5000000,
+  convertibleNotes: [],
+  preferredStock: { STRF: SERIES, STRC: SERIES, STRE: SERIES, STRK: SERIES, STRD: SERIES },
+};
+
+describe('CompanyStore', () => {
+  let dir;
+  let store;
+
+  /**
+   * Write a snapshot file for a company
+   */
+  const writeSnapshot = (company, date, contents) => {
+    fs.mkdirSync(path.join(dir, company), { recursive: true });
+    const file = path.join(dir, company, `${date}.json`);
+    fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'company-'));
+    store = new CompanyStore({ dir });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should serve the latest snapshot in effect on a date', () => {
+    writeSnapshot('acme', '2025-11-30', { name: 'Acme', source: 'acme.com', data: DATA });
+    writeSnapshot('acme', '2025-12-07', { name: 'Acme', source: 'acme.com', data: { ...DATA, btcHoldings: 120 } });
+
+    expect(store.get('acme', '2025-12-01')).toEqual({
+      company: 'acme',
+      name: 'Acme',
+      ticker: null,
+      currency: 'USD',
+      venue: 'US',
+      effectiveDate: '2025-11-30',
+      source: 'acme.com',
+      versions: ['2025-11-30', '2025-12-07'],
+      data: DATA,
+    });
+    expect(store.get('acme', '2025-12-07').data.btcHoldings).toBe(120);
+    expect(store.get('acme').effectiveDate).toBe('2025-12-07');
+  });
+
+  it('should not serve snapshots before they take effect', () => {
+    writeSnapshot('acme', '2025-12-07', { data: DATA });
+
+    expect(() => store.get('acme', '2025-12-06')).toThrow('No acme snapshot in effect on 2025-12-06');
+  });
+
+  it('should skip invalid snapshots and fall back to the previous version', () => {
+    writeSnapshot('acme', '2025-11-30', { data: DATA });
+    writeSnapshot('acme', '2025-12-07', { data: { ...DATA, btcHoldings: 'lots' } });
+    writeSnapshot('acme', '2025-12-08', '{ not json');
+
+    expect(store.versions('acme')).toEqual(['2025-11-30']);
+    expect(store.get('acme', '2025-12-08').effectiveDate).toBe('2025-11-30');
+  });
+
+  it('should serve lookups from memory once loaded', () => {
+    const file = writeSnapshot('acme', '2025-12-07', { ticker: 'ACME', data: DATA });
+    expect(store.load()).toBe(1);
+    const reads = [
+      vi.spyOn(fs, 'readFileSync'),
+      vi.spyOn(fs, 'readdirSync'),
+      vi.spyOn(fs, 'statSync'),
+      vi.spyOn(fs, 'existsSync'),
+    ];
+
+    fs.writeFileSync(file, JSON.stringify({ ticker: 'ACME', data: { ...DATA, btcHoldings: 150 } }));
+    expect(store.get('acme').data.btcHoldings).toBe(100);
+    expect(store.tickers()).toHaveProperty('ACME', { currency: 'USD', venue: 'US' });
+    expect(store.catalog()).toHaveLength(1);
+    reads.forEach(spy => expect(spy).not.toHaveBeenCalled());
+
+    store.load();
+    expect(store.get('acme').data.btcHoldings).toBe(150);
+  });
+
+  it('should reload when a snapshot is published', async () => {
+    writeSnapshot('acme', '2025-12-07', { data: DATA });
+    store.load();
+    store.startWatching();
+
+    try {
+      writeSnapshot('acme', '2025-12-08', { data: { ...DATA, btcHoldings: 150 } });
+      writeSnapshot('globex', '2025-12-07', { data: DATA });
+
+      await vi.waitFor(() => expect(store.companies()).toEqual(['acme', 'globex']), { timeout: 5000 });
+      expect(store.get('acme', '2025-12-08').data.btcHoldings).toBe(150);
+    } finally {
+      store.stopWatching();
+    }
+  });
+
+  it('should reject malformed requests with a status', () => {
+    writeSnapshot('acme', '2025-12-07', { data: DATA });
+
+    expect(() => store.get('../acme')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => store.get('acme', 'yesterday')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => store.get('nobody')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  it('should list companies with a snapshot directory', () => {
+    writeSnapshot('acme', '2025-12-07', { data: DATA });
+    writeSnapshot('globex', '2025-12-07', { data: DATA });
+
+    expect(store.companies()).toEqual(['acme', 'globex']);
+  });
+
+  it('should offer only companies with a snapshot in effect today', () => {
+    writeSnapshot('acme', '2025-12-07', { name: 'Acme', ticker: 'ACME', data: DATA });
+    writeSnapshot('globex', '2999-01-01', { name: 'Globex', ticker: 'GLBX', data: DATA });
+
+    expect(store.catalog()).toEqual([
+      { company: 'acme', name: 'Acme', ticker: 'ACME', effectiveDate: '2025-12-07' },
+    ]);
+  });
+
+  it('should collect every current ticker with its listing currency', () => {
+    writeSnapshot('acme', '2025-12-07', { ticker: 'ACME', data: DATA });
+    writeSnapshot('globex', '2025-12-07', {
+      ticker: 'GLBX',
+      data: { ...DATA, preferredStock: { GLBXP: { ...SERIES, isEuro: true }, GLBXO: { ...SERIES, currency: 'EUR' } } },
+    });
+
+    const usd = { currency: 'USD', venue: 'US' };
+    expect(store.tickers()).toEqual({
+      ACME: usd,
+      STRF: usd,
+      STRC: usd,
+      STRE: usd,
+      STRK: usd,
+      STRD: usd,
+      GLBX: usd,
+      GLBXP: { currency: 'EUR', venue: 'US' },
+      GLBXO: { currency: 'EUR', venue: 'US' },
+    });
+  });
+
+  it('should list the default company first with its declared listing currency and venue', () => {
+    writeSnapshot('metaplanet', '2025-12-07', {
+      ticker: '3350.T',
+      currency: 'JPY',
+      venue: 'TSE',
+      data: { ...DATA, preferredStock: { MERCURY: { ...SERIES, currency: 'JPY' } } },
+    });
+    writeSnapshot('strategy', '2025-12-07', { ticker: 'MSTR', data: { ...DATA, preferredStock: {} } });
+
+    expect(store.get('metaplanet')).toMatchObject({ ticker: '3350.T', currency: 'JPY', venue: 'TSE' });
+    expect(store.get('strategy')).toMatchObject({ currency: 'USD', venue: 'US' });
+    expect(store.tickers()).toEqual({
+      MSTR: { currency: 'USD', venue: 'US' },
+      '3350.T': { currency: 'JPY', venue: 'TSE' },
+      MERCURY: { currency: 'JPY', venue: 'TSE' },
+    });
+    expect(Object.keys(store.tickers())[0]).toBe('MSTR');
+  });
+
+  it('should skip snapshots with a malformed currency or venue', () => {
+    writeSnapshot('acme', '2025-12-07', { currency: 'yen', venue: 'tokyo', data: DATA });
+
+    expect(store.versions('acme')).toEqual([]);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('currency must be an ISO currency code, got \\"yen\\"'));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('venue must be an upper-case exchange code'));
+  });
+
+  it('should skip snapshots with a malformed ticker', () => {
+    writeSnapshot('acme', '2025-12-07', { ticker: 'acme', data: DATA });
+
+    expect(store.versions('acme')).toEqual([]);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('ticker must be an upper-case ticker, got \\"acme\\"'));
+  });
+
+  it('should ship a valid Strategy snapshot', () => {
+    const snapshot = companyStore.get('strategy', '2025-12-07');
+
+    expect(snapshot).toMatchObject({ company: 'strategy', name: 'Strategy', ticker: 'MSTR', effectiveDate: '2025-12-07' });
+    expect(snapshot.data.btcHoldings).toBe(671268);
+    expect(Object.keys(snapshot.data.preferredStock)).toEqual(['STRF', 'STRC', 'STRE', 'STRK', 'STRD']);
+  });
+
+  it('should ship a valid Metaplanet snapshot listed in yen on the TSE', () => {
+    const snapshot = companyStore.get('metaplanet', '2025-12-30');
+
+    expect(snapshot).toMatchObject({ company: 'metaplanet', ticker: '3350.T', currency: 'JPY', venue: 'TSE' });
+    expect(snapshot.data.preferredStock.MERCURY).toMatchObject({ currency: 'JPY', liqPref: 1000, unlisted: true });
+    expect(companyStore.tickers()).toMatchObject({ '3350.T': { currency: 'JPY', venue: 'TSE' } });
+    expect(companyStore.tickers()).not.toHaveProperty('MERCURY');
+  });
+});
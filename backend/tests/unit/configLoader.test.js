@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, applyConfig, getEffectiveConfig, parseValue, validateConfig, DEFAULTS } from '../../configLoader.js';
+import { CONFIG } from '../../config.js';
+
+describe('Config loader', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeFile = (settings) => {
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify(settings));
+    return file;
+  };
+
+  it('should return the defaults when nothing is overridden', () => {
+    const { config, sources } = loadConfig({ argv: [], env: {} });
+
+    expect(config).toEqual(DEFAULTS);
+    expect(sources).toEqual({});
+  });
+
+  it('should apply file, env and CLI in order of precedence', () => {
+    const file = writeFile({ TTL_MIN: 100, TTL_MAX: 200, SCHEDULER_INTERVAL: 5 });
+
+    const { config, sources } = loadConfig({
+      argv: ['--config', file, '--ttl-min=150'],
+      env: { TTL_MAX: '400', TTL_MIN: '120' },
+    });
+
+    expect(config.TTL_MIN).toBe(150);
+    expect(config.TTL_MAX).toBe(400);
+    expect(config.SCHEDULER_INTERVAL).toBe(5);
+    expect(sources).toEqual({ TTL_MIN: 'cli', TTL_MAX: 'env', SCHEDULER_INTERVAL: 'file' });
+  });
+
+  it('should merge rate-limit policies instead of replacing them', () => {
+    const { config } = loadConfig({
+      argv: [],
+      env: { RATE_LIMITS: '{"polygon":{"limit":100},"kraken":{"limit":20,"window":60}}' },
+    });
+
+    expect(config.RATE_LIMITS.polygon).toEqual({ limit: 100, window: 60 });
+    expect(config.RATE_LIMITS.coingecko).toEqual(DEFAULTS.RATE_LIMITS.coingecko);
+    expect(config.RATE_LIMITS.kraken).toEqual({ limit: 20, window: 60 });
+  });
+
+  it('should parse lists, booleans and numbers from strings', () => {
+    expect(parseValue('MSTR, STRK', { type: 'array' })).toEqual(['MSTR', 'STRK']);
+    expect(parseValue('false', { type: 'boolean' })).toBe(false);
+    expect(parseValue('8080', { type: 'integer' })).toBe(8080);
+    expect(parseValue('abc', { type: 'integer' })).toBe('abc');
+
+    const { config } = loadConfig({ argv: ['--seed-on-startup', '--port', '8080'], env: { SEED_ON_STARTUP: 'no' } });
+    expect(config.SEED_ON_STARTUP).toBe(true);
+    expect(config.PORT).toBe(8080);
+  });
+
+  it('should report every invalid setting with its source', () => {
+    expect(() => loadConfig({
+      argv: ['--max-retries', '0'],
+      env: { TTL_MIN: 'soon', LOG_LEVEL: 'verbose' },
+    })).toThrow(/TTL_MIN must be an integer, got "soon" \(from env\)[\s\S]*MAX_RETRIES must be >= 1, got 0 \(from cli\)[\s\S]*LOG_LEVEL must be one of/);
+  });
+
+  it('should enforce cross-field rules', () => {
+    const errors = validateConfig({ ...DEFAULTS, TTL_MIN: 700, BTC_MIN_SOURCES: 9 });
+
+    expect(errors).toEqual([
+      'TTL_MIN (700) must not exceed TTL_MAX (600)',
+      'BTC_MIN_SOURCES (9) exceeds the 4 configured BTC_SOURCES',
+    ]);
+    expect(validateConfig({ ...DEFAULTS, REFRESH_THRESHOLD: 300 })[0]).toMatch(/REFRESH_THRESHOLD \(300\) must be below TTL_MIN/);
+  });
+
+  it('should reject unknown keys, flags and missing explicit files', () => {
+    const file = writeFile({ TTL_MINIMUM: 10 });
+
+    expect(() => loadConfig({ argv: [], env: { CONFIG_FILE: file } })).toThrow('Unknown setting in');
+    expect(() => loadConfig({ argv: ['--ttl'], env: {} })).toThrow('Unknown flag: --ttl');
+    expect(() => loadConfig({ argv: [], env: { CONFIG_FILE: path.join(dir, 'missing.json') } })).toThrow('Cannot read config file');
+  });
+
+  describe('applyConfig', () => {
+    const original = structuredClone(CONFIG);
+
+    afterEach(() => {
+      Object.assign(CONFIG, original);
+      applyConfig({ config: {}, sources: {}, file: null });
+    });
+
+    it('should update CONFIG and report the effective config with secrets redacted', () => {
+      applyConfig(loadConfig({ argv: [], env: { TTL_MIN: '120', POLYGON_API_KEY: 'secret-key' } }));
+
+      expect(CONFIG.TTL_MIN).toBe(120);
+
+      const effective = getEffectiveConfig();
+      expect(effective.overrides).toEqual({ TTL_MIN: 'env', POLYGON_API_KEY: 'env' });
+      expect(effective.values.TTL_MIN).toBe(120);
+      expect(effective.values.POLYGON_API_KEY).toBe('[redacted]');
+      expect(JSON.stringify(effective)).not.toContain('secret-key');
+    });
+  });
+});
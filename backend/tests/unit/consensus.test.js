@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { median, computeConsensus } from '../../consensus.js';
+import { fetchBtcQuotes, markOutliers, getBtcSourceHealth, resetBtcSourceHealth } from '../../btcSources.js';
+import { resetBreakers } from '../../circuitBreaker.js';
+
+describe('median', () => {
+  it('should return the middle value of an odd-length list', () => {
+    expect(median([3, 1, 2])).toBe(2);
+  });
+
+  it('should average the middle values of an even-length list', () => {
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+  });
+
+  it('should return NaN for an empty list', () => {
+    expect(median([])).toBeNaN();
+  });
+});
+
+describe('computeConsensus', () => {
+  const options = { maxDeviation: 0.02, minSources: 2 };
+
+  it('should take the median of agreeing sources', () => {
+    const result = computeConsensus([
+      { source: 'a', price: 100000 },
+      { source: 'b', price: 100200 },
+      { source: 'c', price: 99900 },
+    ], options);
+
+    expect(result.price).toBe(100000);
+    expect(result.accepted).toHaveLength(3);
+    expect(result.rejected).toHaveLength(0);
+  });
+
+  it('should reject a single outlier', () => {
+    const result = computeConsensus([
+      { source: 'a', price: 100000 },
+      { source: 'b', price: 100100 },
+      { source: 'c', price: 99950 },
+      { source: 'd', price: 10000 },
+    ], options);
+
+    expect(result.price).toBe(100000);
+    expect(result.rejected.map(q => q.source)).toEqual(['d']);
+  });
+
+  it('should fail when too few sources respond', () => {
+    expect(() => computeConsensus([{ source: 'a', price: 100000 }], options))
+      .toThrow('1 of 2 required sources');
+  });
+
+  it('should fail when sources disagree', () => {
+    expect(() => computeConsensus([
+      { source: 'a', price: 100000 },
+      { source: 'b', price: 120000 },
+    ], options)).toThrow('agree');
+  });
+});
+
+describe('BTC sources', () => {
+  beforeEach(() => {
+    resetBtcSourceHealth();
+    resetBreakers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should query every source and record per-source health', async () => {
+    vi.spyOn(global, 'fetch').mockImplementation(async (url) => {
+      if (url.includes('coingecko')) return { ok: true, json: async () => ({ bitcoin: { usd: 100000 } }) };
+      if (url.includes('kraken')) return { ok: true, json: async () => ({ error: [], result: { XXBTZUSD: { c: ['100050.1', '0.1'] } } }) };
+      if (url.includes('coinbase')) return { ok: true, json: async () => ({ data: { amount: '99980.00' } }) };
+      return { ok: false, status: 503, statusText: 'Service Unavailable' };
+    });
+
+    const quotes = await fetchBtcQuotes();
+
+    expect(quotes.map(q => q.source)).toEqual(['coingecko', 'kraken', 'coinbase']);
+    expect(quotes[1].price).toBe(100050.1);
+
+    const health = getBtcSourceHealth();
+    expect(health.coingecko.status).toBe('ok');
+    expect(health.bitstamp.status).toBe('error');
+    expect(health.bitstamp.error).toContain('HTTP 503');
+    expect(health.bitstamp.consecutiveFailures).toBe(1);
+  });
+
+  it('should flag outliers in source health', () => {
+    markOutliers([{ source: 'kraken', price: 50000, deviation: 0.5 }]);
+
+    const health = getBtcSourceHealth();
+    expect(health.kraken.status).toBe('outlier');
+    expect(health.kraken.error).toContain('50.00%');
+  });
+});
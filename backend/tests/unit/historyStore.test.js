@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HistoryStore, parseTime } from '../../historyStore.js';
+
+/**
+ * Wait for fire-and-forget file appends to land
+ * @returns {Promise<void>}
+ */
+const flush = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('HistoryStore', () => {
+  let dir;
+  let file;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    file = path.join(dir, 'nested', 'history.jsonl');
+    store = new HistoryStore({ file });
+  });
+
+  afterEach(async () => {
+    // Appends are fire-and-forget; removing the directory under them races
+    await flush();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should append numeric and quote values', () => {
+    expect(store.append('btc', 100000, 1000)).toBe(true);
+    expect(store.append('MSTR', { price: 420, volume: 10 }, 1000)).toBe(true);
+    expect(store.append('MSTR', null, 2000)).toBe(false);
+
+    expect(store.query('btc')).toEqual([{ timestamp: new Date(1000).toISOString(), value: 100000 }]);
+    expect(store.query('MSTR')[0].value).toBe(420);
+    expect(store.keys()).toEqual(['MSTR', 'btc']);
+  });
+
+  it('should persist to disk and survive a restart', async () => {
+    store.append('btc', 100000, 1000);
+    store.append('btc', 101000, 2000);
+    await flush();
+
+    fs.appendFileSync(file, '{"k":"btc","t":30'); // torn write
+
+    const restarted = new HistoryStore({ file });
+    expect(restarted.load()).toBe(2);
+    expect(restarted.query('btc').map(p => p.value)).toEqual([100000, 101000]);
+  });
+
+  it('should filter by time range', () => {
+    [1000, 2000, 3000, 4000].forEach((t, i) => store.append('btc', 100 + i, t));
+
+    const points = store.query('btc', { from: 2000, to: 3000 });
+    expect(points.map(p => p.value)).toEqual([101, 102]);
+  });
+
+  it('should downsample into OHLC buckets', () => {
+    const hour = 60 * 60 * 1000;
+    store.append('btc', 100, 0);
+    store.append('btc', 110, 10 * 60 * 1000);
+    store.append('btc', 95, 20 * 60 * 1000);
+    store.append('btc', 105, 30 * 60 * 1000);
+    store.append('btc', 120, hour + 1000);
+
+    const buckets = store.query('btc', { interval: '1h' });
+
+    expect(buckets).toHaveLength(2);
+    expect(buckets[0]).toEqual({
+      timestamp: new Date(0).toISOString(),
+      open: 100,
+      high: 110,
+      low: 95,
+      close: 105,
+      count: 4,
+    });
+    expect(buckets[1].close).toBe(120);
+  });
+
+  it('should reject unknown intervals', () => {
+    expect(() => store.query('btc', { interval: '7m' })).toThrow('Invalid interval');
+  });
+
+  it('should return an empty series for unknown keys', () => {
+    expect(store.query('nothing')).toEqual([]);
+  });
+});
+
+describe('parseTime', () => {
+  it('should accept epoch milliseconds and ISO dates', () => {
+    expect(parseTime('1765000000000')).toBe(1765000000000);
+    expect(parseTime('2025-12-07T00:00:00Z')).toBe(Date.UTC(2025, 11, 7));
+  });
+
+  it('should return null when absent and throw when invalid', () => {
+    expect(parseTime(undefined)).toBeNull();
+    expect(parseTime('')).toBeNull();
+    expect(() => parseTime('yesterday')).toThrow('Invalid time');
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { trailingAverage, trailingVwap } from '../../indicators.js';
+import { getProviderForKey } from '../../providers.js';
+
+// 12 daily bars, oldest first: closes 90..101, volume 1000 each
+const bars = Array.from({ length: 12 }, (_, i) => ({
+  c: 90 + i,
+  v: 1000,
+  h: 91 + i,
+  l: 89 + i,
+  t: Date.UTC(2025, 11, 1 + i),
+}));
+
+describe('trailingAverage', () => {
+  it('should average the last N closes', () => {
+    // Last 10 closes: 92..101
+    expect(trailingAverage(bars, 10)).toBe(96.5);
+  });
+
+  it('should use every bar when fewer than N are available', () => {
+    expect(trailingAverage(bars.slice(0, 3), 10)).toBe(91);
+  });
+
+  it('should return null for no bars', () => {
+    expect(trailingAverage([], 10)).toBeNull();
+  });
+});
+
+describe('trailingVwap', () => {
+  it('should weight prices by volume', () => {
+    const weighted = [
+      { c: 100, v: 3000 },
+      { c: 110, v: 1000 },
+    ];
+    expect(trailingVwap(weighted, 10)).toBe(102.5);
+  });
+
+  it('should prefer the bar VWAP over the close when present', () => {
+    expect(trailingVwap([{ c: 100, vw: 98, v: 500 }], 10)).toBe(98);
+  });
+
+  it('should return null when there is no volume', () => {
+    expect(trailingVwap([{ c: 100, v: 0 }], 10)).toBeNull();
+  });
+});
+
+describe('Polygon provider aggregates', () => {
+  it('should quote the latest bar with its 10-day averages', () => {
+    const quote = getProviderForKey('STRF').normalize({ status: 'OK', results: bars }, 'STRF');
+
+    expect(quote.value.price).toBe(101);
+    expect(quote.value.avg10d).toBe(96.5);
+    expect(quote.value.vwap10d).toBe(96.5);
+    expect(quote.asOf).toBe(new Date(Date.UTC(2025, 11, 12)).toISOString());
+  });
+});
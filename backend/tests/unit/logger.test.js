@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createLogger, runWithRequestId, getRequestId } from '../../logger.js';
+import { CONFIG } from '../../config.js';
+
+describe('Logger', () => {
+  const original = { level: CONFIG.LOG_LEVEL, format: CONFIG.LOG_FORMAT };
+  let logSpy;
+  let errorSpy;
+
+  beforeEach(() => {
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    CONFIG.LOG_LEVEL = original.level;
+    CONFIG.LOG_FORMAT = original.format;
+    vi.restoreAllMocks();
+  });
+
+  it('should drop records below the configured level', () => {
+    CONFIG.LOG_LEVEL = 'info';
+    const log = createLogger('Test');
+
+    log.debug('hidden');
+    log.info('shown');
+
+    expect(logSpy).toHaveBeenCalledTimes(1);
+    expect(logSpy.mock.calls[0][0]).toContain('INFO  [Test] shown');
+  });
+
+  it('should print fields as key=value in pretty format', () => {
+    CONFIG.LOG_FORMAT = 'pretty';
+    createLogger('Cache').info('SET', { key: 'btc', ttl: 300, note: 'two words' });
+
+    expect(logSpy.mock.calls[0][0]).toMatch(/ INFO {2}\[Cache\] SET key=btc ttl=300 note="two words"$/);
+  });
+
+  it('should emit one JSON object per line in json format', () => {
+    CONFIG.LOG_FORMAT = 'json';
+    createLogger('PriceService').error('Failed to fetch', { key: 'MSTR', error: new Error('HTTP 503') });
+
+    const record = JSON.parse(errorSpy.mock.calls[0][0]);
+    expect(record).toMatchObject({
+      level: 'error',
+      module: 'PriceService',
+      msg: 'Failed to fetch',
+      key: 'MSTR',
+      error: 'HTTP 503',
+    });
+    expect(new Date(record.time).toString()).not.toBe('Invalid Date');
+  });
+
+  it('should attach the request ID across async boundaries', async () => {
+    CONFIG.LOG_FORMAT = 'json';
+    const log = createLogger('API');
+
+    await runWithRequestId('req-1', async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      log.info('inside');
+    });
+    log.info('outside');
+
+    expect(JSON.parse(logSpy.mock.calls[0][0]).requestId).toBe('req-1');
+    expect(JSON.parse(logSpy.mock.calls[1][0])).not.toHaveProperty('requestId');
+    expect(getRequestId()).toBeNull();
+  });
+});
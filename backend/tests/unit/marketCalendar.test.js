@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  getTradingHours,
+  getHoliday,
+  isMarketOpen,
+  getNextOpen,
+  getLastClose,
+  getMarketStatus,
+  getQuoteSession,
+  isClosingQuote,
+} from '../../marketCalendar.js';
+import { registerProvider, unregisterProvider } from '../../providers.js';
+import { fetchAndCachePrice } from '../../priceService.js';
+import { cache } from '../../cache.js';
+import { resetBreakers } from '../../circuitBreaker.js';
+import { historyStore } from '../../historyStore.js';
+
+describe('Market calendar', () => {
+  it('should observe NYSE holidays, including weekend shifts', () => {
+    expect(getHoliday('2025-04-18')).toBe('Good Friday');
+    expect(getHoliday('2025-11-27')).toBe('Thanksgiving Day');
+    expect(getHoliday('2026-07-03')).toBe('Independence Day'); // July 4 is a Saturday
+    expect(getHoliday('2027-06-18')).toBe('Juneteenth');       // June 19 is a Saturday
+    expect(getHoliday('2021-12-31')).toBeNull();               // Saturday New Year's is not observed
+    expect(getTradingHours('2025-12-25')).toBeNull();
+    expect(getTradingHours('2025-12-06')).toBeNull();          // Saturday
+  });
+
+  it('should close at 13:00 on early-close days', () => {
+    expect(getTradingHours('2025-11-28')).toEqual({ open: 570, close: 780, earlyClose: 'Day after Thanksgiving' });
+    expect(getTradingHours('2025-12-24').close).toBe(780);
+    expect(getTradingHours('2025-07-03').close).toBe(780);
+    expect(getTradingHours('2025-12-23')).toEqual({ open: 570, close: 960, earlyClose: null });
+  });
+
+  it('should convert session times across daylight saving', () => {
+    // 9:30 ET is 14:30 UTC in winter and 13:30 UTC in summer
+    expect(isMarketOpen(new Date('2025-12-08T14:29:00Z'))).toBe(false);
+    expect(isMarketOpen(new Date('2025-12-08T14:30:00Z'))).toBe(true);
+    expect(isMarketOpen(new Date('2025-07-07T13:30:00Z'))).toBe(true);
+    expect(isMarketOpen(new Date('2025-11-28T18:30:00Z'))).toBe(false); // after the early close
+  });
+
+  it('should find the next open and last close around a holiday weekend', () => {
+    const thanksgivingNight = new Date('2025-11-27T23:00:00Z');
+
+    expect(getNextOpen(thanksgivingNight).toISOString()).toBe('2025-11-28T14:30:00.000Z');
+    expect(getLastClose(thanksgivingNight).toISOString()).toBe('2025-11-26T21:00:00.000Z');
+    expect(getNextOpen(new Date('2025-11-28T19:00:00Z')).toISOString()).toBe('2025-12-01T14:30:00.000Z');
+  });
+
+  it('should report why the market is closed', () => {
+    expect(getMarketStatus(new Date('2025-12-06T15:00:00Z'))).toMatchObject({ open: false, reason: 'weekend' });
+    expect(getMarketStatus(new Date('2025-12-25T15:00:00Z'))).toMatchObject({ open: false, reason: 'holiday', holiday: 'Christmas Day' });
+    expect(getMarketStatus(new Date('2025-12-08T12:00:00Z'))).toMatchObject({ open: false, reason: 'pre-market' });
+    expect(getMarketStatus(new Date('2025-12-08T15:00:00Z'))).toMatchObject({
+      open: true,
+      reason: null,
+      closesAt: '2025-12-08T21:00:00.000Z',
+    });
+  });
+
+  it('should tell live quotes from closing quotes', () => {
+    const grace = 15 * 60 * 1000;
+    const saturday = new Date('2025-12-06T15:00:00Z');
+
+    expect(getQuoteSession(Date.parse('2025-12-05T18:00:00Z'))).toBe('live');
+    expect(getQuoteSession(Date.parse('2025-12-05T22:00:00Z'))).toBe('close');
+    expect(isClosingQuote(Date.parse('2025-12-05T22:00:00Z'), grace, saturday)).toBe(true);
+    // Fetched before the closing print settled: still needs one refresh
+    expect(isClosingQuote(Date.parse('2025-12-05T21:05:00Z'), grace, saturday)).toBe(false);
+    expect(isClosingQuote(Date.parse('2025-12-08T15:00:00Z'), grace, new Date('2025-12-08T15:01:00Z'))).toBe(false);
+  });
+
+  it('should observe Japanese holidays on the TSE calendar', () => {
+    expect(getHoliday('2025-11-24', 'TSE')).toBe('Labour Thanksgiving Day (observed)'); // November 23 is a Sunday
+    expect(getHoliday('2026-09-22', 'TSE')).toBe("Citizens' Holiday");                 // between two holidays
+    expect(getHoliday('2025-03-20', 'TSE')).toBe('Vernal Equinox Day');
+    expect(getHoliday('2026-01-02', 'TSE')).toBe('Year-end holiday');
+    expect(getHoliday('2025-11-27', 'TSE')).toBeNull();                                 // US Thanksgiving
+    expect(getTradingHours('2025-12-08', 'TSE')).toEqual({ open: 540, close: 930, earlyClose: null });
+    expect(() => getTradingHours('2025-12-08', 'LSE')).toThrow('No trading calendar for venue LSE');
+  });
+
+  it('should run TSE sessions on Tokyo time', () => {
+    const tokyoMorning = new Date('2025-12-08T01:00:00Z'); // Monday 10:00 JST, Sunday 20:00 ET
+
+    expect(isMarketOpen(tokyoMorning, 'TSE')).toBe(true);
+    expect(isMarketOpen(tokyoMorning)).toBe(false);
+    expect(getMarketStatus(tokyoMorning, 'TSE')).toMatchObject({ open: true, closesAt: '2025-12-08T06:30:00.000Z' });
+    expect(getNextOpen(new Date('2025-12-05T07:00:00Z'), 'TSE').toISOString()).toBe('2025-12-08T00:00:00.000Z');
+    expect(getLastClose(new Date('2025-12-05T07:00:00Z'), 'TSE').toISOString()).toBe('2025-12-05T06:30:00.000Z');
+    // 14:03 ET on a Friday: NYSE trading, Tokyo long closed
+    expect(getQuoteSession(Date.parse('2025-12-05T19:03:00Z'), 'TSE')).toBe('close');
+    expect(getQuoteSession(Date.parse('2025-12-05T19:03:00Z'))).toBe('live');
+  });
+});
+
+describe('Market-hours TTL', () => {
+  beforeEach(() => {
+    cache.clear();
+    resetBreakers();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(historyStore, 'append').mockReturnValue(true);
+    registerProvider({
+      name: 'test',
+      keys: ['TEST'],
+      marketHours: true,
+      fetch: async () => ({ price: 10 }),
+      normalize: (data) => ({ value: data, asOf: null }),
+    });
+    registerProvider({
+      name: 'test-tse',
+      keys: ['TEST.T'],
+      marketHours: true,
+      venue: 'TSE',
+      fetch: async () => ({ price: 450 }),
+      normalize: (data) => ({ value: data, asOf: null }),
+    });
+  });
+
+  afterEach(() => {
+    unregisterProvider('test');
+    unregisterProvider('test-tse');
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should keep a closing quote fresh until the next open', async () => {
+    vi.setSystemTime(new Date('2025-12-06T15:00:00Z')); // Saturday
+
+    await fetchAndCachePrice('TEST');
+
+    expect(cache.getRaw('TEST').expiresAt).toBe(Date.parse('2025-12-08T14:30:00Z'));
+  });
+
+  it('should use the normal TTL during the session', async () => {
+    vi.setSystemTime(new Date('2025-12-08T15:00:00Z')); // Monday 10:00 ET
+
+    await fetchAndCachePrice('TEST');
+
+    expect(cache.getRemainingTTL('TEST')).toBeLessThanOrEqual(600 * 1000);
+  });
+
+  it('should keep refreshing a TSE quote fetched during Tokyo hours while the NYSE is closed', async () => {
+    vi.setSystemTime(new Date('2025-12-08T01:00:00Z')); // Monday 10:00 JST, Sunday 20:00 ET
+
+    const set = vi.fn();
+    cache.once('set', set);
+    await fetchAndCachePrice('TEST.T');
+
+    expect(set).toHaveBeenCalledWith(expect.objectContaining({ key: 'TEST.T', session: 'live' }));
+    expect(cache.getRemainingTTL('TEST.T')).toBeLessThanOrEqual(600 * 1000);
+    expect(isClosingQuote(Date.now(), 15 * 60 * 1000, new Date(Date.now() + 60 * 1000), 'TSE')).toBe(false);
+  });
+
+  it('should hold a TSE closing quote until the next Tokyo open', async () => {
+    vi.setSystemTime(new Date('2025-12-08T07:00:00Z')); // Monday 16:00 JST, NYSE pre-market
+
+    const set = vi.fn();
+    cache.once('set', set);
+    await fetchAndCachePrice('TEST.T');
+
+    expect(set).toHaveBeenCalledWith(expect.objectContaining({ key: 'TEST.T', session: 'close' }));
+    expect(cache.getRaw('TEST.T').expiresAt).toBe(Date.parse('2025-12-09T00:00:00Z'));
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { metrics } from '../../metrics.js';
+import { cache } from '../../cache.js';
+import { rateLimiter } from '../../rateLimiter.js';
+import { resetBreakers } from '../../circuitBreaker.js';
+import { registerProvider, unregisterProvider } from '../../providers.js';
+import { fetchAndCachePrice } from '../../priceService.js';
+import { fetchJson } from '../../upstream.js';
+import { historyStore } from '../../historyStore.js';
+
+describe('Metrics registry', () => {
+  it('should render counters with escaped labels', () => {
+    const counter = metrics.counter('test_events_total', 'Test events');
+    counter.inc({ kind: 'a"b' });
+    counter.inc({ kind: 'a"b' }, 2);
+
+    const text = metrics.render();
+
+    expect(text).toContain('# HELP price_service_test_events_total Test events');
+    expect(text).toContain('# TYPE price_service_test_events_total counter');
+    expect(text).toContain('price_service_test_events_total{kind="a\\"b"} 3');
+  });
+
+  it('should render cumulative histogram buckets', () => {
+    const histogram = metrics.histogram('test_duration_seconds', 'Test durations', [0.1, 1]);
+    histogram.observe({ op: 'x' }, 0.05);
+    histogram.observe({ op: 'x' }, 0.5);
+    histogram.observe({ op: 'x' }, 5);
+
+    const text = metrics.render();
+
+    expect(text).toContain('price_service_test_duration_seconds_bucket{op="x",le="0.1"} 1');
+    expect(text).toContain('price_service_test_duration_seconds_bucket{op="x",le="1"} 2');
+    expect(text).toContain('price_service_test_duration_seconds_bucket{op="x",le="+Inf"} 3');
+    expect(text).toContain('price_service_test_duration_seconds_sum{op="x"} 5.55');
+    expect(text).toContain('price_service_test_duration_seconds_count{op="x"} 3');
+  });
+
+  it('should return the existing metric for a duplicate name', () => {
+    expect(metrics.counter('test_events_total', 'Again')).toBe(metrics.counter('test_events_total', 'Test events'));
+  });
+});
+
+describe('Service metrics', () => {
+  beforeEach(() => {
+    cache.clear();
+    rateLimiter.reset();
+    resetBreakers();
+    metrics.reset();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(historyStore, 'append').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    unregisterProvider('test');
+    vi.restoreAllMocks();
+  });
+
+  it('should count cache hits, misses and sets per key and report entry age', () => {
+    cache.set('btc', 100000);
+    cache.get('btc');
+    cache.get('MSTR');
+
+    const text = metrics.render();
+
+    expect(text).toContain('price_service_cache_sets_total{key="btc"} 1');
+    expect(text).toContain('price_service_cache_hits_total{key="btc"} 1');
+    expect(text).toContain('price_service_cache_misses_total{key="MSTR"} 1');
+    expect(text).toContain('price_service_cache_entries 1');
+    expect(text).toMatch(/price_service_cache_entry_age_seconds\{key="btc"\} \d/);
+  });
+
+  it('should count provider attempts, retries and results', async () => {
+    let calls = 0;
+    registerProvider({
+      name: 'test',
+      keys: ['gold'],
+      retry: { maxRetries: 3, baseDelay: 1 },
+      fetch: async () => {
+        calls++;
+        if (calls === 1) throw new Error('HTTP 500');
+        return { spot: 2650 };
+      },
+      normalize: (data) => ({ value: data.spot, asOf: null }),
+    });
+
+    await fetchAndCachePrice('gold');
+
+    const text = metrics.render();
+
+    expect(text).toContain('price_service_provider_attempts_total{provider="test",outcome="failure"} 1');
+    expect(text).toContain('price_service_provider_attempts_total{provider="test",outcome="success"} 1');
+    expect(text).toContain('price_service_retries_total{provider="test"} 1');
+    expect(text).toContain('price_service_price_fetches_total{key="gold",result="success"} 1');
+    expect(text).toContain('price_service_provider_attempt_duration_seconds_count{provider="test"} 2');
+  });
+
+  it('should count upstream HTTP requests by status', async () => {
+    vi.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' });
+
+    await expect(fetchJson('https://example.com', 'Example')).rejects.toThrow('HTTP 503');
+
+    const text = metrics.render();
+    expect(text).toContain('price_service_upstream_requests_total{upstream="Example",status="503"} 1');
+    expect(text).toContain('price_service_upstream_request_duration_seconds_count{upstream="Example"} 1');
+  });
+
+  it('should expose rate-limiter usage', () => {
+    rateLimiter.tryAcquire('polygon');
+
+    const text = metrics.render();
+
+    expect(text).toContain('price_service_ratelimit_tokens_remaining{api="polygon"} 4');
+    expect(text).toContain('price_service_ratelimit_queue_depth{api="polygon"} 0');
+    expect(text).toContain('price_service_ratelimit_acquired_total{api="polygon"} 1');
+  });
+});
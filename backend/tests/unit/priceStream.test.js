@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import { cache } from '../../cache.js';
+import { streamPrices, formatEvent, getStreamClientCount } from '../../priceStream.js';
+
+/**
+ * Minimal stand-in for an Express response that records writes
+ * @returns {Object} Mock response
+ */
+function mockResponse() {
+  return {
+    writes: [],
+    writeHead: vi.fn(),
+    write(chunk) {
+      this.writes.push(chunk);
+    },
+  };
+}
+
+/**
+ * Parse recorded `price` events back into payloads
+ * @param {Object} res - Mock response
+ * @returns {Object[]} Event payloads
+ */
+function priceEvents(res) {
+  return res.writes
+    .filter(chunk => chunk.startsWith('event: price'))
+    .map(chunk => JSON.parse(chunk.split('data: ')[1]));
+}
+
+describe('Price stream', () => {
+  let req;
+  let res;
+
+  beforeEach(() => {
+    cache.clear();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    req = new EventEmitter();
+    res = mockResponse();
+  });
+
+  afterEach(() => {
+    req.emit('close');
+    vi.restoreAllMocks();
+  });
+
+  it('should format SSE messages', () => {
+    expect(formatEvent('price', { key: 'btc' })).toBe('event: price\ndata: {"key":"btc"}\n\n');
+  });
+
+  it('should replay cached values on connect', () => {
+    cache.set('btc', 100000);
+
+    streamPrices(req, res);
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    const [event] = priceEvents(res);
+    expect(event).toMatchObject({ key: 'btc', value: 100000, source: 'btcConsensus', stale: false });
+    expect(event.ttl).toBeGreaterThan(0);
+  });
+
+  it('should replay the provenance of each cached value', () => {
+    cache.set('MSTR', { price: 420 }, { source: 'polygon', asOf: '2025-12-05T05:00:00.000Z' });
+    const entry = cache.getRaw('MSTR');
+    cache.invalidate('MSTR');
+
+    streamPrices(req, res);
+
+    const [event] = priceEvents(res);
+    expect(event).toMatchObject({
+      key: 'MSTR',
+      source: 'polygon',
+      asOf: '2025-12-05T05:00:00.000Z',
+      fetchedAt: new Date(entry.createdAt).toISOString(),
+      stale: true,
+      ttl: 0,
+    });
+  });
+
+  it('should push every cache update with its TTL and source', () => {
+    streamPrices(req, res);
+
+    cache.set('MSTR', { price: 420 }, { source: 'polygon' });
+
+    const [event] = priceEvents(res);
+    expect(event).toMatchObject({ key: 'MSTR', value: { price: 420 }, source: 'polygon' });
+    expect(event.ttl).toBeGreaterThanOrEqual(300);
+  });
+
+  it('should fan out to every client from a single cache listener', () => {
+    const others = Array.from({ length: 15 }, () => ({ req: new EventEmitter(), res: mockResponse() }));
+    streamPrices(req, res);
+    others.forEach(client => streamPrices(client.req, client.res));
+
+    cache.set('btc', 100000);
+
+    expect(cache.listenerCount('set')).toBe(1);
+    expect(priceEvents(res)).toHaveLength(1);
+    others.forEach(client => expect(priceEvents(client.res)).toHaveLength(1));
+
+    others.forEach(client => client.req.emit('close'));
+    expect(getStreamClientCount()).toBe(1);
+    expect(cache.listenerCount('set')).toBe(1);
+  });
+
+  it('should stop pushing after the client disconnects', () => {
+    streamPrices(req, res);
+    expect(getStreamClientCount()).toBe(1);
+
+    req.emit('close');
+    cache.set('btc', 100000);
+
+    expect(getStreamClientCount()).toBe(0);
+    expect(priceEvents(res)).toHaveLength(0);
+    expect(cache.listenerCount('set')).toBe(0);
+  });
+});
@@ -0,0 +1,313 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  registerProvider,
+  unregisterProvider,
+  getProviderForKey,
+  getTrackedKeys,
+  getKeyLabel,
+  getListingCurrency,
+  getProviders,
+  getProviderKeys,
+  getRateBudget,
+  getKeyVenue,
+} from '../../providers.js';
+import { fetchAndCachePrice, fetchAllPrices, getInFlightKeys, refreshPrices } from '../../priceService.js';
+import { cache } from '../../cache.js';
+import { rateLimiter } from '../../rateLimiter.js';
+import { CONFIG } from '../../config.js';
+import { historyStore } from '../../historyStore.js';
+import { companyStore } from '../../companyStore.js';
+
+/**
+ * Replace every provider's upstream call with one that waits for release()
+ * @returns {Function} release - Lets the pending fetches resolve
+ */
+function holdUpstreamFetches() {
+  let release;
+  const upstream = new Promise(resolve => { release = resolve; });
+  vi.spyOn(rateLimiter, 'acquire').mockResolvedValue(0);
+  for (const provider of getProviders()) {
+    vi.spyOn(provider, 'fetch').mockImplementation(() => upstream);
+    vi.spyOn(provider, 'normalize').mockImplementation(() => ({ value: 2, asOf: null }));
+  }
+  return () => release({});
+}
+
+/**
+ * Wait until no fetch is in flight
+ * @returns {Promise<void>}
+ */
+async function settleFetches() {
+  while (getInFlightKeys().length > 0) {
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+}
+
+describe('Provider registry', () => {
+  beforeEach(() => {
+    cache.clear();
+    vi.spyOn(historyStore, 'append').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    unregisterProvider('test');
+    vi.restoreAllMocks();
+  });
+
+  it('should serve the built-in keys', () => {
+    expect(getTrackedKeys()).toEqual(['btc', 'eurUsd', 'jpyUsd', 'MSTR', 'STRF', 'STRC', 'STRK', 'STRD', 'STRE', '3350.T']);
+    expect(getProviderForKey('btc').name).toBe('btcConsensus');
+    expect(getProviderForKey('eurUsd').name).toBe('exchangerate');
+    expect(getProviderForKey('STRF').name).toBe('polygon');
+    expect(getProviderForKey('3350.T').name).toBe('yahoo');
+    expect(getProviderForKey('MERCURY')).toBeNull();
+    expect(getProviderForKey('UNKNOWN')).toBeNull();
+  });
+
+  it('should use declared labels and default to the key', () => {
+    expect(getKeyLabel('btc')).toBe('BTC');
+    expect(getKeyLabel('eurUsd')).toBe('EUR/USD');
+    expect(getKeyLabel('MSTR')).toBe('MSTR');
+  });
+
+  it('should normalize upstream payloads to the quote shape', () => {
+    const btc = getProviderForKey('btc').normalize([
+      { source: 'coingecko', price: 100000, asOf: '2025-12-07T12:00:00.000Z' },
+      { source: 'kraken', price: 100100, asOf: null },
+      { source: 'bitstamp', price: 99900, asOf: '2025-12-07T12:00:05.000Z' },
+    ]);
+    expect(btc).toEqual({ value: 100000, asOf: '2025-12-07T12:00:05.000Z' });
+
+    const eur = getProviderForKey('eurUsd').normalize({ rates: { USD: 1.08 } });
+    expect(eur).toEqual({ value: 1.08, asOf: null });
+
+    const mstr = getProviderForKey('MSTR').normalize({
+      status: 'OK',
+      results: [{ c: 420, h: 425, l: 415, v: 1000, t: 1765000000000 }],
+    }, 'MSTR');
+    expect(mstr.value).toEqual({ price: 420, volume: 1000, high: 425, low: 415, avg10d: 420, vwap10d: 420, currency: 'USD' });
+    expect(mstr.asOf).toBe(new Date(1765000000000).toISOString());
+  });
+
+  it('should tag quotes with their listing currency', () => {
+    const stre = getProviderForKey('STRE').normalize({
+      status: 'OK',
+      results: [{ c: 95, h: 96, l: 94, v: 500 }],
+    }, 'STRE');
+
+    expect(stre.value.currency).toBe('EUR');
+    expect(getListingCurrency('STRE')).toBe('EUR');
+    expect(getListingCurrency('MSTR')).toBe('USD');
+  });
+
+  it('should track the tickers of every company snapshot', () => {
+    vi.spyOn(companyStore, 'tickers').mockReturnValue({
+      MSTR: { currency: 'USD', venue: 'US' },
+      ACME: { currency: 'USD', venue: 'US' },
+      ACMEP: { currency: 'EUR', venue: 'US' },
+    });
+
+    expect(getTrackedKeys()).toEqual(['btc', 'eurUsd', 'MSTR', 'STRF', 'STRC', 'STRK', 'STRD', 'STRE', 'ACME', 'ACMEP']);
+    expect(getProviderForKey('ACME').name).toBe('polygon');
+    expect(getListingCurrency('ACMEP')).toBe('EUR');
+  });
+
+  it('should track the USD rate of every listing currency', () => {
+    vi.spyOn(companyStore, 'tickers').mockReturnValue({
+      ACME: { currency: 'USD', venue: 'US' },
+      ACMEP: { currency: 'JPY', venue: 'US' },
+    });
+
+    expect(getTrackedKeys()).toEqual(expect.arrayContaining(['eurUsd', 'jpyUsd']));
+    expect(getProviderForKey('jpyUsd').name).toBe('exchangerate');
+    expect(getKeyLabel('jpyUsd')).toBe('JPY/USD');
+  });
+
+  it('should route tickers listed outside the US away from Polygon', () => {
+    vi.spyOn(companyStore, 'tickers').mockReturnValue({
+      MSTR: { currency: 'USD', venue: 'US' },
+      '3350.T': { currency: 'JPY', venue: 'TSE' },
+    });
+
+    expect(getProviderForKey('3350.T').name).toBe('yahoo');
+    expect(getProviderKeys(getProviderForKey('MSTR'))).not.toContain('3350.T');
+    expect(getListingCurrency('3350.T')).toBe('JPY');
+    expect(getTrackedKeys()).toContain('jpyUsd');
+    expect(getKeyVenue('3350.T')).toBe('TSE');
+    expect(getKeyVenue('MSTR')).toBe('US');
+    expect(getKeyVenue('jpyUsd')).toBeNull();
+
+    const quote = getProviderForKey('3350.T').normalize({
+      chart: {
+        result: [{
+          meta: { currency: 'JPY', symbol: '3350.T' },
+          timestamp: [1764892800, 1764979200, 1765152000],
+          indicators: { quote: [{ close: [500, null, 520], high: [510, null, 530], low: [495, null, 505], volume: [1000, null, 3000] }] },
+        }],
+        error: null,
+      },
+    }, '3350.T');
+    expect(quote.value).toEqual({ price: 520, volume: 3000, high: 530, low: 505, avg10d: 510, vwap10d: 515, currency: 'JPY' });
+    expect(quote.asOf).toBe(new Date(1765152000000).toISOString());
+
+    expect(() => getProviderForKey('3350.T').normalize({
+      chart: { result: null, error: { code: 'Not Found', description: 'No data found, symbol may be delisted' } },
+    }, '3350.T')).toThrow(expect.objectContaining({ permanent: true }));
+  });
+
+  it('should size each rate budget against its ticker set', () => {
+    vi.spyOn(companyStore, 'tickers').mockReturnValue(Object.fromEntries(
+      Array.from({ length: 30 }, (_, i) => [`ACME${i}`, { currency: 'USD', venue: 'US' }])
+    ));
+
+    const budget = getRateBudget();
+    expect(budget.exchangerate).toMatchObject({ keys: 1, fullPassSeconds: 0, overBudget: false });
+    // 36 Polygon tickers at 5 per minute: a burst of 5, then 7 more windows
+    expect(budget.polygon).toMatchObject({ keys: 36, limit: 5, window: 60, fullPassSeconds: 420, overBudget: true });
+  });
+
+  it('should reject invalid upstream payloads', () => {
+    expect(() => getProviderForKey('btc').normalize([])).toThrow('Consensus');
+    expect(() => getProviderForKey('MSTR').normalize({ status: 'NOT_FOUND' }, 'MSTR')).toThrow('NOT_FOUND');
+  });
+
+  it('should reject duplicate and incomplete providers', () => {
+    expect(() => registerProvider({ name: 'polygon', keys: ['x'], fetch() {}, normalize() {} })).toThrow('already registered');
+    expect(() => registerProvider({ name: 'test' })).toThrow('requires');
+  });
+
+  it('should fetch and cache keys from a newly registered provider', async () => {
+    registerProvider({
+      name: 'test',
+      keys: ['gold'],
+      labels: { gold: 'Gold' },
+      fetch: async () => ({ spot: 2650 }),
+      normalize: (data) => ({ value: data.spot, asOf: null }),
+    });
+
+    expect(getTrackedKeys()).toContain('gold');
+    expect(getKeyLabel('gold')).toBe('Gold');
+
+    const result = await fetchAndCachePrice('gold');
+
+    expect(result.success).toBe(true);
+    expect(result.value).toBe(2650);
+    expect(cache.get('gold')).toBe(2650);
+  });
+
+  it('should fail keys that no provider serves', async () => {
+    const result = await fetchAndCachePrice('UNKNOWN');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('No provider');
+  });
+
+  it('should answer expired entries as stale and revalidate them in the background', async () => {
+    const release = holdUpstreamFetches();
+    const past = Date.now() - 900 * 1000;
+
+    for (const key of getTrackedKeys()) {
+      const value = getProviderForKey(key).name === 'polygon'
+        ? { price: 100, currency: getListingCurrency(key) }
+        : 1;
+      cache.store.set(key, { value, createdAt: past, expiresAt: past + 300 * 1000, restored: true });
+    }
+
+    const results = await fetchAllPrices();
+
+    // Answered while every upstream call is still pending
+    expect(results.stale).toBe(true);
+    expect(results.staleKeys).toEqual(getTrackedKeys());
+    expect(results.revalidating).toEqual(getTrackedKeys());
+    expect(results.data.MSTR.price).toBe(100);
+    expect(results.data.STRE.priceUsd).toBe(100);
+    expect(getInFlightKeys()).toEqual(getTrackedKeys());
+
+    release();
+    await settleFetches();
+    expect(cache.get('MSTR')).toBe(2);
+  });
+
+  it('should force-refresh keys by marking them stale, keeping the previous value', async () => {
+    const release = holdUpstreamFetches();
+    cache.set('MSTR', { price: 100 });
+    cache.set('btc', 95000);
+
+    expect(refreshPrices(['MSTR', 'MSTR'])).toEqual({ refreshing: ['MSTR'], unknown: [] });
+
+    expect(cache.get('MSTR')).toBeNull();
+    expect(cache.getRaw('MSTR').value).toEqual({ price: 100 });
+    expect(cache.get('btc')).toBe(95000);
+    expect(getInFlightKeys()).toEqual(['MSTR']);
+
+    release();
+    await settleFetches();
+    expect(cache.get('MSTR')).toBe(2);
+  });
+
+  it('should refresh nothing when a key is unknown', () => {
+    cache.set('btc', 95000);
+
+    expect(refreshPrices(['btc', 'DOGE'])).toEqual({ refreshing: [], unknown: ['DOGE'] });
+    expect(cache.get('btc')).toBe(95000);
+  });
+
+  it('should stop waiting for a missing key after REQUEST_FETCH_TIMEOUT', async () => {
+    const originalTimeout = CONFIG.REQUEST_FETCH_TIMEOUT;
+    CONFIG.REQUEST_FETCH_TIMEOUT = 0.01;
+    const release = holdUpstreamFetches();
+    for (const key of getTrackedKeys()) {
+      if (key !== 'btc') cache.set(key, key === 'eurUsd' ? 1 : { price: 100, currency: getListingCurrency(key) });
+    }
+
+    try {
+      const results = await fetchAllPrices();
+
+      expect(results.partial).toBe(true);
+      expect(results.errors).toEqual([expect.stringContaining('BTC: Still fetching')]);
+      expect(results.data.MSTR.price).toBe(100);
+
+      // The fetch keeps running and fills the cache for the next request
+      release();
+      await settleFetches();
+      expect(cache.get('btc')).toBe(2);
+    } finally {
+      CONFIG.REQUEST_FETCH_TIMEOUT = originalTimeout;
+    }
+  });
+
+  it('should report where each served value came from', async () => {
+    const originalTimeout = CONFIG.REQUEST_FETCH_TIMEOUT;
+    CONFIG.REQUEST_FETCH_TIMEOUT = 0.01;
+    const release = holdUpstreamFetches();
+    for (const key of getTrackedKeys()) {
+      if (key !== 'btc') cache.set(key, { price: 100, currency: getListingCurrency(key) }, { source: 'polygon', asOf: 1700000000000 });
+    }
+    cache.invalidate('STRF');
+
+    try {
+      const results = await fetchAllPrices();
+
+      expect(results.provenance.MSTR).toEqual({
+        source: 'polygon',
+        asOf: 1700000000000,
+        fetchedAt: new Date(cache.getRaw('MSTR').createdAt).toISOString(),
+        stale: false,
+        error: null,
+      });
+      expect(results.provenance.STRF).toMatchObject({ source: 'polygon', stale: true });
+      expect(results.provenance.btc).toMatchObject({
+        source: null,
+        fetchedAt: null,
+        error: expect.stringContaining('Still fetching'),
+      });
+      expect(results.data.btc).toBeNull();
+      expect(results.unavailable).toEqual({ btc: expect.stringContaining('Still fetching') });
+
+      release();
+      await settleFetches();
+    } finally {
+      CONFIG.REQUEST_FETCH_TIMEOUT = originalTimeout;
+    }
+  });
+});
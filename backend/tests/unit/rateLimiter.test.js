@@ -1,142 +1,157 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { rateLimiter } from '../../rateLimiter.js';
 
 describe('RateLimiter', () => {
   beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
     rateLimiter.reset();
   });
 
+  afterEach(() => {
+    rateLimiter.reset();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
   it('should allow requests under the limit', () => {
-    expect(rateLimiter.canMakeRequest('polygon', 5)).toBe(true);
-    
-    rateLimiter.recordRequest('polygon');
-    expect(rateLimiter.canMakeRequest('polygon', 5)).toBe(true);
-    
-    rateLimiter.recordRequest('polygon');
-    expect(rateLimiter.canMakeRequest('polygon', 5)).toBe(true);
+    expect(rateLimiter.tryAcquire('polygon')).toBe(true);
+    expect(rateLimiter.tryAcquire('polygon')).toBe(true);
+    expect(rateLimiter.getUsage('polygon').remaining).toBe(3);
   });
 
-  it('should block 6th request within 60s window', () => {
+  it('should block 6th immediate request within 60s window', () => {
     const now = Date.now();
     vi.spyOn(Date, 'now').mockReturnValue(now);
-    
-    // Make 5 requests (should all be allowed)
+
     for (let i = 0; i < 5; i++) {
-      expect(rateLimiter.canMakeRequest('polygon', 5)).toBe(true);
-      rateLimiter.recordRequest('polygon');
+      expect(rateLimiter.tryAcquire('polygon')).toBe(true);
     }
-    
-    // 6th request should be blocked
-    expect(rateLimiter.canMakeRequest('polygon', 5)).toBe(false);
-    
-    vi.restoreAllMocks();
+
+    expect(rateLimiter.tryAcquire('polygon')).toBe(false);
   });
 
-  it('should reset after 60s window expires', () => {
+  it('should refill one token per limit/window', () => {
     const now = Date.now();
     vi.spyOn(Date, 'now').mockReturnValue(now);
-    
-    // Fill up the limit
+
     for (let i = 0; i < 5; i++) {
-      rateLimiter.recordRequest('polygon');
+      rateLimiter.tryAcquire('polygon');
     }
-    
-    expect(rateLimiter.canMakeRequest('polygon', 5)).toBe(false);
-    
-    // Fast forward 61 seconds
-    vi.spyOn(Date, 'now').mockReturnValue(now + 61000);
-    
-    // Should be allowed again
-    expect(rateLimiter.canMakeRequest('polygon', 5)).toBe(true);
-    
-    vi.restoreAllMocks();
+
+    // 5 per 60s -> one token every 12s
+    vi.spyOn(Date, 'now').mockReturnValue(now + 11000);
+    expect(rateLimiter.tryAcquire('polygon')).toBe(false);
+
+    vi.spyOn(Date, 'now').mockReturnValue(now + 12000);
+    expect(rateLimiter.tryAcquire('polygon')).toBe(true);
+    expect(rateLimiter.tryAcquire('polygon')).toBe(false);
+
+    // Never refills past the bucket size
+    vi.spyOn(Date, 'now').mockReturnValue(now + 600000);
+    expect(rateLimiter.getUsage('polygon').remaining).toBe(5);
   });
 
   it('should track multiple APIs independently', () => {
-    rateLimiter.recordRequest('polygon');
-    rateLimiter.recordRequest('polygon');
-    rateLimiter.recordRequest('coingecko');
-    
-    const polygonUsage = rateLimiter.getUsage('polygon', 5);
-    const coingeckoUsage = rateLimiter.getUsage('coingecko', 5);
-    
-    expect(polygonUsage.used).toBe(2);
-    expect(coingeckoUsage.used).toBe(1);
+    rateLimiter.tryAcquire('polygon');
+    rateLimiter.tryAcquire('polygon');
+    rateLimiter.tryAcquire('coingecko');
+
+    expect(rateLimiter.getUsage('polygon').used).toBe(2);
+    expect(rateLimiter.getUsage('coingecko').used).toBe(1);
   });
 
-  it('should cleanup old timestamps outside window', () => {
-    const now = Date.now();
-    vi.spyOn(Date, 'now').mockReturnValue(now);
-    
-    // Record 3 requests at T=0
-    rateLimiter.recordRequest('polygon');
-    rateLimiter.recordRequest('polygon');
-    rateLimiter.recordRequest('polygon');
-    
-    // Fast forward 50 seconds and record 2 more
-    vi.spyOn(Date, 'now').mockReturnValue(now + 50000);
-    rateLimiter.recordRequest('polygon');
-    rateLimiter.recordRequest('polygon');
-    
-    // At T=50s, all 5 should still be in window
-    expect(rateLimiter.getUsage('polygon', 5).used).toBe(5);
-    
-    // Fast forward to T=65s (first 3 should be cleaned up)
-    vi.spyOn(Date, 'now').mockReturnValue(now + 65000);
-    const usage = rateLimiter.getUsage('polygon', 5);
-    
-    expect(usage.used).toBe(2); // Only the 2 from T=50s remain
-    
-    vi.restoreAllMocks();
+  it('should treat APIs without a policy as unlimited', async () => {
+    for (let i = 0; i < 100; i++) {
+      expect(rateLimiter.tryAcquire('kraken')).toBe(true);
+    }
+
+    await expect(rateLimiter.acquire('kraken')).resolves.toBe(0);
+    expect(rateLimiter.getUsage('kraken')).toBeNull();
   });
 
   it('should return correct usage stats', () => {
     const now = Date.now();
     vi.spyOn(Date, 'now').mockReturnValue(now);
-    
-    rateLimiter.recordRequest('polygon');
-    rateLimiter.recordRequest('polygon');
-    
-    const usage = rateLimiter.getUsage('polygon', 5);
-    
+
+    rateLimiter.tryAcquire('polygon');
+    rateLimiter.tryAcquire('polygon');
+
+    const usage = rateLimiter.getUsage('polygon');
+
     expect(usage.used).toBe(2);
     expect(usage.limit).toBe(5);
+    expect(usage.window).toBe(60);
     expect(usage.remaining).toBe(3);
-    expect(usage.resetIn).toBeGreaterThan(0);
-    expect(usage.resetIn).toBeLessThanOrEqual(60);
-    
-    vi.restoreAllMocks();
+    expect(usage.resetIn).toBe(24);
+    expect(usage.queued).toBe(0);
+    expect(usage.acquired).toBe(2);
   });
 
-  it('should calculate correct resetIn time', () => {
+  it('should resolve acquire immediately while tokens remain', async () => {
+    for (let i = 0; i < 5; i++) {
+      await expect(rateLimiter.acquire('polygon')).resolves.toBe(0);
+    }
+
+    expect(rateLimiter.getUsage('polygon').waited).toBe(0);
+  });
+
+  it('should queue acquire until a token refills and release in FIFO order', async () => {
+    vi.useFakeTimers();
+
+    for (let i = 0; i < 5; i++) {
+      await rateLimiter.acquire('polygon');
+    }
+
+    const order = [];
+    const first = rateLimiter.acquire('polygon').then(waited => order.push(['first', waited]));
+    const second = rateLimiter.acquire('polygon').then(waited => order.push(['second', waited]));
+
+    expect(rateLimiter.getUsage('polygon').queued).toBe(2);
+
+    await vi.advanceTimersByTimeAsync(12000);
+    expect(order).toEqual([['first', 12000]]);
+
+    await vi.advanceTimersByTimeAsync(12000);
+    await Promise.all([first, second]);
+    expect(order).toEqual([['first', 12000], ['second', 24000]]);
+
+    const usage = rateLimiter.getUsage('polygon');
+    expect(usage.queued).toBe(0);
+    expect(usage.waited).toBe(2);
+    expect(usage.avgWaitMs).toBe(18000);
+    expect(usage.maxWaitMs).toBe(24000);
+  });
+
+  it('should not let tryAcquire jump the queue', () => {
     const now = Date.now();
     vi.spyOn(Date, 'now').mockReturnValue(now);
-    
-    rateLimiter.recordRequest('polygon');
-    
-    // Check immediately
-    let usage = rateLimiter.getUsage('polygon', 5);
-    expect(usage.resetIn).toBeCloseTo(60, 0);
-    
-    // Fast forward 30 seconds
-    vi.spyOn(Date, 'now').mockReturnValue(now + 30000);
-    usage = rateLimiter.getUsage('polygon', 5);
-    expect(usage.resetIn).toBeCloseTo(30, 0);
-    
-    vi.restoreAllMocks();
+
+    for (let i = 0; i < 5; i++) {
+      rateLimiter.tryAcquire('polygon');
+    }
+    rateLimiter.acquire('polygon').catch(() => {}); // rejected by reset() in afterEach
+
+    // A token has refilled, but it belongs to the queued caller
+    vi.spyOn(Date, 'now').mockReturnValue(now + 12000);
+    expect(rateLimiter.tryAcquire('polygon')).toBe(false);
+    expect(rateLimiter.getUsage('polygon').queued).toBe(1);
   });
 
-  it('should reset all counters', () => {
-    rateLimiter.recordRequest('polygon');
-    rateLimiter.recordRequest('coingecko');
-    
-    expect(rateLimiter.getUsage('polygon', 5).used).toBe(1);
-    expect(rateLimiter.getUsage('coingecko', 5).used).toBe(1);
-    
+  it('should reject queued callers and reset all counters', async () => {
+    for (let i = 0; i < 5; i++) {
+      rateLimiter.tryAcquire('polygon');
+    }
+    rateLimiter.tryAcquire('coingecko');
+    const queued = rateLimiter.acquire('polygon');
+
     rateLimiter.reset();
-    
-    expect(rateLimiter.getUsage('polygon', 5).used).toBe(0);
-    expect(rateLimiter.getUsage('coingecko', 5).used).toBe(0);
+
+    await expect(queued).rejects.toThrow('reset');
+    expect(rateLimiter.getUsage('polygon').used).toBe(0);
+    expect(rateLimiter.getUsage('coingecko').used).toBe(0);
   });
-});
 
+  it('should report every configured API', () => {
+    expect(Object.keys(rateLimiter.getAllUsage())).toEqual(['polygon', 'coingecko', 'exchangerate', 'yahoo']);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { classifyError, parseRetryAfter, getRetryDelay, runWithTimeout, permanentError } from '../../retryPolicy.js';
+import { registerProvider, unregisterProvider } from '../../providers.js';
+import { fetchAndCachePrice, getFetchStats } from '../../priceService.js';
+import { getBreakerStatus, resetBreakers } from '../../circuitBreaker.js';
+import { cache } from '../../cache.js';
+import { historyStore } from '../../historyStore.js';
+
+/**
+ * Error shaped like the ones upstream.fetchJson throws for HTTP failures
+ */
+function httpError(status, retryAfterMs = null) {
+  const error = new Error(`Test HTTP ${status}`);
+  error.status = status;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+describe('classifyError', () => {
+  it('should retry network failures, timeouts, 408, 429 and 5xx', () => {
+    expect(classifyError(new Error('ECONNRESET'))).toBe('retryable');
+    expect(classifyError(httpError(408))).toBe('retryable');
+    expect(classifyError(httpError(429))).toBe('retryable');
+    expect(classifyError(httpError(500))).toBe('retryable');
+    expect(classifyError(httpError(503))).toBe('retryable');
+  });
+
+  it('should not retry other 4xx or errors flagged permanent', () => {
+    expect(classifyError(httpError(400))).toBe('permanent');
+    expect(classifyError(httpError(401))).toBe('permanent');
+    expect(classifyError(httpError(404))).toBe('permanent');
+    expect(classifyError(permanentError('Polygon: NOT_FOUND'))).toBe('permanent');
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('should parse delays in seconds', () => {
+    expect(parseRetryAfter('2')).toBe(2000);
+    expect(parseRetryAfter('0')).toBe(0);
+  });
+
+  it('should parse HTTP dates relative to now', () => {
+    const now = Date.parse('2025-12-15T12:00:00Z');
+
+    expect(parseRetryAfter('Mon, 15 Dec 2025 12:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Mon, 15 Dec 2025 11:00:00 GMT', now)).toBe(0);
+  });
+
+  it('should ignore missing or unparseable values', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('getRetryDelay', () => {
+  const policy = { baseDelay: 1000, maxDelay: 5000 };
+
+  it('should draw uniformly below the exponential ceiling', () => {
+    expect(getRetryDelay(0, policy, () => 0)).toBe(0);
+    expect(getRetryDelay(0, policy, () => 0.5)).toBe(500);
+    expect(getRetryDelay(2, policy, () => 0.5)).toBe(2000);
+  });
+
+  it('should cap the ceiling at maxDelay', () => {
+    expect(getRetryDelay(10, policy, () => 0.999)).toBe(4995);
+  });
+});
+
+describe('runWithTimeout', () => {
+  it('should return the result of a fast attempt', async () => {
+    await expect(runWithTimeout(async () => 42, 1000, 'test')).resolves.toBe(42);
+  });
+
+  it('should abort a slow attempt through its signal', async () => {
+    let signal;
+    const attempt = runWithTimeout((s) => {
+      signal = s;
+      return new Promise(() => {});
+    }, 10, 'test');
+
+    await expect(attempt).rejects.toThrow('test attempt timed out');
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason.name).toBe('TimeoutError');
+  });
+});
+
+describe('Retry policy in the fetch path', () => {
+  let fetchImpl;
+  let upstreamCalls;
+
+  beforeEach(() => {
+    cache.clear();
+    resetBreakers();
+    upstreamCalls = 0;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(historyStore, 'append').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    unregisterProvider('test');
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Register a test provider for 'gold' backed by fetchImpl
+   */
+  function registerTestProvider(retry) {
+    registerProvider({
+      name: 'test',
+      keys: ['gold'],
+      retry,
+      fetch: async (key, { signal } = {}) => {
+        upstreamCalls++;
+        return fetchImpl(signal);
+      },
+      normalize: (data) => ({ value: data.spot, asOf: null }),
+    });
+  }
+
+  it('should give up at once on a permanent error without opening the circuit', async () => {
+    registerTestProvider({ maxRetries: 5, baseDelay: 1 });
+    fetchImpl = async () => { throw httpError(401); };
+
+    const result = await fetchAndCachePrice('gold');
+
+    expect(result.success).toBe(false);
+    expect(upstreamCalls).toBe(1);
+    expect(getBreakerStatus().test.state).toBe('closed');
+    expect(getFetchStats().gold).toMatchObject({
+      outcome: 'failed',
+      attempts: 1,
+      retries: 0,
+      gaveUp: 'permanent',
+      errorClass: 'permanent',
+      lastError: 'Test HTTP 401',
+    });
+  });
+
+  it('should wait for the upstream Retry-After instead of the backoff delay', async () => {
+    registerTestProvider({ maxRetries: 3, baseDelay: 60000 });
+    fetchImpl = async () => {
+      if (upstreamCalls === 1) throw httpError(429, 5);
+      return { spot: 2650 };
+    };
+
+    const result = await fetchAndCachePrice('gold');
+
+    expect(result).toMatchObject({ success: true, value: 2650 });
+    expect(getFetchStats().gold).toMatchObject({
+      outcome: 'success',
+      attempts: 2,
+      retries: 1,
+      waitedMs: 5,
+      gaveUp: null,
+      lastError: 'Test HTTP 429',
+    });
+  });
+
+  it('should stop retrying when the next attempt would exceed the budget', async () => {
+    registerTestProvider({ maxRetries: 5, baseDelay: 1, budget: 1000 });
+    fetchImpl = async () => { throw httpError(503, 5000); };
+
+    const result = await fetchAndCachePrice('gold');
+
+    expect(result.success).toBe(false);
+    expect(upstreamCalls).toBe(1);
+    expect(getFetchStats().gold).toMatchObject({ attempts: 1, gaveUp: 'budget', errorClass: 'retryable' });
+  });
+
+  it('should abort and retry attempts that exceed the attempt timeout', async () => {
+    registerTestProvider({ maxRetries: 2, baseDelay: 1, attemptTimeout: 10 });
+    const signals = [];
+    fetchImpl = (signal) => {
+      signals.push(signal);
+      return new Promise(() => {});
+    };
+
+    const result = await fetchAndCachePrice('gold');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('test attempt timed out');
+    expect(signals).toHaveLength(2);
+    expect(signals.every(signal => signal.aborted)).toBe(true);
+    expect(getFetchStats().gold).toMatchObject({ attempts: 2, retries: 1, gaveUp: 'max-retries' });
+  });
+});
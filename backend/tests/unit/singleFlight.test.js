@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SingleFlight } from '../../singleFlight.js';
+import { registerProvider, unregisterProvider } from '../../providers.js';
+import { fetchAndCachePrice, getInFlightKeys } from '../../priceService.js';
+import { cache } from '../../cache.js';
+import { rateLimiter } from '../../rateLimiter.js';
+import { CONFIG } from '../../config.js';
+import { historyStore } from '../../historyStore.js';
+
+describe('SingleFlight', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should share one call between concurrent callers', async () => {
+    const flight = new SingleFlight();
+    const fn = vi.fn(async () => 42);
+
+    const results = await Promise.all([flight.run('a', fn), flight.run('a', fn), flight.run('a', fn)]);
+
+    expect(results).toEqual([42, 42, 42]);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(flight.has('a')).toBe(false);
+  });
+
+  it('should run again once the previous call settled', async () => {
+    const flight = new SingleFlight();
+    const fn = vi.fn(async () => 'ok');
+
+    await flight.run('a', fn);
+    await flight.run('a', fn);
+
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep keys independent and share failures', async () => {
+    const flight = new SingleFlight();
+    const failing = flight.run('a', async () => { throw new Error('boom'); });
+    const joined = flight.run('a', async () => 'never');
+    const other = flight.run('b', async () => 'b');
+
+    expect(flight.keys()).toEqual(['a', 'b']);
+    await expect(failing).rejects.toThrow('boom');
+    await expect(joined).rejects.toThrow('boom');
+    await expect(other).resolves.toBe('b');
+    expect(flight.keys()).toEqual([]);
+  });
+});
+
+describe('fetchAndCachePrice coalescing', () => {
+  let upstreamCalls;
+
+  beforeEach(() => {
+    cache.clear();
+    rateLimiter.reset();
+    upstreamCalls = 0;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(historyStore, 'append').mockReturnValue(true);
+
+    CONFIG.RATE_LIMITS.test = { limit: 1, window: 60 };
+    registerProvider({
+      name: 'test',
+      keys: ['gold'],
+      rateLimit: 'test',
+      fetch: async () => {
+        upstreamCalls++;
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return { spot: 2650 };
+      },
+      normalize: (data) => ({ value: data.spot, asOf: null }),
+    });
+  });
+
+  afterEach(() => {
+    unregisterProvider('test');
+    delete CONFIG.RATE_LIMITS.test;
+    vi.restoreAllMocks();
+  });
+
+  it('should make one upstream call and use one rate-limit slot for concurrent misses', async () => {
+    const pending = Array(5).fill(null).map(() => fetchAndCachePrice('gold'));
+    expect(getInFlightKeys()).toEqual(['gold']);
+
+    const results = await Promise.all(pending);
+
+    expect(upstreamCalls).toBe(1);
+    expect(results.every(r => r.success && r.value === 2650)).toBe(true);
+    expect(rateLimiter.getUsage('test').used).toBe(1);
+    expect(getInFlightKeys()).toEqual([]);
+  });
+});
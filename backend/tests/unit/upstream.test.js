@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fetchJson } from '../../upstream.js';
+import { fixtureName, resetFixtures } from '../../upstreamFixtures.js';
+import { registerProvider, unregisterProvider } from '../../providers.js';
+import { fetchAndCachePrice } from '../../priceService.js';
+import { cache } from '../../cache.js';
+import { resetBreakers } from '../../circuitBreaker.js';
+import { historyStore } from '../../historyStore.js';
+import { CONFIG } from '../../config.js';
+
+const RATES_URL = 'https://api.exchangerate-api.com/v4/latest/EUR';
+
+describe('Upstream record/replay', () => {
+  const original = { mode: CONFIG.UPSTREAM_MODE, dir: CONFIG.UPSTREAM_FIXTURES_DIR };
+  let dir;
+
+  const writeFixture = (url, responses) => {
+    fs.writeFileSync(path.join(dir, fixtureName(url)), JSON.stringify({ url, responses }));
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    CONFIG.UPSTREAM_FIXTURES_DIR = dir;
+    resetFixtures();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    CONFIG.UPSTREAM_MODE = original.mode;
+    CONFIG.UPSTREAM_FIXTURES_DIR = original.dir;
+    fs.rmSync(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should name fixtures by host and path, ignoring dates and the query', () => {
+    expect(fixtureName('https://api.polygon.io/v2/aggs/ticker/MSTR/range/1/day/2025-11-07/2025-12-07?apiKey=abc'))
+      .toBe('api.polygon.io_v2_aggs_ticker_MSTR_range_1_day_DATE_DATE.json');
+    expect(fixtureName('https://www.bitstamp.net/api/v2/ticker/btcusd/')).toBe('www.bitstamp.net_api_v2_ticker_btcusd.json');
+  });
+
+  it('should record live responses without credentials', async () => {
+    CONFIG.UPSTREAM_MODE = 'record';
+    vi.spyOn(global, 'fetch').mockResolvedValue(new Response(JSON.stringify({ status: 'OK' }), { status: 200 }));
+    const url = 'https://api.polygon.io/v2/aggs/ticker/MSTR/range/1/day/2025-11-07/2025-12-07?apiKey=secret';
+
+    await expect(fetchJson(url, 'Polygon')).resolves.toEqual({ status: 'OK' });
+
+    const saved = fs.readFileSync(path.join(dir, fixtureName(url)), 'utf8');
+    expect(JSON.parse(saved).responses).toEqual([{ status: 200, statusText: '', body: { status: 'OK' } }]);
+    expect(saved).not.toContain('secret');
+  });
+
+  it('should replay scripted responses in order without the network', async () => {
+    CONFIG.UPSTREAM_MODE = 'replay';
+    const fetchSpy = vi.spyOn(global, 'fetch');
+    writeFixture(RATES_URL, [
+      { status: 429, statusText: 'Too Many Requests', headers: { 'retry-after': '2' } },
+      { timeout: true, delayMs: 1 },
+      { status: 200, body: { rates: { USD: 1.08 } } },
+    ]);
+
+    await expect(fetchJson(RATES_URL, 'ExchangeRate')).rejects.toThrow('ExchangeRate HTTP 429: Too Many Requests');
+    await expect(fetchJson(RATES_URL, 'ExchangeRate')).rejects.toThrow('ExchangeRate request timed out');
+    await expect(fetchJson(RATES_URL, 'ExchangeRate')).resolves.toEqual({ rates: { USD: 1.08 } });
+    await expect(fetchJson(RATES_URL, 'ExchangeRate')).resolves.toEqual({ rates: { USD: 1.08 } });
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('should fail requests that have no fixture in replay mode', async () => {
+    CONFIG.UPSTREAM_MODE = 'replay';
+
+    await expect(fetchJson(RATES_URL, 'ExchangeRate')).rejects.toThrow('ExchangeRate has no fixture for /v4/latest/EUR (replay mode)');
+  });
+
+  it('should drive the retry path from a replayed failure script', async () => {
+    CONFIG.UPSTREAM_MODE = 'replay';
+    cache.clear();
+    resetBreakers();
+    vi.spyOn(historyStore, 'append').mockReturnValue(true);
+    writeFixture(RATES_URL, [
+      { status: 429, statusText: 'Too Many Requests' },
+      { networkError: 'ECONNRESET' },
+      { status: 200, body: { rates: { USD: 1.08 } } },
+    ]);
+    registerProvider({
+      name: 'test',
+      keys: ['eurusd-test'],
+      retry: { maxRetries: 3, baseDelay: 1 },
+      fetch: () => fetchJson(RATES_URL, 'ExchangeRate'),
+      normalize: (data) => ({ value: data.rates.USD, asOf: null }),
+    });
+
+    try {
+      const result = await fetchAndCachePrice('eurusd-test');
+
+      expect(result).toMatchObject({ success: true, value: 1.08 });
+    } finally {
+      unregisterProvider('test');
+    }
+  });
+});
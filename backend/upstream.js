@@ -0,0 +1,125 @@
+/**
+ * Shared helpers for calling upstream price APIs
+ * UPSTREAM_MODE selects where responses come from: 'live' calls the API,
+ * 'record' calls it and saves each response as a fixture, 'replay' serves
+ * the saved fixtures without touching the network (see upstreamFixtures.js)
+ */
+import { CONFIG } from './config.js';
+import { metrics } from './metrics.js';
+import { nextFixtureResponse, saveFixture } from './upstreamFixtures.js';
+import { parseRetryAfter } from './retryPolicy.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Upstream');
+
+const upstreamRequests = metrics.counter('upstream_requests_total', 'HTTP requests to upstream APIs by HTTP status (or "error" for network failures)');
+const upstreamDuration = metrics.histogram('upstream_request_duration_seconds', 'Upstream HTTP request latency');
+
+/**
+ * Sleep for specified milliseconds, cut short if the signal aborts
+ * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>} Rejects with the abort reason
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+/**
+ * Serve the next scripted response for a URL from its fixture
+ * @param {string} url - Request URL
+ * @param {string} label - Provider label used in error messages
+ * @param {AbortSignal} [signal] - Aborts a scripted delay
+ * @returns {Promise<Response>} Recorded response
+ * @throws {Error} When no fixture exists, or the script calls for a timeout or network error
+ */
+async function replay(url, label, signal) {
+  const entry = nextFixtureResponse(url);
+  if (!entry) {
+    throw new Error(`${label} has no fixture for ${new URL(url).pathname} (replay mode)`);
+  }
+
+  if (entry.delayMs) await sleep(entry.delayMs, signal);
+  if (entry.timeout) throw new Error(`${label} request timed out (replayed)`);
+  if (entry.networkError) throw new TypeError(`fetch failed: ${entry.networkError} (replayed)`);
+
+  const status = entry.status ?? 200;
+  return new Response(entry.body === undefined ? null : JSON.stringify(entry.body), {
+    status,
+    statusText: entry.statusText ?? '',
+    headers: { 'content-type': 'application/json', ...entry.headers },
+  });
+}
+
+/**
+ * Call the live API and save the response as a fixture
+ * @param {string} url - Request URL
+ * @param {AbortSignal} [signal] - Abort signal passed to fetch
+ * @returns {Promise<Response>} Live response (body still readable)
+ */
+async function record(url, signal) {
+  const response = await fetch(url, { signal });
+  const text = await response.clone().text();
+
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Non-JSON bodies (e.g. HTML error pages) are recorded without a body
+  }
+
+  const retryAfter = response.headers?.get('retry-after');
+  const file = saveFixture(url, {
+    status: response.status,
+    statusText: response.statusText,
+    ...(retryAfter ? { headers: { 'retry-after': retryAfter } } : {}),
+    body,
+  });
+  log.debug('Recorded fixture', { file, status: response.status });
+  return response;
+}
+
+/**
+ * Fetch JSON from an upstream API, throwing on HTTP errors
+ * HTTP errors carry `status` and, when the upstream sent Retry-After,
+ * `retryAfterMs` for the retry policy
+ * @param {string} url - Request URL
+ * @param {string} label - Provider label used in error messages
+ * @param {Object} options - Request options
+ * @param {AbortSignal} [options.signal] - Aborts the request (per-attempt timeout)
+ * @returns {Promise<Object>} Parsed JSON body
+ */
+export async function fetchJson(url, label, { signal } = {}) {
+  const startedAt = Date.now();
+  let response;
+
+  try {
+    if (CONFIG.UPSTREAM_MODE === 'replay') {
+      response = await replay(url, label, signal);
+    } else if (CONFIG.UPSTREAM_MODE === 'record') {
+      response = await record(url, signal);
+    } else {
+      response = await fetch(url, { signal });
+    }
+  } catch (error) {
+    upstreamRequests.inc({ upstream: label, status: 'error' });
+    throw error;
+  } finally {
+    upstreamDuration.observe({ upstream: label }, (Date.now() - startedAt) / 1000);
+  }
+
+  upstreamRequests.inc({ upstream: label, status: response.status || 'unknown' });
+
+  if (!response.ok) {
+    const error = new Error(`${label} HTTP ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+    error.retryAfterMs = parseRetryAfter(response.headers?.get('retry-after'));
+    throw error;
+  }
+
+  return response.json();
+}
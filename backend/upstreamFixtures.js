@@ -0,0 +1,111 @@
+/**
+ * Fixture files for recording and replaying upstream API responses
+ * One JSON file per upstream endpoint under UPSTREAM_FIXTURES_DIR:
+ *
+ *   {
+ *     "url": "https://api.exchangerate-api.com/v4/latest/EUR",
+ *     "recordedAt": "2025-12-07T14:00:00.000Z",
+ *     "responses": [
+ *       { "status": 429, "statusText": "Too Many Requests", "headers": { "retry-after": "2" } },
+ *       { "timeout": true, "delayMs": 50 },
+ *       { "status": 200, "body": { "rates": { "USD": 1.08 } } }
+ *     ]
+ *   }
+ *
+ * Replay serves `responses` in order, one per request, and keeps repeating
+ * the last one. Recording writes the live response as a single entry; edit
+ * the file to script failures in front of it.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG } from './config.js';
+
+const BACKEND_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Replay position per fixture file
+const cursors = new Map();
+
+/**
+ * Directory holding the fixture files
+ * @returns {string} Absolute path
+ */
+export function getFixturesDir() {
+  return path.resolve(BACKEND_DIR, CONFIG.UPSTREAM_FIXTURES_DIR);
+}
+
+/**
+ * Fixture file name for a request URL
+ * The query string is ignored and dates in the path become DATE, so a Polygon
+ * aggregates request replays on any day
+ * @param {string} url - Request URL
+ * @returns {string} File name, e.g. api.polygon.io_v2_aggs_ticker_MSTR_range_1_day_DATE_DATE.json
+ */
+export function fixtureName(url) {
+  const { hostname, pathname } = new URL(url);
+  const slug = `${hostname}${pathname}`
+    .replace(/\d{4}-\d{2}-\d{2}/g, 'DATE')
+    .replace(/[^A-Za-z0-9.-]+/g, '_')
+    .replace(/_+$/, '');
+  return `${slug}.json`;
+}
+
+/**
+ * Strip credentials from a URL before it is written to disk
+ * @param {string} url - Request URL
+ * @returns {string} URL with apiKey-style query parameters redacted
+ */
+function redactUrl(url) {
+  const parsed = new URL(url);
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (/key|token|secret/i.test(name)) parsed.searchParams.set(name, 'REDACTED');
+  }
+  return parsed.toString();
+}
+
+/**
+ * Next scripted response for a URL
+ * @param {string} url - Request URL
+ * @returns {Object|null} Response entry, or null when no fixture exists
+ */
+export function nextFixtureResponse(url) {
+  const file = path.join(getFixturesDir(), fixtureName(url));
+  if (!fs.existsSync(file)) return null;
+
+  const { responses } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(responses) || responses.length === 0) {
+    throw new Error(`Fixture ${file} has no responses`);
+  }
+
+  const index = cursors.get(file) ?? 0;
+  cursors.set(file, index + 1);
+  return responses[Math.min(index, responses.length - 1)];
+}
+
+/**
+ * Save a live response as the fixture for its URL (replacing any previous one)
+ * @param {string} url - Request URL
+ * @param {Object} entry - { status, statusText, headers, body }
+ * @returns {string} Path of the written file
+ */
+export function saveFixture(url, entry) {
+  const dir = getFixturesDir();
+  const file = path.join(dir, fixtureName(url));
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    url: redactUrl(url),
+    recordedAt: new Date().toISOString(),
+    responses: [entry],
+  }, null, 2) + '\n');
+  cursors.delete(file);
+  return file;
+}
+
+/**
+ * Rewind every fixture to its first response (for testing)
+ * @returns {void}
+ */
+export function resetFixtures() {
+  cursors.clear();
+}
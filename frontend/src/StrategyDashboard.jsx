@@ -1,14 +1,32 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { COLORS, STATIC_DATA } from './constants.js';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { COLORS } from './constants.js';
 import {
   formatNumber,
   formatBtc,
   calculateWaterfall,
   calculateCostOfCapital,
   calculateNavBleed,
+  calculatePreferredYields,
   generateScenarioData,
+  findMissingInputs,
+  formatMissingInputs,
+  waterfallInputKeys,
+  fxRatesFrom,
+  fxRateKey,
+  currencySymbol,
+  securityCurrency,
+  diffCapitalStructure,
+  compareSatsPerShare,
 } from './calculations.js';
-import { fetchAllPrices } from './api.js';
+import {
+  fetchAllPrices,
+  fetchCompanies,
+  fetchCompany,
+  companyTickers,
+  importCapitalStructure,
+  subscribeToPrices,
+  describeProvenance,
+} from './api.js';
 import {
   Card,
   Metric,
@@ -16,37 +34,80 @@ import {
   CapitalStructureChart,
   ScenarioChart,
   CapitalStackTable,
+  PreferredTable,
   ScenarioTable,
+  ChangelogTable,
+  Unavailable,
 } from './components.jsx';
 
-const CostOfCapitalSection = ({ costData, btcPrice, btcHoldings, usdReserve }) => (
+const StatusScreen = ({ children }) => (
+  <div style={{
+    fontFamily: "'Inter', -apple-system, BlinkMacSystemFont, sans-serif",
+    backgroundColor: COLORS.darkBg,
+    color: COLORS.textPrimary,
+    minHeight: '100vh',
+    padding: '20px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+  }}>
+    <div style={{ textAlign: 'center' }}>{children}</div>
+  </div>
+);
+
+const CompanySelect = ({ companies, selected, onSelect }) => (
+  <select
+    value={selected ?? ''}
+    onChange={(e) => onSelect(e.target.value)}
+    style={{
+      marginTop: '8px',
+      backgroundColor: COLORS.darkBg,
+      color: COLORS.textPrimary,
+      border: `1px solid ${COLORS.cardBorder}`,
+      borderRadius: '4px',
+      fontSize: '11px',
+    }}
+  >
+    {companies.map(({ company, name, ticker }) => (
+      <option key={company} value={company}>{ticker ? `${name} (${ticker})` : name}</option>
+    ))}
+  </select>
+);
+
+const CostOfCapitalSection = ({ costData, missing, btcPrice, btcHoldings, usdReserve }) => (
   <Card>
     <h3 style={{ color: COLORS.textPrimary, marginBottom: '10px', fontSize: '13px', fontWeight: '600' }}>
       Cost of Capital (Annual)
     </h3>
-    <Metric
-      label="Total Annual Cost"
-      value={formatNumber(costData.totalAnnualCost)}
-      subValue={`${((costData.totalAnnualCost / usdReserve) * 100).toFixed(1)}% of $1.44B reserve`}
-      subValue2={`${((costData.totalAnnualCost / (btcHoldings * btcPrice)) * 100).toFixed(2)}% of BTC value`}
-      color={COLORS.red}
-    />
-    <div style={{ marginTop: '12px', fontSize: '10px' }}>
-      {costData.breakdown.map(item => (
-        <div
-          key={item.name}
-          style={{
-            display: 'flex',
-            justifyContent: 'space-between',
-            padding: '4px 0',
-            color: COLORS.textSecondary,
-          }}
-        >
-          <span>{item.name} ({item.rate})</span>
-          <span style={{ fontFamily: "'JetBrains Mono', monospace" }}>{formatNumber(item.amount)}</span>
+    {costData ? (
+      <>
+        <Metric
+          label="Total Annual Cost"
+          value={formatNumber(costData.totalAnnualCost)}
+          subValue={`${((costData.totalAnnualCost / usdReserve) * 100).toFixed(1)}% of ${formatNumber(usdReserve)} reserve`}
+          subValue2={btcPrice
+            ? `${((costData.totalAnnualCost / (btcHoldings * btcPrice)) * 100).toFixed(2)}% of BTC value`
+            : `% of BTC value unavailable (missing ${formatMissingInputs(['btc'])})`}
+          color={COLORS.red}
+        />
+        <div style={{ marginTop: '12px', fontSize: '10px' }}>
+          {costData.breakdown.map(item => (
+            <div
+              key={item.name}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                padding: '4px 0',
+                color: COLORS.textSecondary,
+              }}
+            >
+              <span>{item.name} ({item.rate})</span>
+              <span style={{ fontFamily: "'JetBrains Mono', monospace" }}>{formatNumber(item.amount)}</span>
+            </div>
+          ))}
         </div>
-      ))}
-    </div>
+      </>
+    ) : <Unavailable missing={missing} />}
   </Card>
 );
 
@@ -59,7 +120,9 @@ const NavBleedSection = ({ navBleed, btcPrice }) => (
       label="Total Bleed"
       value={formatNumber(navBleed.totalBleed)}
       subValue={`${navBleed.bleedPct.toFixed(1)}% discount to par`}
-      subValue2={formatBtc(navBleed.totalBleed / btcPrice) + ' opportunity cost'}
+      subValue2={btcPrice
+        ? formatBtc(navBleed.totalBleed / btcPrice) + ' opportunity cost'
+        : `Opportunity cost unavailable (missing ${formatMissingInputs(['btc'])})`}
       color={COLORS.red}
     />
     <div style={{ marginTop: '8px', fontSize: '10px', color: COLORS.textSecondary }}>
@@ -68,6 +131,134 @@ const NavBleedSection = ({ navBleed, btcPrice }) => (
   </Card>
 );
 
+const ImportSection = ({ proForma, importing, importErrors, onImport, onRevert }) => {
+  const fileInput = useRef(null);
+
+  return (
+    <Card style={{ marginBottom: '16px' }}>
+      <h3 style={{ color: COLORS.textPrimary, marginBottom: '10px', fontSize: '13px', fontWeight: '600' }}>
+        Pro-Forma Capital Structure
+      </h3>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '11px', color: COLORS.textSecondary }}>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".json,.csv"
+          style={{ display: 'none' }}
+          onChange={(e) => {
+            const [file] = e.target.files;
+            // Reset so picking the same file again re-imports it
+            e.target.value = '';
+            if (file) onImport(file);
+          }}
+        />
+        <button
+          type="button"
+          disabled={importing}
+          onClick={() => fileInput.current?.click()}
+          style={{
+            backgroundColor: COLORS.darkBg,
+            color: COLORS.textPrimary,
+            border: `1px solid ${COLORS.cardBorder}`,
+            borderRadius: '4px',
+            padding: '4px 10px',
+            fontSize: '11px',
+            cursor: importing ? 'wait' : 'pointer',
+          }}
+        >
+          {importing ? 'Validating...' : 'Import JSON/CSV'}
+        </button>
+        {proForma ? (
+          <>
+            <span style={{ color: COLORS.btcOrange }}>Pro-forma: {proForma.name}</span>
+            <button
+              type="button"
+              onClick={onRevert}
+              style={{
+                background: 'none',
+                border: 'none',
+                padding: 0,
+                color: COLORS.blue,
+                cursor: 'pointer',
+                fontSize: '11px',
+                textDecoration: 'underline',
+              }}
+            >
+              Revert to published
+            </button>
+          </>
+        ) : (
+          <span>Model a hypothetical structure: every figure above is recomputed from the file. Nothing is saved.</span>
+        )}
+      </div>
+      {importErrors.length > 0 && (
+        <div style={{ marginTop: '10px', fontSize: '10px', color: COLORS.red }}>
+          <div style={{ marginBottom: '4px' }}>Import rejected ({importErrors.length} {importErrors.length === 1 ? 'problem' : 'problems'}):</div>
+          {importErrors.map(({ path, message }) => (
+            <div key={`${path} ${message}`} style={{ fontFamily: "'JetBrains Mono', monospace" }}>
+              {path ? `${path}: ` : ''}{message}
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+const ChangelogSection = ({ currentLabel, effectiveDate, earlierVersions, selectedVersion, onSelectVersion, comparison, diff, satsChange, missingInputs, commonTicker }) => (
+  <Card style={{ marginBottom: '16px' }}>
+    <h3 style={{ color: COLORS.textPrimary, marginBottom: '10px', fontSize: '13px', fontWeight: '600' }}>
+      Capital Structure Changelog
+    </h3>
+    {earlierVersions.length === 0 ? (
+      <div style={{ fontSize: '11px', color: COLORS.textSecondary }}>
+        Only one snapshot ({effectiveDate}) so far. Changes show up here once a newer version is published.
+      </div>
+    ) : (
+      <>
+        <div style={{ marginBottom: '10px', fontSize: '11px', color: COLORS.textSecondary }}>
+          {currentLabel} compared with{' '}
+          <select
+            value={selectedVersion}
+            onChange={(e) => onSelectVersion(e.target.value)}
+            style={{
+              backgroundColor: COLORS.darkBg,
+              color: COLORS.textPrimary,
+              border: `1px solid ${COLORS.cardBorder}`,
+              borderRadius: '4px',
+              fontSize: '11px',
+            }}
+          >
+            {earlierVersions.map(version => <option key={version} value={version}>{version}</option>)}
+          </select>
+        </div>
+        {comparison?.error && <div style={{ fontSize: '11px', color: COLORS.red }}>{comparison.error}</div>}
+        {!comparison && <div style={{ fontSize: '11px', color: COLORS.textSecondary }}>Loading snapshot...</div>}
+        {diff && (
+          <>
+            <Metric
+              label="Sats/Share Change (at current prices)"
+              {...(satsChange ? {
+                value: `${satsChange.change > 0 ? '+' : ''}${satsChange.change.toLocaleString()} sats`,
+                subValue: `${satsChange.before.toLocaleString()} → ${satsChange.after.toLocaleString()} sats`
+                  + (satsChange.changePct !== null ? ` (${satsChange.changePct > 0 ? '+' : ''}${satsChange.changePct.toFixed(2)}%)` : ''),
+                color: satsChange.change < 0 ? COLORS.red : COLORS.green,
+              } : {
+                value: 'Unavailable',
+                subValue: `Missing ${formatMissingInputs(missingInputs, commonTicker)}`,
+                color: COLORS.textSecondary,
+              })}
+            />
+            {diff.changed
+              ? <ChangelogTable diff={diff} />
+              : <div style={{ fontSize: '11px', color: COLORS.textSecondary }}>No changes between these snapshots.</div>}
+          </>
+        )}
+      </>
+    )}
+  </Card>
+);
+
 const ConvertiblesTable = ({ notes, mstrPrice }) => (
   <div style={{ overflowX: 'auto' }}>
     <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
@@ -126,43 +317,95 @@ const ConvertiblesTable = ({ notes, mstrPrice }) => (
 );
 
 export default function StrategyDashboard() {
-  const [prices, setPrices] = useState({ btc: 100000, mstr: 420, eurUsd: 1.05 });
+  // No made-up defaults: until the backend (or a last-known value) supplies a
+  // price, it is null and everything derived from it shows as unavailable
+  const [prices, setPrices] = useState({ btc: null, mstr: null, eurUsd: null });
   const [backendPrices, setBackendPrices] = useState(null);
+  const [provenance, setProvenance] = useState({});
+  // Capital-structure snapshot from /api/company (holdings, notes, preferreds)
+  const [company, setCompany] = useState(null);
+  // Companies offered in the selector ({ company, name, ticker, effectiveDate })
+  const [companies, setCompanies] = useState([]);
+  // Earlier snapshot the changelog compares against (null = the previous version)
+  const [compareVersion, setCompareVersion] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  // Uploaded structure replacing the published one until reverted ({ name, data })
+  const [proForma, setProForma] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [importErrors, setImportErrors] = useState([]);
   const [loading, setLoading] = useState(true);
   const [errors, setErrors] = useState([]);
   const [treatItmAsEquity, setTreatItmAsEquity] = useState(true);
   const [btcEdited, setBtcEdited] = useState(false);
   const [mstrEdited, setMstrEdited] = useState(false);
-  const [btcInput, setBtcInput] = useState('100,000');
-  const [mstrInput, setMstrInput] = useState('420.00');
+  const [btcInput, setBtcInput] = useState('');
+  const [mstrInput, setMstrInput] = useState('');
 
-  useEffect(() => {
-    async function loadPrices() {
-      const result = await fetchAllPrices();
-      if (result.btc && result.mstr) {
-        const basePrices = {
-          btc: result.btc,
-          mstr: result.mstr,
-          eurUsd: result.eurUsd,
-          STRF: result.STRF,
-          STRC: result.STRC,
-          STRK: result.STRK,
-          STRD: result.STRD,
-          STRE: result.STRE,
-        };
-        setPrices(basePrices);
-        setBackendPrices(basePrices);
-        setBtcEdited(false);
-        setMstrEdited(false);
-        setBtcInput(basePrices.btc.toLocaleString());
-        setMstrInput(basePrices.mstr.toFixed(2));
-      }
-      setErrors(result.errors);
-      setLoading(false);
-    }
-    loadPrices();
+  // Only the latest selection may apply its results
+  const loadIdRef = useRef(0);
+
+  /**
+   * Load a company's snapshot, then the prices of the tickers it names
+   * Manual edits and any pro-forma structure belong to the previous company
+   * @param {string|null} companyId - Company id (null = the backend default)
+   */
+  const loadDashboard = useCallback(async (companyId = null) => {
+    const loadId = ++loadIdRef.current;
+    setLoading(true);
+
+    const snapshot = await fetchCompany({ company: companyId });
+    const tickers = companyTickers(snapshot);
+    const result = await fetchAllPrices({ tickers });
+    if (loadId !== loadIdRef.current) return;
+
+    const basePrices = { btc: result.btc, mstr: result.mstr };
+    for (const key of [...tickers.rates, ...tickers.preferred]) basePrices[key] = result[key];
+
+    setPrices(basePrices);
+    setBackendPrices(basePrices);
+    setBtcEdited(false);
+    setMstrEdited(false);
+    setBtcInput(basePrices.btc ? basePrices.btc.toLocaleString() : '');
+    setMstrInput(basePrices.mstr ? basePrices.mstr.toFixed(2) : '');
+    setProvenance(result.provenance);
+    setCompany(snapshot);
+    setProForma(null);
+    setImportErrors([]);
+    setCompareVersion(null);
+    setErrors(snapshot.error ? [...result.errors, snapshot.error] : result.errors);
+    setLoading(false);
   }, []);
 
+  useEffect(() => {
+    loadDashboard();
+    fetchCompanies().then(({ companies: list }) => setCompanies(list));
+  }, [loadDashboard]);
+
+  // Track manual edits in a ref so the long-lived stream callback sees them
+  const editedRef = useRef({ btc: false, mstr: false });
+  useEffect(() => {
+    editedRef.current = { btc: btcEdited, mstr: mstrEdited };
+  }, [btcEdited, mstrEdited]);
+
+  // Live updates: the backend pushes every refreshed price over SSE
+  // (resubscribed per company so only its tickers are applied)
+  useEffect(() => {
+    return subscribeToPrices((update, provenanceUpdate) => {
+      // Revert-to-live needs a full set of values, which only the initial load provides
+      setBackendPrices(prev => (prev ? { ...prev, ...update } : prev));
+      setProvenance(prev => ({ ...prev, ...provenanceUpdate }));
+
+      const { btc: btcEditedNow, mstr: mstrEditedNow } = editedRef.current;
+      const applied = { ...update };
+      if (btcEditedNow) delete applied.btc;
+      if (mstrEditedNow) delete applied.mstr;
+      setPrices(prev => ({ ...prev, ...applied }));
+
+      if (applied.btc) setBtcInput(applied.btc.toLocaleString());
+      if (applied.mstr) setMstrInput(applied.mstr.toFixed(2));
+    }, { tickers: companyTickers(company) });
+  }, [company]);
+
   const backendUnavailable = errors.some(e => e.startsWith('Backend unavailable'));
 
   const parseNumericInput = (value) => {
@@ -193,22 +436,56 @@ export default function StrategyDashboard() {
   };
 
   const revertBtcToLive = () => {
-    if (!backendPrices) return;
+    if (!backendPrices?.btc) return;
     setPrices(prev => ({ ...prev, btc: backendPrices.btc }));
     setBtcInput(backendPrices.btc.toLocaleString());
     setBtcEdited(false);
   };
 
   const revertMstrToLive = () => {
-    if (!backendPrices) return;
+    if (!backendPrices?.mstr) return;
     setPrices(prev => ({ ...prev, mstr: backendPrices.mstr }));
     setMstrInput(backendPrices.mstr.toFixed(2));
     setMstrEdited(false);
   };
 
-  const PriceStatusIcon = ({ color, edited, id }) => {
-    if (backendUnavailable) {
-      // Greyed-out circle with diagonal slash when backend is down
+  const handleImport = async (file) => {
+    setImporting(true);
+    const { data, errors: problems } = await importCapitalStructure(file);
+    setImportErrors(problems);
+    if (data) {
+      setProForma({ name: file.name, data });
+      setCompareVersion(null);
+    }
+    setImporting(false);
+  };
+
+  const revertToPublished = () => {
+    setProForma(null);
+    setImportErrors([]);
+    setCompareVersion(null);
+  };
+
+  const PriceStatusIcon = ({ color, edited, id, source }) => {
+    const title = edited ? 'Manually edited' : describeProvenance(source);
+
+    if (edited) {
+      // Small pencil icon to indicate manually edited value
+      return (
+        <div style={{
+          position: 'absolute',
+          top: 8,
+          right: 8,
+          fontSize: '11px',
+          color,
+        }} title={title} data-testid={id ? `${id}-status-edited` : undefined}>
+          ✎
+        </div>
+      );
+    }
+
+    if (!source || (!source.fetchedAt && !source.lastKnown)) {
+      // Greyed-out circle with diagonal slash when there is no value at all
       return (
         <div style={{
           position: 'absolute',
@@ -222,7 +499,7 @@ export default function StrategyDashboard() {
           alignItems: 'center',
           justifyContent: 'center',
           opacity: 0.6,
-        }} data-testid={id ? `${id}-status-backend` : undefined}>
+        }} title={title} data-testid={id ? `${id}-status-${backendUnavailable ? 'backend' : 'unavailable'}` : undefined}>
           <div style={{
             width: 12,
             height: 1,
@@ -233,18 +510,19 @@ export default function StrategyDashboard() {
       );
     }
 
-    if (edited) {
-      // Small pencil icon to indicate manually edited value
+    if (source.stale) {
+      // Stale or last-known price: hollow ring
       return (
         <div style={{
           position: 'absolute',
-          top: 8,
-          right: 8,
-          fontSize: '11px',
-          color,
-        }} data-testid={id ? `${id}-status-edited` : undefined}>
-          ✎
-        </div>
+          top: 10,
+          right: 10,
+          width: 8,
+          height: 8,
+          borderRadius: '50%',
+          border: `1px solid ${color}`,
+          boxSizing: 'border-box',
+        }} title={title} data-testid={id ? `${id}-status-stale` : undefined} />
       );
     }
 
@@ -258,59 +536,155 @@ export default function StrategyDashboard() {
         height: 8,
         borderRadius: '50%',
         backgroundColor: color,
-      }} data-testid={id ? `${id}-status-live` : undefined} />
+      }} title={title} data-testid={id ? `${id}-status-live` : undefined} />
     );
   };
 
+  const capital = proForma?.data ?? company?.data ?? null;
+  // The `mstr` price is the selected company's common stock
+  const commonTicker = company?.ticker ?? 'Common';
+  // ... quoted in its listing currency (e.g. JPY for 3350.T)
+  const commonCurrency = company?.currency ?? 'USD';
+
+  // Market inputs with no value; every figure derived from them is marked unavailable
+  const missingInputs = useMemo(
+    () => findMissingInputs(prices, capital ? waterfallInputKeys(capital.preferredStock, commonCurrency) : undefined),
+    [prices, capital, commonCurrency],
+  );
+
+  // USD rates of the listing currencies (eurUsd → EUR, jpyUsd → JPY, ...)
+  const fxRates = useMemo(() => fxRatesFrom(prices), [prices]);
+
   const waterfallResult = useMemo(() => {
+    if (!capital || missingInputs.length > 0) return null;
     return calculateWaterfall({
       btcPrice: prices.btc,
       mstrPrice: prices.mstr,
-      btcHoldings: STATIC_DATA.btcHoldings,
-      debtData: STATIC_DATA.convertibleNotes,
-      preferredData: STATIC_DATA.preferredStock,
-      commonSharesBasic: STATIC_DATA.basicSharesOutstanding,
-      eurUsdRate: prices.eurUsd,
+      btcHoldings: capital.btcHoldings,
+      debtData: capital.convertibleNotes,
+      preferredData: capital.preferredStock,
+      commonSharesBasic: capital.basicSharesOutstanding,
+      fxRates,
+      commonCurrency,
       stockPrices: prices,
       treatItmAsEquity,
     });
-  }, [prices, treatItmAsEquity]);
+  }, [capital, prices, fxRates, commonCurrency, treatItmAsEquity, missingInputs]);
+
+  // Scenarios pick their own BTC prices, so only the other inputs are needed
+  const scenarioMissing = missingInputs.filter(key => key !== 'btc');
 
   const scenarioData = useMemo(() => {
+    if (!capital || scenarioMissing.length > 0) return null;
     const btcPrices = [];
     for (let i = 30000; i <= 250000; i += 5000) btcPrices.push(i);
-    return generateScenarioData(STATIC_DATA, btcPrices, prices.mstr, prices, prices.eurUsd, treatItmAsEquity);
-  }, [prices, treatItmAsEquity]);
+    return generateScenarioData(capital, btcPrices, prices.mstr, prices, fxRates, treatItmAsEquity, commonCurrency);
+  }, [capital, prices, fxRates, commonCurrency, treatItmAsEquity, scenarioMissing.length]);
+
+  // FX rates only matter for the currencies series pay dividends in
+  const costMissing = useMemo(() => {
+    if (!capital) return [];
+    const currencies = new Set(Object.values(capital.preferredStock).map(securityCurrency));
+    currencies.delete('USD');
+    return findMissingInputs(prices, [...currencies].map(fxRateKey));
+  }, [capital, prices]);
 
   const costOfCapital = useMemo(() => {
-    return calculateCostOfCapital(STATIC_DATA.preferredStock, STATIC_DATA.convertibleNotes, prices.eurUsd);
-  }, [prices.eurUsd]);
+    if (!capital || costMissing.length > 0) return null;
+    return calculateCostOfCapital(capital.preferredStock, capital.convertibleNotes, fxRates);
+  }, [capital, fxRates, costMissing]);
 
   const navBleed = useMemo(() => {
-    return calculateNavBleed(STATIC_DATA.preferredStock);
-  }, []);
+    if (!capital) return null;
+    return calculateNavBleed(capital.preferredStock);
+  }, [capital]);
+
+  const preferredYields = useMemo(() => {
+    if (!capital) return [];
+    return calculatePreferredYields(capital.preferredStock, prices, fxRates);
+  }, [capital, prices, fxRates]);
+
+  // Changelog: diff the current snapshot against an earlier version, newest first
+  // (a pro-forma structure is also compared with the published one it replaces)
+  const earlierVersions = useMemo(() => {
+    if (!company?.effectiveDate) return [];
+    return company.versions
+      .filter(version => (proForma ? version <= company.effectiveDate : version < company.effectiveDate))
+      .reverse();
+  }, [company, proForma]);
+  const selectedVersion = compareVersion ?? earlierVersions[0] ?? null;
+
+  useEffect(() => {
+    if (!selectedVersion) return undefined;
+    let cancelled = false;
+    setComparison(null);
+    fetchCompany({ company: company.company, asOf: selectedVersion }).then(snapshot => {
+      if (!cancelled) setComparison(snapshot);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [company, selectedVersion]);
 
-  const simpleBtcPerShare = STATIC_DATA.btcHoldings / (STATIC_DATA.basicSharesOutstanding * 1000);
+  const changelog = useMemo(() => {
+    if (!capital || !comparison?.data) return null;
+    return diffCapitalStructure(comparison.data, capital);
+  }, [capital, comparison]);
+
+  const satsChange = useMemo(() => {
+    if (!changelog || missingInputs.length > 0) return null;
+    return compareSatsPerShare(comparison.data, capital, {
+      btcPrice: prices.btc,
+      mstrPrice: prices.mstr,
+      fxRates,
+      commonCurrency,
+      stockPrices: prices,
+      treatItmAsEquity,
+    });
+  }, [changelog, comparison, capital, prices, fxRates, commonCurrency, treatItmAsEquity, missingInputs]);
+
+  const simpleBtcPerShare = capital ? capital.btcHoldings / (capital.basicSharesOutstanding * 1000) : null;
   const simpleSatsPerShare = Math.round(simpleBtcPerShare * 100000000);
-  const difference = waterfallResult.satoshisPerShare - simpleSatsPerShare;
+  const difference = waterfallResult ? waterfallResult.satoshisPerShare - simpleSatsPerShare : 0;
   const differencePct = (difference / simpleSatsPerShare) * 100;
 
+  // Metric props for figures that cannot be computed from the current inputs
+  const unavailableMetric = {
+    value: 'Unavailable',
+    subValue: `Missing ${formatMissingInputs(missingInputs, commonTicker)}`,
+    color: COLORS.textSecondary,
+  };
+
+  /**
+   * Label under a price input saying where the value came from
+   * @param {number|null} value - Current price
+   * @param {Object} source - Provenance of the backend value
+   * @returns {string} Label text
+   */
+  const priceLabel = (value, source) => {
+    if (!value) return 'Unavailable, enter a price';
+    if (source?.lastKnown) return 'Last known price';
+    return source?.stale ? 'Stale price' : 'Live price';
+  };
+
   if (loading) {
     return (
-      <div style={{
-        fontFamily: "'Inter', -apple-system, BlinkMacSystemFont, sans-serif",
-        backgroundColor: COLORS.darkBg,
-        color: COLORS.textPrimary,
-        minHeight: '100vh',
-        padding: '20px',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-      }}>
-        <div style={{ textAlign: 'center' }}>
-          <div style={{ fontSize: '18px', color: COLORS.btcOrange }}>Loading prices...</div>
-        </div>
-      </div>
+      <StatusScreen>
+        <div style={{ fontSize: '18px', color: COLORS.btcOrange }}>Loading prices...</div>
+      </StatusScreen>
+    );
+  }
+
+  // Without holdings, share counts and claims there is nothing to compute
+  if (!capital) {
+    return (
+      <StatusScreen>
+        <div style={{ fontSize: '18px', color: COLORS.red }}>Capital structure unavailable</div>
+        <div style={{ marginTop: '8px', fontSize: '11px', color: COLORS.textSecondary }}>{company?.error}</div>
+        {companies.length > 1 && (
+          <CompanySelect companies={companies} selected={company?.company} onSelect={loadDashboard} />
+        )}
+      </StatusScreen>
     );
   }
 
@@ -331,11 +705,19 @@ export default function StrategyDashboard() {
           color: COLORS.btcOrange,
           margin: '0 0 4px 0',
         }}>
-          Strategy BTC Dashboard
+          {company.name} BTC Dashboard
         </h1>
         <p style={{ fontSize: '11px', color: COLORS.textSecondary, margin: 0 }}>
           Calculating BTC/share after senior claims (debt, preferred)
         </p>
+        {companies.length > 1 && (
+          <CompanySelect companies={companies} selected={company.company} onSelect={loadDashboard} />
+        )}
+        {proForma && (
+          <p style={{ fontSize: '11px', color: COLORS.btcOrange, margin: '4px 0 0 0' }}>
+            Showing pro-forma capital structure from {proForma.name}
+          </p>
+        )}
         {errors.length > 0 && (
           <div style={{
             marginTop: '8px',
@@ -360,18 +742,22 @@ export default function StrategyDashboard() {
         <Card style={{ background: `linear-gradient(135deg, ${COLORS.cardBg}, rgba(247, 147, 26, 0.15))` }}>
           <Metric
             label="BTC/Share"
-            value={`${waterfallResult.satoshisPerShare.toLocaleString()} sats`}
-            subValue={`₿${waterfallResult.btcPerShare.toFixed(8)}`}
-            color={COLORS.btcOrange}
+            {...(waterfallResult ? {
+              value: `${waterfallResult.satoshisPerShare.toLocaleString()} sats`,
+              subValue: `₿${waterfallResult.btcPerShare.toFixed(8)}`,
+              color: COLORS.btcOrange,
+            } : unavailableMetric)}
             large
           />
         </Card>
         <Card>
           <Metric
             label="USD Value/Share"
-            value={`$${waterfallResult.usdPerShare.toFixed(2)}`}
-            subValue={`@ $${prices.btc.toLocaleString()} BTC`}
-            color={COLORS.green}
+            {...(waterfallResult ? {
+              value: `$${waterfallResult.usdPerShare.toFixed(2)}`,
+              subValue: `@ $${prices.btc.toLocaleString()} BTC`,
+              color: COLORS.green,
+            } : unavailableMetric)}
             large
           />
         </Card>
@@ -387,9 +773,11 @@ export default function StrategyDashboard() {
         <Card>
           <Metric
             label="Difference"
-            value={`${differencePct.toFixed(1)}%`}
-            subValue={`${difference > 0 ? '+' : ''}${difference.toLocaleString()} sats`}
-            color={difference < 0 ? COLORS.red : COLORS.green}
+            {...(waterfallResult ? {
+              value: `${differencePct.toFixed(1)}%`,
+              subValue: `${difference > 0 ? '+' : ''}${difference.toLocaleString()} sats`,
+              color: difference < 0 ? COLORS.red : COLORS.green,
+            } : unavailableMetric)}
             large
           />
         </Card>
@@ -402,7 +790,7 @@ export default function StrategyDashboard() {
         marginBottom: '16px',
       }}>
         <Card style={{ padding: '12px', position: 'relative' }}>
-          <PriceStatusIcon color={COLORS.btcOrange} edited={btcEdited} id="btc" />
+          <PriceStatusIcon color={COLORS.btcOrange} edited={btcEdited} id="btc" source={provenance.btc} />
           <Metric
             label="BTC Price"
             value={
@@ -434,8 +822,8 @@ export default function StrategyDashboard() {
           {backendPrices && (
             <div style={{ marginTop: '-4px', fontSize: '9px', textAlign: 'right' }}>
               {!btcEdited ? (
-                <span style={{ color: COLORS.textSecondary }}>Live price</span>
-              ) : (
+                <span style={{ color: COLORS.textSecondary }}>{priceLabel(prices.btc, provenance.btc)}</span>
+              ) : backendPrices.btc && (
                 <button
                   type="button"
                   onClick={revertBtcToLive}
@@ -456,12 +844,12 @@ export default function StrategyDashboard() {
           )}
         </Card>
         <Card style={{ padding: '12px', position: 'relative' }}>
-          <PriceStatusIcon color={COLORS.green} edited={mstrEdited} id="mstr" />
+          <PriceStatusIcon color={COLORS.green} edited={mstrEdited} id="mstr" source={provenance[commonTicker]} />
           <Metric
-            label="MSTR Price"
+            label={`${commonTicker} Price`}
             value={
               <div style={{ display: 'flex', justifyContent: 'flex-start', alignItems: 'baseline', gap: 0 }}>
-                <span style={{ color: COLORS.textPrimary }}>$</span>
+                <span style={{ color: COLORS.textPrimary }}>{currencySymbol(commonCurrency)}</span>
                 <input
                   type="text"
                   value={mstrInput}
@@ -491,8 +879,8 @@ export default function StrategyDashboard() {
           {backendPrices && (
             <div style={{ marginTop: '-4px', fontSize: '9px', textAlign: 'right' }}>
               {!mstrEdited ? (
-                <span style={{ color: COLORS.textSecondary }}>Live price</span>
-              ) : (
+                <span style={{ color: COLORS.textSecondary }}>{priceLabel(prices.mstr, provenance[commonTicker])}</span>
+              ) : backendPrices.mstr && (
                 <button
                   type="button"
                   onClick={revertMstrToLive}
@@ -512,16 +900,25 @@ export default function StrategyDashboard() {
             </div>
           )}
         </Card>
-        <Card style={{ padding: '12px' }}><Metric label="Total BTC" value={`₿${STATIC_DATA.btcHoldings.toLocaleString()}`} /></Card>
+        <Card style={{ padding: '12px' }}><Metric label="Total BTC" value={`₿${capital.btcHoldings.toLocaleString()}`} /></Card>
         <Card style={{ padding: '12px' }}>
           <Metric
             label="Senior Claims"
-            value={`${((waterfallResult.seniorClaimsBtc / STATIC_DATA.btcHoldings) * 100).toFixed(1)}%`}
-            subValue={formatBtc(waterfallResult.seniorClaimsBtc)}
+            {...(waterfallResult ? {
+              value: `${((waterfallResult.seniorClaimsBtc / capital.btcHoldings) * 100).toFixed(1)}%`,
+              subValue: formatBtc(waterfallResult.seniorClaimsBtc),
+            } : unavailableMetric)}
+          />
+        </Card>
+        <Card style={{ padding: '12px' }}>
+          <Metric label="Residual BTC" {...(waterfallResult ? { value: formatBtc(waterfallResult.residualBtc) } : unavailableMetric)} />
+        </Card>
+        <Card style={{ padding: '12px' }}>
+          <Metric
+            label="Outstanding Shares"
+            {...(waterfallResult ? { value: `${(waterfallResult.totalCommonShares / 1e6).toFixed(1)}M` } : unavailableMetric)}
           />
         </Card>
-        <Card style={{ padding: '12px' }}><Metric label="Residual BTC" value={formatBtc(waterfallResult.residualBtc)} /></Card>
-        <Card style={{ padding: '12px' }}><Metric label="Outstanding Shares" value={`${(waterfallResult.totalCommonShares / 1e6).toFixed(1)}M`} /></Card>
       </div>
 
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(350px, 1fr))', gap: '12px', marginBottom: '16px' }}>
@@ -529,18 +926,24 @@ export default function StrategyDashboard() {
           <h3 style={{ color: COLORS.textPrimary, marginBottom: '12px', fontSize: '13px', fontWeight: '600' }}>
             Capital Structure
           </h3>
-          <CapitalStructureChart data={waterfallResult.waterfall} btcHoldings={STATIC_DATA.btcHoldings} />
+          {waterfallResult
+            ? <CapitalStructureChart data={waterfallResult.waterfall} btcHoldings={capital.btcHoldings} />
+            : <Unavailable missing={missingInputs} commonTicker={commonTicker} />}
         </Card>
 
         <Card>
           <h3 style={{ color: COLORS.textPrimary, marginBottom: '12px', fontSize: '13px', fontWeight: '600' }}>
             Sats/Share & Senior % vs BTC Price
           </h3>
-          <ScenarioChart data={scenarioData} currentBtcPrice={prices.btc} />
-          <div style={{ marginTop: '6px', fontSize: '9px', color: COLORS.textSecondary }}>
-            <span style={{ color: COLORS.btcOrange }}>━</span> Sats/Share &nbsp;
-            <span style={{ color: COLORS.red }}>┅</span> Senior Claims %
-          </div>
+          {scenarioData ? (
+            <>
+              <ScenarioChart data={scenarioData} currentBtcPrice={prices.btc ?? undefined} />
+              <div style={{ marginTop: '6px', fontSize: '9px', color: COLORS.textSecondary }}>
+                <span style={{ color: COLORS.btcOrange }}>━</span> Sats/Share &nbsp;
+                <span style={{ color: COLORS.red }}>┅</span> Senior Claims %
+              </div>
+            </>
+          ) : <Unavailable missing={scenarioMissing} commonTicker={commonTicker} />}
         </Card>
       </div>
 
@@ -549,9 +952,11 @@ export default function StrategyDashboard() {
           <h3 style={{ color: COLORS.textPrimary, marginBottom: '12px', fontSize: '13px', fontWeight: '600' }}>
             Capital Stack Detail
           </h3>
-          <CapitalStackTable waterfall={waterfallResult.waterfall} />
+          {waterfallResult
+            ? <CapitalStackTable waterfall={waterfallResult.waterfall} btcHoldings={capital.btcHoldings} />
+            : <Unavailable missing={missingInputs} commonTicker={commonTicker} />}
 
-          {treatItmAsEquity && waterfallResult.inMoneyConverts.length > 0 && (
+          {treatItmAsEquity && waterfallResult?.inMoneyConverts.length > 0 && (
             <div style={{
               marginTop: '10px',
               padding: '8px 10px',
@@ -575,18 +980,21 @@ export default function StrategyDashboard() {
               onChange={(e) => setTreatItmAsEquity(e.target.checked)}
               label="Treat ITM converts as equity (adds to shares, removes from debt)"
             />
-            <div style={{ fontSize: '10px', color: COLORS.textSecondary, marginTop: '6px' }}>
-              {waterfallResult.inMoneyConverts.length} of {STATIC_DATA.convertibleNotes.length} converts ITM @ MSTR ${prices.mstr.toFixed(0)}
-            </div>
+            {waterfallResult && (
+              <div style={{ fontSize: '10px', color: COLORS.textSecondary, marginTop: '6px' }}>
+                {waterfallResult.inMoneyConverts.length} of {capital.convertibleNotes.length} converts ITM @ {commonTicker} {currencySymbol(commonCurrency)}{prices.mstr.toFixed(0)}
+              </div>
+            )}
           </div>
         </Card>
 
         <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
           <CostOfCapitalSection
             costData={costOfCapital}
+            missing={costMissing}
             btcPrice={prices.btc}
-            btcHoldings={STATIC_DATA.btcHoldings}
-            usdReserve={STATIC_DATA.usdReserve}
+            btcHoldings={capital.btcHoldings}
+            usdReserve={capital.usdReserve}
           />
           <NavBleedSection
             navBleed={navBleed}
@@ -599,23 +1007,56 @@ export default function StrategyDashboard() {
         <h3 style={{ color: COLORS.textPrimary, marginBottom: '10px', fontSize: '13px', fontWeight: '600' }}>
           Scenario Analysis: BTC Price Changes
         </h3>
-        <ScenarioTable
-          currentBtcPrice={prices.btc}
-          currentResult={waterfallResult}
-          baseData={STATIC_DATA}
-          stockPrices={prices}
-          eurUsdRate={prices.eurUsd}
-          treatItmAsEquity={treatItmAsEquity}
-        />
+        {waterfallResult ? (
+          <ScenarioTable
+            currentBtcPrice={prices.btc}
+            currentResult={waterfallResult}
+            baseData={capital}
+            stockPrices={prices}
+            fxRates={fxRates}
+            commonCurrency={commonCurrency}
+            treatItmAsEquity={treatItmAsEquity}
+          />
+        ) : <Unavailable missing={missingInputs} commonTicker={commonTicker} />}
+      </Card>
+
+      <Card style={{ marginBottom: '16px' }}>
+        <h3 style={{ color: COLORS.textPrimary, marginBottom: '10px', fontSize: '13px', fontWeight: '600' }}>
+          Preferred Stock Market
+        </h3>
+        <PreferredTable rows={preferredYields} waterfall={waterfallResult?.waterfall ?? []} />
       </Card>
 
       <Card style={{ marginBottom: '16px' }}>
         <h3 style={{ color: COLORS.textPrimary, marginBottom: '10px', fontSize: '13px', fontWeight: '600' }}>
           Convertible Notes Status
         </h3>
-        <ConvertiblesTable notes={STATIC_DATA.convertibleNotes} mstrPrice={prices.mstr} />
+        {prices.mstr
+          ? <ConvertiblesTable notes={capital.convertibleNotes} mstrPrice={prices.mstr} />
+          : <Unavailable missing={['mstr']} commonTicker={commonTicker} />}
       </Card>
 
+      <ImportSection
+        proForma={proForma}
+        importing={importing}
+        importErrors={importErrors}
+        onImport={handleImport}
+        onRevert={revertToPublished}
+      />
+
+      <ChangelogSection
+        currentLabel={proForma ? `Pro-forma (${proForma.name})` : company.effectiveDate}
+        effectiveDate={company.effectiveDate}
+        earlierVersions={earlierVersions}
+        selectedVersion={selectedVersion}
+        onSelectVersion={setCompareVersion}
+        comparison={comparison}
+        diff={changelog}
+        satsChange={satsChange}
+        missingInputs={missingInputs}
+        commonTicker={commonTicker}
+      />
+
       <div style={{
         textAlign: 'center',
         padding: '12px',
@@ -624,7 +1065,9 @@ export default function StrategyDashboard() {
         borderTop: `1px solid ${COLORS.cardBorder}`,
       }}>
         <p style={{ margin: '0 0 4px 0' }}>
-          Data: Strategy.com (12/07/2025) • CoinGecko (BTC) • Polygon.io (stocks) • USD Reserve: $1.44B
+          Data: {proForma
+            ? `Pro-forma ${proForma.name} (not published)`
+            : `${company.source ?? company.name} (${company.effectiveDate}${company.lastKnown ? ', last known' : ''})`} • CoinGecko (BTC) • Polygon.io (stocks) • USD Reserve: {formatNumber(capital.usdReserve)}
         </p>
       </div>
     </div>
@@ -1,11 +1,167 @@
+import { securityCurrency, fxRateKey } from './calculations.js';
+
+/**
+ * Equity tickers of the default company (Strategy), used until a snapshot names others
+ */
+export const DEFAULT_TICKERS = { common: 'MSTR', preferred: ['STRF', 'STRC', 'STRK', 'STRD', 'STRE'], rates: ['eurUsd'] };
+
+/**
+ * Backend price keys the dashboard reads for a company
+ * @param {Object} tickers - { common, preferred, rates }
+ * @returns {string[]} BTC, the common stock, the FX rates and the preferreds
+ */
+function priceKeys({ common, preferred, rates = ['eurUsd'] }) {
+  return ['btc', ...(common ? [common] : []), ...rates, ...preferred];
+}
+
+/**
+ * Equity tickers of a capital-structure snapshot
+ * EUR/USD is always read (it is shown on its own); other rates only for the
+ * currencies the company's common stock and preferreds are listed in
+ * @param {Object} snapshot - Result of fetchCompany()
+ * @returns {Object} { common, preferred, rates }: common-stock ticker (null if the snapshot names none),
+ *   tickers of the listed preferreds (`unlisted` series have no quote) and FX rate keys (e.g. ['eurUsd', 'jpyUsd'])
+ */
+export function companyTickers(snapshot) {
+  const preferredStock = snapshot?.data?.preferredStock ?? {};
+  const currencies = [snapshot?.currency ?? 'USD', ...Object.values(preferredStock).map(securityCurrency)]
+    .filter(currency => currency !== 'USD');
+  return {
+    common: snapshot?.ticker ?? null,
+    preferred: Object.keys(preferredStock).filter(ticker => !preferredStock[ticker].unlisted),
+    rates: [...new Set(['eurUsd', ...currencies.map(fxRateKey)])],
+  };
+}
+
+/**
+ * localStorage key holding the last real value seen for each price
+ */
+export const LAST_KNOWN_STORAGE_KEY = 'strategy-dashboard:last-known-prices';
+
+/**
+ * localStorage key holding the last capital-structure snapshot per company
+ */
+export const LAST_KNOWN_COMPANY_STORAGE_KEY = 'strategy-dashboard:last-known-company';
+
+/**
+ * Returns the browser's localStorage, or null where there is none
+ * @returns {Storage|null} Storage
+ */
+function defaultStorage() {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch {
+    // Access throws when storage is disabled for the site
+    return null;
+  }
+}
+
+/**
+ * Reads a JSON value from storage
+ * @param {Storage|null} storage - Storage to read
+ * @param {string} key - Storage key
+ * @returns {*} Parsed value, or null if absent or unreadable
+ */
+function readStored(storage, key) {
+  if (!storage) return null;
+  try {
+    return JSON.parse(storage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the persisted last-known prices
+ * @param {Storage|null} storage - Storage to read (default: localStorage)
+ * @returns {Object} { [key]: { value, provenance } } keyed by backend key
+ */
+export function loadLastKnownPrices(storage = defaultStorage()) {
+  return readStored(storage, LAST_KNOWN_STORAGE_KEY) || {};
+}
+
+/**
+ * Persists real prices as the new last-known values
+ * Only ever pass values that came from the backend, never substitutes
+ * @param {Object} entries - { [key]: { value, provenance } } keyed by backend key
+ * @param {Storage|null} storage - Storage to write (default: localStorage)
+ * @returns {void}
+ */
+export function rememberPrices(entries, storage = defaultStorage()) {
+  if (!storage || Object.keys(entries).length === 0) return;
+  try {
+    storage.setItem(LAST_KNOWN_STORAGE_KEY, JSON.stringify({ ...loadLastKnownPrices(storage), ...entries }));
+  } catch (error) {
+    console.warn('[API] Could not persist last-known prices:', error.message);
+  }
+}
+
 /**
- * Fetches all prices from backend caching service
- * @param {boolean} force - Force refresh, bypass cache
+ * Maps backend data to dashboard price fields
+ * Keys without a value fall back to their last-known real value (flagged
+ * `lastKnown` in the provenance) or stay null; nothing is ever made up.
+ * @param {Object} data - Backend values keyed by backend key (null = unavailable)
+ * @param {Object} provenance - Backend provenance keyed by backend key
+ * @param {Function} reasonFor - (key) => why the key has no value
+ * @param {Object} tickers - Company tickers ({ common, preferred })
+ * @param {Storage|null} storage - Last-known price storage
+ * @returns {Object} { prices, provenance, usedLastKnown }
+ */
+function resolvePrices(data, provenance, reasonFor, tickers, storage) {
+  const lastKnown = loadLastKnownPrices(storage);
+  const prices = {};
+  const resolved = {};
+  const received = {};
+  let usedLastKnown = false;
+
+  // Without a common-stock ticker the common price is simply unavailable
+  if (!tickers.common) prices.mstr = null;
+
+  for (const key of priceKeys(tickers)) {
+    const value = data[key] ?? null;
+
+    if (value !== null) {
+      Object.assign(prices, toPriceUpdate(key, value, tickers.common));
+      if (provenance[key]) resolved[key] = provenance[key];
+      received[key] = { value, provenance: provenance[key] ?? null };
+    } else if (lastKnown[key]) {
+      Object.assign(prices, toPriceUpdate(key, lastKnown[key].value, tickers.common));
+      resolved[key] = {
+        source: null,
+        asOf: null,
+        fetchedAt: null,
+        ...lastKnown[key].provenance,
+        stale: true,
+        lastKnown: true,
+        error: reasonFor(key),
+      };
+      usedLastKnown = true;
+    } else {
+      Object.assign(prices, toPriceUpdate(key, null, tickers.common));
+      resolved[key] = { source: null, asOf: null, fetchedAt: null, stale: false, error: reasonFor(key) };
+    }
+  }
+
+  rememberPrices(received, storage);
+  return { prices, provenance: resolved, usedLastKnown };
+}
+
+/**
+ * Fetches a company's prices from backend caching service
+ * Prices the backend cannot supply (or all of them, if it is down) come from
+ * the last-known values persisted in localStorage, otherwise they are null.
+ * The common-stock price is returned as `mstr` whatever the ticker; preferred
+ * quotes keep their ticker. `provenance` maps backend keys (btc, MSTR, eurUsd,
+ * ...) to where each value came from: { source, asOf, fetchedAt, stale, error },
+ * plus `lastKnown: true` for persisted values.
+ * @param {Object} options - Fetch options
+ * @param {Object} options.tickers - Company tickers, see companyTickers() (default: Strategy's)
+ * @param {Storage|null} options.storage - Last-known price storage (default: localStorage)
  * @returns {Promise<Object>} Object containing all fetched prices and errors
  */
-export async function fetchAllPrices(force = false) {
+export async function fetchAllPrices({ tickers = DEFAULT_TICKERS, storage = defaultStorage() } = {}) {
   try {
-    const backendUrl = '/api/prices/all' + (force ? '?force=true' : '');
+    const backendUrl = '/api/prices/all';
     const response = await fetch(backendUrl, {
       headers: { 'Accept': 'application/json' },
       signal: AbortSignal.timeout(5000),
@@ -16,38 +172,285 @@ export async function fetchAllPrices(force = false) {
     }
     
     const result = await response.json();
+    const metadata = result.metadata || {};
+    const { prices, provenance, usedLastKnown } = resolvePrices(
+      result.data,
+      metadata.provenance || {},
+      (key) => metadata.unavailable?.[key] ?? metadata.provenance?.[key]?.error ?? 'No value from backend',
+      tickers,
+      storage
+    );
 
     return {
-      btc: result.data.btc,
-      mstr: result.data.MSTR?.price,
-      eurUsd: result.data.eurUsd,
-      STRF: result.data.STRF,
-      STRC: result.data.STRC,
-      STRK: result.data.STRK,
-      STRD: result.data.STRD,
-      STRE: result.data.STRE,
+      ...prices,
       errors: result.errors || [],
       successes: result.successes || [],
-      cached: result.metadata?.cached || false,
-      stale: result.metadata?.stale || false,
+      cached: metadata.cached || false,
+      stale: metadata.stale || usedLastKnown,
+      currencies: metadata.currencies || {},
+      provenance,
     };
   } catch (backendError) {
     console.warn('[API] Backend unavailable:', backendError.message);
+    const error = `Backend unavailable: ${backendError.message}`;
     // Backend-only design: on failure, we DO NOT call external APIs directly from the frontend.
-    // Instead, return safe default prices so the UI can still render.
+    // Only real values seen earlier are reused; everything else is unavailable.
+    const { prices, provenance, usedLastKnown } = resolvePrices({}, {}, () => error, tickers, storage);
+
     return {
-      btc: 100000,
-      mstr: 420,
-      eurUsd: 1.05,
-      STRF: null,
-      STRC: null,
-      STRK: null,
-      STRD: null,
-      STRE: null,
-      errors: [`Backend unavailable: ${backendError.message}`],
+      ...prices,
+      errors: [error],
       successes: [],
       cached: false,
-      stale: false,
+      stale: usedLastKnown,
+      currencies: {},
+      provenance,
+    };
+  }
+}
+
+/**
+ * Lists the companies the backend has capital structures for (`/api/companies`)
+ * @returns {Promise<Object>} { defaultCompany, companies: [{ company, name, ticker, effectiveDate }] }; empty when unreachable
+ */
+export async function fetchCompanies() {
+  try {
+    const response = await fetch('/api/companies', {
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(5000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Backend returned ${response.status}: ${response.statusText}`);
+    }
+
+    const { defaultCompany = null, companies = [] } = await response.json();
+    return { defaultCompany, companies };
+  } catch (error) {
+    console.warn('[API] Company list unavailable:', error.message);
+    return { defaultCompany: null, companies: [] };
+  }
+}
+
+/**
+ * Fetches a capital-structure snapshot from the backend (`/api/company`)
+ * The current snapshot is persisted in localStorage and reused, flagged
+ * `lastKnown`, when the backend cannot be reached. Without one, `data` is
+ * null and `error` says why.
+ * @param {Object} options - Fetch options
+ * @param {string} options.company - Company id (default: the backend's default company)
+ * @param {string} options.asOf - YYYY-MM-DD, the snapshot in effect on that date (default: today)
+ * @param {Storage|null} options.storage - Last-known snapshot storage (default: localStorage)
+ * @returns {Promise<Object>} { company, name, ticker, effectiveDate, source, versions, data, lastKnown, error }
+ */
+export async function fetchCompany({ company = null, asOf = null, storage = defaultStorage() } = {}) {
+  const params = new URLSearchParams();
+  if (company) params.set('company', company);
+  if (asOf) params.set('asOf', asOf);
+  const query = params.toString();
+  // Only current snapshots are remembered; a dated lookup never replaces them
+  const storageId = company ?? 'default';
+
+  try {
+    const response = await fetch(`/api/company${query ? `?${query}` : ''}`, {
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(5000),
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.message || `Backend returned ${response.status}: ${response.statusText}`);
+    }
+
+    const snapshot = await response.json();
+    if (!asOf) {
+      try {
+        const stored = readStored(storage, LAST_KNOWN_COMPANY_STORAGE_KEY) || {};
+        storage?.setItem(LAST_KNOWN_COMPANY_STORAGE_KEY, JSON.stringify({ ...stored, [storageId]: snapshot }));
+      } catch (error) {
+        console.warn('[API] Could not persist capital structure:', error.message);
+      }
+    }
+    return { ...snapshot, lastKnown: false, error: null };
+  } catch (fetchError) {
+    console.warn('[API] Capital structure unavailable:', fetchError.message);
+    const error = `Capital structure unavailable: ${fetchError.message}`;
+    const lastKnown = asOf ? null : readStored(storage, LAST_KNOWN_COMPANY_STORAGE_KEY)?.[storageId];
+
+    if (lastKnown) return { ...lastKnown, lastKnown: true, error };
+    return {
+      company,
+      name: null,
+      ticker: null,
+      effectiveDate: null,
+      source: null,
+      versions: [],
+      data: null,
+      lastKnown: false,
+      error,
     };
   }
 }
+
+/**
+ * Validates an uploaded capital structure on the backend (`/api/company/import`)
+ * Accepts a snapshot file or its `data` as JSON, or the CSV layout
+ * `section,id,field,value`. Nothing is stored; the result is for pro-forma
+ * modeling only.
+ * @param {File} file - Uploaded file (`.csv` is sent as CSV, anything else as JSON)
+ * @returns {Promise<Object>} { data, errors }: data is null unless errors is empty; errors are { path, message }
+ */
+export async function importCapitalStructure(file) {
+  const isCsv = /\.csv$/i.test(file.name);
+
+  try {
+    const response = await fetch('/api/company/import', {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': isCsv ? 'text/csv' : 'application/json',
+      },
+      body: await file.text(),
+      signal: AbortSignal.timeout(5000),
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (response.status === 422 && Array.isArray(body.errors)) {
+      return { data: null, errors: body.errors };
+    }
+    if (!response.ok) {
+      throw new Error(body.message || `Backend returned ${response.status}: ${response.statusText}`);
+    }
+    return { data: body.data, errors: [] };
+  } catch (error) {
+    console.warn('[API] Import failed:', error.message);
+    return { data: null, errors: [{ path: '', message: `Import failed: ${error.message}` }] };
+  }
+}
+
+/**
+ * Describes a value's provenance in one line (for tooltips)
+ * @param {Object} provenance - { source, asOf, fetchedAt, stale, lastKnown, error }
+ * @returns {string} e.g. "coinbase, as of 14:03:00, fetched 14:05:12 (stale)"
+ */
+export function describeProvenance(provenance) {
+  if (!provenance) return 'Provenance unknown';
+  if (!provenance.fetchedAt) return `Unavailable (${provenance.error})`;
+
+  const time = (value) => new Date(value).toLocaleTimeString();
+  const parts = [provenance.source || 'unknown source'];
+  if (provenance.asOf) parts.push(`as of ${time(provenance.asOf)}`);
+  parts.push(`fetched ${time(provenance.fetchedAt)}`);
+
+  let text = parts.join(', ');
+  if (provenance.lastKnown) return `Last known value: ${text} (${provenance.error})`;
+  if (provenance.stale) text += provenance.error ? ` (stale: ${provenance.error})` : ' (stale, refreshing)';
+  return text;
+}
+
+/**
+ * Maps a backend cache key/value to the dashboard's price fields
+ * @param {string} key - Backend cache key (e.g. 'btc', 'MSTR', 'STRF')
+ * @param {*} value - Cached value
+ * @param {string|null} commonTicker - Company's common-stock ticker, served as `mstr` (default: 'MSTR')
+ * @returns {Object} Partial prices object (e.g. { mstr: 420 })
+ */
+export function toPriceUpdate(key, value, commonTicker = 'MSTR') {
+  if (key === commonTicker) return { mstr: value?.price ?? null };
+  return { [key]: value };
+}
+
+/**
+ * Subscribes to live price updates from the backend SSE stream
+ * Reconnects with exponential backoff when the connection drops. Every value
+ * is remembered as last known, but only the company's keys reach onUpdate.
+ * Values are persisted in batches (at most once per persistInterval), and
+ * right away when the page is hidden or the subscription ends.
+ * @param {Function} onUpdate - Called with a partial prices object and a
+ *   partial provenance object ({ [key]: provenance }) per update
+ * @param {Object} options - Subscription options
+ * @param {number} options.baseDelay - First reconnect delay in ms, doubled per failure
+ * @param {number} options.maxDelay - Reconnect delay cap in ms
+ * @param {Function} options.EventSourceImpl - EventSource constructor (injectable for tests)
+ * @param {Storage|null} options.storage - Last-known price storage (default: localStorage)
+ * @param {Object} options.tickers - Company tickers, see companyTickers() (default: Strategy's)
+ * @param {number} options.persistInterval - Max delay in ms before received values are persisted
+ * @param {Document|null} options.document - Document whose visibilitychange flushes pending values
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToPrices(onUpdate, {
+  baseDelay = 1000,
+  maxDelay = 30000,
+  EventSourceImpl = globalThis.EventSource,
+  storage = defaultStorage(),
+  tickers = DEFAULT_TICKERS,
+  persistInterval = 1000,
+  document: doc = globalThis.document ?? null,
+} = {}) {
+  if (!EventSourceImpl) {
+    console.warn('[API] EventSource unavailable, live updates disabled');
+    return () => {};
+  }
+
+  const keys = priceKeys(tickers);
+  let source = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let closed = false;
+  let pending = {};
+  let persistTimer = null;
+
+  // One storage read-parse-write per batch instead of per event
+  const persist = () => {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    rememberPrices(pending, storage);
+    pending = {};
+  };
+
+  const onVisibilityChange = () => {
+    if (doc.visibilityState === 'hidden') persist();
+  };
+  doc?.addEventListener('visibilitychange', onVisibilityChange);
+
+  const connect = () => {
+    source = new EventSourceImpl('/api/prices/stream');
+
+    source.onopen = () => {
+      attempt = 0;
+    };
+
+    source.addEventListener('price', (event) => {
+      try {
+        const { key, value, source = null, asOf = null, fetchedAt = null, stale = false } = JSON.parse(event.data);
+        const provenance = { source, asOf, fetchedAt, stale, error: null };
+        pending[key] = { value, provenance };
+        persistTimer ??= setTimeout(persist, persistInterval);
+        if (keys.includes(key)) onUpdate(toPriceUpdate(key, value, tickers.common), { [key]: provenance });
+      } catch (error) {
+        console.warn('[API] Ignoring malformed price event:', error.message);
+      }
+    });
+
+    // Take over reconnection from the browser so retries back off
+    source.onerror = () => {
+      source.close();
+      if (closed) return;
+
+      const delay = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
+      attempt++;
+      console.warn(`[API] Price stream disconnected, reconnecting in ${Math.round(delay / 1000)}s`);
+      retryTimer = setTimeout(connect, delay);
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    source?.close();
+    doc?.removeEventListener('visibilitychange', onVisibilityChange);
+    persist();
+  };
+}
@@ -25,19 +25,208 @@ export const formatBtc = (num) => {
   return `${Math.round(num * 100000000).toLocaleString()} sats`;
 };
 
+/**
+ * Market inputs of the waterfall, keyed as in the dashboard's prices object
+ */
+export const WATERFALL_INPUTS = {
+  btc: 'BTC price',
+  mstr: 'MSTR price',
+  eurUsd: 'EUR/USD rate',
+  STRF: 'STRF price',
+  STRK: 'STRK price',
+};
+
+/**
+ * Lists the inputs that have no usable value
+ * @param {Object} prices - Prices object (numbers for btc/mstr/eurUsd, quotes for preferreds)
+ * @param {Array<string>} keys - Inputs to check (default: every waterfall input)
+ * @returns {Array<string>} Keys of the missing inputs
+ */
+export function findMissingInputs(prices, keys = Object.keys(WATERFALL_INPUTS)) {
+  return keys.filter(key => {
+    const value = prices[key];
+    const number = value !== null && typeof value === 'object' ? value.price : value;
+    return !(Number.isFinite(number) && number > 0);
+  });
+}
+
+// Backend key of a currency's USD rate: `<currency>Usd`, e.g. eurUsd
+const FX_RATE_KEY = /^([a-z]{3})Usd$/;
+
+/**
+ * Backend price key of a currency's USD rate
+ * @param {string} currency - ISO currency code (e.g. 'EUR')
+ * @returns {string} Price key (e.g. 'eurUsd')
+ */
+export const fxRateKey = (currency) => `${currency.toLowerCase()}Usd`;
+
+/**
+ * Collects the USD rates held in a prices object
+ * @param {Object} prices - Prices object with `<currency>Usd` rates (e.g. eurUsd)
+ * @returns {Object} USD per unit keyed by currency (e.g. { EUR: 1.08 })
+ */
+export function fxRatesFrom(prices) {
+  return Object.fromEntries(Object.entries(prices)
+    .map(([key, value]) => [key.match(FX_RATE_KEY)?.[1], value])
+    .filter(([currency]) => currency)
+    .map(([currency, value]) => [currency.toUpperCase(), value]));
+}
+
+/**
+ * USD value of one unit of a currency
+ * @param {string} currency - ISO currency code
+ * @param {Object} fxRates - USD per unit keyed by currency
+ * @returns {number|null} Rate, 1 for USD, or null when the map has no usable rate
+ */
+function usdRate(currency, fxRates) {
+  if (currency === 'USD') return 1;
+  const rate = fxRates[currency];
+  return Number.isFinite(rate) && rate > 0 ? rate : null;
+}
+
+/**
+ * Symbol prefixed to an amount in a currency
+ * @param {string} currency - ISO currency code
+ * @returns {string} e.g. '$', '€', '¥', or the code and a space for others
+ */
+export const currencySymbol = (currency) => ({ USD: '$', EUR: '€', JPY: '¥' }[currency] ?? `${currency} `);
+
+/**
+ * Normalizes the FX argument of the calculations
+ * @param {Object|number|null} fxRates - Rate map keyed by currency, or a bare EUR/USD rate
+ * @returns {Object} Rate map keyed by currency
+ */
+function toFxRates(fxRates) {
+  if (fxRates === undefined) return { EUR: 1.05 };
+  return fxRates !== null && typeof fxRates === 'object' ? fxRates : { EUR: fxRates };
+}
+
+/**
+ * Formats missing input keys for display
+ * @param {Array<string>} keys - Missing input keys
+ * @param {string} commonTicker - Ticker named for the common-stock price `mstr` (default: 'MSTR')
+ * @returns {string} e.g. "BTC price, STRF price, JPY/USD rate"
+ */
+export const formatMissingInputs = (keys, commonTicker = 'MSTR') => keys
+  .map(key => {
+    if (key === 'mstr') return `${commonTicker} price`;
+    if (WATERFALL_INPUTS[key]) return WATERFALL_INPUTS[key];
+    const currency = key.match(FX_RATE_KEY)?.[1];
+    return currency ? `${currency.toUpperCase()}/USD rate` : `${key} price`;
+  })
+  .join(', ');
+
+/**
+ * Lists the market inputs a capital structure's waterfall needs: BTC and common-stock
+ * prices, the USD rate of every listing currency other than USD (eurUsd,
+ * jpyUsd, ...), and the quote of every series with a dynamic claim
+ * @param {Object} preferredData - Preferred stock data keyed by ticker
+ * @param {string} commonCurrency - Listing currency of the common stock (default: 'USD')
+ * @returns {Array<string>} Input keys, as in the dashboard's prices object
+ */
+export function waterfallInputKeys(preferredData, commonCurrency = 'USD') {
+  const securities = rankPreferreds(preferredData);
+  const currencies = new Set([commonCurrency, ...securities.map(security => security.currency)]);
+  currencies.delete('USD');
+  return [
+    'btc',
+    'mstr',
+    ...[...currencies].map(fxRateKey),
+    ...securities.filter(security => security.claimType === 'dynamic').map(security => security.ticker),
+  ];
+}
+
+// Preferred tranche colors, most senior first (cycled for longer stacks)
+const PREFERRED_COLORS = [COLORS.purple, COLORS.blue, COLORS.cyan, COLORS.yellow, COLORS.green, COLORS.pink];
+
+/**
+ * Claim formula types of preferred securities:
+ * - fixed: shares × liqPref
+ * - dynamic: shares × max(liqPref, last price, 10-day average price)
+ * - currency: shares × liqPref in the listing currency, converted to USD
+ */
+export const CLAIM_TYPES = ['fixed', 'dynamic', 'currency'];
+
+/**
+ * Listing currency of a preferred security
+ * @param {Object} data - Preferred stock data
+ * @returns {string} `currency`, else 'EUR' for `isEuro` series, else 'USD'
+ */
+export function securityCurrency(data) {
+  return data.currency ?? (data.isEuro ? 'EUR' : 'USD');
+}
+
+/**
+ * Resolves the waterfall terms of each preferred security, most senior first
+ * Declared `seniority` (1 = most senior) and `claimType` win; otherwise series
+ * rank in the order they are listed and the claim type follows the snapshot
+ * flags (`hasDynamicLiqPref` → dynamic, non-USD currency → currency). Only
+ * `convertible` series with a `conversionRatio` (common shares per preferred
+ * share) can convert.
+ * @param {Object} preferredData - Preferred stock data keyed by ticker
+ * @returns {Array} [{ ticker, seniority, claimType, currency, liqPref, conversionRatio, data }]
+ */
+export function rankPreferreds(preferredData) {
+  return Object.entries(preferredData)
+    .map(([ticker, data], index) => {
+      const currency = securityCurrency(data);
+      return {
+        ticker,
+        seniority: data.seniority ?? index + 1,
+        claimType: data.claimType ?? (data.hasDynamicLiqPref ? 'dynamic' : currency !== 'USD' ? 'currency' : 'fixed'),
+        currency,
+        liqPref: data.liqPref ?? 100,
+        conversionRatio: data.convertible && data.conversionRatio ? data.conversionRatio : null,
+        data,
+      };
+    })
+    // Stable sort: equal ranks keep their listed order
+    .sort((a, b) => a.seniority - b.seniority);
+}
+
+/**
+ * Liquidation preference per share and total claim of one preferred series
+ * Missing quotes fall back to par, so a dynamic claim is never below it
+ * @param {Object} security - Entry of rankPreferreds()
+ * @param {Object} stockPrices - Quotes keyed by ticker ({ price, avg10d })
+ * @param {Object} fxRates - USD per unit keyed by currency
+ * @returns {Object} { liqPref, claimUsd } in USD
+ * @throws {Error} When a currency claim has no USD rate
+ */
+function preferredClaim({ ticker, claimType, currency, liqPref, data }, stockPrices, fxRates) {
+  if (claimType === 'dynamic') {
+    const quote = stockPrices[ticker];
+    const dynamicLiqPref = Math.max(liqPref, quote?.price || liqPref, quote?.avg10d || liqPref);
+    return { liqPref: dynamicLiqPref, claimUsd: data.shares * dynamicLiqPref };
+  }
+  if (claimType === 'currency') {
+    const rate = usdRate(currency, fxRates);
+    if (rate === null) throw new Error(`No ${currency}/USD rate for ${ticker} (${fxRateKey(currency)})`);
+    return { liqPref: liqPref * rate, claimUsd: data.shares * liqPref * rate };
+  }
+  return { liqPref, claimUsd: data.shares * liqPref };
+}
+
 /**
  * Calculates the waterfall distribution of BTC across the capital structure
+ * Convertible debt ranks first, then each preferred series by seniority (see
+ * rankPreferreds), then common equity
  * @param {Object} params - Calculation parameters
  * @param {number} params.btcPrice - Current BTC price in USD
- * @param {number} params.mstrPrice - Current MSTR stock price
+ * @param {number} params.mstrPrice - Current common stock price (MSTR for Strategy), in its listing currency
+ *   like the notes' conversion prices
  * @param {number} params.btcHoldings - Total BTC holdings
  * @param {Array} params.debtData - Array of convertible note data
  * @param {Object} params.preferredData - Object containing preferred stock data
  * @param {number} params.commonSharesBasic - Basic common shares outstanding (in thousands)
- * @param {number} params.eurUsdRate - EUR/USD exchange rate (default: 1.05)
+ * @param {Object} params.fxRates - USD per unit keyed by currency, see fxRatesFrom() (e.g. { EUR: 1.08, JPY: 0.0066 })
+ * @param {number} params.eurUsdRate - EUR/USD exchange rate, used when fxRates is not given (default: 1.05)
+ * @param {string} params.commonCurrency - Listing currency of the common stock (default: 'USD');
+ *   converted through fxRates when a preferred's conversion value is compared with its USD claim
  * @param {Object} params.stockPrices - Object containing stock prices for preferred securities
  * @param {boolean} params.treatItmAsEquity - Whether to treat in-the-money converts as equity
  * @returns {Object} Waterfall calculation results
+ * @throws {Error} When a series is listed in a currency fxRates has no rate for
  */
 export function calculateWaterfall({
   btcPrice,
@@ -46,7 +235,9 @@ export function calculateWaterfall({
   debtData,
   preferredData,
   commonSharesBasic,
-  eurUsdRate = 1.05,
+  eurUsdRate,
+  fxRates = toFxRates(eurUsdRate),
+  commonCurrency = 'USD',
   stockPrices = {},
   treatItmAsEquity = true,
 }) {
@@ -64,9 +255,9 @@ export function calculateWaterfall({
     seniorClaimsUsd: 0,
     inMoneyConverts: [],
     outOfMoneyConverts: [],
-    strkConverted: false,
+    convertedPreferreds: [],
     additionalSharesFromConverts: 0,
-    additionalSharesFromStrk: 0,
+    additionalSharesFromPreferred: 0,
   };
 
   let remainingBtc = btcHoldings;
@@ -105,95 +296,42 @@ export function calculateWaterfall({
     color: COLORS.red,
   });
 
-  const strfPrice = stockPrices.STRF?.price || 100;
-  const strf10dAvg = stockPrices.STRF?.avg10d || 100;
-  const strfLiqPref = Math.max(100, strfPrice, strf10dAvg);
-  const strfClaimUsd = preferredData.STRF.shares * strfLiqPref;
-  const strfClaimBtc = strfClaimUsd / btcPrice;
-  remainingBtc -= strfClaimBtc;
-
-  results.waterfall.push({
-    name: 'STRF',
-    fullName: preferredData.STRF.description,
-    shares: preferredData.STRF.shares,
-    liqPref: strfLiqPref,
-    claimUsd: strfClaimUsd,
-    claimBtc: strfClaimBtc,
-    color: COLORS.purple,
-    dynamicLiqPref: true,
-  });
-
-  const strcClaimUsd = preferredData.STRC.shares * 100;
-  const strcClaimBtc = strcClaimUsd / btcPrice;
-  remainingBtc -= strcClaimBtc;
-
-  results.waterfall.push({
-    name: 'STRC',
-    fullName: preferredData.STRC.description,
-    shares: preferredData.STRC.shares,
-    liqPref: 100,
-    claimUsd: strcClaimUsd,
-    claimBtc: strcClaimBtc,
-    color: COLORS.blue,
-  });
-
-  const streClaimUsd = preferredData.STRE.shares * 100 * eurUsdRate;
-  const streClaimBtc = streClaimUsd / btcPrice;
-  remainingBtc -= streClaimBtc;
-
-  results.waterfall.push({
-    name: 'STRE',
-    fullName: preferredData.STRE.description,
-    shares: preferredData.STRE.shares,
-    liqPref: 100 * eurUsdRate,
-    claimUsd: streClaimUsd,
-    claimBtc: streClaimBtc,
-    color: COLORS.cyan,
-    isEuro: true,
-  });
-
-  const strkPrice = stockPrices.STRK?.price || 100;
-  const strk10dAvg = stockPrices.STRK?.avg10d || 100;
-  const strkLiqPref = Math.max(100, strkPrice, strk10dAvg);
-  const strkConversionValue = mstrPrice / 10;
-
-  let strkClaimUsd = 0;
-  let strkClaimBtc = 0;
-  let additionalSharesFromStrk = 0;
-
-  if (strkConversionValue > strkLiqPref) {
-    results.strkConverted = true;
-    additionalSharesFromStrk = preferredData.STRK.shares / 10;
-  } else {
-    strkClaimUsd = preferredData.STRK.shares * strkLiqPref;
-    strkClaimBtc = strkClaimUsd / btcPrice;
-    remainingBtc -= strkClaimBtc;
+  const securities = rankPreferreds(preferredData);
+  const commonUsdRate = usdRate(commonCurrency, fxRates);
+  if (commonUsdRate === null && securities.some(security => security.conversionRatio !== null)) {
+    throw new Error(`No ${commonCurrency}/USD rate for the common stock (${fxRateKey(commonCurrency)})`);
   }
 
-  results.waterfall.push({
-    name: 'STRK',
-    fullName: preferredData.STRK.description,
-    shares: preferredData.STRK.shares,
-    liqPref: results.strkConverted ? 0 : strkLiqPref,
-    claimUsd: strkClaimUsd,
-    claimBtc: strkClaimBtc,
-    color: COLORS.yellow,
-    dynamicLiqPref: true,
-    converted: results.strkConverted,
-  });
+  securities.forEach((security, index) => {
+    const { ticker, seniority, claimType, currency, conversionRatio, data } = security;
+    const { liqPref, claimUsd } = preferredClaim(security, stockPrices, fxRates);
 
-  const strdClaimUsd = preferredData.STRD.shares * 100;
-  const strdClaimBtc = strdClaimUsd / btcPrice;
-  remainingBtc -= strdClaimBtc;
+    // A convertible series converts when its common shares are worth more than its claim
+    const converted = conversionRatio !== null && mstrPrice * commonUsdRate * conversionRatio > liqPref;
+    const sharesIfConverted = conversionRatio !== null ? data.shares * conversionRatio : 0;
+    const claimBtc = converted ? 0 : claimUsd / btcPrice;
 
-  results.waterfall.push({
-    name: 'STRD',
-    fullName: preferredData.STRD.description,
-    shares: preferredData.STRD.shares,
-    liqPref: 100,
-    claimUsd: strdClaimUsd,
-    claimBtc: strdClaimBtc,
-    color: COLORS.green,
+    if (converted) {
+      results.convertedPreferreds.push(ticker);
+      results.additionalSharesFromPreferred += sharesIfConverted;
+    } else {
+      remainingBtc -= claimBtc;
+    }
+
+    results.waterfall.push({
+      name: ticker,
+      fullName: data.description,
+      shares: data.shares,
+      liqPref: converted ? 0 : liqPref,
+      claimUsd: converted ? 0 : claimUsd,
+      claimBtc,
+      color: PREFERRED_COLORS[index % PREFERRED_COLORS.length],
+      seniority,
+      claimType,
+      ...(claimType === 'dynamic' && { dynamicLiqPref: true }),
+      ...(currency !== 'USD' && { currency, isEuro: currency === 'EUR' }),
+      ...(conversionRatio !== null && { converted, sharesIfConverted }),
+    });
   });
 
   results.residualBtc = Math.max(0, remainingBtc);
@@ -201,10 +339,14 @@ export function calculateWaterfall({
   results.seniorClaimsUsd = results.seniorClaimsBtc * btcPrice;
 
   results.additionalSharesFromConverts = treatItmAsEquity ? additionalSharesFromConverts : 0;
-  results.additionalSharesFromStrk = additionalSharesFromStrk;
   results.totalCommonShares = (commonSharesBasic * 1000) +
     results.additionalSharesFromConverts +
-    results.additionalSharesFromStrk;
+    results.additionalSharesFromPreferred;
+
+  // Aliases from when STRK was the only convertible preferred
+  const strk = results.waterfall.find(item => item.name === 'STRK');
+  results.strkConverted = Boolean(strk?.converted);
+  results.additionalSharesFromStrk = strk?.converted ? strk.sharesIfConverted : 0;
 
   if (results.residualBtc > 0 && results.totalCommonShares > 0) {
     results.btcPerShare = results.residualBtc / results.totalCommonShares;
@@ -230,16 +372,20 @@ export function calculateWaterfall({
  * Calculates the annual cost of capital from preferred dividends and debt interest
  * @param {Object} preferredData - Object containing preferred stock data
  * @param {Array} debtData - Array of convertible note data
- * @param {number} eurUsdRate - EUR/USD exchange rate (default: 1.05)
+ * @param {Object|number} fxRates - USD per unit keyed by currency, or a bare EUR/USD rate (default: EUR at 1.05)
  * @returns {Object} Cost of capital breakdown and total
+ * @throws {Error} When a series pays in a currency fxRates has no rate for
  */
-export function calculateCostOfCapital(preferredData, debtData, eurUsdRate = 1.05) {
+export function calculateCostOfCapital(preferredData, debtData, fxRates) {
+  const rates = toFxRates(fxRates);
   let totalAnnualCost = 0;
   const breakdown = [];
 
   Object.entries(preferredData).forEach(([ticker, data]) => {
-    let dividend = data.shares * data.dividendRate * 100;
-    if (data.isEuro) dividend *= eurUsdRate;
+    const currency = securityCurrency(data);
+    const rate = usdRate(currency, rates);
+    if (rate === null) throw new Error(`No ${currency}/USD rate for ${ticker} (${fxRateKey(currency)})`);
+    const dividend = data.shares * data.dividendRate * (data.liqPref || 100) * rate;
     breakdown.push({
       name: `${ticker}`,
       amount: dividend,
@@ -265,6 +411,40 @@ export function calculateCostOfCapital(preferredData, debtData, eurUsdRate = 1.0
   return { totalAnnualCost, breakdown };
 }
 
+/**
+ * Calculates market price and current yield for each preferred security
+ * Prices and yields are in the listing currency; quotes in other currencies also
+ * carry a USD price (null without a rate)
+ * @param {Object} preferredData - Object containing preferred stock data
+ * @param {Object} stockPrices - Object containing stock quotes keyed by ticker
+ * @param {Object|number} fxRates - USD per unit keyed by currency, or a bare EUR/USD rate (default: EUR at 1.05)
+ * @returns {Array} One row per preferred with price, currency, priceUsd and currentYield
+ */
+export function calculatePreferredYields(preferredData, stockPrices = {}, fxRates) {
+  const rates = toFxRates(fxRates);
+  return Object.entries(preferredData).map(([ticker, data]) => {
+    const quote = stockPrices[ticker];
+    const currency = quote?.currency || securityCurrency(data);
+    const price = quote?.price ?? null;
+    const annualDividend = data.dividendRate * (data.liqPref || 100);
+
+    let priceUsd = price;
+    if (price !== null && currency !== 'USD') {
+      const rate = usdRate(currency, rates);
+      priceUsd = quote.priceUsd ?? (rate !== null ? price * rate : null);
+    }
+
+    return {
+      ticker,
+      currency,
+      price,
+      priceUsd,
+      annualDividend,
+      currentYield: price ? annualDividend / price : null,
+    };
+  });
+}
+
 /**
  * Calculates the NAV bleed from preferred stock issuance
  * @param {Object} preferredData - Object containing preferred stock data
@@ -291,22 +471,21 @@ export function calculateNavBleed(preferredData) {
  * Generates scenario data for a range of BTC prices
  * @param {Object} baseData - Base static data
  * @param {Array} btcPriceRange - Array of BTC prices to simulate
- * @param {number} mstrPrice - Current MSTR stock price
+ * @param {number} mstrPrice - Current common stock price
  * @param {Object} stockPrices - Current stock prices
- * @param {number} eurUsdRate - EUR/USD exchange rate
+ * @param {Object|number} fxRates - USD per unit keyed by currency, or a bare EUR/USD rate
  * @param {boolean} treatItmAsEquity - Whether to treat ITM converts as equity
+ * @param {string} commonCurrency - Listing currency of the common stock (default: 'USD')
  * @returns {Array} Array of scenario results
  */
-export function generateScenarioData(baseData, btcPriceRange, mstrPrice, stockPrices, eurUsdRate, treatItmAsEquity) {
+export function generateScenarioData(baseData, btcPriceRange, mstrPrice, stockPrices, fxRates, treatItmAsEquity, commonCurrency = 'USD') {
   return btcPriceRange.map(btcPrice => {
     const result = calculateWaterfall({
+      ...capitalInputs(baseData),
       btcPrice,
       mstrPrice,
-      btcHoldings: baseData.btcHoldings,
-      debtData: baseData.convertibleNotes,
-      preferredData: baseData.preferredStock,
-      commonSharesBasic: baseData.basicSharesOutstanding,
-      eurUsdRate,
+      fxRates: toFxRates(fxRates),
+      commonCurrency,
       stockPrices,
       treatItmAsEquity,
     });
@@ -322,3 +501,127 @@ export function generateScenarioData(baseData, btcPriceRange, mstrPrice, stockPr
     };
   });
 }
+
+/**
+ * Maps a capital-structure snapshot to calculateWaterfall's capital parameters
+ * @param {Object} baseData - Snapshot data
+ * @returns {Object} { btcHoldings, debtData, preferredData, commonSharesBasic }
+ */
+function capitalInputs(baseData) {
+  return {
+    btcHoldings: baseData.btcHoldings,
+    debtData: baseData.convertibleNotes,
+    preferredData: baseData.preferredStock,
+    commonSharesBasic: baseData.basicSharesOutstanding,
+  };
+}
+
+/**
+ * Display labels of the company-level snapshot fields (share counts in thousands)
+ */
+export const CAPITAL_FIELDS = {
+  btcHoldings: 'BTC holdings',
+  avgBtcCost: 'Average BTC cost',
+  totalBtcCostBasis: 'BTC cost basis',
+  usdReserve: 'USD reserve',
+  classAShares: 'Class A shares (K)',
+  classBShares: 'Class B shares (K)',
+  basicSharesOutstanding: 'Basic shares outstanding (K)',
+  optionsOutstanding: 'Options outstanding (K)',
+  rsuPsuUnvested: 'Unvested RSUs/PSUs (K)',
+};
+
+/**
+ * Display labels of convertible note and preferred fields
+ */
+export const SECURITY_FIELDS = {
+  principal: 'Principal',
+  coupon: 'Coupon',
+  conversionPrice: 'Conversion price',
+  sharesIfConverted: 'Shares if converted',
+  maturity: 'Maturity',
+  notional: 'Notional',
+  shares: 'Shares',
+  dividendRate: 'Dividend rate',
+  liqPref: 'Liquidation preference',
+  grossProceeds: 'Gross proceeds',
+};
+
+/**
+ * Lists the fields whose values differ between two objects
+ * @param {Object} before - Earlier version
+ * @param {Object} after - Later version
+ * @param {Array<string>} skip - Fields to leave out
+ * @returns {Array} [{ field, before, after, change }], change = after - before for numbers, else null
+ */
+function diffFields(before, after, skip = []) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields.filter(field => !skip.includes(field)).flatMap(field => {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (from === to) return [];
+    const change = typeof from === 'number' && typeof to === 'number' ? to - from : null;
+    return [{ field, before: from, after: to, change }];
+  });
+}
+
+/**
+ * Diffs two sets of securities matched by id
+ * @param {Object} before - { [id]: security } in the earlier snapshot
+ * @param {Object} after - { [id]: security } in the later snapshot
+ * @returns {Array} [{ id, status: 'added'|'removed'|'changed', changes }] for securities that differ
+ */
+function diffSecurities(before, after) {
+  const ids = [...new Set([...Object.keys(after), ...Object.keys(before)])];
+
+  return ids.flatMap(id => {
+    if (!before[id]) return [{ id, status: 'added', changes: diffFields({}, after[id]) }];
+    if (!after[id]) return [{ id, status: 'removed', changes: diffFields(before[id], {}) }];
+    const changes = diffFields(before[id], after[id]);
+    return changes.length > 0 ? [{ id, status: 'changed', changes }] : [];
+  });
+}
+
+/**
+ * Diffs two capital-structure snapshots
+ * Convertible notes are matched by name and preferreds by ticker, so a note
+ * that was converted or redeemed shows up as removed
+ * @param {Object} before - Earlier snapshot data
+ * @param {Object} after - Later snapshot data
+ * @returns {Object} { fields, convertibleNotes, preferredStock, changed }
+ */
+export function diffCapitalStructure(before, after) {
+  const byName = (notes = []) => Object.fromEntries(notes.map(note => [note.name, note]));
+
+  const fields = diffFields(before, after, ['convertibleNotes', 'preferredStock']);
+  const convertibleNotes = diffSecurities(byName(before.convertibleNotes), byName(after.convertibleNotes));
+  const preferredStock = diffSecurities(before.preferredStock ?? {}, after.preferredStock ?? {});
+
+  return {
+    fields,
+    convertibleNotes,
+    preferredStock,
+    changed: fields.length + convertibleNotes.length + preferredStock.length > 0,
+  };
+}
+
+/**
+ * Compares sats/share under two capital structures at the same market prices
+ * @param {Object} before - Earlier snapshot data
+ * @param {Object} after - Later snapshot data
+ * @param {Object} market - { btcPrice, mstrPrice, fxRates (or eurUsdRate), commonCurrency, stockPrices, treatItmAsEquity }
+ * @returns {Object} { before, after, change, changePct } in sats/share
+ */
+export function compareSatsPerShare(before, after, market) {
+  const satsPerShare = (data) => calculateWaterfall({ ...capitalInputs(data), ...market }).satoshisPerShare;
+  const from = satsPerShare(before);
+  const to = satsPerShare(after);
+
+  return {
+    before: from,
+    after: to,
+    change: to - from,
+    changePct: from > 0 ? ((to - from) / from) * 100 : null,
+  };
+}
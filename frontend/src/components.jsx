@@ -1,7 +1,7 @@
 import React from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, LineChart, Line, Cell, ReferenceLine } from 'recharts';
-import { COLORS, STATIC_DATA } from './constants.js';
-import { formatNumber, formatBtc, calculateWaterfall } from './calculations.js';
+import { COLORS } from './constants.js';
+import { formatNumber, formatBtc, calculateWaterfall, formatMissingInputs, currencySymbol, CAPITAL_FIELDS, SECURITY_FIELDS } from './calculations.js';
 
 export const Card = ({ children, style = {} }) => (
   <div style={{
@@ -48,6 +48,19 @@ export const Metric = ({ label, value, subValue, subValue2, color = COLORS.textP
   </div>
 );
 
+export const Unavailable = ({ missing, commonTicker }) => (
+  <div style={{
+    padding: '16px',
+    border: `1px dashed ${COLORS.cardBorder}`,
+    borderRadius: '8px',
+    color: COLORS.textSecondary,
+    fontSize: '11px',
+    textAlign: 'center',
+  }}>
+    Unavailable: missing {formatMissingInputs(missing, commonTicker)}
+  </div>
+);
+
 export const Toggle = ({ checked, onChange, label }) => (
   <label style={{
     display: 'flex',
@@ -237,7 +250,7 @@ export const ScenarioChart = ({ data, currentBtcPrice }) => (
   </ResponsiveContainer>
 );
 
-export const CapitalStackTable = ({ waterfall }) => (
+export const CapitalStackTable = ({ waterfall, btcHoldings }) => (
   <div style={{ overflowX: 'auto' }}>
     <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px', minWidth: '500px' }}>
       <thead>
@@ -283,7 +296,7 @@ export const CapitalStackTable = ({ waterfall }) => (
               {formatBtc(item.claimBtc)}
             </td>
             <td style={{ textAlign: 'right', padding: '8px 4px', fontFamily: "'JetBrains Mono', monospace", color: COLORS.textSecondary }}>
-              {((item.claimBtc / STATIC_DATA.btcHoldings) * 100).toFixed(1)}%
+              {((item.claimBtc / btcHoldings) * 100).toFixed(1)}%
             </td>
           </tr>
         ))}
@@ -292,7 +305,57 @@ export const CapitalStackTable = ({ waterfall }) => (
   </div>
 );
 
-export const ScenarioTable = ({ currentBtcPrice, currentResult, baseData, stockPrices, eurUsdRate, treatItmAsEquity }) => {
+export const PreferredTable = ({ rows, waterfall }) => {
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
+        <thead>
+          <tr style={{ borderBottom: `1px solid ${COLORS.cardBorder}` }}>
+            <th style={{ textAlign: 'left', padding: '6px 4px', color: COLORS.textSecondary }}>Preferred</th>
+            <th style={{ textAlign: 'right', padding: '6px 4px', color: COLORS.textSecondary }}>Price</th>
+            <th style={{ textAlign: 'right', padding: '6px 4px', color: COLORS.textSecondary }}>Price (USD)</th>
+            <th style={{ textAlign: 'right', padding: '6px 4px', color: COLORS.textSecondary }}>Dividend</th>
+            <th style={{ textAlign: 'right', padding: '6px 4px', color: COLORS.textSecondary }}>Yield</th>
+            <th style={{ textAlign: 'right', padding: '6px 4px', color: COLORS.textSecondary }}>USD Claim</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => {
+            const claim = waterfall.find(item => item.name === row.ticker);
+            const symbol = currencySymbol(row.currency);
+            return (
+              <tr key={row.ticker} style={{ borderBottom: `1px solid ${COLORS.cardBorder}` }}>
+                <td style={{ padding: '6px 4px' }}>
+                  {row.ticker}
+                  {row.currency !== 'USD' && (
+                    <span style={{ color: COLORS.textSecondary, fontSize: '9px' }}> ({row.currency})</span>
+                  )}
+                </td>
+                <td style={{ textAlign: 'right', padding: '6px 4px', fontFamily: "'JetBrains Mono', monospace" }}>
+                  {row.price !== null ? `${symbol}${row.price.toFixed(2)}` : '-'}
+                </td>
+                <td style={{ textAlign: 'right', padding: '6px 4px', fontFamily: "'JetBrains Mono', monospace", color: COLORS.textSecondary }}>
+                  {row.priceUsd !== null ? `$${row.priceUsd.toFixed(2)}` : '-'}
+                </td>
+                <td style={{ textAlign: 'right', padding: '6px 4px', fontFamily: "'JetBrains Mono', monospace" }}>
+                  {symbol}{row.annualDividend.toFixed(2)}
+                </td>
+                <td style={{ textAlign: 'right', padding: '6px 4px', fontFamily: "'JetBrains Mono', monospace", color: COLORS.green }}>
+                  {row.currentYield !== null ? `${(row.currentYield * 100).toFixed(2)}%` : '-'}
+                </td>
+                <td style={{ textAlign: 'right', padding: '6px 4px', fontFamily: "'JetBrains Mono', monospace" }}>
+                  {claim ? formatNumber(claim.claimUsd) : '-'}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export const ScenarioTable = ({ currentBtcPrice, currentResult, baseData, stockPrices, fxRates, commonCurrency, treatItmAsEquity }) => {
   const percentChanges = [-30, -20, -10, 0, 10, 15, 20, 25, 30, 50, 100];
 
   const scenarioData = percentChanges.map(pct => {
@@ -304,7 +367,8 @@ export const ScenarioTable = ({ currentBtcPrice, currentResult, baseData, stockP
       debtData: baseData.convertibleNotes,
       preferredData: baseData.preferredStock,
       commonSharesBasic: baseData.basicSharesOutstanding,
-      eurUsdRate,
+      fxRates,
+      commonCurrency,
       stockPrices,
       treatItmAsEquity,
     });
@@ -373,3 +437,78 @@ export const ScenarioTable = ({ currentBtcPrice, currentResult, baseData, stockP
     </div>
   );
 };
+
+// Snapshot fields shown as dollar amounts and as rates in the changelog
+const USD_FIELDS = ['avgBtcCost', 'totalBtcCostBasis', 'usdReserve', 'principal', 'notional', 'grossProceeds', 'liqPref', 'conversionPrice', 'ipoPrice', 'strikePrice'];
+const RATE_FIELDS = ['coupon', 'dividendRate'];
+
+const formatChangeValue = (field, value) => {
+  if (value === null || value === undefined) return '-';
+  if (typeof value !== 'number') return String(value);
+  if (USD_FIELDS.includes(field)) return formatNumber(value, Math.abs(value) < 1e3 ? 2 : 0);
+  if (RATE_FIELDS.includes(field)) return `${(value * 100).toFixed(3)}%`;
+  return value.toLocaleString();
+};
+
+const formatChangeDelta = (field, change) => {
+  if (change === null) return '';
+  const sign = change > 0 ? '+' : '-';
+  if (RATE_FIELDS.includes(field)) return `${sign}${(Math.abs(change) * 100).toFixed(3)}pp`;
+  return `${sign}${formatChangeValue(field, Math.abs(change))}`;
+};
+
+const changelogRows = (item, securities, headlineField) => securities.flatMap(({ id, status, changes }) => {
+  if (status === 'changed') return changes.map(change => ({ item: id, label: SECURITY_FIELDS[change.field] ?? change.field, ...change }));
+
+  // Added and removed securities get one row with their size
+  const headline = changes.find(change => change.field === headlineField) ?? { before: null, after: null };
+  return [{
+    item: id,
+    label: status === 'added' ? `New ${item}` : `${item} removed${item === 'note' ? ' (converted or redeemed)' : ''}`,
+    field: headlineField,
+    before: headline.before,
+    after: headline.after,
+    change: null,
+  }];
+});
+
+export const ChangelogTable = ({ diff }) => {
+  const rows = [
+    ...diff.fields.map(change => ({ item: 'Company', label: CAPITAL_FIELDS[change.field] ?? change.field, ...change })),
+    ...changelogRows('note', diff.convertibleNotes, 'principal'),
+    ...changelogRows('preferred', diff.preferredStock, 'notional'),
+  ];
+
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
+        <thead>
+          <tr style={{ borderBottom: `1px solid ${COLORS.cardBorder}` }}>
+            <th style={{ textAlign: 'left', padding: '6px 4px', color: COLORS.textSecondary }}>Item</th>
+            <th style={{ textAlign: 'left', padding: '6px 4px', color: COLORS.textSecondary }}>Change</th>
+            <th style={{ textAlign: 'right', padding: '6px 4px', color: COLORS.textSecondary }}>Before</th>
+            <th style={{ textAlign: 'right', padding: '6px 4px', color: COLORS.textSecondary }}>After</th>
+            <th style={{ textAlign: 'right', padding: '6px 4px', color: COLORS.textSecondary }}>Δ</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={`${row.item}:${row.label}`} style={{ borderBottom: `1px solid ${COLORS.cardBorder}` }}>
+              <td style={{ padding: '6px 4px' }}>{row.item}</td>
+              <td style={{ padding: '6px 4px', color: COLORS.textSecondary }}>{row.label}</td>
+              <td style={{ textAlign: 'right', padding: '6px 4px', fontFamily: "'JetBrains Mono', monospace" }}>
+                {formatChangeValue(row.field, row.before)}
+              </td>
+              <td style={{ textAlign: 'right', padding: '6px 4px', fontFamily: "'JetBrains Mono', monospace" }}>
+                {formatChangeValue(row.field, row.after)}
+              </td>
+              <td style={{ textAlign: 'right', padding: '6px 4px', fontFamily: "'JetBrains Mono', monospace", color: COLORS.textSecondary }}>
+                {formatChangeDelta(row.field, row.change)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
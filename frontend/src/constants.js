@@ -14,129 +14,3 @@ export const COLORS = {
   cyan: '#39D0D6',
   pink: '#DB61A2',
 };
-
-export const STATIC_DATA = {
-  btcHoldings: 671268,
-  avgBtcCost: 74972,
-  totalBtcCostBasis: 50330000000,
-  usdReserve: 1448700000,
-  classAShares: 285950,
-  classBShares: 19640,
-  basicSharesOutstanding: 305590,
-  optionsOutstanding: 3667,
-  rsuPsuUnvested: 1325,
-
-  convertibleNotes: [
-    {
-      name: '2028 Convert',
-      principal: 1010000000,
-      coupon: 0.00625,
-      conversionPrice: 183.19,
-      sharesIfConverted: 5513000,
-      maturity: '2028-09-15',
-    },
-    {
-      name: '2029 Convert',
-      principal: 3000000000,
-      coupon: 0,
-      conversionPrice: 672.40,
-      sharesIfConverted: 4462000,
-      maturity: '2029-12-01',
-    },
-    {
-      name: '2030A Convert',
-      principal: 800000000,
-      coupon: 0.00625,
-      conversionPrice: 149.77,
-      sharesIfConverted: 5342000,
-      maturity: '2030-03-15',
-    },
-    {
-      name: '2030B Convert',
-      principal: 2000000000,
-      coupon: 0,
-      conversionPrice: 433.43,
-      sharesIfConverted: 4614000,
-      maturity: '2030-03-01',
-    },
-    {
-      name: '2031 Convert',
-      principal: 604000000,
-      coupon: 0.00875,
-      conversionPrice: 232.72,
-      sharesIfConverted: 2594000,
-      maturity: '2031-03-15',
-    },
-    {
-      name: '2032 Convert',
-      principal: 800000000,
-      coupon: 0.0225,
-      conversionPrice: 204.33,
-      sharesIfConverted: 3915000,
-      maturity: '2032-06-15',
-    },
-  ],
-
-  preferredStock: {
-    STRF: {
-      notional: 1284300000,
-      shares: 12843306,
-      dividendRate: 0.10,
-      liqPref: 100,
-      hasDynamicLiqPref: true,
-      ticker: 'STRF',
-      description: 'Senior Preferred (10%)',
-      ipoPrice: 85,
-      grossProceeds: 1096000000,
-    },
-    STRC: {
-      notional: 2959000000,
-      shares: 29590000,
-      dividendRate: 0.1075,
-      liqPref: 100,
-      hasDynamicLiqPref: false,
-      ticker: 'STRC',
-      description: 'Variable Rate (~10.75%)',
-      ipoPrice: 90,
-      grossProceeds: 2663000000,
-    },
-    STRE: {
-      notional: 902000000,
-      shares: 8590000,
-      dividendRate: 0.10,
-      liqPref: 100,
-      hasDynamicLiqPref: false,
-      isEuro: true,
-      ticker: 'STRE',
-      description: 'Euro Preferred (10%)',
-      ipoPrice: 80,
-      grossProceeds: 722000000,
-    },
-    STRK: {
-      notional: 1397700000,
-      shares: 13977036,
-      dividendRate: 0.08,
-      liqPref: 100,
-      hasDynamicLiqPref: true,
-      convertible: true,
-      conversionRatio: 0.1,
-      strikePrice: 1000,
-      ticker: 'STRK',
-      description: 'Convertible (8%, @$1000)',
-      ipoPrice: 80,
-      grossProceeds: 1118600000,
-    },
-    STRD: {
-      notional: 1402900000,
-      shares: 14029202,
-      dividendRate: 0.10,
-      liqPref: 100,
-      hasDynamicLiqPref: false,
-      nonCumulative: true,
-      ticker: 'STRD',
-      description: 'High-Yield (10% non-cum)',
-      ipoPrice: 85,
-      grossProceeds: 1187200000,
-    },
-  },
-};
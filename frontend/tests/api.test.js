@@ -1,8 +1,32 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { fetchAllPrices } from '../src/api.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import {
+  fetchAllPrices,
+  fetchCompany,
+  fetchCompanies,
+  companyTickers,
+  importCapitalStructure,
+  subscribeToPrices,
+  toPriceUpdate,
+  describeProvenance,
+  loadLastKnownPrices,
+  LAST_KNOWN_STORAGE_KEY,
+} from '../src/api.js';
 
 global.fetch = vi.fn();
 
+/**
+ * In-memory stand-in for localStorage
+ * @returns {Object} Storage with getItem/setItem
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
 describe('fetchAllPrices (backend only)', () => {
   beforeEach(() => {
     fetch.mockClear();
@@ -23,7 +47,14 @@ describe('fetchAllPrices (backend only)', () => {
       },
       errors: [],
       successes: ['BTC', 'MSTR', 'STRF', 'STRC', 'STRK', 'STRD', 'STRE'],
-      metadata: { cached: true, stale: false },
+      metadata: {
+        cached: true,
+        stale: false,
+        currencies: { STRE: 'EUR', STRF: 'USD' },
+        provenance: {
+          btc: { source: 'btcConsensus', asOf: null, fetchedAt: '2025-12-08T15:00:00.000Z', stale: false, error: null },
+        },
+      },
     };
 
     fetch.mockResolvedValueOnce({
@@ -48,33 +79,449 @@ describe('fetchAllPrices (backend only)', () => {
     expect(result.successes).toEqual(backendResponse.successes);
     expect(result.cached).toBe(true);
     expect(result.stale).toBe(false);
+    expect(result.currencies.STRE).toBe('EUR');
+    expect(result.provenance).toEqual(backendResponse.metadata.provenance);
   });
 
-  it('should use default prices when backend request fails', async () => {
+  it('should report prices as unavailable when the backend fails and nothing is persisted', async () => {
     fetch.mockRejectedValueOnce(new Error('Network error'));
 
-    const result = await fetchAllPrices();
+    const result = await fetchAllPrices({ storage: createStorage() });
 
-    expect(result.btc).toBe(100000);
-    expect(result.mstr).toBe(420);
-    expect(result.eurUsd).toBe(1.05);
+    expect(result.btc).toBeNull();
+    expect(result.mstr).toBeNull();
+    expect(result.eurUsd).toBeNull();
+    expect(result.STRF).toBeNull();
     expect(result.errors[0]).toContain('Backend unavailable');
     expect(result.cached).toBe(false);
     expect(result.stale).toBe(false);
+    expect(result.provenance.btc).toEqual({
+      source: null,
+      asOf: null,
+      fetchedAt: null,
+      stale: false,
+      error: result.errors[0],
+    });
   });
 
-  it('should treat non-OK backend response as failure and use defaults', async () => {
+  it('should treat non-OK backend response as failure', async () => {
     fetch.mockResolvedValueOnce({
       ok: false,
       status: 500,
       statusText: 'Internal Server Error',
     });
 
-    const result = await fetchAllPrices();
+    const result = await fetchAllPrices({ storage: null });
 
-    expect(result.btc).toBe(100000);
-    expect(result.mstr).toBe(420);
-    expect(result.eurUsd).toBe(1.05);
+    expect(result.btc).toBeNull();
+    expect(result.mstr).toBeNull();
     expect(result.errors[0]).toContain('Backend unavailable');
   });
+
+  it('should fall back to the last real values it persisted', async () => {
+    const storage = createStorage();
+    const provenance = { source: 'polygon', asOf: null, fetchedAt: '2025-12-08T15:00:00.000Z', stale: false, error: null };
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        data: { btc: 98000, MSTR: { price: 410 }, eurUsd: null },
+        metadata: { provenance: { MSTR: provenance }, unavailable: { eurUsd: 'HTTP 503' } },
+      }),
+    });
+
+    const first = await fetchAllPrices({ storage });
+
+    expect(first.eurUsd).toBeNull();
+    expect(first.provenance.eurUsd.error).toBe('HTTP 503');
+    expect(Object.keys(loadLastKnownPrices(storage))).toEqual(['btc', 'MSTR']);
+
+    fetch.mockRejectedValueOnce(new Error('Network error'));
+    const second = await fetchAllPrices({ storage });
+
+    expect(second.btc).toBe(98000);
+    expect(second.mstr).toBe(410);
+    expect(second.eurUsd).toBeNull();
+    expect(second.stale).toBe(true);
+    expect(second.provenance.MSTR).toEqual({
+      ...provenance,
+      stale: true,
+      lastKnown: true,
+      error: 'Backend unavailable: Network error',
+    });
+  });
+
+  it('should ignore unreadable persisted prices', async () => {
+    const storage = createStorage();
+    storage.setItem(LAST_KNOWN_STORAGE_KEY, '{not json');
+    fetch.mockRejectedValueOnce(new Error('Network error'));
+
+    const result = await fetchAllPrices({ storage });
+
+    expect(result.btc).toBeNull();
+  });
+
+  it("should read another company's tickers", async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: async () => ({
+        data: { btc: 100000, MSTR: { price: 420 }, ACME: { price: 12.5 }, eurUsd: 1.08, ACMEP: { price: 24 } },
+        metadata: {},
+      }),
+    });
+
+    const result = await fetchAllPrices({ tickers: { common: 'ACME', preferred: ['ACMEP', 'ACMEQ'] }, storage: null });
+
+    expect(result.mstr).toBe(12.5);
+    expect(result.ACMEP).toEqual({ price: 24 });
+    expect(result.ACMEQ).toBeNull();
+    expect(result).not.toHaveProperty('STRF');
+    expect(result).not.toHaveProperty('MSTR');
+    expect(Object.keys(result.provenance)).toEqual(['ACMEQ']);
+    expect(result.provenance.ACMEQ.error).toBe('No value from backend');
+  });
+
+  it('should leave the common price unavailable when a company names no ticker', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ data: { btc: 100000, MSTR: { price: 420 } } }) });
+
+    const result = await fetchAllPrices({ tickers: { common: null, preferred: [] }, storage: null });
+
+    expect(result.mstr).toBeNull();
+    expect(result.btc).toBe(100000);
+  });
+});
+
+describe('fetchCompanies', () => {
+  beforeEach(() => {
+    fetch.mockClear();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('should list the companies and the default one', async () => {
+    const companies = [{ company: 'strategy', name: 'Strategy', ticker: 'MSTR', effectiveDate: '2025-12-07' }];
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ defaultCompany: 'strategy', companies }) });
+
+    expect(await fetchCompanies()).toEqual({ defaultCompany: 'strategy', companies });
+    expect(fetch.mock.calls[0][0]).toBe('/api/companies');
+  });
+
+  it('should return an empty list when the backend is down', async () => {
+    fetch.mockRejectedValueOnce(new Error('Network error'));
+
+    expect(await fetchCompanies()).toEqual({ defaultCompany: null, companies: [] });
+  });
+
+  it('should take tickers from a snapshot', () => {
+    expect(companyTickers({ ticker: 'ACME', data: { preferredStock: { ACMEP: {}, ACMEQ: {} } } }))
+      .toEqual({ common: 'ACME', preferred: ['ACMEP', 'ACMEQ'], rates: ['eurUsd'] });
+    expect(companyTickers(null)).toEqual({ common: null, preferred: [], rates: ['eurUsd'] });
+    expect(companyTickers({ ticker: '3350.T', data: { preferredStock: { MERCURY: { currency: 'JPY' } } } }).rates)
+      .toEqual(['eurUsd', 'jpyUsd']);
+    expect(companyTickers({ ticker: '3350.T', currency: 'JPY', data: { preferredStock: {} } }).rates)
+      .toEqual(['eurUsd', 'jpyUsd']);
+    expect(companyTickers({ ticker: '3350.T', data: { preferredStock: { MERCURY: { currency: 'JPY', unlisted: true } } } }))
+      .toEqual({ common: '3350.T', preferred: [], rates: ['eurUsd', 'jpyUsd'] });
+  });
+});
+
+describe('fetchCompany', () => {
+  const snapshot = {
+    company: 'strategy',
+    name: 'Strategy',
+    effectiveDate: '2025-12-07',
+    source: 'Strategy.com',
+    versions: ['2025-12-07'],
+    data: { btcHoldings: 671268, convertibleNotes: [], preferredStock: {} },
+  };
+
+  beforeEach(() => {
+    fetch.mockClear();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('should request the snapshot in effect on a date', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => snapshot });
+
+    const result = await fetchCompany({ company: 'strategy', asOf: '2025-12-07', storage: null });
+
+    expect(fetch.mock.calls[0][0]).toBe('/api/company?company=strategy&asOf=2025-12-07');
+    expect(result).toEqual({ ...snapshot, lastKnown: false, error: null });
+  });
+
+  it('should reuse the last current snapshot when the backend is down', async () => {
+    const storage = createStorage();
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => snapshot });
+    await fetchCompany({ storage });
+
+    fetch.mockRejectedValueOnce(new Error('Network error'));
+    const result = await fetchCompany({ storage });
+
+    expect(result.data).toEqual(snapshot.data);
+    expect(result.lastKnown).toBe(true);
+    expect(result.error).toBe('Capital structure unavailable: Network error');
+  });
+
+  it('should report the backend message when there is no snapshot', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 404,
+      statusText: 'Not Found',
+      json: async () => ({ error: 'Not found', message: 'No strategy snapshot in effect on 2020-01-01' }),
+    });
+
+    const result = await fetchCompany({ asOf: '2020-01-01', storage: createStorage() });
+
+    expect(result.data).toBeNull();
+    expect(result.error).toBe('Capital structure unavailable: No strategy snapshot in effect on 2020-01-01');
+  });
+});
+
+describe('importCapitalStructure', () => {
+  /**
+   * Minimal stand-in for an uploaded File
+   */
+  const upload = (name, contents) => ({ name, text: async () => contents });
+
+  beforeEach(() => {
+    fetch.mockClear();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('should send CSV files as text/csv and return the validated data', async () => {
+    const data = { btcHoldings: 700000 };
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ data }) });
+
+    const result = await importCapitalStructure(upload('pro-forma.CSV', 'section,id,field,value\n'));
+
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('/api/company/import');
+    expect(options.method).toBe('POST');
+    expect(options.headers['Content-Type']).toBe('text/csv');
+    expect(options.body).toBe('section,id,field,value\n');
+    expect(result).toEqual({ data, errors: [] });
+  });
+
+  it('should return field-level validation errors', async () => {
+    const errors = [{ path: 'convertibleNotes[0].conversionPrice', message: 'is required' }];
+    fetch.mockResolvedValueOnce({ ok: false, status: 422, json: async () => ({ error: 'Invalid capital structure', errors }) });
+
+    const result = await importCapitalStructure(upload('pro-forma.json', '{}'));
+
+    expect(fetch.mock.calls[0][1].headers['Content-Type']).toBe('application/json');
+    expect(result).toEqual({ data: null, errors });
+  });
+
+  it('should report other failures as a single error', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      statusText: 'Bad Request',
+      json: async () => ({ error: 'Bad request', message: 'Unexpected token } in JSON' }),
+    });
+    expect(await importCapitalStructure(upload('broken.json', '{'))).toEqual({
+      data: null,
+      errors: [{ path: '', message: 'Import failed: Unexpected token } in JSON' }],
+    });
+
+    fetch.mockRejectedValueOnce(new Error('Network error'));
+    expect((await importCapitalStructure(upload('a.json', '{}'))).errors[0].message).toBe('Import failed: Network error');
+  });
+});
+
+describe('describeProvenance', () => {
+  const live = { source: 'polygon', asOf: 1765206000000, fetchedAt: '2025-12-08T15:00:00.000Z', stale: false, error: null };
+
+  it('should name the source and timestamps of a live value', () => {
+    expect(describeProvenance(live)).toMatch(/^polygon, as of .+, fetched .+$/);
+  });
+
+  it('should flag stale values and the error that kept them', () => {
+    expect(describeProvenance({ ...live, stale: true })).toMatch(/\(stale, refreshing\)$/);
+    expect(describeProvenance({ ...live, stale: true, error: 'HTTP 429' })).toMatch(/\(stale: HTTP 429\)$/);
+  });
+
+  it('should flag last-known and unavailable values', () => {
+    expect(describeProvenance({ ...live, stale: true, lastKnown: true, error: 'Backend unavailable' }))
+      .toMatch(/^Last known value: polygon, .+ \(Backend unavailable\)$/);
+    expect(describeProvenance({ source: null, asOf: null, fetchedAt: null, stale: false, error: 'HTTP 503' }))
+      .toBe('Unavailable (HTTP 503)');
+    expect(describeProvenance(undefined)).toBe('Provenance unknown');
+  });
+});
+
+/**
+ * Fake EventSource that records instances so tests can drive them
+ */
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  emit(type, data) {
+    this.listeners[type]({ data: JSON.stringify(data) });
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+describe('subscribeToPrices', () => {
+  beforeEach(() => {
+    FakeEventSource.instances = [];
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should map backend keys to dashboard price fields', () => {
+    expect(toPriceUpdate('btc', 101000)).toEqual({ btc: 101000 });
+    expect(toPriceUpdate('MSTR', { price: 425 })).toEqual({ mstr: 425 });
+    expect(toPriceUpdate('STRF', { price: 101 })).toEqual({ STRF: { price: 101 } });
+    expect(toPriceUpdate('ACME', { price: 12 }, 'ACME')).toEqual({ mstr: 12 });
+  });
+
+  it("should only forward the company's keys", () => {
+    const onUpdate = vi.fn();
+    const storage = createStorage();
+    subscribeToPrices(onUpdate, { EventSourceImpl: FakeEventSource, storage, tickers: { common: 'ACME', preferred: [] } });
+
+    const [source] = FakeEventSource.instances;
+    source.emit('price', { key: 'MSTR', value: { price: 430 } });
+    source.emit('price', { key: 'ACME', value: { price: 12 } });
+
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+    expect(onUpdate.mock.calls[0][0]).toEqual({ mstr: 12 });
+    vi.runAllTimers();
+    expect(loadLastKnownPrices(storage).MSTR.value).toEqual({ price: 430 });
+  });
+
+  it('should forward price events to the callback', () => {
+    const onUpdate = vi.fn();
+    const storage = createStorage();
+    subscribeToPrices(onUpdate, { EventSourceImpl: FakeEventSource, storage });
+
+    const [source] = FakeEventSource.instances;
+    expect(source.url).toBe('/api/prices/stream');
+
+    source.emit('price', { key: 'MSTR', value: { price: 430 }, ttl: 400, source: 'polygon', fetchedAt: '2025-12-08T15:00:00.000Z' });
+    expect(onUpdate).toHaveBeenCalledWith({ mstr: 430 }, {
+      MSTR: { source: 'polygon', asOf: null, fetchedAt: '2025-12-08T15:00:00.000Z', stale: false, error: null },
+    });
+    vi.runAllTimers();
+    expect(loadLastKnownPrices(storage).MSTR.value).toEqual({ price: 430 });
+  });
+
+  it('should persist a burst of events with one storage write', () => {
+    const storage = createStorage();
+    const setItem = vi.spyOn(storage, 'setItem');
+    subscribeToPrices(vi.fn(), { EventSourceImpl: FakeEventSource, storage, persistInterval: 1000 });
+
+    const [source] = FakeEventSource.instances;
+    source.emit('price', { key: 'btc', value: 101000 });
+    source.emit('price', { key: 'MSTR', value: { price: 430 } });
+    source.emit('price', { key: 'MSTR', value: { price: 431 } });
+    vi.advanceTimersByTime(999);
+    expect(setItem).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1);
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(loadLastKnownPrices(storage).btc.value).toBe(101000);
+    expect(loadLastKnownPrices(storage).MSTR.value).toEqual({ price: 431 });
+  });
+
+  it('should flush pending values when the page is hidden or on unsubscribe', () => {
+    const storage = createStorage();
+    const doc = Object.assign(new EventTarget(), { visibilityState: 'visible' });
+    const unsubscribe = subscribeToPrices(vi.fn(), { EventSourceImpl: FakeEventSource, storage, document: doc });
+    const [source] = FakeEventSource.instances;
+
+    source.emit('price', { key: 'btc', value: 101000 });
+    doc.dispatchEvent(new Event('visibilitychange'));
+    expect(loadLastKnownPrices(storage).btc).toBeUndefined();
+
+    doc.visibilityState = 'hidden';
+    doc.dispatchEvent(new Event('visibilitychange'));
+    expect(loadLastKnownPrices(storage).btc.value).toBe(101000);
+
+    source.emit('price', { key: 'btc', value: 102000 });
+    unsubscribe();
+    expect(loadLastKnownPrices(storage).btc.value).toBe(102000);
+  });
+
+  it('should keep the provenance of values replayed on connect', async () => {
+    const { cache } = await import('../../backend/cache.js');
+    const { streamPrices } = await import('../../backend/priceStream.js');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    cache.clear();
+    cache.set('MSTR', { price: 420 }, { source: 'polygon', asOf: '2025-12-05T05:00:00.000Z' });
+    cache.set('STRF', { price: 101 }, { source: 'polygon', asOf: '2025-12-05T05:00:00.000Z' });
+    cache.invalidate('STRF');
+    const fetchedAt = new Date(cache.getRaw('MSTR').createdAt).toISOString();
+
+    const onUpdate = vi.fn();
+    subscribeToPrices(onUpdate, { EventSourceImpl: FakeEventSource, storage: createStorage() });
+    const [source] = FakeEventSource.instances;
+    const req = new EventEmitter();
+    streamPrices(req, {
+      writeHead() {},
+      write(chunk) {
+        const [, type, data] = chunk.match(/^event: (\w+)\ndata: (.*)\n\n$/);
+        source.listeners[type]?.({ data });
+      },
+    });
+    req.emit('close');
+    cache.clear();
+
+    const provenance = Object.assign({}, ...onUpdate.mock.calls.map(([, meta]) => meta));
+    expect(provenance.MSTR).toEqual({ source: 'polygon', asOf: '2025-12-05T05:00:00.000Z', fetchedAt, stale: false, error: null });
+    expect(provenance.STRF).toMatchObject({ fetchedAt, stale: true });
+    expect(describeProvenance(provenance.MSTR)).not.toMatch(/^Unavailable/);
+    expect(describeProvenance(provenance.STRF)).toMatch(/\(stale, refreshing\)$/);
+  });
+
+  it('should reconnect with exponential backoff and reset after a successful open', () => {
+    subscribeToPrices(vi.fn(), { EventSourceImpl: FakeEventSource, baseDelay: 1000 });
+
+    FakeEventSource.instances[0].onerror();
+    expect(FakeEventSource.instances[0].closed).toBe(true);
+    vi.advanceTimersByTime(999);
+    expect(FakeEventSource.instances).toHaveLength(1);
+    vi.advanceTimersByTime(1);
+    expect(FakeEventSource.instances).toHaveLength(2);
+
+    FakeEventSource.instances[1].onerror();
+    vi.advanceTimersByTime(1999);
+    expect(FakeEventSource.instances).toHaveLength(2);
+    vi.advanceTimersByTime(1);
+    expect(FakeEventSource.instances).toHaveLength(3);
+
+    FakeEventSource.instances[2].onopen();
+    FakeEventSource.instances[2].onerror();
+    vi.advanceTimersByTime(1000);
+    expect(FakeEventSource.instances).toHaveLength(4);
+  });
+
+  it('should stop reconnecting once unsubscribed', () => {
+    const unsubscribe = subscribeToPrices(vi.fn(), { EventSourceImpl: FakeEventSource });
+
+    unsubscribe();
+    FakeEventSource.instances[0].onerror();
+    vi.advanceTimersByTime(60000);
+
+    expect(FakeEventSource.instances).toHaveLength(1);
+    expect(FakeEventSource.instances[0].closed).toBe(true);
+  });
 });
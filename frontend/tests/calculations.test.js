@@ -5,8 +5,17 @@ import {
   calculateWaterfall,
   calculateCostOfCapital,
   calculateNavBleed,
+  calculatePreferredYields,
   generateScenarioData,
+  findMissingInputs,
+  formatMissingInputs,
+  waterfallInputKeys,
+  fxRatesFrom,
+  rankPreferreds,
+  diffCapitalStructure,
+  compareSatsPerShare,
 } from '../src/calculations.js';
+import metaplanet from '../../backend/capital/metaplanet/2025-12-30.json';
 
 describe('formatNumber', () => {
   it('should format billions correctly', () => {
@@ -242,6 +251,156 @@ describe('calculateWaterfall', () => {
     expect(result.residualBtc).toBeGreaterThanOrEqual(0);
     expect(result.seniorClaimsBtc + result.residualBtc).toBeCloseTo(660624, 0);
   });
+
+  describe('declarative preferred terms', () => {
+    const waterfallFor = (preferredData, overrides = {}) => calculateWaterfall({
+      btcPrice: 100000,
+      mstrPrice: 420,
+      btcHoldings: 660624,
+      debtData: [],
+      preferredData,
+      commonSharesBasic: 300800,
+      eurUsdRate: 1.1,
+      ...overrides,
+    });
+
+    it('should rank series in listed order and derive claim types from their flags', () => {
+      expect(rankPreferreds(mockPreferredData).map(({ ticker, seniority, claimType, currency, conversionRatio }) => (
+        [ticker, seniority, claimType, currency, conversionRatio]
+      ))).toEqual([
+        ['STRF', 1, 'dynamic', 'USD', null],
+        ['STRC', 2, 'fixed', 'USD', null],
+        ['STRE', 3, 'currency', 'EUR', null],
+        ['STRK', 4, 'dynamic', 'USD', 0.1],
+        ['STRD', 5, 'fixed', 'USD', null],
+      ]);
+    });
+
+    it('should add a new series from data alone, at its declared seniority', () => {
+      const result = waterfallFor({
+        ...mockPreferredData,
+        STRX: { shares: 1000000, liqPref: 25, dividendRate: 0.09, seniority: 0, description: 'Senior Notes Preferred' },
+      });
+
+      expect(result.waterfall.map(item => item.name)).toEqual(['Debt', 'STRX', 'STRF', 'STRC', 'STRE', 'STRK', 'STRD', 'Common']);
+      expect(result.waterfall[1]).toMatchObject({ claimType: 'fixed', liqPref: 25, claimUsd: 25000000, claimBtc: 250 });
+    });
+
+    it('should let a declared claim type and currency override the flags', () => {
+      const result = waterfallFor({
+        STRC: { ...mockPreferredData.STRC, claimType: 'dynamic' },
+        STRE: { ...mockPreferredData.STRE, isEuro: undefined, currency: 'EUR' },
+      }, { stockPrices: { STRC: { price: 104, avg10d: 102 } } });
+
+      expect(result.waterfall[1]).toMatchObject({ name: 'STRC', liqPref: 104, dynamicLiqPref: true });
+      expect(result.waterfall[2]).toMatchObject({ name: 'STRE', currency: 'EUR', isEuro: true });
+      expect(result.waterfall[2].liqPref).toBeCloseTo(110);
+    });
+
+    it('should convert a series by its own conversion ratio', () => {
+      const preferredData = { STRK: { ...mockPreferredData.STRK, conversionRatio: 0.05 } };
+
+      // 1200 × 0.05 = 60 is below the $100 claim
+      expect(waterfallFor(preferredData, { mstrPrice: 1200 }).convertedPreferreds).toEqual([]);
+
+      const result = waterfallFor(preferredData, { mstrPrice: 2100 });
+      expect(result.convertedPreferreds).toEqual(['STRK']);
+      expect(result.additionalSharesFromPreferred).toBeCloseTo(698500);
+      expect(result.waterfall[1]).toMatchObject({ converted: true, liqPref: 0, claimUsd: 0, claimBtc: 0 });
+      expect(result.strkConverted).toBe(true);
+      expect(result.additionalSharesFromStrk).toBe(result.additionalSharesFromPreferred);
+    });
+
+    it('should not convert a series that is not flagged convertible', () => {
+      const preferredData = { STRD: { ...mockPreferredData.STRD, conversionRatio: 0.1 } };
+
+      expect(waterfallFor(preferredData, { mstrPrice: 5000 }).convertedPreferreds).toEqual([]);
+    });
+
+    it('should convert each currency claim at its own USD rate', () => {
+      const result = waterfallFor({
+        STRE: mockPreferredData.STRE,
+        MERCURY: { shares: 23610000, liqPref: 1000, dividendRate: 0.049, currency: 'JPY' },
+      }, { fxRates: { EUR: 1.1, JPY: 0.0066 } });
+
+      expect(result.waterfall[1].liqPref).toBeCloseTo(110);
+      expect(result.waterfall[2]).toMatchObject({ name: 'MERCURY', claimType: 'currency', currency: 'JPY', isEuro: false });
+      expect(result.waterfall[2].liqPref).toBeCloseTo(6.6);
+      expect(result.waterfall[2].claimUsd).toBeCloseTo(23610000 * 6.6);
+    });
+
+    it('should value a conversion in USD when the common stock is listed in another currency', () => {
+      const preferredData = { STRK: { ...mockPreferredData.STRK, conversionRatio: 0.1 } };
+
+      // ¥150,000 × 0.0066 × 0.1 = $99 is below the $100 claim; ¥160,000 gives $105.6
+      expect(waterfallFor(preferredData, { mstrPrice: 150000, commonCurrency: 'JPY', fxRates: { JPY: 0.0066 } })
+        .convertedPreferreds).toEqual([]);
+      expect(waterfallFor(preferredData, { mstrPrice: 160000, commonCurrency: 'JPY', fxRates: { JPY: 0.0066 } })
+        .convertedPreferreds).toEqual(['STRK']);
+      expect(() => waterfallFor(preferredData, { mstrPrice: 160000, commonCurrency: 'JPY' }))
+        .toThrow('No JPY/USD rate for the common stock (jpyUsd)');
+    });
+
+    it('should refuse a currency claim without a USD rate', () => {
+      const preferredData = { MERCURY: { shares: 23610000, liqPref: 1000, dividendRate: 0.049, currency: 'JPY' } };
+
+      expect(() => waterfallFor(preferredData)).toThrow('No JPY/USD rate for MERCURY (jpyUsd)');
+      expect(() => waterfallFor(preferredData, { fxRates: { JPY: null } })).toThrow(/JPY\/USD/);
+      expect(() => waterfallFor({ STRE: mockPreferredData.STRE }, { eurUsdRate: null })).toThrow('No EUR/USD rate for STRE (eurUsd)');
+    });
+  });
+});
+
+describe('Metaplanet snapshot', () => {
+  // 3350.T trades in yen; MERCURY is a ¥1000-par preferred convertible 1:1
+  const { data } = metaplanet;
+  const fxRates = { EUR: 1.1643, JPY: 0.00644613 };
+  const waterfallAt = (mstrPrice) => calculateWaterfall({
+    btcPrice: 100000,
+    mstrPrice,
+    btcHoldings: data.btcHoldings,
+    debtData: data.convertibleNotes,
+    preferredData: data.preferredStock,
+    commonSharesBasic: data.basicSharesOutstanding,
+    fxRates,
+    commonCurrency: metaplanet.currency,
+  });
+
+  it('should need the BTC and 3350.T prices and the JPY rate', () => {
+    expect(waterfallInputKeys(data.preferredStock, metaplanet.currency)).toEqual(['btc', 'mstr', 'jpyUsd']);
+  });
+
+  it('should pay MERCURY its yen claim before the common', () => {
+    const result = waterfallAt(449);
+    const claimUsd = 23610000 * 1000 * 0.00644613;
+
+    expect(result.convertedPreferreds).toEqual([]);
+    expect(result.waterfall.map(item => item.name)).toEqual(['Debt', 'MERCURY', 'Common']);
+    expect(result.waterfall[1]).toMatchObject({ claimType: 'currency', currency: 'JPY', converted: false });
+    expect(result.waterfall[1].claimUsd).toBeCloseTo(claimUsd);
+    expect(result.residualBtc).toBeCloseTo(35102 - claimUsd / 100000);
+    expect(result.totalCommonShares).toBe(1142274000);
+    expect(result.satoshisPerShare).toBe(Math.round(((35102 - claimUsd / 100000) / 1142274000) * 1e8));
+  });
+
+  it('should convert MERCURY once a common share is worth more than its ¥1000 par', () => {
+    const result = waterfallAt(1100);
+
+    expect(result.convertedPreferreds).toEqual(['MERCURY']);
+    expect(result.residualBtc).toBe(35102);
+    expect(result.totalCommonShares).toBe(1142274000 + 23610000);
+  });
+
+  it('should run scenarios and cost of capital in yen', () => {
+    const scenarios = generateScenarioData(data, [50000, 100000], 449, {}, fxRates, true, metaplanet.currency);
+
+    expect(scenarios.map(row => row.satoshisPerShare)).toEqual([
+      Math.round(((35102 - 23610000 * 1000 * 0.00644613 / 50000) / 1142274000) * 1e8),
+      waterfallAt(449).satoshisPerShare,
+    ]);
+    expect(calculateCostOfCapital(data.preferredStock, data.convertibleNotes, fxRates).totalAnnualCost)
+      .toBeCloseTo(23610000 * 0.049 * 1000 * 0.00644613);
+  });
 });
 
 describe('calculateCostOfCapital', () => {
@@ -300,6 +459,14 @@ describe('calculateCostOfCapital', () => {
     expect(streItem.amount).toBeCloseTo(expectedDividend, 0);
   });
 
+  it('should apply the USD rate of each dividend currency', () => {
+    const preferredData = { ...mockPreferredData, MERCURY: { shares: 1000, dividendRate: 0.049, liqPref: 1000, currency: 'JPY' } };
+    const result = calculateCostOfCapital(preferredData, [], { EUR: 1.1, JPY: 0.0066 });
+
+    expect(result.breakdown.find(item => item.name === 'MERCURY').amount).toBeCloseTo(1000 * 0.049 * 1000 * 0.0066);
+    expect(() => calculateCostOfCapital(preferredData, [], { EUR: 1.1 })).toThrow('No JPY/USD rate for MERCURY');
+  });
+
   it('should format rates correctly', () => {
     const result = calculateCostOfCapital(mockPreferredData, mockDebtData);
 
@@ -364,6 +531,105 @@ describe('calculateNavBleed', () => {
   });
 });
 
+describe('calculatePreferredYields', () => {
+  const mockPreferredData = {
+    STRF: { shares: 12680000, dividendRate: 0.10, liqPref: 100 },
+    STRE: { shares: 8590000, dividendRate: 0.10, liqPref: 100, isEuro: true },
+  };
+
+  it('should calculate current yield from market price', () => {
+    const rows = calculatePreferredYields(mockPreferredData, { STRF: { price: 80 } });
+
+    const strf = rows.find(row => row.ticker === 'STRF');
+    expect(strf.currency).toBe('USD');
+    expect(strf.annualDividend).toBe(10);
+    expect(strf.currentYield).toBeCloseTo(0.125, 6);
+    expect(strf.priceUsd).toBe(80);
+  });
+
+  it('should price EUR-listed preferreds in EUR with a USD conversion', () => {
+    const rows = calculatePreferredYields(mockPreferredData, { STRE: { price: 90, currency: 'EUR' } }, 1.1);
+
+    const stre = rows.find(row => row.ticker === 'STRE');
+    expect(stre.currency).toBe('EUR');
+    expect(stre.currentYield).toBeCloseTo(10 / 90, 6);
+    expect(stre.priceUsd).toBeCloseTo(99, 6);
+  });
+
+  it('should prefer the backend USD conversion when present', () => {
+    const rows = calculatePreferredYields(mockPreferredData, {
+      STRE: { price: 90, currency: 'EUR', priceUsd: 98 },
+    }, 1.1);
+
+    expect(rows.find(row => row.ticker === 'STRE').priceUsd).toBe(98);
+  });
+
+  it('should leave price and yield empty without a quote', () => {
+    const rows = calculatePreferredYields(mockPreferredData, {});
+
+    expect(rows[0].price).toBeNull();
+    expect(rows[0].currentYield).toBeNull();
+  });
+
+  it('should leave the USD price empty without an exchange rate', () => {
+    const rows = calculatePreferredYields(mockPreferredData, { STRE: { price: 90, currency: 'EUR' } }, null);
+
+    expect(rows.find(row => row.ticker === 'STRE').priceUsd).toBeNull();
+  });
+
+  it('should convert other listing currencies with the rate map', () => {
+    const preferredData = { MERCURY: { shares: 1000, dividendRate: 0.049, liqPref: 1000, currency: 'JPY' } };
+
+    const [row] = calculatePreferredYields(preferredData, { MERCURY: { price: 950, currency: 'JPY' } }, { JPY: 0.0066 });
+    expect(row.priceUsd).toBeCloseTo(6.27);
+    expect(calculatePreferredYields(preferredData, { MERCURY: { price: 950 } }, { EUR: 1.1 })[0].priceUsd).toBeNull();
+  });
+});
+
+describe('findMissingInputs', () => {
+  const complete = { btc: 100000, mstr: 420, eurUsd: 1.08, STRF: { price: 101 }, STRK: { price: 95 } };
+
+  it('should find nothing when every input has a price', () => {
+    expect(findMissingInputs(complete)).toEqual([]);
+  });
+
+  it('should list null, non-numeric and quote-less inputs', () => {
+    const prices = { ...complete, btc: null, eurUsd: NaN, STRF: { price: null }, STRK: undefined };
+
+    expect(findMissingInputs(prices)).toEqual(['btc', 'eurUsd', 'STRF', 'STRK']);
+  });
+
+  it('should only check the requested inputs', () => {
+    expect(findMissingInputs({ btc: null, mstr: 0 }, ['mstr'])).toEqual(['mstr']);
+  });
+
+  it('should format missing inputs for display', () => {
+    expect(formatMissingInputs(['btc', 'STRF', 'STRX'])).toBe('BTC price, STRF price, STRX price');
+    expect(formatMissingInputs(['mstr', 'eurUsd'], 'ACME')).toBe('ACME price, EUR/USD rate');
+    expect(formatMissingInputs(['jpyUsd'])).toBe('JPY/USD rate');
+  });
+
+  it('should collect the USD rates of a prices object by currency', () => {
+    expect(fxRatesFrom({ btc: 100000, mstr: 420, eurUsd: 1.08, jpyUsd: 0.0066, STRF: { price: 101 } }))
+      .toEqual({ EUR: 1.08, JPY: 0.0066 });
+  });
+
+  it('should derive the inputs a capital structure needs', () => {
+    expect(waterfallInputKeys({
+      STRF: { hasDynamicLiqPref: true },
+      STRE: { isEuro: true },
+      STRK: { hasDynamicLiqPref: true },
+    })).toEqual(['btc', 'mstr', 'eurUsd', 'STRF', 'STRK']);
+    expect(waterfallInputKeys({ STRC: { liqPref: 100 } })).toEqual(['btc', 'mstr']);
+    expect(waterfallInputKeys({
+      STRE: { isEuro: true },
+      MERCURY: { currency: 'JPY' },
+      MARS: { currency: 'JPY' },
+    })).toEqual(['btc', 'mstr', 'eurUsd', 'jpyUsd']);
+    expect(waterfallInputKeys({ STRE: { isEuro: true } }, 'JPY')).toEqual(['btc', 'mstr', 'jpyUsd', 'eurUsd']);
+  });
+});
+
 describe('generateScenarioData', () => {
   const mockBaseData = {
     btcHoldings: 660624,
@@ -454,3 +720,90 @@ describe('generateScenarioData', () => {
   });
 });
 
+
+describe('diffCapitalStructure', () => {
+  const before = {
+    btcHoldings: 660624,
+    avgBtcCost: 74696,
+    basicSharesOutstanding: 300800,
+    convertibleNotes: [
+      { name: '2028 Convert', principal: 1010000000, conversionPrice: 183.19, sharesIfConverted: 5513000 },
+      { name: '2029 Convert', principal: 3000000000, conversionPrice: 672.40, sharesIfConverted: 4462000 },
+    ],
+    preferredStock: {
+      STRF: { shares: 12680000, notional: 1268000000, liqPref: 100 },
+      STRC: { shares: 29590000, notional: 2959000000, liqPref: 100 },
+    },
+  };
+  const after = {
+    ...before,
+    btcHoldings: 671268,
+    avgBtcCost: 74972,
+    convertibleNotes: [before.convertibleNotes[1]],
+    preferredStock: {
+      ...before.preferredStock,
+      STRF: { shares: 12843306, notional: 1284330600, liqPref: 100 },
+      STRD: { shares: 14029202, notional: 1402920200, liqPref: 100 },
+    },
+  };
+
+  it('should list changed company fields with their change', () => {
+    const diff = diffCapitalStructure(before, after);
+
+    expect(diff.changed).toBe(true);
+    expect(diff.fields).toEqual([
+      { field: 'btcHoldings', before: 660624, after: 671268, change: 10644 },
+      { field: 'avgBtcCost', before: 74696, after: 74972, change: 276 },
+    ]);
+  });
+
+  it('should report converted or redeemed notes as removed', () => {
+    const diff = diffCapitalStructure(before, after);
+
+    expect(diff.convertibleNotes).toHaveLength(1);
+    expect(diff.convertibleNotes[0]).toMatchObject({ id: '2028 Convert', status: 'removed' });
+    expect(diff.convertibleNotes[0].changes).toContainEqual({ field: 'principal', before: 1010000000, after: null, change: null });
+  });
+
+  it('should report new issuance per preferred', () => {
+    const diff = diffCapitalStructure(before, after);
+
+    expect(diff.preferredStock.map(({ id, status }) => [id, status])).toEqual([['STRF', 'changed'], ['STRD', 'added']]);
+    expect(diff.preferredStock[0].changes).toContainEqual({ field: 'shares', before: 12680000, after: 12843306, change: 163306 });
+  });
+
+  it('should report no changes between identical snapshots', () => {
+    expect(diffCapitalStructure(before, before)).toEqual({ fields: [], convertibleNotes: [], preferredStock: [], changed: false });
+  });
+});
+
+describe('compareSatsPerShare', () => {
+  const base = {
+    btcHoldings: 600000,
+    basicSharesOutstanding: 300000,
+    convertibleNotes: [],
+    preferredStock: {
+      STRF: { shares: 0, liqPref: 100 },
+      STRC: { shares: 0, liqPref: 100 },
+      STRE: { shares: 0, liqPref: 100 },
+      STRK: { shares: 0, liqPref: 100 },
+      STRD: { shares: 0, liqPref: 100 },
+    },
+  };
+  const market = { btcPrice: 100000, mstrPrice: 400, eurUsdRate: 1.1, stockPrices: {}, treatItmAsEquity: true };
+
+  it('should price both structures at the same market prices', () => {
+    const result = compareSatsPerShare(base, { ...base, btcHoldings: 660000 }, market);
+
+    expect(result.before).toBe(200000);
+    expect(result.after).toBe(220000);
+    expect(result.change).toBe(20000);
+    expect(result.changePct).toBeCloseTo(10);
+  });
+
+  it('should show dilution from new shares', () => {
+    const result = compareSatsPerShare(base, { ...base, basicSharesOutstanding: 320000 }, market);
+
+    expect(result.change).toBeLessThan(0);
+  });
+});